@@ -0,0 +1,13 @@
+import { jest } from '@jest/globals'
+
+const mockMessagesCreate = jest.fn()
+
+export const AnthropicBedrockMock = jest.fn().mockImplementation(() => ({
+  messages: {
+    create: mockMessagesCreate
+  }
+}))
+
+export { AnthropicBedrockMock as AnthropicBedrock }
+
+export const _mockMessagesCreate = mockMessagesCreate
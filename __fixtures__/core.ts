@@ -8,3 +8,8 @@ export const getInput = jest.fn<typeof core.getInput>()
 export const setOutput = jest.fn<typeof core.setOutput>()
 export const setFailed = jest.fn<typeof core.setFailed>()
 export const warning = jest.fn<typeof core.warning>()
+
+export const summary = {
+  addRaw: jest.fn().mockReturnThis(),
+  write: jest.fn().mockReturnThis()
+}
@@ -3,6 +3,8 @@ import { jest } from '@jest/globals'
 
 export const context = {
   eventName: '',
+  sha: '',
+  ref: '',
   repo: {
     owner: 'test-owner',
     repo: 'test-repo'
@@ -11,12 +13,41 @@ export const context = {
 }
 
 export const getOctokit = jest.fn<typeof github.getOctokit>().mockReturnValue({
+  paginate: jest.fn(
+    async (
+      method: (params: unknown) => Promise<{ data: unknown[] }>,
+      params: unknown
+    ) => (await method(params)).data
+  ),
   rest: {
+    issues: {
+      get: jest.fn(),
+      listComments: jest.fn(),
+      createComment: jest.fn(),
+      updateComment: jest.fn(),
+      getLabel: jest.fn(),
+      createLabel: jest.fn(),
+      addLabels: jest.fn(),
+      removeLabel: jest.fn()
+    },
     repos: {
-      compareCommitsWithBasehead: jest.fn()
+      compareCommitsWithBasehead: jest.fn(),
+      getCollaboratorPermissionLevel: jest.fn(),
+      getContent: jest.fn(),
+      listPullRequestsAssociatedWithCommit: jest.fn(),
+      listReleases: jest.fn(),
+      createRelease: jest.fn(),
+      updateRelease: jest.fn()
+    },
+    git: {
+      getRef: jest.fn()
+    },
+    reactions: {
+      createForIssueComment: jest.fn()
     },
     pulls: {
       listCommits: jest.fn(),
+      get: jest.fn(),
       update: jest.fn()
     }
   }
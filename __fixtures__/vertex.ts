@@ -0,0 +1,13 @@
+import { jest } from '@jest/globals'
+
+const mockMessagesCreate = jest.fn()
+
+export const AnthropicVertexMock = jest.fn().mockImplementation(() => ({
+  messages: {
+    create: mockMessagesCreate
+  }
+}))
+
+export { AnthropicVertexMock as AnthropicVertex }
+
+export const _mockMessagesCreate = mockMessagesCreate
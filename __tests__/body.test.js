@@ -0,0 +1,227 @@
+import {
+  jest,
+  describe,
+  it,
+  expect,
+  beforeEach,
+  afterEach
+} from '@jest/globals'
+import * as core from '@actions/core'
+import {
+  mergeManagedSection,
+  readManagedSection,
+  SECTION_START_MARKER,
+  SECTION_END_MARKER,
+  DEFAULT_PLACEHOLDER_TOKEN
+} from '../src/body.js'
+
+describe('body.js', () => {
+  const description = '## Summary\nGenerated summary'
+  const section = `${SECTION_START_MARKER}\n${description}\n${SECTION_END_MARKER}`
+  const topOptions = {
+    placement: 'top',
+    placeholderToken: DEFAULT_PLACEHOLDER_TOKEN
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  describe('mergeManagedSection', () => {
+    it('should return only the section for an empty body', () => {
+      expect(mergeManagedSection('', description, topOptions)).toBe(section)
+    })
+
+    it('should return only the section for a whitespace-only body', () => {
+      expect(mergeManagedSection('  \n ', description, topOptions)).toBe(
+        section
+      )
+    })
+
+    it('should insert the section at the top by default', () => {
+      const result = mergeManagedSection(
+        '- [ ] Checklist item',
+        description,
+        topOptions
+      )
+
+      expect(result).toBe(`${section}\n\n- [ ] Checklist item`)
+    })
+
+    it('should insert the section at the bottom', () => {
+      const result = mergeManagedSection('Human notes', description, {
+        ...topOptions,
+        placement: 'bottom'
+      })
+
+      expect(result).toBe(`Human notes\n\n${section}`)
+    })
+
+    it('should replace the placeholder token', () => {
+      const result = mergeManagedSection(
+        `Intro\n\n${DEFAULT_PLACEHOLDER_TOKEN}\n\nScreenshots`,
+        description,
+        { ...topOptions, placement: 'placeholder' }
+      )
+
+      expect(result).toBe(`Intro\n\n${section}\n\nScreenshots`)
+      expect(core.info).toHaveBeenCalledWith(
+        'Replacing placeholder token with managed section'
+      )
+    })
+
+    it('should support a custom placeholder token', () => {
+      const result = mergeManagedSection('Intro {{ai}} outro', description, {
+        placement: 'placeholder',
+        placeholderToken: '{{ai}}'
+      })
+
+      expect(result).toBe(`Intro ${section} outro`)
+    })
+
+    it('should insert descriptions containing replacement patterns as written', () => {
+      const dollarDescription = "Quote with $' and keep $&, $` and $1"
+      const result = mergeManagedSection(
+        `Intro\n\n${DEFAULT_PLACEHOLDER_TOKEN}\n\nScreenshots`,
+        dollarDescription,
+        { ...topOptions, placement: 'placeholder' }
+      )
+
+      expect(result).toBe(
+        `Intro\n\n${SECTION_START_MARKER}\n${dollarDescription}\n${SECTION_END_MARKER}\n\nScreenshots`
+      )
+    })
+
+    it('should replace a body that is still the unfilled template', () => {
+      const template = '## Summary\n\n## Testing\n'
+
+      expect(
+        mergeManagedSection('  ## Summary\r\n\r\n## Testing  ', description, {
+          ...topOptions,
+          template
+        })
+      ).toBe(section)
+      expect(core.info).toHaveBeenCalledWith(
+        'Replacing the unfilled pull request template in PR body'
+      )
+    })
+
+    it('should drop an unfilled template kept by an earlier run', () => {
+      const template = '## Summary\n\n## Testing'
+
+      expect(
+        mergeManagedSection(
+          `${SECTION_START_MARKER}\nOld\n${SECTION_END_MARKER}\n\n${template}`,
+          description,
+          { ...topOptions, template }
+        )
+      ).toBe(section)
+    })
+
+    it('should keep a template once it has been filled in', () => {
+      const template = '## Summary\n\n## Testing'
+
+      expect(
+        mergeManagedSection(`${template}\nRan the e2e suite`, description, {
+          ...topOptions,
+          template
+        })
+      ).toBe(`${section}\n\n${template}\nRan the e2e suite`)
+    })
+
+    it('should keep a template that holds the placeholder token', () => {
+      const template = `## Notes\n\n${DEFAULT_PLACEHOLDER_TOKEN}`
+
+      expect(
+        mergeManagedSection(template, description, {
+          placement: 'placeholder',
+          placeholderToken: DEFAULT_PLACEHOLDER_TOKEN,
+          template
+        })
+      ).toBe(`## Notes\n\n${section}`)
+    })
+
+    it('should append when the placeholder token is missing', () => {
+      const result = mergeManagedSection('Human notes', description, {
+        ...topOptions,
+        placement: 'placeholder'
+      })
+
+      expect(result).toBe(`Human notes\n\n${section}`)
+      expect(core.info).toHaveBeenCalledWith(
+        `Placeholder token ${DEFAULT_PLACEHOLDER_TOKEN} not found, appending managed section`
+      )
+    })
+
+    it('should replace only the contents of an existing section', () => {
+      const existingBody = `Before\n\n${SECTION_START_MARKER}\nOld text\n${SECTION_END_MARKER}\n\n![screenshot](url)`
+
+      const result = mergeManagedSection(existingBody, description, {
+        ...topOptions,
+        placement: 'bottom'
+      })
+
+      expect(result).toBe(`Before\n\n${section}\n\n![screenshot](url)`)
+      expect(core.info).toHaveBeenCalledWith(
+        'Replacing existing managed section in PR body'
+      )
+    })
+
+    it('should be idempotent across repeated runs', () => {
+      const first = mergeManagedSection('Notes', description, topOptions)
+      const second = mergeManagedSection(first, description, topOptions)
+
+      expect(second).toBe(first)
+    })
+
+    it('should trim surrounding whitespace from the description', () => {
+      expect(mergeManagedSection('', `\n${description}\n\n`, topOptions)).toBe(
+        section
+      )
+    })
+
+    it('should recreate the section when only the start marker remains', () => {
+      const result = mergeManagedSection(
+        `${SECTION_START_MARKER}\nStale text\n\nHuman notes`,
+        description,
+        topOptions
+      )
+
+      expect(result).toBe(`${section}\n\nStale text\n\nHuman notes`)
+      expect(core.warning).toHaveBeenCalledWith(
+        'Found an incomplete managed section in PR body, recreating'
+      )
+    })
+
+    it('should recreate the section when the markers are out of order', () => {
+      const result = mergeManagedSection(
+        `${SECTION_END_MARKER}\nNotes\n${SECTION_START_MARKER}`,
+        description,
+        topOptions
+      )
+
+      expect(result).toBe(`${section}\n\nNotes`)
+      expect(core.warning).toHaveBeenCalled()
+    })
+  })
+
+  describe('readManagedSection', () => {
+    it('should read the description between the markers', () => {
+      expect(readManagedSection(`Notes\n\n${section}\n\nMore notes`)).toBe(
+        description
+      )
+    })
+
+    it('should return null without a complete managed section', () => {
+      expect(readManagedSection('Human notes')).toBeNull()
+      expect(readManagedSection(`${SECTION_START_MARKER}\nStale`)).toBeNull()
+      expect(
+        readManagedSection(`${SECTION_END_MARKER}\n${SECTION_START_MARKER}`)
+      ).toBeNull()
+    })
+  })
+})
@@ -0,0 +1,117 @@
+import { describe, it, expect } from '@jest/globals'
+import { estimateTokens, splitDiff, mapWithConcurrency } from '../src/budget.js'
+
+describe('budget.js', () => {
+  const fileSection = (name, body) =>
+    `diff --git a/${name} b/${name}\n--- a/${name}\n+++ b/${name}\n${body}`
+
+  describe('estimateTokens', () => {
+    it('should estimate four characters per token', () => {
+      expect(estimateTokens('abcd')).toBe(1)
+      expect(estimateTokens('abcde')).toBe(2)
+    })
+
+    it('should return zero for empty text', () => {
+      expect(estimateTokens('')).toBe(0)
+    })
+  })
+
+  describe('splitDiff', () => {
+    it('should keep a small diff in a single chunk', () => {
+      const diff =
+        fileSection('a.ts', '@@ -1 +1 @@\n+a\n') +
+        fileSection('b.ts', '@@ -1 +1 @@\n+b\n')
+
+      expect(splitDiff(diff, 1000)).toEqual([diff])
+    })
+
+    it('should group whole files into chunks under the budget', () => {
+      const first = fileSection('a.ts', `@@ -1 +1 @@\n+${'a'.repeat(100)}\n`)
+      const second = fileSection('b.ts', `@@ -1 +1 @@\n+${'b'.repeat(100)}\n`)
+      const third = fileSection('c.ts', `@@ -1 +1 @@\n+${'c'.repeat(100)}\n`)
+
+      const chunks = splitDiff(first + second + third, 90)
+
+      expect(chunks).toEqual([first + second, third])
+    })
+
+    it('should split an oversized file by hunk and repeat the header', () => {
+      const header =
+        'diff --git a/big.ts b/big.ts\n--- a/big.ts\n+++ b/big.ts\n'
+      const hunkA = `@@ -1 +1 @@\n+${'a'.repeat(80)}\n`
+      const hunkB = `@@ -10 +10 @@\n+${'b'.repeat(80)}\n`
+      const small = fileSection('small.ts', '@@ -1 +1 @@\n+s\n')
+
+      const chunks = splitDiff(small + header + hunkA + hunkB, 40)
+
+      expect(chunks).toEqual([small, header + hunkA, header + hunkB])
+    })
+
+    it('should truncate a single hunk that exceeds the budget', () => {
+      const diff = fileSection('big.ts', `@@ -1 +1 @@\n+${'x'.repeat(400)}\n`)
+
+      const chunks = splitDiff(diff, 20)
+
+      expect(chunks).toHaveLength(1)
+      expect(chunks[0].startsWith('diff --git a/big.ts b/big.ts')).toBe(true)
+      expect(chunks[0]).toContain('[... truncated to fit token budget ...]')
+      expect(chunks[0].length).toBeLessThan(diff.length)
+    })
+
+    it('should truncate an oversized file section without hunks', () => {
+      const diff = `diff --git a/bin.dat b/bin.dat\n${'x'.repeat(200)}`
+
+      const chunks = splitDiff(diff, 10)
+
+      expect(chunks).toHaveLength(1)
+      expect(chunks[0]).toContain('[... truncated to fit token budget ...]')
+    })
+
+    it('should return no chunks for an empty diff', () => {
+      expect(splitDiff('', 100)).toEqual([])
+    })
+  })
+
+  describe('mapWithConcurrency', () => {
+    it('should preserve result order', async () => {
+      const results = await mapWithConcurrency(
+        [30, 10, 20],
+        2,
+        (delay, index) =>
+          new Promise((resolve) =>
+            setTimeout(() => resolve(`${index}:${delay}`), delay)
+          )
+      )
+
+      expect(results).toEqual(['0:30', '1:10', '2:20'])
+    })
+
+    it('should limit the number of promises in flight', async () => {
+      let active = 0
+      let maxActive = 0
+
+      await mapWithConcurrency([1, 2, 3, 4, 5], 2, async () => {
+        active++
+        maxActive = Math.max(maxActive, active)
+        await new Promise((resolve) => setTimeout(resolve, 5))
+        active--
+      })
+
+      expect(maxActive).toBe(2)
+    })
+
+    it('should handle an empty list', async () => {
+      await expect(
+        mapWithConcurrency([], 3, async (item) => item)
+      ).resolves.toEqual([])
+    })
+
+    it('should propagate errors', async () => {
+      await expect(
+        mapWithConcurrency([1], 1, async () => {
+          throw new Error('boom')
+        })
+      ).rejects.toThrow('boom')
+    })
+  })
+})
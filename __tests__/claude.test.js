@@ -7,11 +7,20 @@ import {
   afterEach
 } from '@jest/globals'
 import * as core from '@actions/core'
-import { Anthropic, _mockMessagesCreate } from '@anthropic-ai/sdk'
-import { generatePRDescription } from '../src/claude.js'
+import { _mockMessagesCreate } from '@anthropic-ai/sdk'
+import {
+  generatePRDescription,
+  generateStructuredDescription,
+  selectModel,
+  suggestTitle,
+  countChangedLines,
+  generateReleaseNotes,
+  summarizeUpdate
+} from '../src/claude.js'
+import { configureRetry } from '../src/retry.js'
 
 describe('claude.js', () => {
-  const mockApiKey = 'test-api-key'
+  const provider = { name: 'anthropic', createMessage: _mockMessagesCreate }
   const mockPRContext = {
     prInfo: {
       number: 123,
@@ -25,6 +34,14 @@ describe('claude.js', () => {
     diff: '+++ added file\n--- removed file'
   }
 
+  const generationOptions = {
+    model: 'claude-3-5-haiku-latest',
+    maxTokens: 1000,
+    temperature: 0.3,
+    tokenBudget: 100000,
+    chunkConcurrency: 3
+  }
+
   beforeEach(() => {
     jest.clearAllMocks()
   })
@@ -53,10 +70,9 @@ describe('claude.js', () => {
 
       _mockMessagesCreate.mockResolvedValue(mockResponse)
 
-      const result = await generatePRDescription(mockApiKey, mockPRContext)
+      const result = await generatePRDescription(provider, mockPRContext)
 
       expect(result).toBe(expectedDescription)
-      expect(Anthropic).toHaveBeenCalledWith({ apiKey: mockApiKey })
       expect(_mockMessagesCreate).toHaveBeenCalledWith({
         model: 'claude-3-5-haiku-latest',
         max_tokens: 1000,
@@ -114,7 +130,7 @@ describe('claude.js', () => {
 
       _mockMessagesCreate.mockResolvedValue(mockResponse)
 
-      await generatePRDescription(mockApiKey, mockPRContext)
+      await generatePRDescription(provider, mockPRContext)
 
       expect(core.info).toHaveBeenCalledWith('Cache hit! Saved tokens: 75')
       expect(core.info).toHaveBeenCalledWith('Cache hit rate: 60%')
@@ -133,7 +149,7 @@ describe('claude.js', () => {
       _mockMessagesCreate.mockResolvedValue(mockResponse)
 
       await expect(
-        generatePRDescription(mockApiKey, mockPRContext)
+        generatePRDescription(provider, mockPRContext)
       ).rejects.toThrow('Empty description generated by Claude')
     })
 
@@ -159,7 +175,7 @@ describe('claude.js', () => {
       _mockMessagesCreate.mockResolvedValue(mockResponse)
 
       await expect(
-        generatePRDescription(mockApiKey, mockPRContext)
+        generatePRDescription(provider, mockPRContext)
       ).rejects.toThrow('Empty description generated by Claude')
     })
 
@@ -176,7 +192,7 @@ describe('claude.js', () => {
       _mockMessagesCreate.mockResolvedValue(mockResponse)
 
       await expect(
-        generatePRDescription(mockApiKey, mockPRContext)
+        generatePRDescription(provider, mockPRContext)
       ).rejects.toThrow('Empty description generated by Claude')
     })
 
@@ -185,7 +201,7 @@ describe('claude.js', () => {
       _mockMessagesCreate.mockRejectedValue(apiError)
 
       await expect(
-        generatePRDescription(mockApiKey, mockPRContext)
+        generatePRDescription(provider, mockPRContext)
       ).rejects.toThrow(
         'Failed to generate description with Claude: Error: API quota exceeded'
       )
@@ -196,7 +212,7 @@ describe('claude.js', () => {
       _mockMessagesCreate.mockRejectedValue(networkError)
 
       await expect(
-        generatePRDescription(mockApiKey, mockPRContext)
+        generatePRDescription(provider, mockPRContext)
       ).rejects.toThrow(
         'Failed to generate description with Claude: Error: Network timeout'
       )
@@ -225,7 +241,7 @@ describe('claude.js', () => {
         diff: Array(100).fill('+ line of code').join('\n')
       }
 
-      await generatePRDescription(mockApiKey, largePRContext)
+      await generatePRDescription(provider, largePRContext)
 
       expect(core.info).toHaveBeenCalledWith(
         expect.stringMatching(/Context size: \d+ characters/)
@@ -253,7 +269,7 @@ describe('claude.js', () => {
 
       _mockMessagesCreate.mockResolvedValue(mockResponse)
 
-      await generatePRDescription(mockApiKey, mockPRContext)
+      await generatePRDescription(provider, mockPRContext)
 
       const call = _mockMessagesCreate.mock.calls[0][0]
       expect(call.system[0].text).toContain('You are a technical writer')
@@ -280,7 +296,7 @@ describe('claude.js', () => {
 
       _mockMessagesCreate.mockResolvedValue(mockResponse)
 
-      await generatePRDescription(mockApiKey, mockPRContext)
+      await generatePRDescription(provider, mockPRContext)
 
       const call = _mockMessagesCreate.mock.calls[0][0]
       const contextContent = call.messages[0].content[1].text
@@ -292,5 +308,668 @@ describe('claude.js', () => {
       expect(contextContent).toContain('Complete Code Diff:')
       expect(contextContent).toContain('+++ added file')
     })
+
+    it('should summarize oversized diffs in chunks before generating', async () => {
+      const fileDiff = (name) =>
+        `diff --git a/${name} b/${name}\n--- a/${name}\n+++ b/${name}\n@@ -1 +1 @@\n+${'x'.repeat(1000)}\n`
+      const largePRContext = {
+        ...mockPRContext,
+        diff: fileDiff('a.ts') + fileDiff('b.ts') + fileDiff('c.ts')
+      }
+
+      _mockMessagesCreate.mockImplementation(async (params) => ({
+        content: [
+          {
+            type: 'text',
+            text: params.system[0].text.includes('one part of a large')
+              ? `- summary of ${params.messages[0].content[0].text.match(/a\/(\w\.ts)/)[1]}`
+              : 'Final description'
+          }
+        ],
+        usage: {
+          input_tokens: 100,
+          output_tokens: 50,
+          cache_read_input_tokens: 0
+        }
+      }))
+
+      const result = await generatePRDescription(provider, largePRContext, {
+        ...generationOptions,
+        tokenBudget: 600,
+        chunkConcurrency: 2
+      })
+
+      expect(result).toBe('Final description')
+      expect(_mockMessagesCreate).toHaveBeenCalledTimes(4)
+      expect(core.info).toHaveBeenCalledWith(
+        'Diff exceeds token budget, summarizing 3 chunks (concurrency: 2)'
+      )
+
+      const chunkCall = _mockMessagesCreate.mock.calls[0][0]
+      expect(chunkCall.max_tokens).toBe(500)
+      expect(chunkCall.messages[0].content[0].text).toContain(
+        'Diff (part 1 of 3)'
+      )
+
+      const finalCall = _mockMessagesCreate.mock.calls[3][0]
+      const contextContent = finalCall.messages[0].content[1].text
+      expect(contextContent).toContain('Summaries of the Code Diff')
+      expect(contextContent).toContain('### Part 1\n- summary of a.ts')
+      expect(contextContent).toContain('### Part 3\n- summary of c.ts')
+      expect(contextContent).not.toContain('Complete Code Diff:')
+    })
+
+    it('should not chunk diffs within the token budget', async () => {
+      _mockMessagesCreate.mockResolvedValue({
+        content: [{ type: 'text', text: 'Test description' }],
+        usage: {
+          input_tokens: 100,
+          output_tokens: 50,
+          cache_read_input_tokens: 0
+        }
+      })
+
+      await generatePRDescription(provider, mockPRContext, {
+        ...generationOptions,
+        tokenBudget: 100000,
+        chunkConcurrency: 3
+      })
+
+      expect(_mockMessagesCreate).toHaveBeenCalledTimes(1)
+      expect(core.info).toHaveBeenCalledWith(
+        expect.stringMatching(/Estimated tokens: \d+ \(budget: 100000\)/)
+      )
+    })
+
+    it('should fail when a chunk summary is empty', async () => {
+      _mockMessagesCreate.mockResolvedValue({
+        content: [],
+        usage: {
+          input_tokens: 100,
+          output_tokens: 0,
+          cache_read_input_tokens: 0
+        }
+      })
+
+      await expect(
+        generatePRDescription(
+          provider,
+          { ...mockPRContext, diff: 'x'.repeat(5000) },
+          { ...generationOptions, tokenBudget: 600, chunkConcurrency: 1 }
+        )
+      ).rejects.toThrow(
+        'Failed to generate description with Claude: Error: Empty summary generated for diff chunk 1'
+      )
+    })
+
+    it('should use the configured model, max tokens and temperature', async () => {
+      _mockMessagesCreate.mockResolvedValue({
+        content: [{ type: 'text', text: 'Test description' }],
+        usage: {
+          input_tokens: 100,
+          output_tokens: 50,
+          cache_read_input_tokens: 0
+        }
+      })
+
+      await generatePRDescription(provider, mockPRContext, {
+        ...generationOptions,
+        model: 'claude-sonnet-4-0',
+        maxTokens: 2000,
+        temperature: 0
+      })
+
+      expect(_mockMessagesCreate).toHaveBeenCalledWith(
+        expect.objectContaining({
+          model: 'claude-sonnet-4-0',
+          max_tokens: 2000,
+          temperature: 0
+        })
+      )
+      expect(core.info).toHaveBeenCalledWith('Model: claude-sonnet-4-0')
+    })
+
+    it('should fill in the pull request template when one is provided', async () => {
+      _mockMessagesCreate.mockResolvedValue({
+        content: [{ type: 'text', text: 'Filled template' }],
+        usage: {
+          input_tokens: 100,
+          output_tokens: 50,
+          cache_read_input_tokens: 0
+        }
+      })
+      const template =
+        '## What changed\n<!-- Describe your change -->\n\n## Checklist\n- [ ] Tests added\n'
+
+      const result = await generatePRDescription(provider, {
+        ...mockPRContext,
+        template
+      })
+
+      expect(result).toBe('Filled template')
+      const call = _mockMessagesCreate.mock.calls[0][0]
+      expect(call.system[0].text).toContain(
+        "filling in a repository's pull request template"
+      )
+      expect(call.system[0].text).toContain(
+        'Keep every heading exactly as written'
+      )
+      expect(call.system[0].text).toContain('keep its original placeholder')
+      expect(call.system[0].text).toContain(template.trim())
+      expect(call.system[0].text).not.toContain('## Changes Made')
+      expect(call.system[0].cache_control).toEqual({ type: 'ephemeral' })
+      expect(core.info).toHaveBeenCalledWith(
+        'Filling in the repository pull request template'
+      )
+    })
+
+    it('should use a custom prompt with extra instructions and caching', async () => {
+      _mockMessagesCreate.mockResolvedValue({
+        content: [{ type: 'text', text: 'Custom description' }],
+        usage: {
+          input_tokens: 100,
+          output_tokens: 50,
+          cache_read_input_tokens: 0
+        }
+      })
+
+      await generatePRDescription(provider, mockPRContext, {
+        ...generationOptions,
+        customPrompt: 'You write PR descriptions for the payments team.',
+        extraInstructions: 'Include a rollout plan.'
+      })
+
+      const call = _mockMessagesCreate.mock.calls[0][0]
+      expect(call.system).toEqual([
+        {
+          type: 'text',
+          text: 'You write PR descriptions for the payments team.\nAdditional instructions:\nInclude a rollout plan.\n',
+          cache_control: { type: 'ephemeral' }
+        }
+      ])
+      expect(core.info).toHaveBeenCalledWith('Using custom system prompt')
+    })
+
+    it('should include linked issues in the context', async () => {
+      _mockMessagesCreate.mockResolvedValue({
+        content: [{ type: 'text', text: 'Closes #42' }],
+        usage: {
+          input_tokens: 100,
+          output_tokens: 50,
+          cache_read_input_tokens: 0
+        }
+      })
+
+      await generatePRDescription(
+        provider,
+        {
+          ...mockPRContext,
+          linkedIssues: [
+            {
+              reference: '#42',
+              title: 'Crash on startup',
+              body: 'Steps to reproduce',
+              labels: ['bug'],
+              closing: true
+            }
+          ]
+        },
+        generationOptions
+      )
+
+      const call = _mockMessagesCreate.mock.calls[0][0]
+      const contextContent = call.messages[0].content[1].text
+
+      expect(contextContent).toContain(
+        'Linked Issues:\n### #42: Crash on startup\nLabels: bug'
+      )
+      expect(contextContent.indexOf('Linked Issues:')).toBeLessThan(
+        contextContent.indexOf('Complete Code Diff:')
+      )
+      expect(call.system[0].text).toContain('GitHub closing keyword')
+    })
+
+    it('should include the changed files in the context', async () => {
+      _mockMessagesCreate.mockResolvedValue({
+        content: [{ type: 'text', text: 'Description' }],
+        usage: { input_tokens: 100, output_tokens: 50 }
+      })
+
+      await generatePRDescription(
+        provider,
+        {
+          ...mockPRContext,
+          files: [
+            {
+              path: 'src/main.ts',
+              status: 'modified',
+              additions: 10,
+              deletions: 2
+            }
+          ]
+        },
+        generationOptions
+      )
+
+      const contextContent =
+        _mockMessagesCreate.mock.calls[0][0].messages[0].content[1].text
+      expect(contextContent).toContain(
+        'Files Changed:\nsrc/main.ts (modified) +10 -2\n\nComplete Code Diff:'
+      )
+    })
+
+    it('should list the files left out of the diff', async () => {
+      _mockMessagesCreate.mockResolvedValue({
+        content: [{ type: 'text', text: 'Description' }],
+        usage: { input_tokens: 100, output_tokens: 50 }
+      })
+
+      await generatePRDescription(
+        provider,
+        {
+          ...mockPRContext,
+          excludedFiles: [
+            { path: 'package-lock.json', reason: 'lockfile' },
+            { path: 'dist/index.js', reason: 'generated file' }
+          ]
+        },
+        generationOptions
+      )
+
+      const contextContent =
+        _mockMessagesCreate.mock.calls[0][0].messages[0].content[1].text
+      expect(contextContent).toContain(
+        'Left Out of the Diff (changed, but not shown):\npackage-lock.json (lockfile)\ndist/index.js (generated file)\n\n'
+      )
+    })
+
+    it('should pass the language and verbosity to the system prompt', async () => {
+      _mockMessagesCreate.mockResolvedValue({
+        content: [{ type: 'text', text: 'Beschreibung' }],
+        usage: { input_tokens: 100, output_tokens: 50 }
+      })
+
+      await generatePRDescription(provider, mockPRContext, {
+        ...generationOptions,
+        language: 'de',
+        verbosity: 'detailed'
+      })
+
+      const systemPrompt = _mockMessagesCreate.mock.calls[0][0].system[0].text
+      expect(systemPrompt).toContain('Write the description in German (de)')
+      expect(systemPrompt).toContain('Be thorough')
+    })
+
+    it('should not mention linked issues when there are none', async () => {
+      _mockMessagesCreate.mockResolvedValue({
+        content: [{ type: 'text', text: 'Test description' }],
+        usage: {
+          input_tokens: 100,
+          output_tokens: 50,
+          cache_read_input_tokens: 0
+        }
+      })
+
+      await generatePRDescription(
+        provider,
+        { ...mockPRContext, linkedIssues: [] },
+        generationOptions
+      )
+
+      const call = _mockMessagesCreate.mock.calls[0][0]
+      expect(call.messages[0].content[1].text).not.toContain('Linked Issues:')
+      expect(call.system[0].text).not.toContain('GitHub closing keyword')
+    })
+
+    it('should retry when Anthropic is overloaded', async () => {
+      configureRetry({ baseDelayMs: 0, maxDelayMs: 0 })
+      _mockMessagesCreate
+        .mockRejectedValueOnce(
+          Object.assign(new Error('Overloaded'), { status: 529 })
+        )
+        .mockResolvedValue({
+          content: [{ type: 'text', text: 'Test description' }],
+          usage: {
+            input_tokens: 100,
+            output_tokens: 50,
+            cache_read_input_tokens: 0
+          }
+        })
+
+      const result = await generatePRDescription(provider, mockPRContext)
+
+      expect(result).toBe('Test description')
+      expect(_mockMessagesCreate).toHaveBeenCalledTimes(2)
+      expect(core.warning).toHaveBeenCalledWith(
+        'anthropic messages.create failed (attempt 1/3): Error: Overloaded. Retrying in 0ms...'
+      )
+      configureRetry({})
+    })
+  })
+
+  describe('generateStructuredDescription', () => {
+    const toolInput = {
+      summary: ' Adds retries to API calls. ',
+      change_type: 'feature',
+      changes: ['Wrap API calls in withRetry', ' '],
+      breaking_changes: [],
+      risk_level: 'low',
+      testing_notes: 'Unit tests cover the retry policy.',
+      related_issues: ['Closes #12']
+    }
+    const structured = {
+      summary: 'Adds retries to API calls.',
+      changeType: 'feature',
+      changes: ['Wrap API calls in withRetry'],
+      breakingChanges: [],
+      riskLevel: 'low',
+      testingNotes: 'Unit tests cover the retry policy.',
+      relatedIssues: ['Closes #12']
+    }
+    const toolResponse = (input) => ({
+      content: [
+        { type: 'text', text: 'Here is the description.' },
+        {
+          type: 'tool_use',
+          id: 'toolu_1',
+          name: 'describe_pull_request',
+          input
+        }
+      ],
+      usage: { input_tokens: 100, output_tokens: 50 }
+    })
+
+    it('should force a call to the description tool', async () => {
+      _mockMessagesCreate.mockResolvedValue(toolResponse(toolInput))
+
+      const result = await generateStructuredDescription(
+        provider,
+        { ...mockPRContext, template: '## Why\n' },
+        generationOptions
+      )
+
+      expect(result).toEqual(structured)
+      const request = _mockMessagesCreate.mock.calls[0][0]
+      expect(request.tools).toEqual([
+        expect.objectContaining({ name: 'describe_pull_request' })
+      ])
+      expect(request.tool_choice).toEqual({
+        type: 'tool',
+        name: 'describe_pull_request'
+      })
+      expect(request.system[0].text).toContain('describe_pull_request tool')
+      expect(request.system[0].text).not.toContain('Pull request template')
+      expect(core.info).toHaveBeenCalledWith(
+        'Requesting a structured description'
+      )
+      expect(core.info).toHaveBeenCalledWith(
+        'Token usage: input=100, output=50'
+      )
+    })
+
+    it('should send validation errors back once and accept the fix', async () => {
+      _mockMessagesCreate
+        .mockResolvedValueOnce(toolResponse({ ...toolInput, risk_level: 'x' }))
+        .mockResolvedValueOnce(toolResponse(toolInput))
+
+      const result = await generateStructuredDescription(
+        provider,
+        mockPRContext,
+        generationOptions
+      )
+
+      expect(result).toEqual(structured)
+      expect(_mockMessagesCreate).toHaveBeenCalledTimes(2)
+      expect(_mockMessagesCreate.mock.calls[0][0].messages).toHaveLength(1)
+      const [, assistant, toolResult] =
+        _mockMessagesCreate.mock.calls[1][0].messages
+      expect(assistant).toEqual({
+        role: 'assistant',
+        content: [
+          {
+            type: 'tool_use',
+            id: 'toolu_1',
+            name: 'describe_pull_request',
+            input: { ...toolInput, risk_level: 'x' }
+          }
+        ]
+      })
+      expect(toolResult.content[0]).toEqual(
+        expect.objectContaining({
+          type: 'tool_result',
+          tool_use_id: 'toolu_1',
+          is_error: true
+        })
+      )
+      expect(toolResult.content[0].content).toContain(
+        'risk_level must be one of: low, medium, high'
+      )
+      expect(core.warning).toHaveBeenCalledWith(
+        'Invalid structured description: risk_level must be one of: low, medium, high, asking Claude to correct it'
+      )
+    })
+
+    it('should fail when the retry is also invalid', async () => {
+      _mockMessagesCreate.mockResolvedValue(
+        toolResponse({ ...toolInput, summary: '' })
+      )
+
+      await expect(
+        generateStructuredDescription(provider, mockPRContext)
+      ).rejects.toThrow(
+        'Failed to generate description with Claude: Error: Invalid structured description: summary must be a non-empty string'
+      )
+      expect(_mockMessagesCreate).toHaveBeenCalledTimes(2)
+    })
+
+    it.each([[[{ type: 'text', text: 'No tool call' }]], [null]])(
+      'should fail when Claude does not call the tool (%j)',
+      async (content) => {
+        _mockMessagesCreate.mockResolvedValue({
+          content,
+          usage: { input_tokens: 100, output_tokens: 50 }
+        })
+
+        await expect(
+          generateStructuredDescription(provider, mockPRContext)
+        ).rejects.toThrow(
+          'Failed to generate description with Claude: Error: Claude did not return a structured description'
+        )
+      }
+    )
+
+    it('should render the description when generatePRDescription asks for structured output', async () => {
+      _mockMessagesCreate.mockResolvedValue(toolResponse(toolInput))
+
+      const result = await generatePRDescription(provider, mockPRContext, {
+        ...generationOptions,
+        structuredOutput: true
+      })
+
+      expect(result).toBe(
+        '## Summary\nAdds retries to API calls.\n\n## Changes Made\n- Wrap API calls in withRetry\n\n## Risk Level\nLow\n\n## Testing\nUnit tests cover the retry policy.\n\n## Related Issues\n- Closes #12'
+      )
+    })
+  })
+
+  describe('suggestTitle', () => {
+    const textResponse = (text) => ({
+      content: [{ type: 'text', text }],
+      usage: { input_tokens: 100, output_tokens: 10 }
+    })
+    const ticketContext = {
+      ...mockPRContext,
+      prInfo: { ...mockPRContext.prInfo, title: 'ABC-12 fix(api): fixes' }
+    }
+
+    it('should suggest a title from the commits and description', async () => {
+      _mockMessagesCreate.mockResolvedValue(
+        textResponse('"fix: retry rate-limited API calls"\n')
+      )
+
+      const title = await suggestTitle(
+        provider,
+        ticketContext,
+        '## Summary\nAdds retries.',
+        generationOptions
+      )
+
+      expect(title).toBe('ABC-12 fix(api): retry rate-limited API calls')
+      const request = _mockMessagesCreate.mock.calls[0][0]
+      expect(request.max_tokens).toBe(100)
+      expect(request.system[0].text).toContain('Conventional Commits')
+      expect(request.messages[0].content[0].text).toBe(
+        'Current Title: ABC-12 fix(api): fixes\n\nCommit Messages:\nabc123 Initial commit\ndef456 Add feature\n\nPull Request Description:\n## Summary\nAdds retries.'
+      )
+      expect(core.info).toHaveBeenCalledWith(
+        'Suggested title: ABC-12 fix(api): retry rate-limited API calls'
+      )
+    })
+
+    it('should fail when Claude returns no title', async () => {
+      _mockMessagesCreate.mockResolvedValue(textResponse('  \n'))
+
+      await expect(
+        suggestTitle(provider, ticketContext, 'Description')
+      ).rejects.toThrow(
+        'Failed to suggest a title with Claude: Error: Empty title suggested by Claude'
+      )
+    })
+  })
+
+  describe('summarizeUpdate', () => {
+    const textResponse = (text) => ({
+      content: [{ type: 'text', text }],
+      usage: { input_tokens: 100, output_tokens: 20 }
+    })
+
+    it('should summarize the diff of the new commits', async () => {
+      _mockMessagesCreate.mockResolvedValue(
+        textResponse('- Retries now back off exponentially\n')
+      )
+
+      const summary = await summarizeUpdate(
+        provider,
+        mockPRContext.prInfo,
+        'diff --git a/retry.ts b/retry.ts',
+        { ...generationOptions, language: 'de' }
+      )
+
+      expect(summary).toBe('- Retries now back off exponentially')
+      const request = _mockMessagesCreate.mock.calls[0][0]
+      expect(request.system[0].text).toContain('newest push')
+      expect(request.system[0].text).toContain('German')
+      expect(request.messages[0].content[0].text).toBe(
+        'Pull Request Title: Test PR\n\nDiff of the new commits:\ndiff --git a/retry.ts b/retry.ts'
+      )
+    })
+
+    it('should cut a diff over the token budget short', async () => {
+      _mockMessagesCreate.mockResolvedValue(textResponse('- Large change'))
+
+      await summarizeUpdate(provider, mockPRContext.prInfo, 'x'.repeat(50000), {
+        ...generationOptions,
+        tokenBudget: 1000
+      })
+
+      const text =
+        _mockMessagesCreate.mock.calls[0][0].messages[0].content[0].text
+      expect(text.length).toBeLessThan(5000)
+      expect(text).toContain('truncated')
+    })
+
+    it('should fail when Claude returns no summary', async () => {
+      _mockMessagesCreate.mockResolvedValue(textResponse(' \n'))
+
+      await expect(
+        summarizeUpdate(provider, mockPRContext.prInfo, 'diff')
+      ).rejects.toThrow(
+        'Failed to summarize the update with Claude: Error: Empty update summary generated by Claude'
+      )
+    })
+  })
+
+  describe('generateReleaseNotes', () => {
+    const textResponse = (text) => ({
+      content: [{ type: 'text', text }],
+      usage: { input_tokens: 100, output_tokens: 50 }
+    })
+
+    it('should write release notes from the merged pull requests', async () => {
+      _mockMessagesCreate.mockResolvedValue(
+        textResponse('### Features\n- Retry rate-limited calls (#12)')
+      )
+
+      const notes = await generateReleaseNotes(
+        provider,
+        '## #12: Retry rate-limited calls',
+        { ...generationOptions, extraInstructions: 'Mention the docs site.' }
+      )
+
+      expect(notes).toBe('### Features\n- Retry rate-limited calls (#12)')
+      const request = _mockMessagesCreate.mock.calls[0][0]
+      expect(request.system[0].text).toContain('### Breaking Changes')
+      expect(request.system[0].text).toContain('Mention the docs site.')
+      expect(request.messages[0].content[0].text).toBe(
+        'Please write release notes for these merged pull requests:\n\n## #12: Retry rate-limited calls'
+      )
+    })
+
+    it('should fail when Claude returns no release notes', async () => {
+      _mockMessagesCreate.mockResolvedValue(textResponse(''))
+
+      await expect(generateReleaseNotes(provider, '## #12')).rejects.toThrow(
+        'Failed to generate release notes with Claude: Error: Empty release notes generated by Claude'
+      )
+    })
+  })
+
+  describe('countChangedLines', () => {
+    it('should count added and removed lines but not file headers', () => {
+      const diff = `diff --git a/a.ts b/a.ts
+--- a/a.ts
++++ b/a.ts
+@@ -1,2 +1,2 @@
+ context
+-old
++new
++another`
+
+      expect(countChangedLines(diff)).toBe(3)
+    })
+
+    it('should return zero for an empty diff', () => {
+      expect(countChangedLines('')).toBe(0)
+    })
+  })
+
+  describe('selectModel', () => {
+    const routing = {
+      model: 'claude-3-5-haiku-latest',
+      largePrModel: 'claude-sonnet-4-0',
+      largePrThreshold: 2
+    }
+
+    it('should use the default model when routing is disabled', () => {
+      expect(
+        selectModel({ ...routing, largePrModel: '' }, '+a\n+b\n+c\n+d')
+      ).toBe('claude-3-5-haiku-latest')
+    })
+
+    it('should use the default model for small diffs', () => {
+      expect(selectModel(routing, '+a\n-b')).toBe('claude-3-5-haiku-latest')
+    })
+
+    it('should use the large PR model above the threshold', () => {
+      expect(
+        selectModel(
+          routing,
+          'diff --git a/a.ts b/a.ts\n@@ -1 +1,2 @@\n+a\n-b\n+c'
+        )
+      ).toBe('claude-sonnet-4-0')
+      expect(core.info).toHaveBeenCalledWith(
+        'Diff has 3 changed lines (threshold: 2), using claude-sonnet-4-0'
+      )
+    })
   })
 })
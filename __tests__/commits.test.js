@@ -0,0 +1,186 @@
+import { describe, it, expect } from '@jest/globals'
+import {
+  parseCommitMessage,
+  filterCommits,
+  formatCommitMessages
+} from '../src/commits.js'
+
+describe('commits.js', () => {
+  const commit = (sha, message, isMerge = false) => ({
+    sha,
+    ...parseCommitMessage(message),
+    isMerge
+  })
+
+  describe('parseCommitMessage', () => {
+    it('should parse a subject-only message', () => {
+      expect(parseCommitMessage('Add feature X')).toEqual({
+        subject: 'Add feature X',
+        body: '',
+        trailers: []
+      })
+    })
+
+    it('should parse the body', () => {
+      expect(
+        parseCommitMessage('Fix bug\n\nFirst paragraph\n\nSecond paragraph\n')
+      ).toEqual({
+        subject: 'Fix bug',
+        body: 'First paragraph\n\nSecond paragraph',
+        trailers: []
+      })
+    })
+
+    it('should parse trailers from the last paragraph', () => {
+      const message = `feat: add login
+
+Adds the login endpoint.
+
+Co-authored-by: Jane Doe <jane@example.com>
+Fixes: #123
+BREAKING CHANGE: sessions are no longer stored in cookies`
+
+      expect(parseCommitMessage(message)).toEqual({
+        subject: 'feat: add login',
+        body: 'Adds the login endpoint.',
+        trailers: [
+          { key: 'Co-authored-by', value: 'Jane Doe <jane@example.com>' },
+          { key: 'Fixes', value: '#123' },
+          {
+            key: 'BREAKING CHANGE',
+            value: 'sessions are no longer stored in cookies'
+          }
+        ]
+      })
+    })
+
+    it('should parse "token #value" footers next to other trailers', () => {
+      expect(
+        parseCommitMessage(
+          'fix: handle nulls\n\nFixes #12\nCo-authored-by: A <a@b.c>'
+        )
+      ).toEqual({
+        subject: 'fix: handle nulls',
+        body: '',
+        trailers: [
+          { key: 'Fixes', value: '#12' },
+          { key: 'Co-authored-by', value: 'A <a@b.c>' }
+        ]
+      })
+    })
+
+    it('should parse a trailer-only body', () => {
+      expect(
+        parseCommitMessage(
+          'Update docs\n\nSigned-off-by: Bob <bob@example.com>'
+        )
+      ).toEqual({
+        subject: 'Update docs',
+        body: '',
+        trailers: [{ key: 'Signed-off-by', value: 'Bob <bob@example.com>' }]
+      })
+    })
+
+    it('should not treat a mixed last paragraph as trailers', () => {
+      const result = parseCommitMessage(
+        'Refactor\n\nNote: this is prose\nthat continues here'
+      )
+
+      expect(result.trailers).toEqual([])
+      expect(result.body).toBe('Note: this is prose\nthat continues here')
+    })
+
+    it('should handle CRLF line endings', () => {
+      expect(parseCommitMessage('Subject\r\n\r\nBody\r\n\r\nRefs: #1')).toEqual(
+        {
+          subject: 'Subject',
+          body: 'Body',
+          trailers: [{ key: 'Refs', value: '#1' }]
+        }
+      )
+    })
+
+    it('should handle an empty message', () => {
+      expect(parseCommitMessage('')).toEqual({
+        subject: '',
+        body: '',
+        trailers: []
+      })
+    })
+  })
+
+  describe('filterCommits', () => {
+    it('should drop merge commits by parent count', () => {
+      const commits = [
+        commit('a', 'Add feature'),
+        commit('b', 'Sync with main', true)
+      ]
+
+      expect(filterCommits(commits).map((c) => c.sha)).toEqual(['a'])
+    })
+
+    it('should drop merge commits by subject', () => {
+      const commits = [
+        commit('a', "Merge branch 'main' into feature"),
+        commit('b', 'Merge pull request #12 from org/branch'),
+        commit('c', 'Merge remote-tracking branch origin/main'),
+        commit('d', 'Merge sort implementation')
+      ]
+
+      expect(filterCommits(commits).map((c) => c.sha)).toEqual(['d'])
+    })
+
+    it('should drop fixup, squash and amend commits', () => {
+      const commits = [
+        commit('a', 'Add feature'),
+        commit('b', 'fixup! Add feature'),
+        commit('c', 'squash! Add feature'),
+        commit('d', 'amend! Add feature')
+      ]
+
+      expect(filterCommits(commits).map((c) => c.sha)).toEqual(['a'])
+    })
+
+    it('should de-duplicate identical commits', () => {
+      const commits = [
+        commit('a', 'Add feature\n\nDetails'),
+        commit('b', 'Add feature\n\nDetails'),
+        commit('c', 'Add feature\n\nOther details')
+      ]
+
+      expect(filterCommits(commits).map((c) => c.sha)).toEqual(['a', 'c'])
+    })
+  })
+
+  describe('formatCommitMessages', () => {
+    const commits = [
+      commit(
+        'abcdef1234567890',
+        'feat: add login\n\nAdds the login endpoint.\n\nFixes: #123'
+      ),
+      commit('1234567890abcdef', 'Update README')
+    ]
+
+    it('should format subjects and trailers without bodies', () => {
+      expect(formatCommitMessages(commits, false)).toBe(
+        'abcdef1 feat: add login\n    Fixes: #123\n1234567 Update README'
+      )
+    })
+
+    it('should include indented bodies when requested', () => {
+      expect(formatCommitMessages(commits, true)).toBe(
+        'abcdef1 feat: add login\n    Adds the login endpoint.\n    Fixes: #123\n1234567 Update README'
+      )
+    })
+
+    it('should keep blank lines between body paragraphs unindented', () => {
+      expect(
+        formatCommitMessages([commit('abc1234', 'Subject\n\nOne\n\nTwo')], true)
+      ).toBe('abc1234 Subject\n    One\n\n    Two')
+    })
+
+    it('should return an empty string for no commits', () => {
+      expect(formatCommitMessages([], true)).toBe('')
+    })
+  })
+})
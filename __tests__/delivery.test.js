@@ -0,0 +1,162 @@
+import {
+  jest,
+  describe,
+  it,
+  expect,
+  beforeEach,
+  afterEach
+} from '@jest/globals'
+import * as core from '@actions/core'
+import * as github from '@actions/github'
+import { deliverDescription } from '../src/delivery.js'
+
+describe('delivery.js', () => {
+  let mockOctokit
+
+  const prInfo = {
+    number: 123,
+    title: 'Test PR',
+    author: 'testuser',
+    baseSha: 'abc123',
+    headSha: 'def456',
+    url: 'https://github.com/owner/repo/pull/123'
+  }
+  const description = '## Summary\nGenerated description'
+  const config = {
+    mode: 'body',
+    sectionPlacement: 'top',
+    placeholderToken: '<!-- pr-description -->'
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+    mockOctokit = github.getOctokit('fake-token')
+    mockOctokit.rest.pulls.get.mockResolvedValue({ data: { body: '' } })
+    mockOctokit.rest.pulls.update.mockResolvedValue({})
+    mockOctokit.rest.issues.listComments.mockResolvedValue({ data: [] })
+    mockOctokit.rest.issues.createComment.mockResolvedValue({})
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  describe('deliverDescription', () => {
+    it('should update the PR body in body mode', async () => {
+      await deliverDescription(mockOctokit, prInfo, description, config)
+
+      expect(mockOctokit.rest.pulls.update).toHaveBeenCalledWith(
+        expect.objectContaining({
+          pull_number: 123,
+          body: expect.stringContaining(description)
+        })
+      )
+      expect(mockOctokit.rest.issues.createComment).not.toHaveBeenCalled()
+      expect(core.info).toHaveBeenCalledWith(
+        'PR description updated successfully! View at: https://github.com/owner/repo/pull/123'
+      )
+    })
+
+    it('should store hidden markers inside the managed section', async () => {
+      const markers = [
+        `<!-- pr-description:fingerprint ${'a'.repeat(64)} -->`,
+        '<!-- pr-description:labels ["bug"] -->'
+      ]
+
+      await deliverDescription(
+        mockOctokit,
+        prInfo,
+        description,
+        config,
+        markers
+      )
+
+      expect(mockOctokit.rest.pulls.update).toHaveBeenCalledWith(
+        expect.objectContaining({
+          body: expect.stringContaining(
+            `${description}\n\n${markers.join('\n')}\n<!-- pr-description:end -->`
+          )
+        })
+      )
+    })
+
+    it('should replace a body that is still the unfilled template', async () => {
+      const template = '## Summary\n\n## Testing\n'
+      mockOctokit.rest.pulls.get.mockResolvedValue({
+        data: { body: '## Summary\r\n\r\n## Testing' }
+      })
+
+      await deliverDescription(
+        mockOctokit,
+        prInfo,
+        description,
+        config,
+        [],
+        template
+      )
+
+      expect(mockOctokit.rest.pulls.update).toHaveBeenCalledWith(
+        expect.objectContaining({
+          body: `<!-- pr-description:start -->\n${description}\n<!-- pr-description:end -->`
+        })
+      )
+    })
+
+    it('should not add markers to comments', async () => {
+      await deliverDescription(
+        mockOctokit,
+        prInfo,
+        description,
+        { ...config, mode: 'comment' },
+        ['<!-- pr-description:labels [] -->']
+      )
+
+      expect(mockOctokit.rest.issues.createComment).toHaveBeenCalledWith(
+        expect.objectContaining({
+          body: expect.not.stringContaining('pr-description:labels')
+        })
+      )
+    })
+
+    it('should post a comment in comment mode', async () => {
+      await deliverDescription(mockOctokit, prInfo, description, {
+        ...config,
+        mode: 'comment'
+      })
+
+      expect(mockOctokit.rest.issues.createComment).toHaveBeenCalledWith(
+        expect.objectContaining({
+          issue_number: 123,
+          body: expect.stringContaining(description)
+        })
+      )
+      expect(mockOctokit.rest.pulls.update).not.toHaveBeenCalled()
+    })
+
+    it('should write the job summary in summary mode', async () => {
+      await deliverDescription(mockOctokit, prInfo, description, {
+        ...config,
+        mode: 'summary'
+      })
+
+      expect(core.summary.addRaw).toHaveBeenCalledWith(description, true)
+      expect(core.summary.write).toHaveBeenCalled()
+      expect(mockOctokit.rest.pulls.update).not.toHaveBeenCalled()
+      expect(mockOctokit.rest.issues.createComment).not.toHaveBeenCalled()
+    })
+
+    it('should not touch the PR in output-only mode', async () => {
+      await deliverDescription(mockOctokit, prInfo, description, {
+        ...config,
+        mode: 'output-only'
+      })
+
+      expect(mockOctokit.rest.pulls.update).not.toHaveBeenCalled()
+      expect(mockOctokit.rest.issues.createComment).not.toHaveBeenCalled()
+      expect(core.summary.write).not.toHaveBeenCalled()
+      expect(core.info).toHaveBeenCalledWith(
+        'Output-only mode, not updating the PR'
+      )
+    })
+  })
+})
@@ -0,0 +1,295 @@
+import { describe, it, expect } from '@jest/globals'
+import { readFileSync } from 'node:fs'
+import { listDiffPaths, listFileChanges, parseDiff } from '../src/diff.js'
+
+function fixture(name) {
+  return readFileSync(`__fixtures__/diffs/${name}.diff`, 'utf8')
+}
+
+/**
+ * The parsed fields of each file, without the text they were read from
+ */
+function summarize(diff) {
+  return parseDiff(diff).files.map((file) => {
+    const summary = { ...file, hunks: file.hunks.length }
+    delete summary.header
+    delete summary.text
+    return summary
+  })
+}
+
+describe('diff.js', () => {
+  describe('parseDiff', () => {
+    it('should parse renames, mode changes, quoted paths and added and removed files', () => {
+      expect(summarize(fixture('changes'))).toEqual([
+        {
+          oldPath: 'retry.ts',
+          newPath: 'backoff.ts',
+          status: 'renamed',
+          similarity: 84,
+          binary: false,
+          oldMode: '100644',
+          newMode: '100644',
+          additions: 1,
+          deletions: 1,
+          hunks: 1
+        },
+        {
+          oldPath: 'build.sh',
+          newPath: 'build.sh',
+          status: 'modified',
+          binary: false,
+          oldMode: '100644',
+          newMode: '100755',
+          additions: 0,
+          deletions: 0,
+          hunks: 0
+        },
+        {
+          oldPath: 'café.txt',
+          newPath: 'café.txt',
+          status: 'modified',
+          binary: false,
+          oldMode: '100644',
+          newMode: '100644',
+          additions: 1,
+          deletions: 0,
+          hunks: 1
+        },
+        {
+          oldPath: 'docs/a b/guide.md',
+          newPath: 'docs/a b/guide.md',
+          status: 'modified',
+          binary: false,
+          oldMode: '100644',
+          newMode: '100644',
+          additions: 1,
+          deletions: 0,
+          hunks: 1
+        },
+        {
+          oldPath: 'logo.png',
+          newPath: 'logo.png',
+          status: 'modified',
+          binary: true,
+          oldMode: '100644',
+          newMode: '100644',
+          additions: 0,
+          deletions: 0,
+          hunks: 0
+        },
+        {
+          oldPath: 'new file.txt',
+          newPath: 'new file.txt',
+          status: 'added',
+          binary: false,
+          newMode: '100644',
+          additions: 2,
+          deletions: 0,
+          hunks: 1
+        },
+        {
+          oldPath: 'removed.txt',
+          newPath: 'removed.txt',
+          status: 'removed',
+          binary: false,
+          oldMode: '100644',
+          additions: 0,
+          deletions: 1,
+          hunks: 1
+        },
+        {
+          oldPath: 'tab\tname.txt',
+          newPath: 'tab name.txt',
+          status: 'renamed',
+          similarity: 100,
+          binary: false,
+          additions: 0,
+          deletions: 0,
+          hunks: 0
+        }
+      ])
+    })
+
+    it('should take copy and rename paths from the extended header', () => {
+      expect(
+        summarize(fixture('copies')).map(
+          ({ oldPath, newPath, status, similarity }) => ({
+            oldPath,
+            newPath,
+            status,
+            similarity
+          })
+        )
+      ).toEqual([
+        {
+          oldPath: 'config.ts',
+          newPath: 'config.prod.ts',
+          status: 'copied',
+          similarity: 96
+        },
+        {
+          oldPath: 'backoff.ts',
+          newPath: 'lib/a b/retry.ts',
+          status: 'renamed',
+          similarity: 100
+        }
+      ])
+    })
+
+    it('should flag binary patches', () => {
+      expect(summarize(fixture('binary-patch'))).toEqual([
+        expect.objectContaining({ newPath: 'logo.png', binary: true, hunks: 0 })
+      ])
+    })
+
+    it('should parse hunks and keep every file section as it was', () => {
+      const diff = fixture('changes')
+      const { preamble, files, invalid } = parseDiff(diff)
+
+      expect(preamble + files.map((file) => file.text).join('')).toBe(diff)
+      expect(invalid).toEqual([])
+      expect(files[0].header).toBe(
+        [
+          'diff --git a/retry.ts b/backoff.ts',
+          'similarity index 84%',
+          'rename from retry.ts',
+          'rename to backoff.ts',
+          'index 4083766..e38a6f2 100644',
+          '--- a/retry.ts',
+          '+++ b/backoff.ts',
+          ''
+        ].join('\n')
+      )
+      expect(files[5].hunks).toEqual([
+        {
+          header: '@@ -0,0 +1,2 @@',
+          oldStart: 0,
+          oldLines: 0,
+          newStart: 1,
+          newLines: 2,
+          lines: ['+added', '+no newline', '\\ No newline at end of file'],
+          text: '@@ -0,0 +1,2 @@\n+added\n+no newline\n\\ No newline at end of file\n'
+        }
+      ])
+    })
+
+    it('should read lines by their marker and stop at text after a hunk', () => {
+      const diff = [
+        'diff --git a/schema.sql b/schema.sql',
+        '@@ -1,3 +1,3 @@ CREATE TABLE users',
+        '-- removed comment',
+        '',
+        '+-- added comment',
+        '+another',
+        ' kept',
+        '@@ -10 +10 @@',
+        '-x',
+        '',
+        'Some footer text'
+      ].join('\n')
+
+      const [file] = parseDiff(diff).files
+
+      expect(file.additions).toBe(2)
+      expect(file.deletions).toBe(2)
+      expect(file.hunks.map((hunk) => hunk.lines)).toEqual([
+        ['-- removed comment', '', '+-- added comment', '+another', ' kept'],
+        ['-x']
+      ])
+      expect(file.hunks[1]).toMatchObject({
+        oldStart: 10,
+        oldLines: 1,
+        newStart: 10,
+        newLines: 1
+      })
+    })
+
+    it('should keep text before the first file and report unreadable headers', () => {
+      const invalid = [
+        'diff --git a/file/path missing-b-section\n',
+        'diff --git c/src/a.ts w/src/a.ts\n',
+        'diff --git "a/unterminated b/x\n',
+        'diff --git "a/bad\\escape" "b/bad\\escape"\n',
+        'diff --git "a/quoted""b/quoted"\n',
+        'diff --git "a/quoted" "b/quoted"trailing\n',
+        'diff --git "a/quoted" c/quoted\n',
+        'diff --git a/quoted "b/unterminated\n'
+      ]
+      const diff = ['From 1234 Mon Sep 17 00:00:00 2001\n\n', ...invalid].join(
+        ''
+      )
+
+      expect(parseDiff(diff)).toEqual({
+        preamble: 'From 1234 Mon Sep 17 00:00:00 2001\n\n',
+        files: [],
+        invalid
+      })
+    })
+
+    it('should read quoted and unquoted paths on either side', () => {
+      expect(
+        listDiffPaths(
+          [
+            'diff --git a/plain.txt "b/caf\\303\\251 \\"1\\".txt"',
+            'diff --git "a/x\\\\y" b/x\\y',
+            'diff --git a/odd name.ts b/odd name.ts',
+            '--- "a/odd name.ts"',
+            '+++ "b/odd\\001name.ts"',
+            'diff --git a/old.ts b/new.ts',
+            'rename from "old.ts',
+            'rename to "new.ts',
+            ''
+          ].join('\n')
+        )
+      ).toEqual(['café "1".txt', 'x\\y', 'odd\u0001name.ts', 'new.ts'])
+    })
+
+    it('should return nothing for an empty diff', () => {
+      expect(parseDiff('')).toEqual({ preamble: '', files: [], invalid: [] })
+    })
+  })
+
+  describe('listDiffPaths', () => {
+    it('should list the new path of every file in a diff', () => {
+      expect(
+        listDiffPaths(
+          [
+            'diff --git a/src/a.ts b/src/a.ts',
+            '+a',
+            'diff --git a/old name.ts b/new name.ts',
+            'rename from old name.ts'
+          ].join('\n')
+        )
+      ).toEqual(['src/a.ts', 'new name.ts'])
+      expect(listDiffPaths(fixture('copies'))).toEqual([
+        'config.prod.ts',
+        'lib/a b/retry.ts'
+      ])
+    })
+  })
+
+  describe('listFileChanges', () => {
+    it('should list files like the compare API does', () => {
+      expect(listFileChanges(fixture('copies'))).toEqual([
+        {
+          path: 'config.prod.ts',
+          previousPath: 'config.ts',
+          status: 'copied',
+          additions: 1,
+          deletions: 0
+        },
+        {
+          path: 'lib/a b/retry.ts',
+          previousPath: 'backoff.ts',
+          status: 'renamed',
+          additions: 0,
+          deletions: 0
+        }
+      ])
+      expect(listFileChanges(fixture('binary-patch'))).toEqual([
+        { path: 'logo.png', status: 'modified', additions: 0, deletions: 0 }
+      ])
+    })
+  })
+})
@@ -0,0 +1,408 @@
+import {
+  jest,
+  describe,
+  it,
+  expect,
+  beforeEach,
+  afterEach
+} from '@jest/globals'
+import * as core from '@actions/core'
+import * as github from '@actions/github'
+import { context } from '@actions/github'
+import {
+  DESCRIBE_COMMAND,
+  fetchPRInfo,
+  getPushRange,
+  getRuleSkipReason,
+  isDescribeCommand,
+  isExplicitRequest,
+  resolvePullRequest
+} from '../src/events.js'
+
+describe('events.js', () => {
+  let mockOctokit
+
+  const pullRequest = {
+    number: 42,
+    title: 'Add retries',
+    user: { login: 'octocat' },
+    base: { sha: 'base-sha' },
+    head: { sha: 'head-sha', ref: 'feature/retries' },
+    html_url: 'https://github.com/test-owner/test-repo/pull/42'
+  }
+
+  const prInfo = {
+    number: 42,
+    title: 'Add retries',
+    author: 'octocat',
+    baseSha: 'base-sha',
+    headSha: 'head-sha',
+    headRef: 'feature/retries',
+    url: 'https://github.com/test-owner/test-repo/pull/42',
+    body: '',
+    draft: false,
+    labels: [],
+    authorIsBot: false
+  }
+
+  const config = (overrides = {}) => ({
+    prNumber: 0,
+    skipDrafts: true,
+    skipBots: true,
+    skipAuthors: [],
+    skipLabels: [],
+    requireLabels: [],
+    skipBodyLongerThan: 0,
+    skipBranches: [],
+    ...overrides
+  })
+  const resolved = { prInfo, skipReason: null }
+  const skipped = (skipReason) => ({ prInfo: null, skipReason })
+
+  const commentEvent = (body, overrides = {}) => ({
+    action: 'created',
+    issue: { number: 42, pull_request: { url: 'https://api.github.com/x' } },
+    comment: { id: 7, body, user: { login: 'maintainer' } },
+    ...overrides
+  })
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+    mockOctokit = github.getOctokit('fake-token')
+    mockOctokit.rest.pulls.get.mockResolvedValue({ data: pullRequest })
+    mockOctokit.rest.repos.getCollaboratorPermissionLevel.mockResolvedValue({
+      data: { permission: 'write' }
+    })
+    mockOctokit.rest.reactions.createForIssueComment.mockResolvedValue({})
+
+    Object.assign(context, {
+      eventName: '',
+      payload: {}
+    })
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  describe('isDescribeCommand', () => {
+    it.each([
+      ['/describe', true],
+      ['  /Describe  ', true],
+      ['/describe please\nthanks', true],
+      ['/describes', false],
+      ['Please /describe', false],
+      ['', false]
+    ])('should detect %j as %s', (body, expected) => {
+      expect(isDescribeCommand(body)).toBe(expected)
+    })
+  })
+
+  describe('isExplicitRequest', () => {
+    it.each([
+      ['workflow_dispatch', true],
+      ['issue_comment', true],
+      ['pull_request', false],
+      ['pull_request_target', false]
+    ])('should treat %s as %s', (eventName, expected) => {
+      context.eventName = eventName
+      expect(isExplicitRequest()).toBe(expected)
+    })
+  })
+
+  describe('fetchPRInfo', () => {
+    it('should fetch the pull request through the API', async () => {
+      expect(await fetchPRInfo(mockOctokit, 42)).toEqual(prInfo)
+      expect(mockOctokit.rest.pulls.get).toHaveBeenCalledWith({
+        owner: 'test-owner',
+        repo: 'test-repo',
+        pull_number: 42
+      })
+    })
+
+    it('should throw when the pull request cannot be fetched', async () => {
+      mockOctokit.rest.pulls.get.mockRejectedValue(
+        Object.assign(new Error('Not Found'), { status: 404 })
+      )
+
+      await expect(fetchPRInfo(mockOctokit, 404)).rejects.toThrow(
+        'Failed to get pull request #404: Error: Not Found'
+      )
+    })
+  })
+
+  describe('resolvePullRequest', () => {
+    it.each([['pull_request'], ['pull_request_target']])(
+      'should read the pull request from the %s payload',
+      async (eventName) => {
+        context.eventName = eventName
+        context.payload = { action: 'opened', pull_request: pullRequest }
+
+        expect(await resolvePullRequest(mockOctokit, config())).toEqual(
+          resolved
+        )
+        expect(mockOctokit.rest.pulls.get).not.toHaveBeenCalled()
+      }
+    )
+
+    it('should skip unsupported pull request actions', async () => {
+      context.eventName = 'pull_request_target'
+      context.payload = { action: 'closed', pull_request: pullRequest }
+
+      expect(await resolvePullRequest(mockOctokit, config())).toEqual(
+        skipped(
+          'pull request action "closed" is not one of: opened, synchronize, reopened, ready_for_review'
+        )
+      )
+    })
+
+    it('should leave skip rules to getRuleSkipReason', async () => {
+      context.eventName = 'pull_request'
+      context.payload = {
+        action: 'opened',
+        pull_request: { ...pullRequest, draft: true }
+      }
+
+      const result = await resolvePullRequest(mockOctokit, config())
+
+      expect(result.skipReason).toBeNull()
+      expect(result.prInfo.draft).toBe(true)
+    })
+
+    it('should not apply skip rules to workflow_dispatch', async () => {
+      context.eventName = 'workflow_dispatch'
+      mockOctokit.rest.pulls.get.mockResolvedValue({
+        data: { ...pullRequest, draft: true }
+      })
+
+      const result = await resolvePullRequest(
+        mockOctokit,
+        config({ prNumber: 42 })
+      )
+
+      expect(result.skipReason).toBeNull()
+      expect(result.prInfo.draft).toBe(true)
+    })
+
+    it('should fetch the pr-number pull request for workflow_dispatch', async () => {
+      context.eventName = 'workflow_dispatch'
+
+      expect(
+        await resolvePullRequest(mockOctokit, config({ prNumber: 42 }))
+      ).toEqual(resolved)
+    })
+
+    it('should require pr-number for workflow_dispatch', async () => {
+      context.eventName = 'workflow_dispatch'
+
+      await expect(resolvePullRequest(mockOctokit, config())).rejects.toThrow(
+        'The pr-number input is required for workflow_dispatch'
+      )
+    })
+
+    describe('issue_comment', () => {
+      beforeEach(() => {
+        context.eventName = 'issue_comment'
+      })
+
+      it('should describe the pull request for a collaborator command', async () => {
+        context.payload = commentEvent(DESCRIBE_COMMAND)
+
+        expect(await resolvePullRequest(mockOctokit, config())).toEqual(
+          resolved
+        )
+        expect(
+          mockOctokit.rest.repos.getCollaboratorPermissionLevel
+        ).toHaveBeenCalledWith({
+          owner: 'test-owner',
+          repo: 'test-repo',
+          username: 'maintainer'
+        })
+        expect(
+          mockOctokit.rest.reactions.createForIssueComment
+        ).toHaveBeenCalledWith({
+          owner: 'test-owner',
+          repo: 'test-repo',
+          comment_id: 7,
+          content: 'eyes'
+        })
+        expect(core.info).toHaveBeenCalledWith(
+          '/describe requested by maintainer'
+        )
+      })
+
+      it('should accept admins', async () => {
+        context.payload = commentEvent(DESCRIBE_COMMAND)
+        mockOctokit.rest.repos.getCollaboratorPermissionLevel.mockResolvedValue(
+          { data: { permission: 'admin' } }
+        )
+
+        expect(await resolvePullRequest(mockOctokit, config())).toEqual(
+          resolved
+        )
+      })
+
+      it.each([['read'], ['none']])(
+        'should skip commenters with %s permission',
+        async (permission) => {
+          context.payload = commentEvent(DESCRIBE_COMMAND)
+          mockOctokit.rest.repos.getCollaboratorPermissionLevel.mockResolvedValue(
+            { data: { permission } }
+          )
+
+          expect(await resolvePullRequest(mockOctokit, config())).toEqual(
+            skipped('maintainer needs write access to run /describe')
+          )
+          expect(
+            mockOctokit.rest.reactions.createForIssueComment
+          ).not.toHaveBeenCalled()
+          expect(mockOctokit.rest.pulls.get).not.toHaveBeenCalled()
+        }
+      )
+
+      it('should throw when permissions cannot be checked', async () => {
+        context.payload = commentEvent(DESCRIBE_COMMAND)
+        mockOctokit.rest.repos.getCollaboratorPermissionLevel.mockRejectedValue(
+          Object.assign(new Error('Bad credentials'), { status: 401 })
+        )
+
+        await expect(resolvePullRequest(mockOctokit, config())).rejects.toThrow(
+          'Failed to check permissions for maintainer: Error: Bad credentials'
+        )
+      })
+
+      it('should continue when the reaction fails', async () => {
+        context.payload = commentEvent(DESCRIBE_COMMAND)
+        mockOctokit.rest.reactions.createForIssueComment.mockRejectedValue(
+          Object.assign(new Error('Forbidden'), { status: 403 })
+        )
+
+        expect(await resolvePullRequest(mockOctokit, config())).toEqual(
+          resolved
+        )
+        expect(core.warning).toHaveBeenCalledWith(
+          'Failed to react to comment 7: Error: Forbidden'
+        )
+      })
+
+      it('should skip comments that are not commands', async () => {
+        context.payload = commentEvent('Looks good to me')
+
+        expect(await resolvePullRequest(mockOctokit, config())).toEqual(
+          skipped('comment is not a /describe command')
+        )
+        expect(
+          mockOctokit.rest.repos.getCollaboratorPermissionLevel
+        ).not.toHaveBeenCalled()
+      })
+
+      it('should skip payloads without a comment body', async () => {
+        context.payload = commentEvent(null)
+
+        expect(await resolvePullRequest(mockOctokit, config())).toEqual(
+          skipped('comment is not a /describe command')
+        )
+      })
+
+      it('should skip payloads without a comment', async () => {
+        context.payload = commentEvent(DESCRIBE_COMMAND, { comment: undefined })
+
+        expect(await resolvePullRequest(mockOctokit, config())).toEqual(
+          skipped('comment is not a /describe command')
+        )
+      })
+
+      it('should skip edited comments', async () => {
+        context.payload = commentEvent(DESCRIBE_COMMAND, { action: 'edited' })
+
+        expect(await resolvePullRequest(mockOctokit, config())).toEqual(
+          skipped('not a new comment on a pull request')
+        )
+      })
+
+      it('should skip comments on issues', async () => {
+        context.payload = commentEvent(DESCRIBE_COMMAND, {
+          issue: { number: 42 }
+        })
+
+        expect(await resolvePullRequest(mockOctokit, config())).toEqual(
+          skipped('not a new comment on a pull request')
+        )
+      })
+
+      it('should not apply skip rules to /describe commands', async () => {
+        context.payload = commentEvent(DESCRIBE_COMMAND)
+
+        const result = await resolvePullRequest(
+          mockOctokit,
+          config({ requireLabels: ['describe-me'] })
+        )
+
+        expect(result).toEqual(resolved)
+      })
+    })
+  })
+
+  describe('getRuleSkipReason', () => {
+    it.each([['pull_request'], ['pull_request_target']])(
+      'should apply skip rules to %s events',
+      (eventName) => {
+        context.eventName = eventName
+
+        expect(getRuleSkipReason({ ...prInfo, draft: true }, config())).toBe(
+          'pull request is a draft'
+        )
+        expect(getRuleSkipReason(prInfo, config())).toBeNull()
+      }
+    )
+
+    it.each([['workflow_dispatch'], ['issue_comment']])(
+      'should not apply skip rules to %s',
+      (eventName) => {
+        context.eventName = eventName
+
+        expect(
+          getRuleSkipReason(
+            { ...prInfo, draft: true },
+            config({ requireLabels: ['describe-me'] })
+          )
+        ).toBeNull()
+      }
+    )
+  })
+
+  describe('getPushRange', () => {
+    const push = {
+      action: 'synchronize',
+      before: 'before-sha',
+      after: 'after-sha'
+    }
+
+    it.each(['pull_request', 'pull_request_target'])(
+      'should read the pushed commits of a %s synchronize event',
+      (eventName) => {
+        Object.assign(context, { eventName, payload: push })
+
+        expect(getPushRange()).toEqual({
+          before: 'before-sha',
+          after: 'after-sha'
+        })
+      }
+    )
+
+    it.each([
+      ['opened', { ...push, action: 'opened' }],
+      ['missing SHAs', { action: 'synchronize' }]
+    ])('should return null for %s', (_, payload) => {
+      Object.assign(context, { eventName: 'pull_request', payload })
+
+      expect(getPushRange()).toBeNull()
+    })
+
+    it('should return null for other events', () => {
+      Object.assign(context, { eventName: 'workflow_dispatch', payload: push })
+
+      expect(getPushRange()).toBeNull()
+    })
+  })
+})
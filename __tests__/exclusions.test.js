@@ -0,0 +1,208 @@
+import {
+  jest,
+  describe,
+  it,
+  expect,
+  beforeEach,
+  afterEach
+} from '@jest/globals'
+import * as core from '@actions/core'
+import {
+  EXCLUDE_PROFILES,
+  excludeFiles,
+  parseGitAttributes,
+  usesGitAttributes
+} from '../src/exclusions.js'
+
+function section(path, ...lines) {
+  return [
+    `diff --git a/${path} b/${path}`,
+    'index 1234567..89abcde 100644',
+    `--- a/${path}`,
+    `+++ b/${path}`,
+    '@@ -1 +1 @@',
+    ...lines,
+    ''
+  ].join('\n')
+}
+
+describe('exclusions.js', () => {
+  const options = {
+    profiles: EXCLUDE_PROFILES,
+    maxFileLines: 3,
+    attributes: []
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  describe('parseGitAttributes', () => {
+    it('should parse set and unset attributes and skip comments and macros', () => {
+      expect(
+        parseGitAttributes(
+          [
+            '# generated code',
+            '*.pb.go linguist-generated',
+            '',
+            '/dist/** linguist-generated=true text',
+            'vendor/** linguist-vendored',
+            'vendor/ours/** -linguist-vendored !diff',
+            'docs/** linguist-documentation=false',
+            '[attr]binary -diff -merge -text',
+            '"with space.txt" linguist-generated'
+          ].join('\n')
+        )
+      ).toEqual([
+        { pattern: '*.pb.go', attributes: { 'linguist-generated': true } },
+        {
+          pattern: '/dist/**',
+          attributes: { 'linguist-generated': true, text: true }
+        },
+        { pattern: 'vendor/**', attributes: { 'linguist-vendored': true } },
+        {
+          pattern: 'vendor/ours/**',
+          attributes: { 'linguist-vendored': false, diff: false }
+        },
+        {
+          pattern: 'docs/**',
+          attributes: { 'linguist-documentation': false }
+        }
+      ])
+    })
+  })
+
+  describe('usesGitAttributes', () => {
+    it('should only read .gitattributes for the generated and vendored profiles', () => {
+      expect(usesGitAttributes(['generated'])).toBe(true)
+      expect(usesGitAttributes(['vendored', 'binary'])).toBe(true)
+      expect(usesGitAttributes(['lockfiles', 'binary', 'large'])).toBe(false)
+    })
+  })
+
+  describe('excludeFiles', () => {
+    it('should exclude lockfiles, binaries, minified bundles and large files', () => {
+      const kept = section('src/main.ts', '+const a = 1')
+      const diff = [
+        kept,
+        section('web/package-lock.json', '+"lockfileVersion": 3'),
+        [
+          'diff --git a/logo.png b/logo.png',
+          'index 1234567..89abcde 100644',
+          'Binary files a/logo.png and b/logo.png differ',
+          ''
+        ].join('\n'),
+        section('public/app.min.js', '+!function(){}()'),
+        section('data/seed.sql', '+1', '+2', '-3', '+4')
+      ].join('')
+
+      expect(excludeFiles(diff, options)).toEqual({
+        diff: kept,
+        excluded: [
+          { path: 'web/package-lock.json', reason: 'lockfile' },
+          { path: 'logo.png', reason: 'binary file' },
+          { path: 'public/app.min.js', reason: 'generated file' },
+          {
+            path: 'data/seed.sql',
+            reason: '4 changed lines, over the 3 line limit'
+          }
+        ]
+      })
+      expect(core.info).toHaveBeenCalledWith('Excluded 4 files from the diff:')
+      expect(core.info).toHaveBeenCalledWith(
+        '- web/package-lock.json (lockfile)'
+      )
+    })
+
+    it('should exclude files marked generated or vendored in .gitattributes', () => {
+      const kept = section('vendor/ours/lib.go', '+package ours')
+      const diff = [
+        section('api/service.pb.go', '+package api'),
+        section('dist/index.js', '+export {}'),
+        section('vendor/github.com/x/y.go', '+package y'),
+        kept
+      ].join('')
+
+      const result = excludeFiles(diff, {
+        ...options,
+        attributes: parseGitAttributes(
+          [
+            '*.pb.go linguist-generated',
+            '/dist/** linguist-generated',
+            'vendor/** linguist-vendored',
+            'vendor/ours/** -linguist-vendored'
+          ].join('\n')
+        )
+      })
+
+      expect(result.diff).toBe(kept)
+      expect(result.excluded).toEqual([
+        { path: 'api/service.pb.go', reason: 'generated file' },
+        { path: 'dist/index.js', reason: 'generated file' },
+        { path: 'vendor/github.com/x/y.go', reason: 'vendored file' }
+      ])
+    })
+
+    it('should only apply the enabled profiles', () => {
+      const diff = [
+        section('yarn.lock', '+a', '+b', '+c', '+d'),
+        section('app.min.js', '+x')
+      ].join('')
+
+      expect(
+        excludeFiles(diff, { ...options, profiles: ['large'] }).excluded
+      ).toEqual([
+        { path: 'yarn.lock', reason: '4 changed lines, over the 3 line limit' }
+      ])
+      expect(
+        excludeFiles(diff, { ...options, profiles: ['binary', 'vendored'] })
+      ).toEqual({ diff, excluded: [] })
+    })
+
+    it('should return the diff unchanged when every profile is off', () => {
+      const diff = section('yarn.lock', '+a')
+
+      expect(excludeFiles(diff, { ...options, profiles: [] })).toEqual({
+        diff,
+        excluded: []
+      })
+      expect(core.info).not.toHaveBeenCalled()
+    })
+
+    it('should keep text before the first file and unparsable sections', () => {
+      const diff = [
+        'preamble\n',
+        'diff --git "a/odd name.lock" "b/odd name.lock"\n+x\n',
+        section('yarn.lock', '+a'),
+        'diff --git a/file/path missing-b-section\n+y\n'
+      ].join('')
+
+      expect(excludeFiles(diff, options)).toEqual({
+        diff: [
+          'preamble\n',
+          'diff --git "a/odd name.lock" "b/odd name.lock"\n+x\n',
+          'diff --git a/file/path missing-b-section\n+y\n'
+        ].join(''),
+        excluded: [{ path: 'yarn.lock', reason: 'lockfile' }]
+      })
+    })
+
+    it('should use the new path of renamed files', () => {
+      const diff = [
+        'diff --git a/deps.txt b/web/yarn.lock',
+        'similarity index 100%',
+        'rename from deps.txt',
+        'rename to web/yarn.lock',
+        ''
+      ].join('\n')
+
+      expect(excludeFiles(diff, options).excluded).toEqual([
+        { path: 'web/yarn.lock', reason: 'lockfile' }
+      ])
+    })
+  })
+})
@@ -0,0 +1,75 @@
+import { describe, it, expect } from '@jest/globals'
+import {
+  formatExcludedFiles,
+  formatFileManifest,
+  renderFilesTable
+} from '../src/files.js'
+
+describe('files.js', () => {
+  const files = [
+    { path: 'src/main.ts', status: 'modified', additions: 10, deletions: 2 },
+    {
+      path: 'src/retry.ts',
+      previousPath: 'src/backoff.ts',
+      status: 'renamed',
+      additions: 1,
+      deletions: 1
+    },
+    { path: 'README.md', status: 'modified', additions: 4, deletions: 0 },
+    {
+      path: 'docs/a|b.md',
+      status: 'added',
+      additions: 3,
+      deletions: 0
+    }
+  ]
+
+  describe('formatFileManifest', () => {
+    it('should list each file with its status and line counts', () => {
+      expect(formatFileManifest(files)).toBe(
+        [
+          'src/main.ts (modified) +10 -2',
+          'src/retry.ts (renamed from src/backoff.ts) +1 -1',
+          'README.md (modified) +4 -0',
+          'docs/a|b.md (added) +3 -0'
+        ].join('\n')
+      )
+    })
+  })
+
+  describe('formatExcludedFiles', () => {
+    it('should list each excluded file with the reason', () => {
+      expect(
+        formatExcludedFiles([
+          { path: 'yarn.lock', reason: 'lockfile' },
+          { path: 'logo.png', reason: 'binary file' }
+        ])
+      ).toBe('yarn.lock (lockfile)\nlogo.png (binary file)')
+    })
+  })
+
+  describe('renderFilesTable', () => {
+    it('should group files by directory with subtotals and totals', () => {
+      expect(renderFilesTable(files)).toBe(`<details>
+<summary>Files changed (4 files, +18 -3)</summary>
+
+| File | Status | Additions | Deletions |
+| ---- | ------ | --------: | --------: |
+| **(root)** | | **+4** | **-0** |
+| \`README.md\` | modified | +4 | -0 |
+| **docs/** | | **+3** | **-0** |
+| \`a\\|b.md\` | added | +3 | -0 |
+| **src/** | | **+11** | **-3** |
+| \`main.ts\` | modified | +10 | -2 |
+| \`retry.ts\` | renamed from \`src/backoff.ts\` | +1 | -1 |
+
+</details>`)
+    })
+
+    it('should use the singular for one file', () => {
+      expect(renderFilesTable([files[0]])).toContain(
+        '<summary>Files changed (1 file, +10 -2)</summary>'
+      )
+    })
+  })
+})
@@ -0,0 +1,120 @@
+import { describe, it, expect } from '@jest/globals'
+import {
+  computeFingerprint,
+  formatFingerprint,
+  readFingerprint
+} from '../src/fingerprint.js'
+
+describe('fingerprint.js', () => {
+  const diff = 'diff --git a/file.ts b/file.ts\n+added line'
+  const options = {
+    apiKey: 'test-key',
+    model: 'claude-sonnet-4-20250514',
+    maxTokens: 1024,
+    temperature: 0.3,
+    tokenBudget: 150000
+  }
+  const config = {
+    includeCommitBodies: false,
+    linkIssues: true,
+    filesTable: true,
+    titleMode: 'off',
+    titlePattern: '^(feat|fix|docs|chore|refactor|test)(\\(.+\\))?!?: .+',
+    applyLabels: false,
+    labelMap: { fix: 'bug' }
+  }
+
+  describe('computeFingerprint', () => {
+    it('should return a stable sha256 hex digest', () => {
+      const fingerprint = computeFingerprint(diff, null, options, config)
+
+      expect(fingerprint).toMatch(/^[0-9a-f]{64}$/)
+      expect(
+        computeFingerprint(diff, undefined, { ...options }, { ...config })
+      ).toBe(fingerprint)
+    })
+
+    it('should ignore settings that do not shape the description', () => {
+      expect(
+        computeFingerprint(
+          diff,
+          null,
+          { ...options, apiKey: 'other-key' },
+          config
+        )
+      ).toBe(computeFingerprint(diff, null, options, config))
+    })
+
+    it.each([
+      ['diff', `${diff}\n+another line`, null, options],
+      ['template', diff, '## Summary', options],
+      ['model', diff, null, { ...options, model: 'claude-opus-4-20250514' }],
+      ['max tokens', diff, null, { ...options, maxTokens: 2048 }],
+      ['temperature', diff, null, { ...options, temperature: 0 }],
+      ['token budget', diff, null, { ...options, tokenBudget: 1000 }],
+      ['custom prompt', diff, null, { ...options, customPrompt: 'Be brief' }],
+      [
+        'structured output setting',
+        diff,
+        null,
+        { ...options, structuredOutput: true }
+      ],
+      ['language', diff, null, { ...options, language: 'ja' }],
+      ['verbosity', diff, null, { ...options, verbosity: 'terse' }],
+      [
+        'extra instructions',
+        diff,
+        null,
+        { ...options, extraInstructions: 'Mention tickets' }
+      ],
+      [
+        'path instructions',
+        diff,
+        null,
+        {
+          ...options,
+          pathInstructions: [
+            { path: 'migrations/**', instructions: 'Add a rollback note' }
+          ]
+        }
+      ]
+    ])('should change with the %s', (_name, otherDiff, template, other) => {
+      expect(computeFingerprint(otherDiff, template, other, config)).not.toBe(
+        computeFingerprint(diff, null, options, config)
+      )
+    })
+
+    it.each([
+      ['commit bodies setting', { includeCommitBodies: true }],
+      ['linked issues setting', { linkIssues: false }],
+      ['files table setting', { filesTable: false }],
+      ['title mode', { titleMode: 'suggest' }],
+      ['title pattern', { titlePattern: '^\\[.+\\] ' }],
+      ['labels setting', { applyLabels: true }],
+      ['label map', { labelMap: { fix: 'type: fix' } }]
+    ])('should change with the %s', (_name, other) => {
+      expect(
+        computeFingerprint(diff, null, options, { ...config, ...other })
+      ).not.toBe(computeFingerprint(diff, null, options, config))
+    })
+  })
+
+  describe('formatFingerprint / readFingerprint', () => {
+    it('should round-trip a fingerprint through the PR body', () => {
+      const fingerprint = computeFingerprint(diff, null, options, config)
+      const body = `Intro\n${formatFingerprint(fingerprint)}\nOutro`
+
+      expect(formatFingerprint(fingerprint)).toBe(
+        `<!-- pr-description:fingerprint ${fingerprint} -->`
+      )
+      expect(readFingerprint(body)).toBe(fingerprint)
+    })
+
+    it('should return null when there is no fingerprint', () => {
+      expect(readFingerprint('')).toBeNull()
+      expect(
+        readFingerprint('<!-- pr-description:fingerprint not-a-hash -->')
+      ).toBeNull()
+    })
+  })
+})
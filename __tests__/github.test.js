@@ -10,8 +10,15 @@ import * as core from '@actions/core'
 import * as github from '@actions/github'
 import {
   generateDiff,
+  getChangedFiles,
   getCommitMessages,
-  updatePRDescription
+  getCompareStatus,
+  getFileContent,
+  tagExists,
+  matchesPatterns,
+  updatePRDescription,
+  updatePRTitle,
+  upsertPRComment
 } from '../src/github.js'
 
 describe('github.js', () => {
@@ -190,6 +197,75 @@ diff --git a/node_modules/package/index.js b/node_modules/package/index.js
       expect(result).toContain('src/file.ts')
     })
 
+    it('should keep negated and only keep included files', async () => {
+      const diff = [
+        'diff --git a/src/app.ts b/src/app.ts\n+app\n',
+        'diff --git a/src/app.test.ts b/src/app.test.ts\n+test\n',
+        'diff --git a/src/fixtures/keep.test.ts b/src/fixtures/keep.test.ts\n+keep\n',
+        'diff --git a/docs/guide.md b/docs/guide.md\n+docs\n'
+      ].join('')
+      mockOctokit.rest.repos.compareCommitsWithBasehead.mockResolvedValue({
+        data: diff
+      })
+
+      const result = await generateDiff(
+        mockOctokit,
+        baseSha,
+        headSha,
+        ['**/*.test.ts', '!src/fixtures/**'],
+        ['src/**']
+      )
+
+      expect(result).toBe(
+        [
+          'diff --git a/src/app.ts b/src/app.ts\n+app\n',
+          'diff --git a/src/fixtures/keep.test.ts b/src/fixtures/keep.test.ts\n+keep\n'
+        ].join('')
+      )
+      expect(core.info).toHaveBeenCalledWith('Ignoring file: docs/guide.md')
+    })
+
+    it('should match both paths of a rename and paths with spaces', async () => {
+      const renamed = [
+        'diff --git a/dist/retry.js b/src/retry.ts',
+        'similarity index 90%',
+        'rename from dist/retry.js',
+        'rename to src/retry.ts',
+        ''
+      ].join('\n')
+      const spaced = [
+        'diff --git a/docs/a b/guide.md b/docs/a b/guide.md',
+        '--- a/docs/a b/guide.md\t',
+        '+++ b/docs/a b/guide.md\t',
+        '@@ -1 +1,2 @@',
+        ' old',
+        '+new',
+        ''
+      ].join('\n')
+      const quoted = [
+        'diff --git "a/docs/caf\\303\\251.md" "b/docs/caf\\303\\251.md"',
+        '@@ -1 +1 @@',
+        '+x',
+        ''
+      ].join('\n')
+      mockOctokit.rest.repos.compareCommitsWithBasehead.mockResolvedValue({
+        data: renamed + spaced + quoted
+      })
+
+      const result = await generateDiff(
+        mockOctokit,
+        baseSha,
+        headSha,
+        ['dist/**', 'docs/café.md'],
+        ['src/**', 'docs/**']
+      )
+
+      expect(result).toBe(spaced)
+      expect(core.info).toHaveBeenCalledWith('Ignoring file: src/retry.ts')
+      expect(core.info).toHaveBeenCalledWith('Ignoring file: docs/café.md')
+      expect(core.info).toHaveBeenCalledWith('- docs/a b/guide.md')
+    })
+
     it('should not filter when no ignored patterns provided', async () => {
       const expectedDiff = `diff --git a/dist/file.js b/dist/file.js
 +added line
@@ -355,6 +431,150 @@ Some footer text or metadata`
     })
   })
 
+  describe('getChangedFiles', () => {
+    const compareFiles = [
+      {
+        filename: 'src/main.ts',
+        status: 'modified',
+        additions: 10,
+        deletions: 2
+      },
+      {
+        filename: 'src/retry.ts',
+        previous_filename: 'src/backoff.ts',
+        status: 'renamed',
+        additions: 1,
+        deletions: 1
+      },
+      {
+        filename: 'dist/index.js',
+        status: 'modified',
+        additions: 500,
+        deletions: 400
+      },
+      {
+        filename: 'lib/moved.js',
+        previous_filename: 'dist/moved.js',
+        status: 'renamed',
+        additions: 0,
+        deletions: 0
+      }
+    ]
+
+    it('should list changed files without ignored paths', async () => {
+      mockOctokit.rest.repos.compareCommitsWithBasehead.mockResolvedValue({
+        data: { files: compareFiles }
+      })
+
+      const result = await getChangedFiles(mockOctokit, 'abc123', 'def456', [
+        'dist/**'
+      ])
+
+      expect(result).toEqual([
+        {
+          path: 'src/main.ts',
+          status: 'modified',
+          additions: 10,
+          deletions: 2
+        },
+        {
+          path: 'src/retry.ts',
+          previousPath: 'src/backoff.ts',
+          status: 'renamed',
+          additions: 1,
+          deletions: 1
+        }
+      ])
+      expect(
+        mockOctokit.rest.repos.compareCommitsWithBasehead
+      ).toHaveBeenCalledWith({
+        owner: 'test-owner',
+        repo: 'test-repo',
+        basehead: 'abc123...def456'
+      })
+    })
+
+    it('should only list included files', async () => {
+      mockOctokit.rest.repos.compareCommitsWithBasehead.mockResolvedValue({
+        data: { files: compareFiles }
+      })
+
+      const result = await getChangedFiles(
+        mockOctokit,
+        'abc123',
+        'def456',
+        [],
+        ['lib/**', 'src/**', '!src/main.ts']
+      )
+
+      expect(result.map((file) => file.path)).toEqual([
+        'src/retry.ts',
+        'lib/moved.js'
+      ])
+    })
+
+    it('should handle comparisons without files', async () => {
+      mockOctokit.rest.repos.compareCommitsWithBasehead.mockResolvedValue({
+        data: {}
+      })
+
+      expect(await getChangedFiles(mockOctokit, 'abc123', 'def456')).toEqual([])
+    })
+
+    it('should warn when the file list is truncated', async () => {
+      mockOctokit.rest.repos.compareCommitsWithBasehead.mockResolvedValue({
+        data: { files: Array(300).fill(compareFiles[0]) }
+      })
+
+      expect(
+        await getChangedFiles(mockOctokit, 'abc123', 'def456')
+      ).toHaveLength(300)
+      expect(core.warning).toHaveBeenCalledWith(
+        'GitHub lists at most 300 changed files, the file list is incomplete'
+      )
+    })
+
+    it('should throw when the comparison fails', async () => {
+      mockOctokit.rest.repos.compareCommitsWithBasehead.mockRejectedValue(
+        Object.assign(new Error('Not Found'), { status: 404 })
+      )
+
+      await expect(
+        getChangedFiles(mockOctokit, 'abc123', 'def456')
+      ).rejects.toThrow('Failed to get changed files: Error: Not Found')
+    })
+  })
+
+  describe('getCompareStatus', () => {
+    it('should return how the head relates to the base', async () => {
+      mockOctokit.rest.repos.compareCommitsWithBasehead.mockResolvedValue({
+        data: { status: 'diverged' }
+      })
+
+      expect(await getCompareStatus(mockOctokit, 'abc123', 'def456')).toBe(
+        'diverged'
+      )
+      expect(
+        mockOctokit.rest.repos.compareCommitsWithBasehead
+      ).toHaveBeenCalledWith({
+        owner: 'test-owner',
+        repo: 'test-repo',
+        basehead: 'abc123...def456',
+        per_page: 1
+      })
+    })
+
+    it('should throw when the comparison fails', async () => {
+      mockOctokit.rest.repos.compareCommitsWithBasehead.mockRejectedValue(
+        new Error('Not Found')
+      )
+
+      await expect(
+        getCompareStatus(mockOctokit, 'abc123', 'def456')
+      ).rejects.toThrow('Failed to compare commits: Error: Not Found')
+    })
+  })
+
   describe('getCommitMessages', () => {
     const prNumber = 123
 
@@ -388,13 +608,17 @@ Some footer text or metadata`
       const expectedMessages =
         'abcdef1 Initial commit\n1234567 Add feature X\nfedcba0 Fix bug in feature Y'
 
-      const result = await getCommitMessages(mockOctokit, prNumber)
+      const { messages: result } = await getCommitMessages(
+        mockOctokit,
+        prNumber
+      )
 
       expect(result).toBe(expectedMessages)
-      expect(mockListCommits).toHaveBeenCalledWith({
+      expect(mockOctokit.paginate).toHaveBeenCalledWith(mockListCommits, {
         owner: 'test-owner',
         repo: 'test-repo',
-        pull_number: prNumber
+        pull_number: prNumber,
+        per_page: 100
       })
       expect(core.info).toHaveBeenCalledWith(
         'Getting commit messages using GitHub API...'
@@ -421,7 +645,10 @@ Some footer text or metadata`
 
       const expectedMessages = 'abcdef1 Single commit message'
 
-      const result = await getCommitMessages(mockOctokit, prNumber)
+      const { messages: result } = await getCommitMessages(
+        mockOctokit,
+        prNumber
+      )
 
       expect(result).toBe(expectedMessages)
     })
@@ -432,7 +659,10 @@ Some footer text or metadata`
         data: []
       })
 
-      const result = await getCommitMessages(mockOctokit, prNumber)
+      const { messages: result } = await getCommitMessages(
+        mockOctokit,
+        prNumber
+      )
 
       expect(result).toBe('')
     })
@@ -452,7 +682,10 @@ Some footer text or metadata`
         data: mockCommits
       })
 
-      const result = await getCommitMessages(mockOctokit, prNumber)
+      const { messages: result } = await getCommitMessages(
+        mockOctokit,
+        prNumber
+      )
 
       expect(result).toBe('abc123 First line')
     })
@@ -488,27 +721,243 @@ Some footer text or metadata`
         data: mockCommits
       })
 
-      const result = await getCommitMessages(mockOctokit, prNumber)
+      const { messages: result } = await getCommitMessages(
+        mockOctokit,
+        prNumber
+      )
 
       expect(result).toBe('abc123 \ndef456 Valid message')
     })
+
+    it('should return the parsed commits with bodies left out of the prompt', async () => {
+      mockOctokit.rest.pulls.listCommits.mockResolvedValue({
+        data: [
+          {
+            sha: 'abcdef1234567890',
+            commit: { message: 'feat: x\n\nCloses #12\nafter the retry fix' }
+          }
+        ]
+      })
+
+      const { messages, commits } = await getCommitMessages(
+        mockOctokit,
+        prNumber
+      )
+
+      expect(messages).toBe('abcdef1 feat: x')
+      expect(commits).toEqual([
+        {
+          sha: 'abcdef1234567890',
+          subject: 'feat: x',
+          body: 'Closes #12\nafter the retry fix',
+          trailers: [],
+          isMerge: false
+        }
+      ])
+    })
+
+    it('should include commit bodies when requested', async () => {
+      mockOctokit.rest.pulls.listCommits.mockResolvedValue({
+        data: [
+          {
+            sha: 'abcdef1234567890',
+            commit: {
+              message: 'Fix bug\n\nHandle null input.\n\nFixes: #42'
+            }
+          }
+        ]
+      })
+
+      const { messages: result } = await getCommitMessages(
+        mockOctokit,
+        prNumber,
+        true
+      )
+
+      expect(result).toBe(
+        'abcdef1 Fix bug\n    Handle null input.\n    Fixes: #42'
+      )
+    })
+
+    it('should drop merge and fixup commits', async () => {
+      mockOctokit.rest.pulls.listCommits.mockResolvedValue({
+        data: [
+          {
+            sha: 'aaaaaaa1',
+            parents: [{ sha: 'p1' }],
+            commit: { message: 'Add feature' }
+          },
+          {
+            sha: 'bbbbbbb2',
+            parents: [{ sha: 'p1' }, { sha: 'p2' }],
+            commit: { message: 'Sync main' }
+          },
+          {
+            sha: 'ccccccc3',
+            parents: [{ sha: 'p3' }],
+            commit: { message: 'fixup! Add feature' }
+          }
+        ]
+      })
+
+      const { messages: result } = await getCommitMessages(
+        mockOctokit,
+        prNumber
+      )
+
+      expect(result).toBe('aaaaaaa Add feature')
+      expect(core.info).toHaveBeenCalledWith(
+        'Dropped 2 merge, fixup/squash or duplicate commits'
+      )
+    })
+
+    it('should warn when the PR reaches the commit listing limit', async () => {
+      mockOctokit.rest.pulls.listCommits.mockResolvedValue({
+        data: Array.from({ length: 250 }, (_, index) => ({
+          sha: `sha${index}`,
+          commit: { message: `Commit ${index}` }
+        }))
+      })
+
+      await getCommitMessages(mockOctokit, prNumber)
+
+      expect(core.warning).toHaveBeenCalledWith(
+        'PR has at least 250 commits; GitHub does not list commits beyond that'
+      )
+    })
+  })
+
+  describe('getFileContent', () => {
+    it('should decode file content', async () => {
+      mockOctokit.rest.repos.getContent.mockResolvedValue({
+        data: {
+          type: 'file',
+          content: Buffer.from('# Héllo\n').toString('base64')
+        }
+      })
+
+      const result = await getFileContent(mockOctokit, 'README.md', 'main')
+
+      expect(result).toBe('# Héllo\n')
+      expect(mockOctokit.rest.repos.getContent).toHaveBeenCalledWith({
+        owner: 'test-owner',
+        repo: 'test-repo',
+        path: 'README.md',
+        ref: 'main'
+      })
+    })
+
+    it('should return null for directories', async () => {
+      mockOctokit.rest.repos.getContent.mockResolvedValue({
+        data: [{ type: 'file', name: 'a.md' }]
+      })
+
+      expect(await getFileContent(mockOctokit, 'docs', 'main')).toBeNull()
+    })
+
+    it('should return null for non-file entries', async () => {
+      mockOctokit.rest.repos.getContent.mockResolvedValue({
+        data: { type: 'symlink', target: 'other.md' }
+      })
+
+      expect(await getFileContent(mockOctokit, 'link.md', 'main')).toBeNull()
+    })
+
+    it('should return null for files without content', async () => {
+      mockOctokit.rest.repos.getContent.mockResolvedValue({
+        data: { type: 'file' }
+      })
+
+      expect(await getFileContent(mockOctokit, 'big.md', 'main')).toBeNull()
+    })
+
+    it('should return null when the file does not exist', async () => {
+      mockOctokit.rest.repos.getContent.mockRejectedValue(
+        Object.assign(new Error('Not Found'), { status: 404 })
+      )
+
+      expect(await getFileContent(mockOctokit, 'missing.md', 'main')).toBeNull()
+    })
+
+    it('should handle API errors', async () => {
+      mockOctokit.rest.repos.getContent.mockRejectedValue(
+        Object.assign(new Error('Forbidden'), { status: 403 })
+      )
+
+      await expect(
+        getFileContent(mockOctokit, 'README.md', 'main')
+      ).rejects.toThrow('Failed to read README.md: Error: Forbidden')
+    })
+  })
+
+  describe('tagExists', () => {
+    it('should find an existing tag', async () => {
+      mockOctokit.rest.git.getRef.mockResolvedValue({
+        data: { ref: 'refs/tags/v1.3.0' }
+      })
+
+      expect(await tagExists(mockOctokit, 'v1.3.0')).toBe(true)
+      expect(mockOctokit.rest.git.getRef).toHaveBeenCalledWith({
+        owner: 'test-owner',
+        repo: 'test-repo',
+        ref: 'tags/v1.3.0'
+      })
+    })
+
+    it('should return false when the tag does not exist', async () => {
+      mockOctokit.rest.git.getRef.mockRejectedValue(
+        Object.assign(new Error('Not Found'), { status: 404 })
+      )
+
+      expect(await tagExists(mockOctokit, 'main')).toBe(false)
+    })
+
+    it('should handle API errors', async () => {
+      mockOctokit.rest.git.getRef.mockRejectedValue(
+        Object.assign(new Error('Forbidden'), { status: 403 })
+      )
+
+      await expect(tagExists(mockOctokit, 'v1.3.0')).rejects.toThrow(
+        'Failed to look up tag v1.3.0: Error: Forbidden'
+      )
+    })
   })
 
   describe('updatePRDescription', () => {
     const prNumber = 123
     const description = '## Summary\nThis PR adds new features.'
+    const sectionOptions = {
+      placement: 'top',
+      placeholderToken: '<!-- pr-description -->'
+    }
+    const wrap = (text) =>
+      `<!-- pr-description:start -->\n${text}\n<!-- pr-description:end -->`
+
+    beforeEach(() => {
+      mockOctokit.rest.pulls.get.mockResolvedValue({ data: { body: null } })
+    })
 
     it('should update PR description successfully', async () => {
       const mockUpdate = mockOctokit.rest.pulls.update
       mockUpdate.mockResolvedValue({})
 
-      await updatePRDescription(mockOctokit, prNumber, description)
+      await updatePRDescription(
+        mockOctokit,
+        prNumber,
+        description,
+        sectionOptions
+      )
 
+      expect(mockOctokit.rest.pulls.get).toHaveBeenCalledWith({
+        owner: 'test-owner',
+        repo: 'test-repo',
+        pull_number: prNumber
+      })
       expect(mockUpdate).toHaveBeenCalledWith({
         owner: 'test-owner',
         repo: 'test-repo',
         pull_number: prNumber,
-        body: description
+        body: wrap(description)
       })
       expect(core.info).toHaveBeenCalledWith('Updating PR description...')
       expect(core.info).toHaveBeenCalledWith(
@@ -516,18 +965,45 @@ Some footer text or metadata`
       )
     })
 
+    it('should preserve human-written content in the existing body', async () => {
+      const existingBody = `${wrap('Old description')}\n\n- [x] Tested locally`
+      mockOctokit.rest.pulls.get.mockResolvedValue({
+        data: { body: existingBody }
+      })
+      const mockUpdate = mockOctokit.rest.pulls.update
+      mockUpdate.mockResolvedValue({})
+
+      await updatePRDescription(
+        mockOctokit,
+        prNumber,
+        description,
+        sectionOptions
+      )
+
+      expect(mockUpdate).toHaveBeenCalledWith(
+        expect.objectContaining({
+          body: `${wrap(description)}\n\n- [x] Tested locally`
+        })
+      )
+    })
+
     it('should handle empty description', async () => {
       const emptyDescription = ''
       const mockUpdate = mockOctokit.rest.pulls.update
       mockUpdate.mockResolvedValue({})
 
-      await updatePRDescription(mockOctokit, prNumber, emptyDescription)
+      await updatePRDescription(
+        mockOctokit,
+        prNumber,
+        emptyDescription,
+        sectionOptions
+      )
 
       expect(mockUpdate).toHaveBeenCalledWith({
         owner: 'test-owner',
         repo: 'test-repo',
         pull_number: prNumber,
-        body: emptyDescription
+        body: wrap(emptyDescription)
       })
     })
 
@@ -536,11 +1012,16 @@ Some footer text or metadata`
       const mockUpdate = mockOctokit.rest.pulls.update
       mockUpdate.mockResolvedValue({})
 
-      await updatePRDescription(mockOctokit, prNumber, longDescription)
+      await updatePRDescription(
+        mockOctokit,
+        prNumber,
+        longDescription,
+        sectionOptions
+      )
 
       expect(mockUpdate).toHaveBeenCalledWith(
         expect.objectContaining({
-          body: longDescription
+          body: wrap(longDescription)
         })
       )
     })
@@ -551,17 +1032,26 @@ Some footer text or metadata`
       mockUpdate.mockRejectedValue(apiError)
 
       await expect(
-        updatePRDescription(mockOctokit, prNumber, description)
+        updatePRDescription(mockOctokit, prNumber, description, sectionOptions)
       ).rejects.toThrow('Failed to update PR description: Error: Unauthorized')
     })
 
+    it('should handle errors fetching the current body', async () => {
+      mockOctokit.rest.pulls.get.mockRejectedValue(new Error('Not Found'))
+
+      await expect(
+        updatePRDescription(mockOctokit, prNumber, description, sectionOptions)
+      ).rejects.toThrow('Failed to update PR description: Error: Not Found')
+      expect(mockOctokit.rest.pulls.update).not.toHaveBeenCalled()
+    })
+
     it('should handle validation errors', async () => {
       const validationError = new Error('Invalid PR number')
       const mockUpdate = mockOctokit.rest.pulls.update
       mockUpdate.mockRejectedValue(validationError)
 
       await expect(
-        updatePRDescription(mockOctokit, prNumber, description)
+        updatePRDescription(mockOctokit, prNumber, description, sectionOptions)
       ).rejects.toThrow(
         'Failed to update PR description: Error: Invalid PR number'
       )
@@ -573,7 +1063,7 @@ Some footer text or metadata`
       mockUpdate.mockRejectedValue(timeoutError)
 
       await expect(
-        updatePRDescription(mockOctokit, prNumber, description)
+        updatePRDescription(mockOctokit, prNumber, description, sectionOptions)
       ).rejects.toThrow(
         'Failed to update PR description: Error: Request timeout'
       )
@@ -585,14 +1075,123 @@ Some footer text or metadata`
       const mockUpdate = mockOctokit.rest.pulls.update
       mockUpdate.mockResolvedValue({})
 
-      await updatePRDescription(mockOctokit, prNumber, specialDescription)
+      await updatePRDescription(
+        mockOctokit,
+        prNumber,
+        specialDescription,
+        sectionOptions
+      )
 
       expect(mockUpdate).toHaveBeenCalledWith({
         owner: 'test-owner',
         repo: 'test-repo',
         pull_number: prNumber,
-        body: specialDescription
+        body: wrap(specialDescription)
+      })
+    })
+  })
+
+  describe('updatePRTitle', () => {
+    it('should update only the PR title', async () => {
+      mockOctokit.rest.pulls.update.mockResolvedValue({})
+
+      await updatePRTitle(mockOctokit, 123, 'feat(api): add retries')
+
+      expect(mockOctokit.rest.pulls.update).toHaveBeenCalledWith({
+        owner: 'test-owner',
+        repo: 'test-repo',
+        pull_number: 123,
+        title: 'feat(api): add retries'
+      })
+      expect(core.info).toHaveBeenCalledWith(
+        'PR title updated to: feat(api): add retries'
+      )
+    })
+
+    it('should throw when the title cannot be updated', async () => {
+      mockOctokit.rest.pulls.update.mockRejectedValue(
+        Object.assign(new Error('Forbidden'), { status: 403 })
+      )
+
+      await expect(
+        updatePRTitle(mockOctokit, 123, 'feat: add retries')
+      ).rejects.toThrow('Failed to update PR title: Error: Forbidden')
+    })
+  })
+
+  describe('upsertPRComment', () => {
+    const prNumber = 123
+    const description = '## Summary\nThis PR adds new features.'
+    const marker = '<!-- pr-description:comment -->'
+
+    it('should create a comment when none exists', async () => {
+      mockOctokit.rest.issues.listComments.mockResolvedValue({
+        data: [{ id: 1, body: 'LGTM' }, { id: 2 }]
       })
+      mockOctokit.rest.issues.createComment.mockResolvedValue({})
+
+      await upsertPRComment(mockOctokit, prNumber, description)
+
+      expect(mockOctokit.paginate).toHaveBeenCalledWith(
+        mockOctokit.rest.issues.listComments,
+        {
+          owner: 'test-owner',
+          repo: 'test-repo',
+          issue_number: prNumber,
+          per_page: 100
+        }
+      )
+      expect(mockOctokit.rest.issues.createComment).toHaveBeenCalledWith({
+        owner: 'test-owner',
+        repo: 'test-repo',
+        issue_number: prNumber,
+        body: `${marker}\n${description}`
+      })
+      expect(mockOctokit.rest.issues.updateComment).not.toHaveBeenCalled()
+      expect(core.info).toHaveBeenCalledWith('Created new description comment')
+    })
+
+    it('should update the existing marked comment', async () => {
+      mockOctokit.rest.issues.listComments.mockResolvedValue({
+        data: [
+          { id: 1, body: 'LGTM' },
+          { id: 42, body: `${marker}\nOld description` }
+        ]
+      })
+      mockOctokit.rest.issues.updateComment.mockResolvedValue({})
+
+      await upsertPRComment(mockOctokit, prNumber, description)
+
+      expect(mockOctokit.rest.issues.updateComment).toHaveBeenCalledWith({
+        owner: 'test-owner',
+        repo: 'test-repo',
+        comment_id: 42,
+        body: `${marker}\n${description}`
+      })
+      expect(mockOctokit.rest.issues.createComment).not.toHaveBeenCalled()
+      expect(core.info).toHaveBeenCalledWith('Updated existing comment 42')
+    })
+
+    it('should handle API errors', async () => {
+      mockOctokit.rest.issues.listComments.mockRejectedValue(
+        new Error('Forbidden')
+      )
+
+      await expect(
+        upsertPRComment(mockOctokit, prNumber, description)
+      ).rejects.toThrow('Failed to update PR comment: Error: Forbidden')
+    })
+  })
+
+  describe('matchesPatterns', () => {
+    it('should let the last matching pattern win', () => {
+      const patterns = ['dist/**', '!dist/keep/**', 'dist/keep/tmp/**']
+
+      expect(matchesPatterns('dist/app.js', patterns)).toBe(true)
+      expect(matchesPatterns('dist/keep/app.js', patterns)).toBe(false)
+      expect(matchesPatterns('dist/keep/tmp/app.js', patterns)).toBe(true)
+      expect(matchesPatterns('src/app.js', patterns)).toBe(false)
+      expect(matchesPatterns('src/app.js', [])).toBe(false)
     })
   })
 })
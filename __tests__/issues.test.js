@@ -0,0 +1,258 @@
+import {
+  jest,
+  describe,
+  it,
+  expect,
+  beforeEach,
+  afterEach
+} from '@jest/globals'
+import * as core from '@actions/core'
+import * as github from '@actions/github'
+import {
+  extractIssueReferences,
+  fetchLinkedIssues,
+  formatLinkedIssues
+} from '../src/issues.js'
+
+describe('issues.js', () => {
+  const ref = (
+    number,
+    closing = false,
+    owner = 'test-owner',
+    repo = 'test-repo'
+  ) => ({
+    owner,
+    repo,
+    number,
+    closing
+  })
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  describe('extractIssueReferences', () => {
+    it('should find plain, cross-repository and URL references', () => {
+      const references = extractIssueReferences([
+        'Add retries (#12)',
+        'abc1234 Handle octo/tools#3\nabc1235 See https://github.com/octo/web/issues/77'
+      ])
+
+      expect(references).toEqual([
+        ref(12),
+        ref(3, false, 'octo', 'tools'),
+        ref(77, false, 'octo', 'web')
+      ])
+    })
+
+    it.each([
+      ['Fixes #1'],
+      ['fixed #1'],
+      ['Closes: #1'],
+      ['close #1'],
+      ['RESOLVES #1'],
+      ['resolved test-owner/test-repo#1']
+    ])('should flag closing keywords in "%s"', (text) => {
+      expect(extractIssueReferences([text])).toEqual([ref(1, true)])
+    })
+
+    it('should merge duplicate references and keep closing keywords', () => {
+      const references = extractIssueReferences([
+        'Refs #5',
+        'abc1234 Fix crash\n    Fixes: #5\nabc1235 Update Test-Owner/Test-Repo#5'
+      ])
+
+      expect(references).toEqual([ref(5, true)])
+    })
+
+    it.each([
+      ['fix/123-crash', 123],
+      ['123-add-cache', 123],
+      ['issue-45', 45],
+      ['feature/gh_7/retry', 7]
+    ])('should find the issue number in branch %s', (branch, number) => {
+      expect(extractIssueReferences([], branch)).toEqual([ref(number)])
+    })
+
+    it('should ignore branches and text without issue numbers', () => {
+      expect(
+        extractIssueReferences(
+          ['Bump v2 to #abc', 'color #12ab'],
+          'release/v2.1'
+        )
+      ).toEqual([])
+    })
+
+    it.each([
+      ['Update CHANGELOG.md#12'],
+      ['Escape &#39; in titles'],
+      ['Set color: #123456'],
+      ['Use background-color:#000000 for the header'],
+      ['Tag v1#2']
+    ])('should not treat "%s" as an issue reference', (text) => {
+      expect(extractIssueReferences([text])).toEqual([])
+    })
+
+    it('should find references at the start, after whitespace or in parentheses', () => {
+      expect(
+        extractIssueReferences(['#1 first', 'Then\t#2', 'Retry (#3)'])
+      ).toEqual([ref(1), ref(2), ref(3)])
+    })
+
+    it.each([
+      ['release/2024-05'],
+      ['hotfix/2024-10-19-x'],
+      ['2024_10_19-cleanup'],
+      ['release/1-2-0']
+    ])('should not take a date or version from branch %s', (branch) => {
+      expect(extractIssueReferences([], branch)).toEqual([])
+    })
+  })
+
+  describe('fetchLinkedIssues', () => {
+    let mockOctokit
+
+    beforeEach(() => {
+      mockOctokit = github.getOctokit('fake-token')
+    })
+
+    it('should fetch issue titles, bodies and labels', async () => {
+      mockOctokit.rest.issues.get.mockResolvedValue({
+        data: {
+          title: 'Crash on startup',
+          body: '  Steps to reproduce  ',
+          labels: ['bug', { name: 'p1' }, { name: null }]
+        }
+      })
+
+      const issues = await fetchLinkedIssues(mockOctokit, [
+        ref(42, true),
+        ref(3, false, 'octo', 'tools')
+      ])
+
+      expect(mockOctokit.rest.issues.get).toHaveBeenCalledWith({
+        owner: 'octo',
+        repo: 'tools',
+        issue_number: 3
+      })
+      expect(issues).toEqual([
+        {
+          reference: '#42',
+          title: 'Crash on startup',
+          body: 'Steps to reproduce',
+          labels: ['bug', 'p1'],
+          closing: true
+        },
+        {
+          reference: 'octo/tools#3',
+          title: 'Crash on startup',
+          body: 'Steps to reproduce',
+          labels: ['bug', 'p1'],
+          closing: false
+        }
+      ])
+      expect(core.info).toHaveBeenCalledWith('Linked issues: 2')
+    })
+
+    it('should truncate long issue bodies', async () => {
+      mockOctokit.rest.issues.get.mockResolvedValue({
+        data: { title: 'Long', body: 'a'.repeat(5000), labels: [] }
+      })
+
+      const [issue] = await fetchLinkedIssues(mockOctokit, [ref(1)])
+
+      expect(issue.body).toBe(`${'a'.repeat(1500)}\n[... truncated]`)
+    })
+
+    it('should handle issues without a body', async () => {
+      mockOctokit.rest.issues.get.mockResolvedValue({
+        data: { title: 'Empty', body: null, labels: [] }
+      })
+
+      const [issue] = await fetchLinkedIssues(mockOctokit, [ref(1)])
+
+      expect(issue.body).toBe('')
+    })
+
+    it('should skip pull requests', async () => {
+      mockOctokit.rest.issues.get.mockResolvedValue({
+        data: { title: 'A PR', pull_request: { url: 'x' }, labels: [] }
+      })
+
+      expect(await fetchLinkedIssues(mockOctokit, [ref(9)])).toEqual([])
+      expect(core.info).toHaveBeenCalledWith(
+        'Skipping #9: it is a pull request'
+      )
+    })
+
+    it.each([[403], [404], [410]])(
+      'should skip issues that return %d',
+      async (status) => {
+        mockOctokit.rest.issues.get.mockRejectedValue(
+          Object.assign(new Error('Nope'), { status })
+        )
+
+        expect(await fetchLinkedIssues(mockOctokit, [ref(9)])).toEqual([])
+        expect(core.info).toHaveBeenCalledWith(
+          'Skipping #9: issue not found or not accessible'
+        )
+      }
+    )
+
+    it('should throw other errors', async () => {
+      mockOctokit.rest.issues.get.mockRejectedValue(
+        Object.assign(new Error('Bad request'), { status: 400 })
+      )
+
+      await expect(fetchLinkedIssues(mockOctokit, [ref(9)])).rejects.toThrow(
+        'Failed to fetch issue #9: Error: Bad request'
+      )
+    })
+
+    it('should only fetch the first 10 references', async () => {
+      mockOctokit.rest.issues.get.mockResolvedValue({
+        data: { title: 'Issue', body: '', labels: [] }
+      })
+
+      const references = Array.from({ length: 12 }, (_, index) =>
+        ref(index + 1)
+      )
+      const issues = await fetchLinkedIssues(mockOctokit, references)
+
+      expect(issues).toHaveLength(10)
+      expect(mockOctokit.rest.issues.get).toHaveBeenCalledTimes(10)
+      expect(core.info).toHaveBeenCalledWith(
+        'Found 12 issue references, only fetching the first 10'
+      )
+    })
+  })
+
+  describe('formatLinkedIssues', () => {
+    it('should format issues with labels, closing keywords and bodies', () => {
+      expect(
+        formatLinkedIssues([
+          {
+            reference: '#42',
+            title: 'Crash on startup',
+            body: 'Steps to reproduce',
+            labels: ['bug', 'p1'],
+            closing: true
+          },
+          {
+            reference: 'octo/tools#3',
+            title: 'Follow-up',
+            body: '',
+            labels: [],
+            closing: false
+          }
+        ])
+      ).toBe(
+        '### #42: Crash on startup\nLabels: bug, p1\nReferenced with a closing keyword\n\nSteps to reproduce\n\n### octo/tools#3: Follow-up'
+      )
+    })
+  })
+})
@@ -0,0 +1,253 @@
+import {
+  jest,
+  describe,
+  it,
+  expect,
+  beforeEach,
+  afterEach
+} from '@jest/globals'
+import * as core from '@actions/core'
+import * as github from '@actions/github'
+import {
+  applyLabels,
+  DEFAULT_LABEL_MAP,
+  formatLabelsMarker,
+  readLabelsMarker,
+  selectLabels
+} from '../src/labels.js'
+
+describe('labels.js', () => {
+  let mockOctokit
+
+  const description = {
+    summary: 'Adds retries to API calls.',
+    changeType: 'fix',
+    changes: ['Wrap API calls in withRetry'],
+    breakingChanges: [],
+    riskLevel: 'low',
+    testingNotes: '',
+    relatedIssues: []
+  }
+
+  const prInfo = (labels = []) => ({
+    number: 42,
+    title: 'Add retries',
+    author: 'octocat',
+    baseSha: 'base-sha',
+    headSha: 'head-sha',
+    headRef: 'feature/retries',
+    url: 'https://github.com/test-owner/test-repo/pull/42',
+    body: '',
+    draft: false,
+    labels,
+    authorIsBot: false
+  })
+
+  const bug = { name: 'bug', color: 'd73a4a' }
+  const highRisk = { name: 'high-risk', color: 'd93f0b' }
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+    mockOctokit = github.getOctokit('fake-token')
+    mockOctokit.rest.issues.getLabel.mockResolvedValue({ data: {} })
+    mockOctokit.rest.issues.createLabel.mockResolvedValue({})
+    mockOctokit.rest.issues.addLabels.mockResolvedValue({})
+    mockOctokit.rest.issues.removeLabel.mockResolvedValue({})
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  describe('selectLabels', () => {
+    it('should map the change type and skip unmapped classes', () => {
+      expect(selectLabels(description, DEFAULT_LABEL_MAP)).toEqual([bug])
+    })
+
+    it('should add breaking and risk labels', () => {
+      expect(
+        selectLabels(
+          {
+            ...description,
+            changeType: 'feature',
+            breakingChanges: ['Drops Node 18'],
+            riskLevel: 'high'
+          },
+          DEFAULT_LABEL_MAP
+        )
+      ).toEqual([
+        { name: 'enhancement', color: 'a2eeef' },
+        { name: 'breaking-change', color: 'b60205' },
+        highRisk
+      ])
+    })
+
+    it('should skip classes mapped to an empty label', () => {
+      expect(
+        selectLabels(description, { ...DEFAULT_LABEL_MAP, fix: '' })
+      ).toEqual([])
+    })
+  })
+
+  describe('formatLabelsMarker / readLabelsMarker', () => {
+    it('should round-trip the added labels through the PR body', () => {
+      const body = `Intro\n${formatLabelsMarker(['bug', 'type: fix'])}\nOutro`
+
+      expect(formatLabelsMarker(['bug'])).toBe(
+        '<!-- pr-description:labels ["bug"] -->'
+      )
+      expect(readLabelsMarker(body)).toEqual(['bug', 'type: fix'])
+    })
+
+    it.each([
+      [''],
+      ['<!-- pr-description:labels [not json] -->'],
+      ['<!-- pr-description:labels [1, 2] -->']
+    ])('should read no labels from %j', (body) => {
+      expect(readLabelsMarker(body)).toEqual([])
+    })
+  })
+
+  describe('applyLabels', () => {
+    it('should add missing labels and report them as added', async () => {
+      expect(
+        await applyLabels(mockOctokit, prInfo(['ui']), [bug, highRisk], [])
+      ).toEqual(['bug', 'high-risk'])
+
+      expect(mockOctokit.rest.issues.addLabels).toHaveBeenCalledWith({
+        owner: 'test-owner',
+        repo: 'test-repo',
+        issue_number: 42,
+        labels: ['bug', 'high-risk']
+      })
+      expect(mockOctokit.rest.issues.createLabel).not.toHaveBeenCalled()
+      expect(mockOctokit.rest.issues.removeLabel).not.toHaveBeenCalled()
+      expect(core.info).toHaveBeenCalledWith('Added labels: bug, high-risk')
+    })
+
+    it('should create labels that do not exist yet', async () => {
+      mockOctokit.rest.issues.getLabel.mockRejectedValue(
+        Object.assign(new Error('Not Found'), { status: 404 })
+      )
+
+      await applyLabels(mockOctokit, prInfo(), [bug], [])
+
+      expect(mockOctokit.rest.issues.createLabel).toHaveBeenCalledWith({
+        owner: 'test-owner',
+        repo: 'test-repo',
+        name: 'bug',
+        color: 'd73a4a'
+      })
+      expect(core.info).toHaveBeenCalledWith('Created label bug')
+    })
+
+    it('should accept a label that was created in the meantime', async () => {
+      mockOctokit.rest.issues.getLabel.mockRejectedValue(
+        Object.assign(new Error('Not Found'), { status: 404 })
+      )
+      mockOctokit.rest.issues.createLabel.mockRejectedValue(
+        Object.assign(new Error('Validation Failed'), {
+          status: 422,
+          response: { data: { errors: [{ code: 'already_exists' }] } }
+        })
+      )
+
+      expect(await applyLabels(mockOctokit, prInfo(), [bug], [])).toEqual([
+        'bug'
+      ])
+      expect(core.info).not.toHaveBeenCalledWith('Created label bug')
+    })
+
+    it.each([
+      [{ status: 422, response: { data: { errors: [{ code: 'invalid' }] } } }],
+      [{ status: 422 }],
+      [{ status: 403 }]
+    ])('should warn about other label creation errors %j', async (details) => {
+      mockOctokit.rest.issues.getLabel.mockRejectedValue(
+        Object.assign(new Error('Not Found'), { status: 404 })
+      )
+      mockOctokit.rest.issues.createLabel.mockRejectedValue(
+        Object.assign(new Error('Create failed'), details)
+      )
+
+      expect(await applyLabels(mockOctokit, prInfo(), [bug], [])).toEqual([])
+      expect(core.warning).toHaveBeenCalledWith(
+        'Failed to apply labels: Error: Create failed'
+      )
+    })
+
+    it('should not claim labels someone else already added', async () => {
+      expect(
+        await applyLabels(mockOctokit, prInfo(['Bug']), [bug], [])
+      ).toEqual([])
+      expect(mockOctokit.rest.issues.addLabels).not.toHaveBeenCalled()
+    })
+
+    it('should keep labels it added before', async () => {
+      expect(
+        await applyLabels(mockOctokit, prInfo(['bug']), [bug], ['bug'])
+      ).toEqual(['bug'])
+      expect(mockOctokit.rest.issues.addLabels).not.toHaveBeenCalled()
+      expect(mockOctokit.rest.issues.removeLabel).not.toHaveBeenCalled()
+    })
+
+    it('should only remove stale labels it added itself', async () => {
+      expect(
+        await applyLabels(
+          mockOctokit,
+          prInfo(['high-risk', 'enhancement', 'ui']),
+          [bug],
+          ['high-risk', 'bug']
+        )
+      ).toEqual(['bug'])
+
+      expect(mockOctokit.rest.issues.removeLabel).toHaveBeenCalledTimes(1)
+      expect(mockOctokit.rest.issues.removeLabel).toHaveBeenCalledWith({
+        owner: 'test-owner',
+        repo: 'test-repo',
+        issue_number: 42,
+        name: 'high-risk'
+      })
+      expect(core.info).toHaveBeenCalledWith('Removed label high-risk')
+    })
+
+    it('should warn and keep its earlier labels when labels cannot be added', async () => {
+      mockOctokit.rest.issues.getLabel.mockRejectedValue(
+        Object.assign(new Error('Forbidden'), { status: 403 })
+      )
+
+      expect(
+        await applyLabels(
+          mockOctokit,
+          prInfo(['high-risk']),
+          [bug],
+          ['high-risk']
+        )
+      ).toEqual(['high-risk'])
+      expect(mockOctokit.rest.issues.addLabels).not.toHaveBeenCalled()
+      expect(mockOctokit.rest.issues.removeLabel).not.toHaveBeenCalled()
+      expect(core.warning).toHaveBeenCalledWith(
+        'Failed to apply labels: Error: Forbidden'
+      )
+    })
+
+    it('should record only the labels applied before a failure', async () => {
+      mockOctokit.rest.issues.removeLabel.mockRejectedValueOnce(
+        Object.assign(new Error('Forbidden'), { status: 403 })
+      )
+
+      expect(
+        await applyLabels(
+          mockOctokit,
+          prInfo(['high-risk']),
+          [bug],
+          ['high-risk']
+        )
+      ).toEqual(['high-risk', 'bug'])
+      expect(mockOctokit.rest.issues.addLabels).toHaveBeenCalledTimes(1)
+      expect(core.warning).toHaveBeenCalledWith(
+        'Failed to apply labels: Error: Forbidden'
+      )
+    })
+  })
+})
@@ -0,0 +1,543 @@
+import {
+  jest,
+  describe,
+  it,
+  expect,
+  beforeAll,
+  afterAll,
+  beforeEach,
+  afterEach
+} from '@jest/globals'
+import { execFileSync } from 'node:child_process'
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'node:fs'
+import { tmpdir } from 'node:os'
+import path from 'node:path'
+import * as core from '@actions/core'
+import { Anthropic, _mockMessagesCreate } from '@anthropic-ai/sdk'
+import {
+  findLocalPRTemplate,
+  getLocalCommitMessages,
+  getLocalDiff,
+  getLocalPRInfo,
+  parseCliArgs,
+  parseRange,
+  readLocalFileAtRef,
+  runCli,
+  USAGE
+} from '../src/local.js'
+
+describe('local.js', () => {
+  let repo
+
+  const git = (...args) =>
+    execFileSync('git', ['-C', repo, ...args], {
+      encoding: 'utf8',
+      env: {
+        ...process.env,
+        GIT_AUTHOR_NAME: 'Local Dev',
+        GIT_AUTHOR_EMAIL: 'dev@example.com',
+        GIT_COMMITTER_NAME: 'Local Dev',
+        GIT_COMMITTER_EMAIL: 'dev@example.com'
+      }
+    }).trim()
+
+  const commitFile = (file, content, message) => {
+    mkdirSync(path.dirname(path.join(repo, file)), { recursive: true })
+    writeFileSync(path.join(repo, file), content)
+    git('add', file)
+    git('-c', 'commit.gpgsign=false', 'commit', '-q', '-m', message)
+  }
+
+  beforeAll(() => {
+    repo = mkdtempSync(path.join(tmpdir(), 'pr-desc-local-'))
+    git('init', '-q', '-b', 'main')
+    commitFile('README.md', '# Project\n', 'Initial commit')
+    commitFile(
+      '.github/pull_request_template.md',
+      '## Summary\n\n## Testing\n',
+      'Add PR template'
+    )
+    git('checkout', '-q', '-b', 'feature')
+    commitFile(
+      'src/feature.js',
+      'export const feature = true\n',
+      'Add feature\n\nExplain why the feature exists.\n\nRefs: #12'
+    )
+    commitFile('dist/feature.js', 'bundled\n', 'fixup! Add feature')
+  })
+
+  afterAll(() => {
+    rmSync(repo, { recursive: true, force: true })
+  })
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  describe('parseCliArgs', () => {
+    it('should parse the range, CLI options and action inputs', () => {
+      const options = parseCliArgs([
+        'main..feature',
+        '--repo',
+        '/tmp/repo',
+        '--title',
+        'My change',
+        '--model',
+        'claude-sonnet-4-0',
+        '--ignore-patterns',
+        'dist/**'
+      ])
+
+      expect(options).toEqual({
+        range: 'main..feature',
+        repo: '/tmp/repo',
+        title: 'My change',
+        author: '',
+        help: false,
+        inputs: {
+          model: 'claude-sonnet-4-0',
+          'ignore-patterns': 'dist/**'
+        }
+      })
+    })
+
+    it('should default to the current directory and no range', () => {
+      expect(parseCliArgs([])).toEqual({
+        range: '',
+        repo: '.',
+        title: '',
+        author: '',
+        help: false,
+        inputs: {}
+      })
+    })
+
+    it('should throw when more than one range is given', () => {
+      expect(() => parseCliArgs(['main..a', 'main..b'])).toThrow(
+        'Expected a single <base>..<head> range, got: main..a main..b'
+      )
+    })
+
+    it('should throw for unknown flags', () => {
+      expect(() => parseCliArgs(['--unknown'])).toThrow()
+    })
+  })
+
+  describe('parseRange', () => {
+    it.each([
+      ['main..feature', 'main', 'feature'],
+      ['main...feature', 'main', 'feature'],
+      ['main..', 'main', 'HEAD'],
+      ['v1.2.0', 'v1.2.0', 'HEAD']
+    ])('should parse %s', (range, base, head) => {
+      expect(parseRange(range)).toEqual({ base, head })
+    })
+
+    it('should throw when the base is missing', () => {
+      expect(() => parseRange('..feature')).toThrow(
+        'Invalid range: ..feature. Expected <base>..<head>'
+      )
+    })
+  })
+
+  describe('getLocalDiff', () => {
+    it('should diff the range and drop ignored files', async () => {
+      const diff = await getLocalDiff(repo, 'main', 'feature', ['dist/**'])
+
+      expect(diff).toContain('diff --git a/src/feature.js b/src/feature.js')
+      expect(diff).not.toContain('dist/feature.js')
+      expect(core.info).toHaveBeenCalledWith('Ignoring file: dist/feature.js')
+    })
+
+    it('should include files changed since the merge base only', async () => {
+      const diff = await getLocalDiff(repo, 'main', 'feature')
+
+      expect(diff).not.toContain('pull_request_template.md')
+      expect(diff).toContain('dist/feature.js')
+    })
+
+    it('should report git failures', async () => {
+      await expect(getLocalDiff(repo, 'main', 'missing')).rejects.toThrow(
+        /^git diff failed: Error: Command failed: .*missing/s
+      )
+    })
+  })
+
+  describe('getLocalCommitMessages', () => {
+    it('should list commits oldest first without fixups', async () => {
+      const messages = await getLocalCommitMessages(repo, 'main', 'feature')
+      const sha = git('rev-parse', 'feature~1')
+
+      expect(messages).toBe(`${sha.substring(0, 7)} Add feature\n    Refs: #12`)
+      expect(core.info).toHaveBeenCalledWith(
+        'Dropped 1 merge, fixup/squash or duplicate commits'
+      )
+    })
+
+    it('should include commit bodies when requested', async () => {
+      const messages = await getLocalCommitMessages(
+        repo,
+        'main',
+        'feature~1',
+        true
+      )
+
+      expect(messages).toContain('    Explain why the feature exists.')
+      expect(core.info).not.toHaveBeenCalledWith(
+        expect.stringContaining('Dropped')
+      )
+    })
+
+    it('should flag merge commits', async () => {
+      git('checkout', '-q', '-b', 'merged', 'main')
+      commitFile('other.txt', 'other\n', 'Add other file')
+      git(
+        '-c',
+        'commit.gpgsign=false',
+        'merge',
+        '-q',
+        '--no-ff',
+        '-m',
+        'Combine feature work',
+        'feature'
+      )
+      git('checkout', '-q', 'feature')
+
+      const messages = await getLocalCommitMessages(repo, 'main', 'merged')
+
+      expect(messages).toContain('Add other file')
+      expect(messages).not.toContain('Combine feature work')
+    })
+  })
+
+  describe('findLocalPRTemplate', () => {
+    it('should read the template as of the ref', async () => {
+      const template = await findLocalPRTemplate(repo, 'main')
+
+      expect(template).toBe('## Summary\n\n## Testing\n')
+      expect(core.info).toHaveBeenCalledWith(
+        'Using pull request template: .github/pull_request_template.md'
+      )
+    })
+
+    it('should return null when the ref has no template', async () => {
+      expect(await findLocalPRTemplate(repo, 'main~1')).toBeNull()
+    })
+
+    it('should ignore a template that is only in the working tree', async () => {
+      const templatePath = path.join(repo, 'docs', 'pull_request_template.md')
+      mkdirSync(path.dirname(templatePath), { recursive: true })
+      writeFileSync(templatePath, '## Uncommitted\n')
+
+      try {
+        expect(await findLocalPRTemplate(repo, 'main~1')).toBeNull()
+      } finally {
+        rmSync(path.join(repo, 'docs'), { recursive: true, force: true })
+      }
+    })
+  })
+
+  describe('readLocalFileAtRef', () => {
+    it('should read a file as of a ref', async () => {
+      expect(await readLocalFileAtRef(repo, 'main', 'README.md')).toBe(
+        '# Project\n'
+      )
+    })
+
+    it('should return null when the file does not exist at the ref', async () => {
+      expect(
+        await readLocalFileAtRef(repo, 'main', 'src/feature.js')
+      ).toBeNull()
+    })
+  })
+
+  describe('getLocalPRInfo', () => {
+    it('should use the head commit for the title and author', async () => {
+      const prInfo = await getLocalPRInfo(repo, 'main', 'feature~1', {
+        title: '',
+        author: ''
+      })
+
+      expect(prInfo).toEqual({
+        number: 0,
+        title: 'Add feature',
+        author: 'Local Dev',
+        baseSha: git('rev-parse', 'main'),
+        headSha: git('rev-parse', 'feature~1'),
+        headRef: 'feature~1',
+        url: '',
+        body: '',
+        draft: false,
+        labels: [],
+        authorIsBot: false
+      })
+    })
+
+    it('should prefer explicit title and author', async () => {
+      const prInfo = await getLocalPRInfo(repo, 'main', 'feature', {
+        title: 'Feature work',
+        author: 'octocat'
+      })
+
+      expect(prInfo.title).toBe('Feature work')
+      expect(prInfo.author).toBe('octocat')
+    })
+  })
+
+  describe('runCli', () => {
+    const originalApiKey = process.env.ANTHROPIC_API_KEY
+    let output
+
+    const write = (text) => {
+      output += text
+    }
+
+    beforeEach(() => {
+      output = ''
+      delete process.env.ANTHROPIC_API_KEY
+      _mockMessagesCreate.mockResolvedValue({
+        content: [{ type: 'text', text: '## Summary\nAdds a feature\n' }],
+        usage: { input_tokens: 100, output_tokens: 20 }
+      })
+    })
+
+    afterAll(() => {
+      if (originalApiKey === undefined) {
+        delete process.env.ANTHROPIC_API_KEY
+      } else {
+        process.env.ANTHROPIC_API_KEY = originalApiKey
+      }
+    })
+
+    it('should print usage for --help', async () => {
+      expect(await runCli(['--help'], write)).toBe(0)
+      expect(output).toBe(USAGE)
+    })
+
+    it('should print usage and fail without a range', async () => {
+      expect(await runCli([], write)).toBe(1)
+      expect(output).toBe(USAGE)
+    })
+
+    it('should print the generated description', async () => {
+      process.env.ANTHROPIC_API_KEY = 'env-key'
+
+      const code = await runCli(
+        [
+          'main..feature',
+          '--repo',
+          repo,
+          '--base-url',
+          'http://localhost:4010',
+          '--ignore-patterns',
+          'dist/**'
+        ],
+        write
+      )
+
+      expect(code).toBe(0)
+      expect(output).toBe('## Summary\nAdds a feature\n')
+      expect(Anthropic).toHaveBeenCalledWith({
+        apiKey: 'env-key',
+        maxRetries: 0,
+        baseURL: 'http://localhost:4010'
+      })
+
+      const request = _mockMessagesCreate.mock.calls[0][0]
+      expect(request.system[0].text).toContain('## Testing')
+      expect(request.messages[0].content[1].text).toContain(
+        'Pull Request Title: fixup! Add feature'
+      )
+      expect(request.messages[0].content[1].text).toContain(
+        'Files Changed:\nsrc/feature.js (added) +1 -0'
+      )
+      expect(request.messages[0].content[1].text).not.toContain(
+        'dist/feature.js'
+      )
+    })
+
+    it('should prefer the API key flag and use the prompt file from the base ref', async () => {
+      process.env.ANTHROPIC_API_KEY = 'env-key'
+      const original = repo
+      repo = mkdtempSync(path.join(tmpdir(), 'pr-desc-prompt-'))
+
+      try {
+        git('init', '-q', '-b', 'main')
+        commitFile('prompt.md', 'Write a haiku.', 'Init')
+        git('checkout', '-q', '-b', 'feature')
+        commitFile('src/app.js', 'export {}\n', 'Add app')
+        writeFileSync(path.join(repo, 'prompt.md'), 'Write a limerick.')
+
+        const code = await runCli(
+          [
+            'main..feature',
+            '--repo',
+            repo,
+            '--anthropic-api-key',
+            'flag-key',
+            '--prompt-file',
+            'prompt.md',
+            '--use-pr-template',
+            'false'
+          ],
+          write
+        )
+
+        expect(code).toBe(0)
+        expect(Anthropic).toHaveBeenCalledWith({
+          apiKey: 'flag-key',
+          maxRetries: 0
+        })
+        const systemPrompt = _mockMessagesCreate.mock.calls[0][0].system[0].text
+        expect(systemPrompt).toContain('Write a haiku.')
+        expect(systemPrompt).not.toContain('Write a limerick.')
+      } finally {
+        rmSync(repo, { recursive: true, force: true })
+        repo = original
+      }
+    })
+
+    it('should fail when the prompt file is missing', async () => {
+      const code = await runCli(
+        [
+          'main..feature',
+          '--repo',
+          repo,
+          '--anthropic-api-key',
+          'flag-key',
+          '--prompt-file',
+          'missing.md'
+        ],
+        write
+      )
+
+      expect(code).toBe(1)
+      expect(core.error).toHaveBeenCalledWith(
+        'Error: Prompt file not found or empty: missing.md'
+      )
+      expect(_mockMessagesCreate).not.toHaveBeenCalled()
+    })
+
+    it('should leave out files marked generated in the base .gitattributes', async () => {
+      const original = repo
+      repo = mkdtempSync(path.join(tmpdir(), 'pr-desc-attributes-'))
+
+      try {
+        git('init', '-q', '-b', 'main')
+        commitFile('.gitattributes', 'build/** linguist-generated\n', 'Init')
+        git('checkout', '-q', '-b', 'feature')
+        commitFile('build/out.js', 'compiled\n', 'Build')
+        commitFile('src/app.js', 'export {}\n', 'Add app')
+
+        const code = await runCli(
+          ['main..feature', '--repo', repo, '--anthropic-api-key', 'flag-key'],
+          write
+        )
+
+        expect(code).toBe(0)
+        const context =
+          _mockMessagesCreate.mock.calls[0][0].messages[0].content[1].text
+        expect(context).toContain(
+          'Left Out of the Diff (changed, but not shown):\nbuild/out.js (generated file)'
+        )
+        expect(context).toContain('+++ b/src/app.js')
+        expect(context).not.toContain('+compiled')
+      } finally {
+        rmSync(repo, { recursive: true, force: true })
+        repo = original
+      }
+    })
+
+    it('should apply the config file from the base branch', async () => {
+      const original = repo
+      repo = mkdtempSync(path.join(tmpdir(), 'pr-desc-config-'))
+
+      try {
+        git('init', '-q', '-b', 'main')
+        commitFile(
+          '.github/pr-description.yml',
+          [
+            'include: [src/**, migrations/**]',
+            'exclude: ["**/*.test.js"]',
+            'paths:',
+            '  - path: migrations/**',
+            '    instructions: Add a rollback note.',
+            'defaults:',
+            '  verbosity: terse',
+            '  use-pr-template: false',
+            ''
+          ].join('\n'),
+          'Init'
+        )
+        git('checkout', '-q', '-b', 'feature')
+        commitFile('src/app.js', 'export {}\n', 'Add app')
+        commitFile('src/app.test.js', 'test()\n', 'Test app')
+        commitFile('migrations/001.sql', 'CREATE TABLE t ();\n', 'Migrate')
+        commitFile('docs/guide.md', '# Guide\n', 'Docs')
+
+        const code = await runCli(
+          [
+            'main..feature',
+            '--repo',
+            repo,
+            '--anthropic-api-key',
+            'flag-key',
+            '--verbosity',
+            'detailed'
+          ],
+          write
+        )
+
+        expect(code).toBe(0)
+        const request = _mockMessagesCreate.mock.calls[0][0]
+        const systemPrompt = request.system[0].text
+        expect(systemPrompt).toContain(
+          'Instructions for changed paths:\n- migrations/**: Add a rollback note.'
+        )
+        expect(systemPrompt).toContain('Be thorough')
+        const context = request.messages[0].content[1].text
+        expect(context).toContain('+++ b/src/app.js')
+        expect(context).toContain('+++ b/migrations/001.sql')
+        expect(context).not.toContain('src/app.test.js')
+        expect(context).not.toContain('docs/guide.md')
+      } finally {
+        rmSync(repo, { recursive: true, force: true })
+        repo = original
+      }
+    })
+
+    it('should send every file with --exclude-profiles none', async () => {
+      const code = await runCli(
+        [
+          'main..feature',
+          '--repo',
+          repo,
+          '--anthropic-api-key',
+          'flag-key',
+          '--exclude-profiles',
+          'none'
+        ],
+        write
+      )
+
+      expect(code).toBe(0)
+      expect(
+        _mockMessagesCreate.mock.calls[0][0].messages[0].content[1].text
+      ).toContain('+bundled')
+    })
+
+    it('should fail without an API key', async () => {
+      const code = await runCli(['main..feature', '--repo', repo], write)
+
+      expect(code).toBe(1)
+      expect(output).toBe('')
+      expect(core.error).toHaveBeenCalledWith(
+        expect.stringContaining('Anthropic API key not found')
+      )
+    })
+  })
+})
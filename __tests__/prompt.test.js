@@ -0,0 +1,156 @@
+import { describe, it, expect } from '@jest/globals'
+import {
+  buildLanguagePrompt,
+  buildSystemPrompt,
+  getLanguageName,
+  LINKED_ISSUES_PROMPT,
+  STRUCTURED_SYSTEM_PROMPT,
+  SYSTEM_PROMPT,
+  TEMPLATE_SYSTEM_PROMPT
+} from '../src/prompt.js'
+
+describe('prompt.js', () => {
+  describe('buildSystemPrompt', () => {
+    it('should use the default prompt', () => {
+      expect(buildSystemPrompt({})).toBe(SYSTEM_PROMPT)
+    })
+
+    it('should use the template prompt and append the template', () => {
+      const prompt = buildSystemPrompt({ template: '## Why\n\n## How\n' })
+
+      expect(prompt.startsWith(TEMPLATE_SYSTEM_PROMPT)).toBe(true)
+      expect(prompt).toContain('Pull request template:\n## Why\n\n## How\n')
+    })
+
+    it('should replace the default prompt with a custom prompt', () => {
+      const prompt = buildSystemPrompt({
+        customPrompt: 'Write a haiku about the PR.'
+      })
+
+      expect(prompt).toBe('Write a haiku about the PR.')
+    })
+
+    it('should keep the template with a custom prompt', () => {
+      const prompt = buildSystemPrompt({
+        customPrompt: 'Custom prompt.',
+        template: '## Why'
+      })
+
+      expect(prompt).toBe('Custom prompt.\nPull request template:\n## Why\n')
+    })
+
+    it('should append extra instructions', () => {
+      const prompt = buildSystemPrompt({
+        extraInstructions: '  Mention the ticket number.  '
+      })
+
+      expect(prompt).toBe(
+        `${SYSTEM_PROMPT}\nAdditional instructions:\nMention the ticket number.\n`
+      )
+    })
+
+    it('should append extra instructions after the template', () => {
+      const prompt = buildSystemPrompt({
+        customPrompt: 'Custom prompt.',
+        template: '## Why',
+        extraInstructions: 'Be brief.'
+      })
+
+      expect(prompt).toBe(
+        'Custom prompt.\nPull request template:\n## Why\n\nAdditional instructions:\nBe brief.\n'
+      )
+    })
+
+    it('should add linked issue instructions before extra instructions', () => {
+      const prompt = buildSystemPrompt({
+        hasLinkedIssues: true,
+        extraInstructions: 'Be brief.'
+      })
+
+      expect(prompt).toBe(
+        `${SYSTEM_PROMPT}${LINKED_ISSUES_PROMPT}\nAdditional instructions:\nBe brief.\n`
+      )
+    })
+
+    it('should add language instructions before extra instructions', () => {
+      const prompt = buildSystemPrompt({
+        language: 'ja',
+        extraInstructions: 'Be brief.'
+      })
+
+      expect(prompt).toBe(
+        `${SYSTEM_PROMPT}${buildLanguagePrompt('ja')}\nAdditional instructions:\nBe brief.\n`
+      )
+      expect(prompt).toContain('Write the description in Japanese (ja)')
+      expect(prompt).toContain('untranslated')
+    })
+
+    it('should add path instructions before extra instructions', () => {
+      const prompt = buildSystemPrompt({
+        pathInstructions: [
+          {
+            path: 'migrations/**',
+            instructions: 'Add a rollback note.\n'
+          },
+          { path: 'api/**', instructions: 'List changed endpoints.' }
+        ],
+        extraInstructions: 'Be brief.'
+      })
+
+      expect(prompt).toBe(
+        `${SYSTEM_PROMPT}\nInstructions for changed paths:\n- migrations/**: Add a rollback note.\n- api/**: List changed endpoints.\n\nAdditional instructions:\nBe brief.\n`
+      )
+      expect(buildSystemPrompt({ pathInstructions: [] })).toBe(SYSTEM_PROMPT)
+    })
+
+    it.each([['en'], ['en-GB']])(
+      'should not add language instructions for %s',
+      (language) => {
+        expect(buildSystemPrompt({ language })).toBe(SYSTEM_PROMPT)
+      }
+    )
+
+    it('should add length instructions before the language', () => {
+      const prompt = buildSystemPrompt({ verbosity: 'terse', language: 'de' })
+
+      expect(prompt.indexOf('at most 5 short bullet points')).toBeGreaterThan(
+        SYSTEM_PROMPT.length - 1
+      )
+      expect(prompt.indexOf('Length:')).toBeLessThan(
+        prompt.indexOf('Language:')
+      )
+      expect(buildSystemPrompt({ verbosity: 'detailed' })).toContain(
+        'Be thorough'
+      )
+      expect(buildSystemPrompt({ verbosity: 'standard' })).toBe(SYSTEM_PROMPT)
+    })
+
+    it('should use the structured prompt without the template', () => {
+      const prompt = buildSystemPrompt({
+        structuredOutput: true,
+        template: '## Why\n',
+        extraInstructions: 'Be brief.'
+      })
+
+      expect(prompt).toBe(
+        `${STRUCTURED_SYSTEM_PROMPT}\nAdditional instructions:\nBe brief.\n`
+      )
+    })
+
+    it('should keep a custom prompt for structured output', () => {
+      expect(
+        buildSystemPrompt({ structuredOutput: true, customPrompt: 'Custom.' })
+      ).toBe('Custom.')
+    })
+  })
+
+  describe('getLanguageName', () => {
+    it.each([
+      ['ja', 'Japanese'],
+      ['de', 'German'],
+      ['pt-BR', 'Brazilian Portuguese']
+    ])('should name %s as %s', (language, name) => {
+      expect(getLanguageName(language)).toBe(name)
+    })
+  })
+})
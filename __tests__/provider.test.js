@@ -0,0 +1,511 @@
+import {
+  jest,
+  describe,
+  it,
+  expect,
+  beforeAll,
+  beforeEach,
+  afterAll,
+  afterEach
+} from '@jest/globals'
+import { createServer } from 'node:http'
+import { Anthropic, _mockMessagesCreate } from '@anthropic-ai/sdk'
+import {
+  AnthropicBedrock,
+  _mockMessagesCreate as _mockBedrockCreate
+} from '@anthropic-ai/bedrock-sdk'
+import {
+  AnthropicVertex,
+  _mockMessagesCreate as _mockVertexCreate
+} from '@anthropic-ai/vertex-sdk'
+import { createProvider } from '../src/provider.js'
+import { generatePRDescription } from '../src/claude.js'
+import { configureRetry } from '../src/retry.js'
+
+describe('provider.js', () => {
+  const providerConfig = {
+    provider: 'anthropic',
+    anthropicApiKey: 'test-api-key',
+    openaiApiKey: '',
+    baseUrl: '',
+    awsRegion: '',
+    vertexRegion: '',
+    vertexProjectId: ''
+  }
+
+  const params = {
+    model: 'test-model',
+    max_tokens: 100,
+    temperature: 0.3,
+    system: [{ type: 'text', text: 'System prompt' }],
+    messages: [
+      {
+        role: 'user',
+        content: [
+          { type: 'text', text: 'Hello ' },
+          { type: 'text', text: 'world' }
+        ]
+      }
+    ]
+  }
+
+  const message = {
+    content: [{ type: 'text', text: 'Hi' }],
+    usage: { input_tokens: 10, output_tokens: 5 }
+  }
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  describe('createProvider', () => {
+    it('should create an Anthropic client without SDK retries', async () => {
+      _mockMessagesCreate.mockResolvedValue(message)
+
+      const provider = createProvider(providerConfig)
+
+      expect(provider.name).toBe('anthropic')
+      expect(Anthropic).toHaveBeenCalledWith({
+        apiKey: 'test-api-key',
+        maxRetries: 0
+      })
+      await expect(provider.createMessage(params)).resolves.toBe(message)
+      expect(_mockMessagesCreate).toHaveBeenCalledWith(params)
+    })
+
+    it('should pass the base URL to the Anthropic client', () => {
+      createProvider({ ...providerConfig, baseUrl: 'http://localhost:4010' })
+
+      expect(Anthropic).toHaveBeenCalledWith({
+        apiKey: 'test-api-key',
+        maxRetries: 0,
+        baseURL: 'http://localhost:4010'
+      })
+    })
+
+    it('should create a Bedrock client', async () => {
+      _mockBedrockCreate.mockResolvedValue(message)
+
+      const provider = createProvider({
+        ...providerConfig,
+        provider: 'bedrock',
+        awsRegion: 'eu-west-1',
+        baseUrl: 'http://localhost:4010'
+      })
+
+      expect(provider.name).toBe('bedrock')
+      expect(AnthropicBedrock).toHaveBeenCalledWith({
+        maxRetries: 0,
+        awsRegion: 'eu-west-1',
+        baseURL: 'http://localhost:4010'
+      })
+      await expect(provider.createMessage(params)).resolves.toBe(message)
+      expect(_mockBedrockCreate).toHaveBeenCalledWith(params)
+    })
+
+    it('should leave the Bedrock region to the environment when not set', () => {
+      createProvider({ ...providerConfig, provider: 'bedrock' })
+
+      expect(AnthropicBedrock).toHaveBeenCalledWith({ maxRetries: 0 })
+    })
+
+    it('should create a Vertex client', async () => {
+      _mockVertexCreate.mockResolvedValue(message)
+
+      const provider = createProvider({
+        ...providerConfig,
+        provider: 'vertex',
+        vertexRegion: 'us-east5',
+        vertexProjectId: 'my-project'
+      })
+
+      expect(provider.name).toBe('vertex')
+      expect(AnthropicVertex).toHaveBeenCalledWith({
+        maxRetries: 0,
+        region: 'us-east5',
+        projectId: 'my-project'
+      })
+      await expect(provider.createMessage(params)).resolves.toBe(message)
+      expect(_mockVertexCreate).toHaveBeenCalledWith(params)
+    })
+
+    it('should leave the Vertex region and project to the environment when not set', () => {
+      createProvider({ ...providerConfig, provider: 'vertex' })
+
+      expect(AnthropicVertex).toHaveBeenCalledWith({ maxRetries: 0 })
+    })
+  })
+
+  describe('openai-compatible provider', () => {
+    let server
+    let baseUrl
+    let requests
+    let responses
+
+    beforeAll(async () => {
+      server = createServer((req, res) => {
+        let body = ''
+        req.on('data', (chunk) => (body += chunk))
+        req.on('end', () => {
+          requests.push({
+            url: req.url,
+            headers: req.headers,
+            body: JSON.parse(body)
+          })
+          const { status = 200, json } = responses.shift()
+          res.writeHead(status, { 'content-type': 'application/json' })
+          res.end(JSON.stringify(json))
+        })
+      })
+      await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+      baseUrl = `http://127.0.0.1:${server.address().port}/v1/`
+    })
+
+    afterAll(async () => {
+      await new Promise((resolve) => server.close(resolve))
+    })
+
+    beforeEach(() => {
+      requests = []
+      responses = []
+    })
+
+    function openAIProvider(overrides = {}) {
+      return createProvider({
+        ...providerConfig,
+        provider: 'openai-compatible',
+        openaiApiKey: 'sk-local',
+        baseUrl,
+        ...overrides
+      })
+    }
+
+    it('should translate a text request and response', async () => {
+      responses.push({
+        json: {
+          id: 'chatcmpl-1',
+          model: 'served-model',
+          choices: [
+            { message: { content: 'Hi there' }, finish_reason: 'stop' }
+          ],
+          usage: { prompt_tokens: 12, completion_tokens: 3 }
+        }
+      })
+
+      const provider = openAIProvider()
+      const result = await provider.createMessage(params)
+
+      expect(provider.name).toBe('openai-compatible')
+      expect(requests[0].url).toBe('/v1/chat/completions')
+      expect(requests[0].headers.authorization).toBe('Bearer sk-local')
+      expect(requests[0].body).toEqual({
+        model: 'test-model',
+        max_tokens: 100,
+        temperature: 0.3,
+        messages: [
+          { role: 'system', content: 'System prompt' },
+          { role: 'user', content: 'Hello world' }
+        ]
+      })
+      expect(result).toEqual({
+        id: 'chatcmpl-1',
+        type: 'message',
+        role: 'assistant',
+        model: 'served-model',
+        content: [{ type: 'text', text: 'Hi there', citations: null }],
+        stop_reason: 'end_turn',
+        stop_sequence: null,
+        usage: {
+          input_tokens: 12,
+          output_tokens: 3,
+          cache_creation_input_tokens: null,
+          cache_read_input_tokens: null,
+          server_tool_use: null,
+          service_tier: null
+        }
+      })
+    })
+
+    it('should send no authorization header without an API key', async () => {
+      responses.push({
+        json: { choices: [{ message: { content: null } }] }
+      })
+
+      const result = await openAIProvider({ openaiApiKey: '' }).createMessage({
+        model: 'test-model',
+        max_tokens: 100,
+        messages: [{ role: 'user', content: 'Plain text' }]
+      })
+
+      expect(requests[0].headers.authorization).toBeUndefined()
+      expect(requests[0].body.messages).toEqual([
+        { role: 'user', content: 'Plain text' }
+      ])
+      expect(result).toMatchObject({
+        id: '',
+        model: 'test-model',
+        content: [],
+        stop_reason: null,
+        usage: { input_tokens: 0, output_tokens: 0 }
+      })
+    })
+
+    it('should translate tools, forced tool choice and tool results', async () => {
+      responses.push({
+        json: {
+          choices: [
+            {
+              message: {
+                content: null,
+                tool_calls: [
+                  {
+                    id: 'call_2',
+                    type: 'function',
+                    function: { name: 'describe', arguments: '{"summary":"x"}' }
+                  },
+                  {
+                    id: 'call_3',
+                    type: 'function',
+                    function: { name: 'describe', arguments: 'not json' }
+                  }
+                ]
+              },
+              finish_reason: 'tool_calls'
+            }
+          ]
+        }
+      })
+
+      const result = await openAIProvider().createMessage({
+        ...params,
+        tools: [
+          {
+            name: 'describe',
+            description: 'Describe it',
+            input_schema: { type: 'object', properties: {} }
+          }
+        ],
+        tool_choice: { type: 'tool', name: 'describe' },
+        messages: [
+          params.messages[0],
+          {
+            role: 'assistant',
+            content: [
+              { type: 'tool_use', id: 'call_1', name: 'describe', input: {} }
+            ]
+          },
+          {
+            role: 'user',
+            content: [
+              {
+                type: 'tool_result',
+                tool_use_id: 'call_1',
+                is_error: true,
+                content: 'summary is missing'
+              }
+            ]
+          },
+          {
+            role: 'user',
+            content: [
+              {
+                type: 'tool_result',
+                tool_use_id: 'call_1',
+                content: [
+                  { type: 'text', text: 'Still missing' },
+                  {
+                    type: 'image',
+                    source: { type: 'url', url: 'https://example.com/a.png' }
+                  }
+                ]
+              },
+              { type: 'tool_result', tool_use_id: 'call_1' }
+            ]
+          }
+        ]
+      })
+
+      expect(requests[0].body.tools).toEqual([
+        {
+          type: 'function',
+          function: {
+            name: 'describe',
+            description: 'Describe it',
+            parameters: { type: 'object', properties: {} }
+          }
+        }
+      ])
+      expect(requests[0].body.tool_choice).toEqual({
+        type: 'function',
+        function: { name: 'describe' }
+      })
+      expect(requests[0].body.messages.slice(2)).toEqual([
+        {
+          role: 'assistant',
+          content: null,
+          tool_calls: [
+            {
+              id: 'call_1',
+              type: 'function',
+              function: { name: 'describe', arguments: '{}' }
+            }
+          ]
+        },
+        { role: 'tool', tool_call_id: 'call_1', content: 'summary is missing' },
+        { role: 'tool', tool_call_id: 'call_1', content: 'Still missing' },
+        { role: 'tool', tool_call_id: 'call_1', content: '' }
+      ])
+      expect(result.stop_reason).toBe('tool_use')
+      expect(result.content).toEqual([
+        {
+          type: 'tool_use',
+          id: 'call_2',
+          name: 'describe',
+          input: { summary: 'x' }
+        },
+        { type: 'tool_use', id: 'call_3', name: 'describe', input: 'not json' }
+      ])
+    })
+
+    it('should not send tool_choice when Claude may choose', async () => {
+      responses.push({ json: { choices: [{ message: { content: 'ok' } }] } })
+
+      await openAIProvider().createMessage({
+        ...params,
+        system: undefined,
+        tool_choice: { type: 'auto' }
+      })
+
+      expect(requests[0].body.tool_choice).toBeUndefined()
+      expect(requests[0].body.tools).toBeUndefined()
+      expect(requests[0].body.messages[0].role).toBe('user')
+    })
+
+    it('should reject unsupported content blocks', async () => {
+      await expect(
+        openAIProvider().createMessage({
+          ...params,
+          messages: [
+            {
+              role: 'user',
+              content: [
+                {
+                  type: 'image',
+                  source: { type: 'url', url: 'https://example.com/a.png' }
+                }
+              ]
+            }
+          ]
+        })
+      ).rejects.toThrow(
+        'The openai-compatible provider does not support image content'
+      )
+      expect(requests).toHaveLength(0)
+    })
+
+    it('should throw an error with the status of a failed request', async () => {
+      responses.push({ status: 503, json: { error: 'loading model' } })
+
+      await expect(
+        openAIProvider().createMessage(params)
+      ).rejects.toMatchObject({
+        status: 503,
+        message: 'OpenAI-compatible API returned 503: {"error":"loading model"}'
+      })
+    })
+
+    it('should time out requests after 10 minutes', async () => {
+      const timeout = jest
+        .spyOn(AbortSignal, 'timeout')
+        .mockReturnValue(
+          AbortSignal.abort(new DOMException('Timed out', 'TimeoutError'))
+        )
+
+      await expect(
+        openAIProvider().createMessage(params)
+      ).rejects.toMatchObject({ name: 'TimeoutError' })
+      expect(timeout).toHaveBeenCalledWith(600000)
+      expect(requests).toHaveLength(0)
+    })
+
+    it('should throw when the response has no choices', async () => {
+      responses.push({ json: { choices: [] } })
+
+      await expect(openAIProvider().createMessage(params)).rejects.toThrow(
+        'OpenAI-compatible API returned no choices'
+      )
+    })
+
+    it('should run the structured pipeline against a local server', async () => {
+      jest.spyOn(console, 'log').mockImplementation(() => {})
+      configureRetry({ attempts: 2, baseDelayMs: 0, maxDelayMs: 0 })
+      responses.push(
+        { status: 500, json: { error: 'busy' } },
+        {
+          json: {
+            choices: [
+              {
+                message: {
+                  content: null,
+                  tool_calls: [
+                    {
+                      id: 'call_1',
+                      type: 'function',
+                      function: {
+                        name: 'describe_pull_request',
+                        arguments: JSON.stringify({
+                          summary: 'Adds a provider layer',
+                          change_type: 'feature',
+                          changes: ['Add providers'],
+                          breaking_changes: [],
+                          risk_level: 'low',
+                          testing_notes: '',
+                          related_issues: []
+                        })
+                      }
+                    }
+                  ]
+                },
+                finish_reason: 'tool_calls'
+              }
+            ],
+            usage: { prompt_tokens: 100, completion_tokens: 20 }
+          }
+        }
+      )
+
+      try {
+        const description = await generatePRDescription(
+          openAIProvider(),
+          {
+            prInfo: { number: 1, title: 'Add providers', author: 'octocat' },
+            commitMessages: 'abc123 Add providers',
+            diff: '+added line'
+          },
+          {
+            model: 'llama3',
+            maxTokens: 1000,
+            temperature: 0.3,
+            tokenBudget: 100000,
+            chunkConcurrency: 3,
+            structuredOutput: true
+          }
+        )
+
+        expect(requests).toHaveLength(2)
+        expect(requests[1].body.model).toBe('llama3')
+        expect(requests[1].body.tool_choice.function.name).toBe(
+          'describe_pull_request'
+        )
+        expect(description).toContain('## Summary\nAdds a provider layer')
+        expect(description).toContain('## Risk Level\nLow')
+      } finally {
+        configureRetry({})
+      }
+    })
+  })
+})
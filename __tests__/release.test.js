@@ -0,0 +1,659 @@
+import {
+  jest,
+  describe,
+  it,
+  expect,
+  beforeEach,
+  afterEach
+} from '@jest/globals'
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs'
+import { tmpdir } from 'node:os'
+import path from 'node:path'
+import * as core from '@actions/core'
+import * as github from '@actions/github'
+import { _mockMessagesCreate } from '@anthropic-ai/sdk'
+import { SECTION_END_MARKER, SECTION_START_MARKER } from '../src/body.js'
+import {
+  buildReleaseContext,
+  createReleaseNotes,
+  deliverReleaseNotes,
+  describePullRequests,
+  formatContributors,
+  insertChangelogSection,
+  listMergedPullRequests,
+  readGeneratedDescription
+} from '../src/release.js'
+import { renderUpdates } from '../src/updates.js'
+import { getConfig, parsePRInfo } from '../src/validation.js'
+
+/**
+ * A pull request as the API returns it, merged on the given day of January
+ */
+function pullRequest(number, overrides = {}) {
+  return {
+    number,
+    title: `Change ${number}`,
+    user: { login: `author${number}`, type: 'User' },
+    base: { sha: `base${number}` },
+    head: { sha: `head${number}`, ref: `branch-${number}` },
+    html_url: `https://github.com/test-owner/test-repo/pull/${number}`,
+    body: '',
+    draft: false,
+    labels: [],
+    merged_at: `2026-01-${String(number).padStart(2, '0')}T00:00:00Z`,
+    merge_commit_sha: `merge${number}`,
+    ...overrides
+  }
+}
+
+function generatedBody(description) {
+  return `Notes\n\n${SECTION_START_MARKER}\n${description}\n${SECTION_END_MARKER}`
+}
+
+const textResponse = (text) => ({
+  content: [{ type: 'text', text }],
+  usage: { input_tokens: 100, output_tokens: 50 }
+})
+
+describe('release.js', () => {
+  const provider = { name: 'anthropic', createMessage: _mockMessagesCreate }
+  const range = { base: 'v1.2.0', head: 'v1.3.0', tag: 'v1.3.0' }
+  let mockOctokit
+  let inputs
+
+  const readConfig = () =>
+    getConfig((name) => inputs[name] ?? '', { repoConfig: null })
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+    mockOctokit = github.getOctokit('fake-token')
+    inputs = {
+      'anthropic-api-key': 'test-anthropic-key',
+      'github-token': 'test-github-token',
+      mode: 'release-notes'
+    }
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  describe('listMergedPullRequests', () => {
+    it('should list pull requests merged in the range, oldest first', async () => {
+      const commits = Array.from({ length: 101 }, (_, index) => ({
+        sha: `sha${index}`
+      }))
+      commits[40].sha = 'merge2'
+      commits[100].sha = 'merge1'
+      mockOctokit.rest.repos.compareCommitsWithBasehead.mockImplementation(
+        async ({ page }) => ({
+          data: {
+            total_commits: 101,
+            commits: commits.slice((page - 1) * 100, page * 100)
+          }
+        })
+      )
+      mockOctokit.rest.repos.listPullRequestsAssociatedWithCommit.mockImplementation(
+        async ({ commit_sha }) => {
+          if (commit_sha === 'merge1') return { data: [pullRequest(1)] }
+          if (commit_sha === 'merge2') {
+            return {
+              data: [
+                pullRequest(2),
+                // Merged into another branch, or not merged at all
+                pullRequest(3, { merge_commit_sha: 'elsewhere' }),
+                pullRequest(4, { merged_at: null })
+              ]
+            }
+          }
+          if (commit_sha === 'sha7') return { data: [pullRequest(2)] }
+          return { data: [] }
+        }
+      )
+
+      const pullRequests = await listMergedPullRequests(mockOctokit, range)
+
+      expect(pullRequests.map((pr) => pr.number)).toEqual([1, 2])
+      expect(pullRequests[0]).toEqual(parsePRInfo(pullRequest(1)))
+      expect(
+        mockOctokit.rest.repos.compareCommitsWithBasehead
+      ).toHaveBeenCalledWith({
+        owner: 'test-owner',
+        repo: 'test-repo',
+        basehead: 'v1.2.0...v1.3.0',
+        per_page: 100,
+        page: 2
+      })
+      expect(
+        mockOctokit.rest.repos.listPullRequestsAssociatedWithCommit
+      ).toHaveBeenCalledTimes(101)
+      expect(core.info).toHaveBeenCalledWith(
+        'Found 101 commits in v1.2.0...v1.3.0'
+      )
+    })
+
+    it('should stop once every commit of the range is listed', async () => {
+      mockOctokit.rest.repos.compareCommitsWithBasehead.mockResolvedValue({
+        data: {
+          total_commits: 100,
+          commits: Array.from({ length: 100 }, (_, index) => ({
+            sha: `sha${index}`
+          }))
+        }
+      })
+      mockOctokit.rest.repos.listPullRequestsAssociatedWithCommit.mockResolvedValue(
+        { data: [] }
+      )
+
+      expect(await listMergedPullRequests(mockOctokit, range)).toEqual([])
+      expect(
+        mockOctokit.rest.repos.compareCommitsWithBasehead
+      ).toHaveBeenCalledTimes(1)
+    })
+
+    it('should report API errors', async () => {
+      mockOctokit.rest.repos.compareCommitsWithBasehead.mockRejectedValue(
+        new Error('Not Found')
+      )
+
+      await expect(listMergedPullRequests(mockOctokit, range)).rejects.toThrow(
+        'Failed to list merged pull requests: Error: Not Found'
+      )
+    })
+  })
+
+  describe('readGeneratedDescription', () => {
+    it('should leave out the Updates section', () => {
+      expect(
+        readGeneratedDescription(
+          generatedBody(
+            `## Summary\nAdds retries.\n\n${renderUpdates(['### 2026-10-19 (aaaaaaa...bbbbbbb)\n\n- Adds jitter'])}`
+          )
+        )
+      ).toBe('## Summary\nAdds retries.')
+    })
+
+    it('should read the managed section without markers and the files table', () => {
+      expect(
+        readGeneratedDescription(
+          generatedBody(
+            '## Summary\nAdds retries.\n\n<details>\n<summary>Files changed</summary>\n\n| File |\n</details>\n\n<!-- pr-desc-fingerprint: abc -->'
+          )
+        )
+      ).toBe('## Summary\nAdds retries.')
+    })
+
+    it('should return null when there is no generated description', () => {
+      expect(readGeneratedDescription('Written by hand')).toBeNull()
+      expect(
+        readGeneratedDescription(generatedBody('<!-- pr-desc-labels: [] -->'))
+      ).toBeNull()
+    })
+  })
+
+  describe('describePullRequests', () => {
+    const diff = `diff --git a/src/retry.ts b/src/retry.ts
+--- a/src/retry.ts
++++ b/src/retry.ts
+@@ -1 +1 @@
+-old
++new
+`
+
+    beforeEach(() => {
+      mockOctokit.rest.repos.compareCommitsWithBasehead.mockResolvedValue({
+        data: diff
+      })
+      mockOctokit.rest.pulls.listCommits.mockResolvedValue({
+        data: [
+          { sha: 'abc1234', commit: { message: 'Retry calls' }, parents: [] }
+        ]
+      })
+      _mockMessagesCreate.mockResolvedValue(
+        textResponse('## Summary\nRegenerated.')
+      )
+    })
+
+    it('should use generated descriptions and describe the other pull requests again', async () => {
+      const pullRequests = [
+        parsePRInfo(pullRequest(1, { body: generatedBody('Generated.') })),
+        parsePRInfo(pullRequest(2, { body: 'Written by hand' }))
+      ]
+
+      const described = await describePullRequests(
+        mockOctokit,
+        provider,
+        pullRequests,
+        readConfig()
+      )
+
+      expect(described).toEqual([
+        { prInfo: pullRequests[0], description: 'Generated.' },
+        { prInfo: pullRequests[1], description: '## Summary\nRegenerated.' }
+      ])
+      expect(core.info).toHaveBeenCalledWith(
+        'Generating descriptions for 1 pull requests'
+      )
+      expect(
+        mockOctokit.rest.repos.compareCommitsWithBasehead
+      ).toHaveBeenCalledWith(
+        expect.objectContaining({ basehead: 'base2...head2' })
+      )
+      expect(_mockMessagesCreate).toHaveBeenCalledTimes(1)
+    })
+
+    it('should describe every pull request again when force is set', async () => {
+      inputs.force = 'true'
+      const pullRequests = [
+        parsePRInfo(pullRequest(1, { body: generatedBody('Generated.') }))
+      ]
+
+      const described = await describePullRequests(
+        mockOctokit,
+        provider,
+        pullRequests,
+        readConfig()
+      )
+
+      expect(described[0].description).toBe('## Summary\nRegenerated.')
+    })
+
+    it('should fall back to the body when a description cannot be generated', async () => {
+      mockOctokit.rest.repos.compareCommitsWithBasehead.mockRejectedValue(
+        new Error('No common ancestor')
+      )
+      const pullRequests = [
+        parsePRInfo(pullRequest(3, { body: 'Written by hand' }))
+      ]
+
+      const described = await describePullRequests(
+        mockOctokit,
+        provider,
+        pullRequests,
+        readConfig()
+      )
+
+      expect(described[0].description).toBe('Written by hand')
+      expect(core.warning).toHaveBeenCalledWith(
+        'Could not describe #3, using its body instead: Error: Failed to generate diff: Error: No common ancestor'
+      )
+    })
+
+    it('should not log anything when every description exists', async () => {
+      await describePullRequests(
+        mockOctokit,
+        provider,
+        [parsePRInfo(pullRequest(1, { body: generatedBody('Generated.') }))],
+        readConfig()
+      )
+
+      expect(core.info).not.toHaveBeenCalledWith(
+        expect.stringContaining('Generating descriptions')
+      )
+    })
+  })
+
+  describe('buildReleaseContext', () => {
+    it('should list every pull request with its description', () => {
+      const prInfo = parsePRInfo(
+        pullRequest(12, { labels: [{ name: 'bug' }, { name: 'api' }] })
+      )
+
+      expect(
+        buildReleaseContext(
+          range,
+          [
+            { prInfo, description: '## Summary\nAdds retries.\n' },
+            {
+              prInfo: parsePRInfo(pullRequest(13)),
+              description: '  '
+            }
+          ],
+          100000
+        )
+      ).toBe(`Release: v1.3.0 (v1.2.0...v1.3.0)
+
+## #12: Change 12
+Author: @author12
+Labels: bug, api
+
+## Summary
+Adds retries.
+
+## #13: Change 13
+Author: @author13
+
+(no description)`)
+    })
+
+    it('should shorten descriptions to share the token budget', () => {
+      const context = buildReleaseContext(
+        { ...range, tag: '' },
+        [
+          {
+            prInfo: parsePRInfo(pullRequest(1)),
+            description: 'word '.repeat(5000)
+          }
+        ],
+        2000
+      )
+
+      expect(context.startsWith('Release: v1.3.0 (v1.2.0...v1.3.0)')).toBe(true)
+      expect(context.length).toBeLessThan(10000)
+      expect(context).toContain('truncated')
+    })
+  })
+
+  describe('formatContributors', () => {
+    it('should list authors once in the order of their first merge, without bots', () => {
+      expect(
+        formatContributors([
+          parsePRInfo(pullRequest(1, { user: { login: 'octocat' } })),
+          parsePRInfo(
+            pullRequest(2, { user: { login: 'renovate[bot]', type: 'Bot' } })
+          ),
+          parsePRInfo(pullRequest(3, { user: { login: 'hubot' } })),
+          parsePRInfo(pullRequest(4, { user: { login: 'octocat' } }))
+        ])
+      ).toBe('### Contributors\n\n@octocat, @hubot')
+    })
+
+    it('should return nothing when only bots contributed', () => {
+      expect(
+        formatContributors([
+          parsePRInfo(pullRequest(1, { user: { login: 'dependabot[bot]' } }))
+        ])
+      ).toBe('')
+    })
+  })
+
+  describe('insertChangelogSection', () => {
+    const notes = '### Fixes\n- Retry rate-limited calls (#12)\n'
+
+    it('should create a changelog', () => {
+      expect(insertChangelogSection('', 'v1.3.0', notes, '2026-10-19')).toBe(
+        '# Changelog\n\n## v1.3.0 - 2026-10-19\n\n### Fixes\n- Retry rate-limited calls (#12)\n'
+      )
+    })
+
+    it('should add the section before the previous release', () => {
+      expect(
+        insertChangelogSection(
+          '# Changelog\n\nAll notable changes.\n\n## v1.2.0 - 2026-09-01\n\n- Old\n',
+          'v1.3.0',
+          notes,
+          '2026-10-19'
+        )
+      ).toBe(
+        '# Changelog\n\nAll notable changes.\n\n## v1.3.0 - 2026-10-19\n\n### Fixes\n- Retry rate-limited calls (#12)\n\n## v1.2.0 - 2026-09-01\n\n- Old\n'
+      )
+    })
+
+    it('should replace the section of the same release', () => {
+      const changelog =
+        '# Changelog\n\n## v1.3.0 - 2026-10-18\n\n- Stale\n\n## v1.3.0-rc.1\n\n- Candidate\n'
+
+      expect(
+        insertChangelogSection(changelog, 'v1.3.0', notes, '2026-10-19')
+      ).toBe(
+        '# Changelog\n\n## v1.3.0 - 2026-10-19\n\n### Fixes\n- Retry rate-limited calls (#12)\n\n## v1.3.0-rc.1\n\n- Candidate\n'
+      )
+      expect(
+        insertChangelogSection(
+          '# Changelog\n\n## v1.3.0\n\n- Stale\n',
+          'v1.3.0',
+          notes,
+          '2026-10-19'
+        )
+      ).toBe(
+        '# Changelog\n\n## v1.3.0 - 2026-10-19\n\n### Fixes\n- Retry rate-limited calls (#12)\n'
+      )
+    })
+
+    it('should append the section to a changelog without releases', () => {
+      expect(
+        insertChangelogSection('# Changelog\n', 'v1.3.0', notes, '2026-10-19')
+      ).toBe(
+        '# Changelog\n\n## v1.3.0 - 2026-10-19\n\n### Fixes\n- Retry rate-limited calls (#12)\n'
+      )
+    })
+
+    it('should date the section today when no date is given', () => {
+      expect(insertChangelogSection('', 'v1.3.0', notes)).toContain(
+        `## v1.3.0 - ${new Date().toISOString().slice(0, 10)}`
+      )
+    })
+  })
+
+  describe('deliverReleaseNotes', () => {
+    const notes = '### Fixes\n- Retry rate-limited calls (#12)'
+    let dir
+
+    beforeEach(() => {
+      dir = mkdtempSync(path.join(tmpdir(), 'pr-desc-release-'))
+      mockOctokit.rest.repos.listReleases.mockResolvedValue({
+        data: [{ id: 1, tag_name: 'v1.2.0', draft: false }]
+      })
+    })
+
+    afterEach(() => {
+      rmSync(dir, { recursive: true, force: true })
+    })
+
+    it('should create a draft release', async () => {
+      mockOctokit.rest.repos.createRelease.mockResolvedValue({
+        data: { html_url: 'https://github.com/releases/v1.3.0' }
+      })
+
+      await deliverReleaseNotes(mockOctokit, notes, range, {
+        releaseNotesOutput: 'release',
+        releaseNotesFile: ''
+      })
+
+      expect(mockOctokit.rest.repos.createRelease).toHaveBeenCalledWith({
+        owner: 'test-owner',
+        repo: 'test-repo',
+        tag_name: 'v1.3.0',
+        target_commitish: 'v1.3.0',
+        name: 'v1.3.0',
+        body: notes,
+        draft: true
+      })
+      expect(core.setOutput).toHaveBeenCalledWith(
+        'release-url',
+        'https://github.com/releases/v1.3.0'
+      )
+    })
+
+    it('should update the notes of a draft release', async () => {
+      mockOctokit.rest.repos.listReleases.mockResolvedValue({
+        data: [{ id: 7, tag_name: 'v1.3.0', draft: true }]
+      })
+      mockOctokit.rest.repos.updateRelease.mockResolvedValue({
+        data: { html_url: 'https://github.com/releases/v1.3.0' }
+      })
+
+      await deliverReleaseNotes(mockOctokit, notes, range, {
+        releaseNotesOutput: 'release',
+        releaseNotesFile: ''
+      })
+
+      expect(mockOctokit.rest.repos.updateRelease).toHaveBeenCalledWith({
+        owner: 'test-owner',
+        repo: 'test-repo',
+        release_id: 7,
+        body: notes
+      })
+      expect(mockOctokit.rest.repos.createRelease).not.toHaveBeenCalled()
+      expect(core.info).toHaveBeenCalledWith(
+        'Updated draft release v1.3.0: https://github.com/releases/v1.3.0'
+      )
+    })
+
+    it('should leave a published release alone', async () => {
+      mockOctokit.rest.repos.listReleases.mockResolvedValue({
+        data: [
+          {
+            id: 7,
+            tag_name: 'v1.3.0',
+            draft: false,
+            html_url: 'https://github.com/releases/v1.3.0'
+          }
+        ]
+      })
+
+      await deliverReleaseNotes(mockOctokit, notes, range, {
+        releaseNotesOutput: 'release',
+        releaseNotesFile: ''
+      })
+
+      expect(mockOctokit.rest.repos.updateRelease).not.toHaveBeenCalled()
+      expect(core.warning).toHaveBeenCalledWith(
+        'Release v1.3.0 is already published, not changing its notes'
+      )
+      expect(core.setOutput).toHaveBeenCalledWith(
+        'release-url',
+        'https://github.com/releases/v1.3.0'
+      )
+    })
+
+    it('should add a section to the changelog', async () => {
+      const changelog = path.join(dir, 'CHANGELOG.md')
+      const options = {
+        releaseNotesOutput: 'changelog',
+        releaseNotesFile: changelog
+      }
+
+      await deliverReleaseNotes(mockOctokit, notes, range, options)
+      expect(readFileSync(changelog, 'utf8')).toMatch(
+        /^# Changelog\n\n## v1\.3\.0 - \d{4}-\d{2}-\d{2}\n\n### Fixes\n/
+      )
+
+      writeFileSync(changelog, '# Changelog\n\n## v1.2.0\n\n- Old\n')
+      await deliverReleaseNotes(
+        mockOctokit,
+        notes,
+        { ...range, tag: '' },
+        options
+      )
+      expect(readFileSync(changelog, 'utf8')).toMatch(
+        /^# Changelog\n\n## v1\.3\.0 - .*\n\n### Fixes\n- Retry rate-limited calls \(#12\)\n\n## v1\.2\.0\n/
+      )
+      expect(core.info).toHaveBeenCalledWith(
+        `Added the release notes to ${changelog}`
+      )
+    })
+
+    it('should write the notes to a file', async () => {
+      const file = path.join(dir, 'RELEASE_NOTES.md')
+
+      await deliverReleaseNotes(mockOctokit, notes, range, {
+        releaseNotesOutput: 'file',
+        releaseNotesFile: file
+      })
+
+      expect(readFileSync(file, 'utf8')).toBe(`${notes}\n`)
+    })
+
+    it('should only log in output-only mode', async () => {
+      await deliverReleaseNotes(mockOctokit, notes, range, {
+        releaseNotesOutput: 'output-only',
+        releaseNotesFile: ''
+      })
+
+      expect(core.info).toHaveBeenCalledWith(
+        'Output-only, not writing the release notes anywhere'
+      )
+    })
+
+    it('should report errors', async () => {
+      await expect(
+        deliverReleaseNotes(mockOctokit, notes, range, {
+          releaseNotesOutput: 'changelog',
+          releaseNotesFile: dir
+        })
+      ).rejects.toThrow('Failed to deliver release notes: Error: EISDIR')
+    })
+  })
+
+  describe('createReleaseNotes', () => {
+    beforeEach(() => {
+      mockOctokit.rest.repos.compareCommitsWithBasehead.mockResolvedValue({
+        data: { total_commits: 1, commits: [{ sha: 'merge1' }] }
+      })
+      mockOctokit.rest.repos.listPullRequestsAssociatedWithCommit.mockResolvedValue(
+        {
+          data: [pullRequest(1, { body: generatedBody('Adds retries.') })]
+        }
+      )
+      _mockMessagesCreate.mockResolvedValue(
+        textResponse('### Features\n- Retry rate-limited calls (#1)\n')
+      )
+    })
+
+    it('should write and deliver release notes with their contributors', async () => {
+      inputs['release-notes-output'] = 'output-only'
+
+      const releaseNotes = await createReleaseNotes(
+        mockOctokit,
+        provider,
+        range,
+        readConfig()
+      )
+
+      expect(releaseNotes).toBe(
+        '### Features\n- Retry rate-limited calls (#1)\n\n### Contributors\n\n@author1'
+      )
+      expect(
+        _mockMessagesCreate.mock.calls[0][0].messages[0].content[0].text
+      ).toContain('## #1: Change 1\nAuthor: @author1\n\nAdds retries.')
+      expect(core.info).toHaveBeenCalledWith('Merged pull requests: #1')
+    })
+
+    it('should leave out the contributors when only bots contributed', async () => {
+      inputs['release-notes-output'] = 'output-only'
+      mockOctokit.rest.repos.listPullRequestsAssociatedWithCommit.mockResolvedValue(
+        {
+          data: [
+            pullRequest(1, {
+              user: { login: 'renovate[bot]', type: 'Bot' },
+              body: generatedBody('Updates dependencies.')
+            })
+          ]
+        }
+      )
+      _mockMessagesCreate.mockResolvedValue(textResponse('### Other Changes'))
+
+      expect(
+        await createReleaseNotes(mockOctokit, provider, range, readConfig())
+      ).toBe('### Other Changes')
+    })
+
+    it('should return null when no pull request was merged', async () => {
+      mockOctokit.rest.repos.listPullRequestsAssociatedWithCommit.mockResolvedValue(
+        { data: [] }
+      )
+
+      expect(
+        await createReleaseNotes(mockOctokit, provider, range, readConfig())
+      ).toBeNull()
+      expect(_mockMessagesCreate).not.toHaveBeenCalled()
+    })
+
+    it('should require a tag to create a release', async () => {
+      await expect(
+        createReleaseNotes(
+          mockOctokit,
+          provider,
+          { ...range, tag: '' },
+          readConfig()
+        )
+      ).rejects.toThrow(
+        'release-tag is required to create a GitHub Release when release-range does not end with a tag'
+      )
+      expect(
+        mockOctokit.rest.repos.compareCommitsWithBasehead
+      ).not.toHaveBeenCalled()
+    })
+  })
+})
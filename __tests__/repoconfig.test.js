@@ -0,0 +1,235 @@
+import {
+  jest,
+  describe,
+  it,
+  expect,
+  beforeEach,
+  afterEach
+} from '@jest/globals'
+import { readFileSync } from 'node:fs'
+import { parse } from 'yaml'
+import * as core from '@actions/core'
+import * as github from '@actions/github'
+import {
+  loadRepoConfig,
+  parseRepoConfig,
+  REPO_CONFIG_INPUTS,
+  REPO_CONFIG_PATH,
+  selectPathInstructions
+} from '../src/repoconfig.js'
+
+describe('repoconfig.js', () => {
+  beforeEach(() => {
+    jest.clearAllMocks()
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  describe('REPO_CONFIG_INPUTS', () => {
+    it('should cover every action input except workflow-only ones', () => {
+      const { inputs } = parse(readFileSync('action.yml', 'utf8'))
+
+      expect(
+        Object.keys(inputs).filter((name) => !REPO_CONFIG_INPUTS.includes(name))
+      ).toEqual([
+        'anthropic-api-key',
+        'openai-api-key',
+        'github-token',
+        'pr-number',
+        'release-range',
+        'release-tag',
+        'ignore-patterns',
+        'include-patterns'
+      ])
+      for (const name of REPO_CONFIG_INPUTS) {
+        expect(inputs[name].default).toBe('')
+      }
+    })
+  })
+
+  describe('parseRepoConfig', () => {
+    it('should parse every setting', () => {
+      const repoConfig = parseRepoConfig(`
+include:
+  - src/**
+  - docs/**
+exclude:
+  - "**/*.snap"
+  - "!src/__snapshots__/keep.snap"
+paths:
+  - path: migrations/**
+    instructions: |
+      Changes under migrations/ need a rollback note.
+defaults:
+  mode: comment
+  files-table: true
+  max-tokens: 2000
+  skip-labels: [no-description, wip]
+  redact-patterns:
+    - ACME-[0-9]+
+    - internal\\.example\\.com
+  label-map:
+    fix: bug
+    chore:
+`)
+
+      expect(repoConfig).toEqual({
+        include: ['src/**', 'docs/**'],
+        exclude: ['**/*.snap', '!src/__snapshots__/keep.snap'],
+        pathInstructions: [
+          {
+            path: 'migrations/**',
+            instructions: 'Changes under migrations/ need a rollback note.'
+          }
+        ],
+        defaults: {
+          mode: 'comment',
+          'files-table': 'true',
+          'max-tokens': '2000',
+          'skip-labels': 'no-description,wip',
+          'redact-patterns': 'ACME-[0-9]+\ninternal\\.example\\.com',
+          'label-map': 'fix=bug,chore='
+        }
+      })
+    })
+
+    it.each([[''], ['# nothing configured yet\n']])(
+      'should treat an empty file as no settings',
+      (content) => {
+        expect(parseRepoConfig(content)).toEqual({
+          include: [],
+          exclude: [],
+          pathInstructions: [],
+          defaults: {}
+        })
+      }
+    )
+
+    it('should report YAML syntax errors', () => {
+      expect(() => parseRepoConfig('include: [src/**\nmode: body')).toThrow(
+        `Failed to parse ${REPO_CONFIG_PATH}: YAMLParseError`
+      )
+    })
+
+    it('should require a mapping at the top level', () => {
+      expect(() => parseRepoConfig('- src/**')).toThrow(
+        `Invalid ${REPO_CONFIG_PATH}: must be a mapping of settings (include, exclude, paths, defaults)`
+      )
+    })
+
+    it('should report every schema error at once', () => {
+      expect(() =>
+        parseRepoConfig(`
+includes: [src/**]
+exclude: dist/**
+paths:
+  - path: migrations/**
+  - instructions: No path
+    note: extra
+  - not a mapping
+defaults:
+  mdoe: comment
+  anthropic-api-key: sk-ant-example
+  ignore-patterns: dist/**
+  mode: [body, comment]
+  skip-labels: [[nested]]
+  model:
+`)
+      ).toThrow(
+        [
+          `Invalid ${REPO_CONFIG_PATH}:`,
+          '- unknown setting includes. Expected one of: include, exclude, paths, defaults',
+          '- exclude must be a list of glob patterns',
+          '- paths[0].instructions must be a non-empty string',
+          '- paths[1] has unknown keys: note. Expected path and instructions',
+          '- paths[1].path must be a glob pattern',
+          '- paths[2] must be a mapping with path and instructions',
+          '- defaults.mdoe is not an input of this action',
+          `- defaults.anthropic-api-key cannot be set in ${REPO_CONFIG_PATH}; pass it as an action input from a secret`,
+          `- defaults.ignore-patterns cannot be set in ${REPO_CONFIG_PATH}; use exclude`,
+          '- defaults.mode must be a string, number or boolean',
+          '- defaults.skip-labels must be a string, number or boolean, or a list of them',
+          '- defaults.model must be a string, number or boolean'
+        ].join('\n')
+      )
+    })
+
+    it('should not let defaults switch to release-notes mode', () => {
+      expect(() => parseRepoConfig('defaults:\n  mode: release-notes')).toThrow(
+        `Invalid ${REPO_CONFIG_PATH}:\n- defaults.mode cannot be release-notes; pass mode: release-notes as an action input`
+      )
+    })
+
+    it('should require paths and defaults to have the right shape', () => {
+      expect(() =>
+        parseRepoConfig('paths: migrations/**\ndefaults: [mode]')
+      ).toThrow(
+        [
+          `Invalid ${REPO_CONFIG_PATH}:`,
+          '- paths must be a list of { path, instructions } entries',
+          '- defaults must be a mapping of input names to values'
+        ].join('\n')
+      )
+    })
+  })
+
+  describe('loadRepoConfig', () => {
+    let mockOctokit
+
+    beforeEach(() => {
+      mockOctokit = github.getOctokit('fake-token')
+    })
+
+    it('should load the config file from the given ref', async () => {
+      mockOctokit.rest.repos.getContent.mockResolvedValue({
+        data: {
+          type: 'file',
+          content: Buffer.from('defaults:\n  mode: comment\n').toString(
+            'base64'
+          )
+        }
+      })
+
+      const repoConfig = await loadRepoConfig(mockOctokit, 'base-sha')
+
+      expect(repoConfig.defaults).toEqual({ mode: 'comment' })
+      expect(mockOctokit.rest.repos.getContent).toHaveBeenCalledWith({
+        owner: 'test-owner',
+        repo: 'test-repo',
+        path: REPO_CONFIG_PATH,
+        ref: 'base-sha'
+      })
+      expect(core.info).toHaveBeenCalledWith(
+        `Using settings from ${REPO_CONFIG_PATH}`
+      )
+    })
+
+    it('should return null when there is no config file', async () => {
+      mockOctokit.rest.repos.getContent.mockRejectedValue(
+        Object.assign(new Error('Not Found'), { status: 404 })
+      )
+
+      expect(await loadRepoConfig(mockOctokit, 'base-sha')).toBeNull()
+    })
+  })
+
+  describe('selectPathInstructions', () => {
+    it('should keep the instructions whose path matches a changed file', () => {
+      const migrations = {
+        path: 'migrations/**',
+        instructions: 'Add a rollback note.'
+      }
+      const api = { path: 'src/api/**', instructions: 'List endpoints.' }
+
+      expect(
+        selectPathInstructions(
+          [migrations, api],
+          ['README.md', 'migrations/001_users.sql']
+        )
+      ).toEqual([migrations])
+      expect(selectPathInstructions([migrations, api], [])).toEqual([])
+    })
+  })
+})
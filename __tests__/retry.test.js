@@ -0,0 +1,430 @@
+import {
+  jest,
+  describe,
+  it,
+  expect,
+  beforeEach,
+  afterEach
+} from '@jest/globals'
+import * as core from '@actions/core'
+import {
+  withRetry,
+  withCreateRetry,
+  configureRetry,
+  isRateLimitError,
+  isRetryableError,
+  getRetryAfterMs,
+  DEFAULT_RETRY_OPTIONS
+} from '../src/retry.js'
+
+describe('retry.js', () => {
+  const noDelay = {
+    attempts: 3,
+    baseDelayMs: 0,
+    maxDelayMs: 0,
+    maxRetryAfterMs: 0
+  }
+  const httpError = (status, extra = {}) =>
+    Object.assign(new Error(`HTTP ${status}`), { status, ...extra })
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+  })
+
+  afterEach(() => {
+    jest.useRealTimers()
+    jest.restoreAllMocks()
+    configureRetry({})
+  })
+
+  describe('isRetryableError', () => {
+    it.each([[408], [429], [500], [502], [503], [504], [529]])(
+      'should retry status %d',
+      (status) => {
+        expect(isRetryableError(httpError(status))).toBe(true)
+      }
+    )
+
+    it.each([[400], [401], [404], [409], [422]])(
+      'should not retry status %d',
+      (status) => {
+        expect(isRetryableError(httpError(status))).toBe(false)
+      }
+    )
+
+    it('should not retry a plain 403', () => {
+      expect(isRetryableError(httpError(403))).toBe(false)
+    })
+
+    it('should retry a GitHub secondary rate limit', () => {
+      const error = Object.assign(
+        new Error('You have exceeded a secondary rate limit'),
+        { status: 403 }
+      )
+
+      expect(isRetryableError(error)).toBe(true)
+    })
+
+    it('should retry a 403 with a retry-after header', () => {
+      expect(
+        isRetryableError(
+          httpError(403, { response: { headers: { 'retry-after': '60' } } })
+        )
+      ).toBe(true)
+    })
+
+    it('should retry a 403 with an exhausted primary rate limit', () => {
+      expect(
+        isRetryableError(
+          httpError(403, {
+            response: { headers: { 'x-ratelimit-remaining': '0' } }
+          })
+        )
+      ).toBe(true)
+    })
+
+    it('should retry network errors', () => {
+      const error = Object.assign(new Error('socket hang up'), {
+        code: 'ECONNRESET'
+      })
+
+      expect(isRetryableError(error)).toBe(true)
+    })
+
+    it('should retry fetch failures caused by network errors', () => {
+      const cause = Object.assign(new Error('connect ECONNREFUSED'), {
+        code: 'ECONNREFUSED'
+      })
+
+      expect(isRetryableError(new TypeError('fetch failed', { cause }))).toBe(
+        true
+      )
+      expect(
+        isRetryableError(
+          new TypeError('fetch failed', { cause: new Error('bad URL') })
+        )
+      ).toBe(false)
+    })
+
+    it('should retry requests aborted by a timeout', () => {
+      expect(
+        isRetryableError(new DOMException('Timed out', 'TimeoutError'))
+      ).toBe(true)
+    })
+
+    it('should retry Anthropic connection errors', () => {
+      const error = new Error('Connection error.')
+      error.name = 'APIConnectionError'
+
+      expect(isRetryableError(error)).toBe(true)
+    })
+
+    it('should not retry plain errors', () => {
+      expect(isRetryableError(new Error('Network timeout'))).toBe(false)
+    })
+
+    it('should not retry non-object errors', () => {
+      expect(isRetryableError('boom')).toBe(false)
+      expect(isRetryableError(null)).toBe(false)
+    })
+
+    it('should handle error objects without a message, code or name', () => {
+      expect(isRetryableError({})).toBe(false)
+      expect(isRetryableError({ status: 403 })).toBe(false)
+    })
+  })
+
+  describe('getRetryAfterMs', () => {
+    it('should read retry-after seconds from GitHub response headers', () => {
+      expect(
+        getRetryAfterMs(
+          httpError(429, { response: { headers: { 'retry-after': '2' } } })
+        )
+      ).toBe(2000)
+    })
+
+    it('should read retry-after-ms from Anthropic Headers objects', () => {
+      const headers = new Headers({ 'retry-after-ms': '1500' })
+
+      expect(getRetryAfterMs(httpError(529, { headers }))).toBe(1500)
+    })
+
+    it('should read retry-after from a plain headers object', () => {
+      expect(
+        getRetryAfterMs(httpError(529, { headers: { 'retry-after': '3' } }))
+      ).toBe(3000)
+    })
+
+    it('should read retry-after as an HTTP date', () => {
+      jest
+        .spyOn(Date, 'now')
+        .mockReturnValue(Date.parse('2025-01-01T00:00:00Z'))
+
+      expect(
+        getRetryAfterMs(
+          httpError(503, {
+            headers: { 'retry-after': 'Wed, 01 Jan 2025 00:00:05 GMT' }
+          })
+        )
+      ).toBe(5000)
+    })
+
+    it('should ignore an unparseable retry-after', () => {
+      expect(
+        getRetryAfterMs(httpError(503, { headers: { 'retry-after': 'soon' } }))
+      ).toBeNull()
+    })
+
+    it('should ignore an unparseable retry-after-ms', () => {
+      expect(
+        getRetryAfterMs(
+          httpError(503, { headers: { 'retry-after-ms': 'soon' } })
+        )
+      ).toBeNull()
+    })
+
+    it('should use x-ratelimit-reset when the rate limit is exhausted', () => {
+      jest.spyOn(Date, 'now').mockReturnValue(1000 * 1000)
+
+      expect(
+        getRetryAfterMs(
+          httpError(403, {
+            response: {
+              headers: {
+                'x-ratelimit-remaining': '0',
+                'x-ratelimit-reset': '1010'
+              }
+            }
+          })
+        )
+      ).toBe(10000)
+    })
+
+    it('should ignore x-ratelimit-reset when requests remain', () => {
+      expect(
+        getRetryAfterMs(
+          httpError(500, {
+            response: {
+              headers: {
+                'x-ratelimit-remaining': '10',
+                'x-ratelimit-reset': '1010'
+              }
+            }
+          })
+        )
+      ).toBeNull()
+    })
+
+    it('should return null without headers', () => {
+      expect(getRetryAfterMs(httpError(500, { headers: null }))).toBeNull()
+      expect(getRetryAfterMs(new Error('boom'))).toBeNull()
+      expect(getRetryAfterMs(undefined)).toBeNull()
+    })
+  })
+
+  describe('withRetry', () => {
+    it('should return the result without retrying on success', async () => {
+      const fn = jest.fn().mockResolvedValue('ok')
+
+      await expect(withRetry('Test call', fn, noDelay)).resolves.toBe('ok')
+      expect(fn).toHaveBeenCalledTimes(1)
+      expect(core.warning).not.toHaveBeenCalled()
+    })
+
+    it('should retry retryable errors and log each retry', async () => {
+      const fn = jest
+        .fn()
+        .mockRejectedValueOnce(httpError(529))
+        .mockRejectedValueOnce(httpError(502))
+        .mockResolvedValue('ok')
+
+      await expect(withRetry('Test call', fn, noDelay)).resolves.toBe('ok')
+      expect(fn).toHaveBeenCalledTimes(3)
+      expect(core.warning).toHaveBeenCalledTimes(2)
+      expect(core.warning).toHaveBeenCalledWith(
+        'Test call failed (attempt 1/3): Error: HTTP 529. Retrying in 0ms...'
+      )
+      expect(core.warning).toHaveBeenCalledWith(
+        'Test call failed (attempt 2/3): Error: HTTP 502. Retrying in 0ms...'
+      )
+    })
+
+    it('should give up after the configured number of attempts', async () => {
+      const fn = jest.fn().mockRejectedValue(httpError(503))
+
+      await expect(withRetry('Test call', fn, noDelay)).rejects.toThrow(
+        'HTTP 503'
+      )
+      expect(fn).toHaveBeenCalledTimes(3)
+    })
+
+    it('should not retry non-retryable errors', async () => {
+      const fn = jest.fn().mockRejectedValue(httpError(401))
+
+      await expect(withRetry('Test call', fn, noDelay)).rejects.toThrow(
+        'HTTP 401'
+      )
+      expect(fn).toHaveBeenCalledTimes(1)
+    })
+
+    it('should wait for the retry-after delay', async () => {
+      jest.useFakeTimers()
+      const fn = jest
+        .fn()
+        .mockRejectedValueOnce(
+          httpError(429, { response: { headers: { 'retry-after': '2' } } })
+        )
+        .mockResolvedValue('ok')
+
+      const promise = withRetry('Test call', fn, {
+        ...noDelay,
+        maxRetryAfterMs: 2000
+      })
+      await jest.advanceTimersByTimeAsync(1999)
+      expect(fn).toHaveBeenCalledTimes(1)
+      await jest.advanceTimersByTimeAsync(1)
+
+      await expect(promise).resolves.toBe('ok')
+      expect(core.warning).toHaveBeenCalledWith(
+        'Test call failed (attempt 1/3): Error: HTTP 429. Retrying in 2000ms...'
+      )
+    })
+
+    it('should wait out a secondary rate limit longer than the backoff cap', async () => {
+      jest.useFakeTimers()
+      const fn = jest
+        .fn()
+        .mockRejectedValueOnce(
+          httpError(403, {
+            message: 'You have exceeded a secondary rate limit',
+            response: { headers: { 'retry-after': '60' } }
+          })
+        )
+        .mockResolvedValue('ok')
+
+      const promise = withRetry('Test call', fn, DEFAULT_RETRY_OPTIONS)
+      await jest.advanceTimersByTimeAsync(60000)
+
+      await expect(promise).resolves.toBe('ok')
+      expect(fn).toHaveBeenCalledTimes(2)
+    })
+
+    it('should fail when the server asks for a longer wait than the maximum', async () => {
+      const fn = jest
+        .fn()
+        .mockRejectedValueOnce(
+          httpError(403, {
+            response: { headers: { 'retry-after': '3600' } }
+          })
+        )
+        .mockResolvedValue('ok')
+
+      await expect(
+        withRetry('Test call', fn, DEFAULT_RETRY_OPTIONS)
+      ).rejects.toThrow('HTTP 403')
+      expect(fn).toHaveBeenCalledTimes(1)
+      expect(core.warning).toHaveBeenCalledWith(
+        'Test call failed: Error: HTTP 403. Not retrying because the server asked to wait 3600000ms, more than 120000ms'
+      )
+    })
+
+    it('should back off exponentially with jitter', async () => {
+      jest.useFakeTimers()
+      jest.spyOn(Math, 'random').mockReturnValue(1)
+      const fn = jest
+        .fn()
+        .mockRejectedValueOnce(httpError(500))
+        .mockRejectedValueOnce(httpError(500))
+        .mockRejectedValueOnce(httpError(500))
+        .mockResolvedValue('ok')
+
+      const promise = withRetry('Test call', fn, {
+        attempts: 4,
+        baseDelayMs: 100,
+        maxDelayMs: 300,
+        maxRetryAfterMs: 0
+      })
+      await jest.advanceTimersByTimeAsync(100 + 200 + 300)
+
+      await expect(promise).resolves.toBe('ok')
+      expect(core.warning).toHaveBeenCalledWith(
+        expect.stringContaining('Retrying in 100ms')
+      )
+      expect(core.warning).toHaveBeenCalledWith(
+        expect.stringContaining('Retrying in 200ms')
+      )
+      expect(core.warning).toHaveBeenCalledWith(
+        expect.stringContaining('Retrying in 300ms')
+      )
+    })
+
+    it('should use the configured options by default', async () => {
+      configureRetry({ attempts: 1 })
+      const fn = jest.fn().mockRejectedValue(httpError(503))
+
+      await expect(withRetry('Test call', fn)).rejects.toThrow('HTTP 503')
+      expect(fn).toHaveBeenCalledTimes(1)
+    })
+
+    it('should expose the default retry options', () => {
+      expect(DEFAULT_RETRY_OPTIONS).toEqual({
+        attempts: 3,
+        baseDelayMs: 1000,
+        maxDelayMs: 30000,
+        maxRetryAfterMs: 120000
+      })
+    })
+  })
+
+  describe('isRateLimitError', () => {
+    it('should accept 429s and GitHub rate limits', () => {
+      expect(isRateLimitError(httpError(429))).toBe(true)
+      expect(
+        isRateLimitError(httpError(403, { message: 'API rate limit exceeded' }))
+      ).toBe(true)
+    })
+
+    it('should reject other errors', () => {
+      expect(isRateLimitError(httpError(500))).toBe(false)
+      expect(isRateLimitError(httpError(403))).toBe(false)
+      expect(isRateLimitError(new Error('fetch failed'))).toBe(false)
+      expect(isRateLimitError(null)).toBe(false)
+    })
+  })
+
+  describe('withCreateRetry', () => {
+    it('should retry a create that was rate limited', async () => {
+      const fn = jest
+        .fn()
+        .mockRejectedValueOnce(httpError(429))
+        .mockResolvedValue('created')
+
+      await expect(
+        withCreateRetry('Create comment', fn, noDelay)
+      ).resolves.toBe('created')
+      expect(fn).toHaveBeenCalledTimes(2)
+    })
+
+    it.each([[500], [502], [504]])(
+      'should not retry a create that failed with %d',
+      async (status) => {
+        const fn = jest.fn().mockRejectedValue(httpError(status))
+
+        await expect(
+          withCreateRetry('Create comment', fn, noDelay)
+        ).rejects.toThrow(`HTTP ${status}`)
+        expect(fn).toHaveBeenCalledTimes(1)
+      }
+    )
+
+    it('should use the configured options by default', async () => {
+      configureRetry({ attempts: 1 })
+      const fn = jest.fn().mockRejectedValue(httpError(429))
+
+      await expect(withCreateRetry('Create comment', fn)).rejects.toThrow(
+        'HTTP 429'
+      )
+      expect(fn).toHaveBeenCalledTimes(1)
+    })
+  })
+})
@@ -0,0 +1,149 @@
+import { describe, it, expect } from '@jest/globals'
+import { getSkipReason } from '../src/skip.js'
+
+describe('skip.js', () => {
+  const prInfo = (overrides = {}) => ({
+    number: 42,
+    title: 'Add retries',
+    author: 'octocat',
+    baseSha: 'base-sha',
+    headSha: 'head-sha',
+    headRef: 'feature/retries',
+    url: 'https://github.com/test-owner/test-repo/pull/42',
+    body: '',
+    draft: false,
+    labels: [],
+    authorIsBot: false,
+    ...overrides
+  })
+
+  const rules = (overrides = {}) => ({
+    skipDrafts: true,
+    skipBots: true,
+    skipAuthors: [],
+    skipLabels: [],
+    requireLabels: [],
+    skipBodyLongerThan: 0,
+    skipBranches: [],
+    ...overrides
+  })
+
+  describe('getSkipReason', () => {
+    it('should not skip a regular pull request', () => {
+      expect(getSkipReason(prInfo(), rules())).toBeNull()
+    })
+
+    it('should skip drafts', () => {
+      expect(getSkipReason(prInfo({ draft: true }), rules())).toBe(
+        'pull request is a draft'
+      )
+    })
+
+    it('should describe drafts when skip-drafts is off', () => {
+      expect(
+        getSkipReason(prInfo({ draft: true }), rules({ skipDrafts: false }))
+      ).toBeNull()
+    })
+
+    it('should skip bot authors', () => {
+      expect(
+        getSkipReason(
+          prInfo({ author: 'dependabot[bot]', authorIsBot: true }),
+          rules()
+        )
+      ).toBe('author dependabot[bot] is a bot')
+    })
+
+    it('should describe bot PRs when skip-bots is off', () => {
+      expect(
+        getSkipReason(prInfo({ authorIsBot: true }), rules({ skipBots: false }))
+      ).toBeNull()
+    })
+
+    it('should skip listed authors case-insensitively', () => {
+      expect(
+        getSkipReason(
+          prInfo({ author: 'Renovate-Self-Hosted' }),
+          rules({ skipAuthors: ['renovate-self-hosted'] })
+        )
+      ).toBe('author Renovate-Self-Hosted is listed in skip-authors')
+    })
+
+    it('should skip pull requests with a skip label', () => {
+      expect(
+        getSkipReason(
+          prInfo({ labels: ['bug', 'No-AI'] }),
+          rules({ skipLabels: ['no-ai'] })
+        )
+      ).toBe('pull request has the "No-AI" label')
+    })
+
+    it('should skip pull requests without a required label', () => {
+      expect(
+        getSkipReason(
+          prInfo({ labels: ['bug'] }),
+          rules({ requireLabels: ['describe-me', 'ai'] })
+        )
+      ).toBe('pull request has none of the required labels: describe-me, ai')
+    })
+
+    it('should describe pull requests with a required label', () => {
+      expect(
+        getSkipReason(
+          prInfo({ labels: ['AI'] }),
+          rules({ requireLabels: ['describe-me', 'ai'] })
+        )
+      ).toBeNull()
+    })
+
+    it('should skip long hand-written bodies', () => {
+      expect(
+        getSkipReason(
+          prInfo({ body: `  ${'a'.repeat(101)}  ` }),
+          rules({ skipBodyLongerThan: 100 })
+        )
+      ).toBe('pull request body has 101 hand-written characters (limit: 100)')
+    })
+
+    it('should describe long bodies that already have a generated section', () => {
+      expect(
+        getSkipReason(
+          prInfo({
+            body: `${'a'.repeat(200)}\n<!-- pr-description:start -->\nOld\n<!-- pr-description:end -->`
+          }),
+          rules({ skipBodyLongerThan: 100 })
+        )
+      ).toBeNull()
+    })
+
+    it('should describe short bodies and ignore the rule when disabled', () => {
+      expect(
+        getSkipReason(
+          prInfo({ body: 'a'.repeat(100) }),
+          rules({ skipBodyLongerThan: 100 })
+        )
+      ).toBeNull()
+      expect(
+        getSkipReason(prInfo({ body: 'a'.repeat(5000) }), rules())
+      ).toBeNull()
+    })
+
+    it('should skip branches matching a glob', () => {
+      expect(
+        getSkipReason(
+          prInfo({ headRef: 'release/1.2' }),
+          rules({ skipBranches: ['hotfix/*', 'release/**'] })
+        )
+      ).toBe('branch release/1.2 matches skip-branches pattern release/**')
+    })
+
+    it('should report the first matching rule', () => {
+      expect(
+        getSkipReason(
+          prInfo({ draft: true, labels: ['no-ai'] }),
+          rules({ skipLabels: ['no-ai'] })
+        )
+      ).toBe('pull request is a draft')
+    })
+  })
+})
@@ -0,0 +1,126 @@
+import { describe, it, expect } from '@jest/globals'
+import {
+  DESCRIPTION_TOOL,
+  getStructuredOutputs,
+  parseStructuredDescription,
+  renderStructuredDescription
+} from '../src/structured.js'
+
+describe('structured.js', () => {
+  const input = {
+    summary: 'Adds retries to API calls.',
+    change_type: 'feature',
+    changes: ['Wrap API calls in withRetry', 'Add retry-attempts input'],
+    breaking_changes: ['Drops Node 18 support'],
+    risk_level: 'medium',
+    testing_notes: 'Unit tests cover the retry policy.',
+    related_issues: ['Closes #12', 'Related to octo/other#3']
+  }
+
+  const description = {
+    summary: 'Adds retries to API calls.',
+    changeType: 'feature',
+    changes: ['Wrap API calls in withRetry', 'Add retry-attempts input'],
+    breakingChanges: ['Drops Node 18 support'],
+    riskLevel: 'medium',
+    testingNotes: 'Unit tests cover the retry policy.',
+    relatedIssues: ['Closes #12', 'Related to octo/other#3']
+  }
+
+  describe('DESCRIPTION_TOOL', () => {
+    it('should require every field', () => {
+      expect(DESCRIPTION_TOOL.input_schema.required).toEqual(Object.keys(input))
+    })
+  })
+
+  describe('parseStructuredDescription', () => {
+    it('should convert valid input to a structured description', () => {
+      expect(parseStructuredDescription(input)).toEqual(description)
+    })
+
+    it('should trim fields and drop empty list items', () => {
+      expect(
+        parseStructuredDescription({
+          ...input,
+          summary: '  Adds retries.  ',
+          changes: [' Wrap calls ', ''],
+          breaking_changes: ['  '],
+          testing_notes: ' ',
+          related_issues: []
+        })
+      ).toEqual({
+        ...description,
+        summary: 'Adds retries.',
+        changes: ['Wrap calls'],
+        breakingChanges: [],
+        testingNotes: '',
+        relatedIssues: []
+      })
+    })
+
+    it('should list every problem', () => {
+      expect(() =>
+        parseStructuredDescription({
+          summary: ' ',
+          change_type: 'bugfix',
+          changes: [],
+          breaking_changes: 'none',
+          risk_level: 'critical',
+          testing_notes: null,
+          related_issues: [12]
+        })
+      ).toThrow(
+        'Invalid structured description: summary must be a non-empty string; change_type must be one of: feature, fix, refactor, docs, chore; changes must be a non-empty array of strings; breaking_changes must be an array of strings; related_issues must be an array of strings; risk_level must be one of: low, medium, high; testing_notes must be a string'
+      )
+    })
+
+    it.each([[null], ['text'], [[]]])('should reject %j', (value) => {
+      expect(() => parseStructuredDescription(value)).toThrow(
+        'summary must be a non-empty string'
+      )
+    })
+  })
+
+  describe('renderStructuredDescription', () => {
+    it('should render every section', () => {
+      expect(renderStructuredDescription(description)).toBe(
+        [
+          '## Summary\nAdds retries to API calls.',
+          '## Changes Made\n- Wrap API calls in withRetry\n- Add retry-attempts input',
+          '## Breaking Changes\n- Drops Node 18 support',
+          '## Risk Level\nMedium',
+          '## Testing\nUnit tests cover the retry policy.',
+          '## Related Issues\n- Closes #12\n- Related to octo/other#3'
+        ].join('\n\n')
+      )
+    })
+
+    it('should leave out empty sections', () => {
+      expect(
+        renderStructuredDescription({
+          ...description,
+          breakingChanges: [],
+          riskLevel: 'low',
+          testingNotes: '',
+          relatedIssues: []
+        })
+      ).toBe(
+        '## Summary\nAdds retries to API calls.\n\n## Changes Made\n- Wrap API calls in withRetry\n- Add retry-attempts input\n\n## Risk Level\nLow'
+      )
+    })
+  })
+
+  describe('getStructuredOutputs', () => {
+    it('should expose each field, with lists as JSON arrays', () => {
+      expect(getStructuredOutputs(description)).toEqual({
+        summary: 'Adds retries to API calls.',
+        'change-type': 'feature',
+        changes: '["Wrap API calls in withRetry","Add retry-attempts input"]',
+        'breaking-changes': '["Drops Node 18 support"]',
+        'risk-level': 'medium',
+        'testing-notes': 'Unit tests cover the retry policy.',
+        'related-issues': '["Closes #12","Related to octo/other#3"]'
+      })
+    })
+  })
+})
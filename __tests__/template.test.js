@@ -0,0 +1,152 @@
+import {
+  jest,
+  describe,
+  it,
+  expect,
+  beforeEach,
+  afterEach
+} from '@jest/globals'
+import * as core from '@actions/core'
+import * as github from '@actions/github'
+import {
+  findPRTemplate,
+  loadPromptFile,
+  PR_TEMPLATE_PATHS
+} from '../src/template.js'
+
+describe('template.js', () => {
+  let mockOctokit
+
+  const fileResponse = (content) => ({
+    data: {
+      type: 'file',
+      content: Buffer.from(content).toString('base64')
+    }
+  })
+  const notFound = () => Object.assign(new Error('Not Found'), { status: 404 })
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+    mockOctokit = github.getOctokit('fake-token')
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  describe('findPRTemplate', () => {
+    it('should return the first template found', async () => {
+      const template = '## Description\n\n## Checklist\n- [ ] Tests added'
+      mockOctokit.rest.repos.getContent.mockResolvedValue(
+        fileResponse(template)
+      )
+
+      const result = await findPRTemplate(mockOctokit, 'base-sha')
+
+      expect(result).toBe(template)
+      expect(mockOctokit.rest.repos.getContent).toHaveBeenCalledTimes(1)
+      expect(mockOctokit.rest.repos.getContent).toHaveBeenCalledWith({
+        owner: 'test-owner',
+        repo: 'test-repo',
+        path: '.github/pull_request_template.md',
+        ref: 'base-sha'
+      })
+      expect(core.info).toHaveBeenCalledWith(
+        'Using pull request template: .github/pull_request_template.md'
+      )
+    })
+
+    it('should check the standard locations in order', async () => {
+      mockOctokit.rest.repos.getContent.mockImplementation(async ({ path }) => {
+        if (path === 'docs/pull_request_template.md') {
+          return fileResponse('## Docs template')
+        }
+        throw notFound()
+      })
+
+      const result = await findPRTemplate(mockOctokit, 'base-sha')
+
+      expect(result).toBe('## Docs template')
+      expect(
+        mockOctokit.rest.repos.getContent.mock.calls.map(([args]) => args.path)
+      ).toEqual(PR_TEMPLATE_PATHS.slice(0, 5))
+    })
+
+    it('should skip empty templates', async () => {
+      mockOctokit.rest.repos.getContent.mockImplementation(async ({ path }) =>
+        path === '.github/pull_request_template.md'
+          ? fileResponse('  \n')
+          : fileResponse('## Root template')
+      )
+
+      const result = await findPRTemplate(mockOctokit, 'base-sha')
+
+      expect(result).toBe('## Root template')
+    })
+
+    it('should return null when no template exists', async () => {
+      mockOctokit.rest.repos.getContent.mockRejectedValue(notFound())
+
+      const result = await findPRTemplate(mockOctokit, 'base-sha')
+
+      expect(result).toBeNull()
+      expect(mockOctokit.rest.repos.getContent).toHaveBeenCalledTimes(
+        PR_TEMPLATE_PATHS.length
+      )
+      expect(core.info).toHaveBeenCalledWith(
+        'No pull request template found, using the default structure'
+      )
+    })
+
+    it('should propagate API errors other than not found', async () => {
+      mockOctokit.rest.repos.getContent.mockRejectedValue(
+        new Error('Forbidden')
+      )
+
+      await expect(findPRTemplate(mockOctokit, 'base-sha')).rejects.toThrow(
+        'Failed to read .github/pull_request_template.md: Error: Forbidden'
+      )
+    })
+  })
+
+  describe('loadPromptFile', () => {
+    it('should load the prompt file from the given ref', async () => {
+      mockOctokit.rest.repos.getContent.mockResolvedValue(
+        fileResponse('You write release-ready PR descriptions.')
+      )
+
+      const result = await loadPromptFile(
+        mockOctokit,
+        '.github/prompt.md',
+        'base-sha'
+      )
+
+      expect(result).toBe('You write release-ready PR descriptions.')
+      expect(mockOctokit.rest.repos.getContent).toHaveBeenCalledWith({
+        owner: 'test-owner',
+        repo: 'test-repo',
+        path: '.github/prompt.md',
+        ref: 'base-sha'
+      })
+      expect(core.info).toHaveBeenCalledWith(
+        'Using custom prompt from .github/prompt.md'
+      )
+    })
+
+    it('should throw when the prompt file does not exist', async () => {
+      mockOctokit.rest.repos.getContent.mockRejectedValue(notFound())
+
+      await expect(
+        loadPromptFile(mockOctokit, '.github/prompt.md', 'base-sha')
+      ).rejects.toThrow('Prompt file not found or empty: .github/prompt.md')
+    })
+
+    it('should throw when the prompt file is empty', async () => {
+      mockOctokit.rest.repos.getContent.mockResolvedValue(fileResponse('\n'))
+
+      await expect(
+        loadPromptFile(mockOctokit, '.github/prompt.md', 'base-sha')
+      ).rejects.toThrow('Prompt file not found or empty: .github/prompt.md')
+    })
+  })
+})
@@ -0,0 +1,88 @@
+import { describe, it, expect } from '@jest/globals'
+import {
+  DEFAULT_TITLE_PATTERN,
+  formatTitleSuggestion,
+  matchesTitlePattern,
+  normalizeTitle,
+  splitTicketPrefix
+} from '../src/title.js'
+
+describe('title.js', () => {
+  describe('splitTicketPrefix', () => {
+    it.each([
+      ['ABC-123 fix: crash', 'ABC-123', 'fix: crash'],
+      ['ABC-123: fix crash', 'ABC-123:', 'fix crash'],
+      ['[AB2-7] feat(ui): dark mode', '[AB2-7]', 'feat(ui): dark mode'],
+      ['fix: crash', '', 'fix: crash'],
+      ['abc-123 fix: crash', '', 'abc-123 fix: crash']
+    ])('should split %j', (title, prefix, rest) => {
+      expect(splitTicketPrefix(title)).toEqual({ prefix, rest })
+    })
+  })
+
+  describe('matchesTitlePattern', () => {
+    it.each([
+      ['feat: add retries', true],
+      ['fix(api)!: drop v1 endpoints', true],
+      ['ABC-12 chore(deps): bump jest', true],
+      ['  [ABC-12] docs: fix typo  ', true],
+      ['fixes', false],
+      ['Fix: crash', false],
+      ['feat:missing space', false],
+      ['feature: add retries', false]
+    ])('should match %j against the default pattern: %s', (title, expected) => {
+      expect(matchesTitlePattern(title, DEFAULT_TITLE_PATTERN)).toBe(expected)
+    })
+
+    it('should use a custom pattern', () => {
+      expect(matchesTitlePattern('Add retries', '^[A-Z]')).toBe(true)
+    })
+  })
+
+  describe('normalizeTitle', () => {
+    it('should take the first line without quotes or a label', () => {
+      expect(
+        normalizeTitle('\n  Title: `feat: add retries`\nBecause...', 'fixes')
+      ).toBe('feat: add retries')
+    })
+
+    it('should keep the ticket prefix of the current title', () => {
+      expect(normalizeTitle('fix: handle nulls', '[ABC-12] fixes')).toBe(
+        '[ABC-12] fix: handle nulls'
+      )
+      expect(normalizeTitle('ABC-12 fix: handle nulls', 'ABC-12: fixes')).toBe(
+        'ABC-12: fix: handle nulls'
+      )
+    })
+
+    it('should drop ticket prefixes the current title does not have', () => {
+      expect(normalizeTitle('XYZ-9 fix: handle nulls', 'fixes')).toBe(
+        'fix: handle nulls'
+      )
+    })
+
+    it('should keep the scope of the current title', () => {
+      expect(normalizeTitle('fix!: handle nulls', 'fix(parser): stuff')).toBe(
+        'fix(parser)!: handle nulls'
+      )
+    })
+
+    it('should keep a scope Claude chose', () => {
+      expect(
+        normalizeTitle('fix(lexer): handle nulls', 'fix(parser): stuff')
+      ).toBe('fix(lexer): handle nulls')
+    })
+
+    it('should return an empty title when there is no suggestion', () => {
+      expect(normalizeTitle(' \n ""', 'ABC-12 fixes')).toBe('')
+    })
+  })
+
+  describe('formatTitleSuggestion', () => {
+    it('should format the suggestion as inline code', () => {
+      expect(formatTitleSuggestion('feat: add retries')).toBe(
+        '**Suggested title:** `feat: add retries`'
+      )
+    })
+  })
+})
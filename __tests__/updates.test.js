@@ -0,0 +1,310 @@
+import {
+  jest,
+  describe,
+  it,
+  expect,
+  beforeEach,
+  afterEach
+} from '@jest/globals'
+import * as core from '@actions/core'
+import * as github from '@actions/github'
+import { context } from '@actions/github'
+import { _mockMessagesCreate } from '@anthropic-ai/sdk'
+import { SECTION_END_MARKER, SECTION_START_MARKER } from '../src/body.js'
+import {
+  describeUpdate,
+  formatHeadMarker,
+  formatUpdateEntry,
+  getUpdateRange,
+  readHeadMarker,
+  readUpdates,
+  removeUpdates,
+  renderUpdates,
+  UPDATES_END_MARKER,
+  UPDATES_START_MARKER
+} from '../src/updates.js'
+
+const BEFORE = 'a'.repeat(40)
+const AFTER = 'b'.repeat(40)
+const DESCRIBED = 'c'.repeat(40)
+
+describe('updates.js', () => {
+  const entries = [
+    '### 2026-10-19 (bbbbbbb...ccccccc)\n\n- Newer',
+    '### 2026-10-18 (aaaaaaa...bbbbbbb)\n\n- Older\n- Second bullet'
+  ]
+
+  beforeEach(() => {
+    jest.clearAllMocks()
+
+    Object.assign(context, {
+      eventName: 'pull_request',
+      payload: { action: 'synchronize', before: BEFORE, after: AFTER }
+    })
+  })
+
+  afterEach(() => {
+    jest.restoreAllMocks()
+  })
+
+  describe('formatHeadMarker', () => {
+    it('should round-trip through readHeadMarker', () => {
+      expect(readHeadMarker(`Description\n\n${formatHeadMarker(AFTER)}`)).toBe(
+        AFTER
+      )
+    })
+
+    it('should return null when no head was stored', () => {
+      expect(readHeadMarker('Description')).toBeNull()
+    })
+  })
+
+  describe('renderUpdates', () => {
+    it('should render the entries between markers, newest first', () => {
+      expect(renderUpdates(entries)).toBe(
+        `${UPDATES_START_MARKER}\n## Updates\n\n${entries.join('\n\n')}\n${UPDATES_END_MARKER}`
+      )
+    })
+
+    it('should render nothing without entries', () => {
+      expect(renderUpdates([])).toBe('')
+    })
+
+    it('should keep only the newest 20 entries', () => {
+      const many = Array.from(
+        { length: 25 },
+        (_, index) => `### Entry ${index}\n\n- Change`
+      )
+
+      expect(readUpdates(renderUpdates(many))).toEqual(many.slice(0, 20))
+    })
+  })
+
+  describe('readUpdates', () => {
+    it('should read the entries of a rendered section', () => {
+      expect(
+        readUpdates(`## Summary\nText\n\n${renderUpdates(entries)}\n\nNotes`)
+      ).toEqual(entries)
+    })
+
+    it('should return no entries without a complete section', () => {
+      expect(readUpdates('## Summary')).toEqual([])
+      expect(readUpdates(`${UPDATES_START_MARKER}\n### Entry`)).toEqual([])
+    })
+  })
+
+  describe('removeUpdates', () => {
+    it('should remove the section and keep the text around it', () => {
+      expect(
+        removeUpdates(`## Summary\nText\n\n${renderUpdates(entries)}\n\nNotes`)
+      ).toBe('## Summary\nText\n\nNotes')
+    })
+
+    it('should leave text without a section alone', () => {
+      expect(removeUpdates('## Summary\nText')).toBe('## Summary\nText')
+    })
+  })
+
+  describe('formatUpdateEntry', () => {
+    it('should date the entry and name the commits by short SHA', () => {
+      expect(
+        formatUpdateEntry(
+          { before: BEFORE, after: AFTER },
+          '- Adds jitter\n',
+          '2026-10-19'
+        )
+      ).toBe('### 2026-10-19 (aaaaaaa...bbbbbbb)\n\n- Adds jitter')
+    })
+
+    it('should date the entry today when no date is given', () => {
+      expect(
+        formatUpdateEntry({ before: BEFORE, after: AFTER }, '- Adds jitter')
+      ).toContain(`### ${new Date().toISOString().slice(0, 10)} (`)
+    })
+  })
+
+  describe('getUpdateRange', () => {
+    const described = (markers = '') => ({
+      headSha: AFTER,
+      body: `${SECTION_START_MARKER}\nDescription\n${markers}\n${SECTION_END_MARKER}`
+    })
+
+    it('should cover the pushed commits', () => {
+      expect(getUpdateRange(described())).toEqual({
+        before: BEFORE,
+        after: AFTER
+      })
+      expect(getUpdateRange(described(formatHeadMarker(BEFORE)))).toEqual({
+        before: BEFORE,
+        after: AFTER
+      })
+    })
+
+    it('should start from the last described head when a push was missed', () => {
+      expect(getUpdateRange(described(formatHeadMarker(DESCRIBED)))).toEqual({
+        before: DESCRIBED,
+        after: AFTER
+      })
+    })
+
+    it('should return null when the head was already described', () => {
+      expect(getUpdateRange(described(formatHeadMarker(AFTER)))).toBeNull()
+    })
+
+    it('should return null before the first description', () => {
+      expect(
+        getUpdateRange({ headSha: AFTER, body: 'Hand-written' })
+      ).toBeNull()
+    })
+
+    it('should return null for events other than a push', () => {
+      context.payload = { action: 'opened' }
+
+      expect(getUpdateRange(described())).toBeNull()
+    })
+  })
+
+  describe('describeUpdate', () => {
+    const provider = { name: 'anthropic', createMessage: _mockMessagesCreate }
+    const prInfo = { number: 42, title: 'Add retries' }
+    const range = { before: BEFORE, after: AFTER }
+    const config = {
+      ignoredPatterns: [],
+      includePatterns: [],
+      redactSecrets: true,
+      redactPatterns: [],
+      failOnSecret: false
+    }
+    const exclusionOptions = {
+      profiles: ['lockfiles'],
+      maxFileLines: 1000,
+      attributes: []
+    }
+    const options = {
+      model: 'claude-3-5-haiku-latest',
+      maxTokens: 1000,
+      temperature: 0.3,
+      tokenBudget: 100000,
+      chunkConcurrency: 3
+    }
+    let mockOctokit
+
+    const mockCompare = (diff, status = 'ahead') =>
+      mockOctokit.rest.repos.compareCommitsWithBasehead.mockImplementation(
+        async ({ mediaType }) => ({ data: mediaType ? diff : { status } })
+      )
+
+    beforeEach(() => {
+      mockOctokit = github.getOctokit('fake-token')
+      _mockMessagesCreate.mockResolvedValue({
+        content: [{ type: 'text', text: '- Adds jitter' }],
+        usage: { input_tokens: 100, output_tokens: 10 }
+      })
+    })
+
+    it('should summarize the diff of the pushed commits', async () => {
+      mockCompare(`diff --git a/src/retry.ts b/src/retry.ts
+--- a/src/retry.ts
++++ b/src/retry.ts
+@@ -1 +1,2 @@
+ const delay = 100
++const jitter = Math.random() * 50
+`)
+
+      const entry = await describeUpdate(
+        mockOctokit,
+        provider,
+        prInfo,
+        range,
+        config,
+        exclusionOptions,
+        options
+      )
+
+      expect(entry).toMatch(
+        /^### \d{4}-\d{2}-\d{2} \(aaaaaaa\.\.\.bbbbbbb\)\n\n- Adds jitter$/
+      )
+      expect(
+        mockOctokit.rest.repos.compareCommitsWithBasehead
+      ).toHaveBeenCalledWith(
+        expect.objectContaining({ basehead: `${BEFORE}...${AFTER}` })
+      )
+      expect(
+        _mockMessagesCreate.mock.calls[0][0].messages[0].content[0].text
+      ).toContain('+const jitter = Math.random() * 50')
+    })
+
+    it('should skip pushes that only change excluded files', async () => {
+      mockCompare(`diff --git a/package-lock.json b/package-lock.json
+--- a/package-lock.json
++++ b/package-lock.json
+@@ -1 +1 @@
+-{}
++{ }
+`)
+
+      expect(
+        await describeUpdate(
+          mockOctokit,
+          provider,
+          prInfo,
+          range,
+          config,
+          exclusionOptions,
+          options
+        )
+      ).toBeNull()
+      expect(_mockMessagesCreate).not.toHaveBeenCalled()
+      expect(core.info).toHaveBeenCalledWith(
+        'The new commits only change ignored or excluded files'
+      )
+    })
+
+    it.each([['diverged'], ['behind']])(
+      'should leave the entry out when the range is %s after a force-push',
+      async (status) => {
+        mockCompare('diff --git a/upstream.js b/upstream.js\n', status)
+
+        expect(
+          await describeUpdate(
+            mockOctokit,
+            provider,
+            prInfo,
+            range,
+            config,
+            exclusionOptions,
+            options
+          )
+        ).toBeNull()
+        expect(
+          mockOctokit.rest.repos.compareCommitsWithBasehead
+        ).toHaveBeenCalledTimes(1)
+        expect(_mockMessagesCreate).not.toHaveBeenCalled()
+        expect(core.info).toHaveBeenCalledWith(
+          `The head was rebased or force-pushed since ${BEFORE} (${status}), not adding an Updates entry`
+        )
+      }
+    )
+
+    it('should leave the entry out when the commits cannot be compared', async () => {
+      mockOctokit.rest.repos.compareCommitsWithBasehead.mockRejectedValue(
+        new Error('No common ancestor')
+      )
+
+      expect(
+        await describeUpdate(
+          mockOctokit,
+          provider,
+          prInfo,
+          range,
+          config,
+          exclusionOptions,
+          options
+        )
+      ).toBeNull()
+      expect(core.warning).toHaveBeenCalledWith(
+        'Failed to describe the new commits, leaving them out: Error: Failed to compare commits: Error: No common ancestor'
+      )
+    })
+  })
+})
@@ -7,12 +7,16 @@ import {
   afterEach
 } from '@jest/globals'
 import * as core from '@actions/core'
+import * as github from '@actions/github'
 import { context } from '@actions/github'
 import {
   validatePullRequestEvent,
-  validatePullRequestAction,
+  getActionSkipReason,
   extractPRInfo,
-  getConfig
+  getConfig,
+  getGitHubConfig,
+  getReleaseRange,
+  isReleaseNotesMode
 } from '../src/validation.js'
 
 describe('validation.js', () => {
@@ -31,6 +35,8 @@ describe('validation.js', () => {
 
     Object.assign(context, {
       eventName: '',
+      sha: '',
+      ref: '',
       payload: {}
     })
   })
@@ -51,7 +57,7 @@ describe('validation.js', () => {
       context.eventName = 'push'
 
       expect(() => validatePullRequestEvent()).toThrow(
-        'This action can only be used in pull request events.'
+        'This action can only be used in pull_request, pull_request_target, workflow_dispatch, issue_comment events.'
       )
     })
 
@@ -59,114 +65,53 @@ describe('validation.js', () => {
       context.eventName = 'issues'
 
       expect(() => validatePullRequestEvent()).toThrow(
-        'This action can only be used in pull request events.'
+        'This action can only be used in pull_request, pull_request_target, workflow_dispatch, issue_comment events.'
       )
     })
 
-    it('should throw error for workflow_dispatch event', () => {
-      context.eventName = 'workflow_dispatch'
+    it.each([
+      ['pull_request_target'],
+      ['workflow_dispatch'],
+      ['issue_comment']
+    ])('should pass validation for %s event', (eventName) => {
+      context.eventName = eventName
 
-      expect(() => validatePullRequestEvent()).toThrow(
-        'This action can only be used in pull request events.'
-      )
+      expect(() => validatePullRequestEvent()).not.toThrow()
     })
 
     it('should throw error for undefined event', () => {
       context.eventName = undefined
 
       expect(() => validatePullRequestEvent()).toThrow(
-        'This action can only be used in pull request events.'
+        'This action can only be used in pull_request, pull_request_target, workflow_dispatch, issue_comment events.'
       )
     })
   })
 
-  describe('validatePullRequestAction', () => {
-    it('should pass validation for opened action', () => {
-      context.payload = {
-        action: 'opened'
-      }
-
-      expect(() => validatePullRequestAction()).not.toThrow()
-    })
-
-    it('should pass validation for synchronize action', () => {
-      context.payload = {
-        action: 'synchronize'
-      }
-
-      expect(() => validatePullRequestAction()).not.toThrow()
-    })
-
-    it('should pass validation for reopened action', () => {
-      context.payload = {
-        action: 'reopened'
-      }
-
-      expect(() => validatePullRequestAction()).not.toThrow()
-    })
-
-    it('should exit process for closed action', () => {
-      context.payload = {
-        action: 'closed'
-      }
-
-      expect(() => validatePullRequestAction()).toThrow('process.exit called')
-      expect(core.info).toHaveBeenCalledWith(
-        'Skipping action for PR action: closed'
-      )
-    })
-
-    it('should exit process for edited action', () => {
-      context.payload = {
-        action: 'edited'
-      }
-
-      expect(() => validatePullRequestAction()).toThrow('process.exit called')
-      expect(core.info).toHaveBeenCalledWith(
-        'Skipping action for PR action: edited'
-      )
-    })
-
-    it('should exit process for unknown action', () => {
-      context.payload = {
-        action: 'some_unknown_action'
-      }
-
-      expect(() => validatePullRequestAction()).toThrow('process.exit called')
-      expect(core.info).toHaveBeenCalledWith(
-        'Skipping action for PR action: some_unknown_action'
-      )
-    })
-
-    it('should exit process for null action', () => {
-      context.payload = {
-        action: null
-      }
-
-      expect(() => validatePullRequestAction()).toThrow('process.exit called')
-      expect(core.info).toHaveBeenCalledWith(
-        'Skipping action for PR action: unknown'
-      )
-    })
+  describe('getActionSkipReason', () => {
+    it.each([['opened'], ['synchronize'], ['reopened'], ['ready_for_review']])(
+      'should not skip the %s action',
+      (action) => {
+        context.payload = { action }
 
-    it('should exit process for undefined action', () => {
-      context.payload = {
-        action: undefined
+        expect(getActionSkipReason()).toBeNull()
       }
-
-      expect(() => validatePullRequestAction()).toThrow('process.exit called')
-      expect(core.info).toHaveBeenCalledWith(
-        'Skipping action for PR action: unknown'
-      )
-    })
-
-    it('should exit process for missing payload', () => {
-      context.payload = {}
-
-      expect(() => validatePullRequestAction()).toThrow('process.exit called')
-      expect(core.info).toHaveBeenCalledWith(
-        'Skipping action for PR action: unknown'
+    )
+
+    it.each([
+      [{ action: 'closed' }, 'closed'],
+      [{ action: 'edited' }, 'edited'],
+      [{ action: 'some_unknown_action' }, 'some_unknown_action'],
+      [{ action: null }, 'unknown'],
+      [{ action: undefined }, 'unknown'],
+      [{}, 'unknown']
+    ])('should skip the payload %j', (payload, action) => {
+      context.payload = payload
+
+      expect(getActionSkipReason()).toBe(
+        `pull request action "${action}" is not one of: opened, synchronize, reopened, ready_for_review`
       )
+      expect(process.exit).not.toHaveBeenCalled()
     })
   })
 
@@ -182,7 +127,8 @@ describe('validation.js', () => {
           sha: 'base-sha-123'
         },
         head: {
-          sha: 'head-sha-456'
+          sha: 'head-sha-456',
+          ref: 'fix/42-crash'
         },
         html_url: 'https://github.com/owner/repo/pull/123'
       }
@@ -199,10 +145,68 @@ describe('validation.js', () => {
         author: 'testuser',
         baseSha: 'base-sha-123',
         headSha: 'head-sha-456',
-        url: 'https://github.com/owner/repo/pull/123'
+        headRef: 'fix/42-crash',
+        url: 'https://github.com/owner/repo/pull/123',
+        body: '',
+        draft: false,
+        labels: [],
+        authorIsBot: false
+      })
+    })
+
+    it('should default the head ref to an empty string', () => {
+      context.payload = {
+        pull_request: {
+          number: 123,
+          title: 'Test PR Title',
+          user: { login: 'testuser' },
+          base: { sha: 'base-sha-123' },
+          head: { sha: 'head-sha-456' },
+          html_url: 'https://github.com/owner/repo/pull/123'
+        }
+      }
+
+      expect(extractPRInfo().headRef).toBe('')
+    })
+
+    it('should read the body, draft flag, labels and bot authors', () => {
+      context.payload = {
+        pull_request: {
+          number: 123,
+          title: 'Bump lodash',
+          body: 'Bumps lodash',
+          draft: true,
+          labels: [{ name: 'dependencies' }, 'security', { name: '' }],
+          user: { login: 'renovate[bot]', type: 'User' },
+          base: { sha: 'base-sha-123' },
+          head: { sha: 'head-sha-456' },
+          html_url: 'https://github.com/owner/repo/pull/123'
+        }
+      }
+
+      expect(extractPRInfo()).toMatchObject({
+        body: 'Bumps lodash',
+        draft: true,
+        labels: ['dependencies', 'security'],
+        authorIsBot: true
       })
     })
 
+    it('should detect bot accounts by type', () => {
+      context.payload = {
+        pull_request: {
+          number: 123,
+          title: 'Bump lodash',
+          user: { login: 'ci-helper', type: 'Bot' },
+          base: { sha: 'base-sha-123' },
+          head: { sha: 'head-sha-456' },
+          html_url: 'https://github.com/owner/repo/pull/123'
+        }
+      }
+
+      expect(extractPRInfo().authorIsBot).toBe(true)
+    })
+
     it('should throw error when pull_request is missing', () => {
       context.payload = {}
 
@@ -367,6 +371,74 @@ describe('validation.js', () => {
   })
 
   describe('getConfig', () => {
+    const configDefaults = {
+      provider: 'anthropic',
+      openaiApiKey: '',
+      baseUrl: '',
+      awsRegion: '',
+      vertexRegion: '',
+      vertexProjectId: '',
+      redactSecrets: true,
+      redactPatterns: [],
+      failOnSecret: false,
+      excludeProfiles: [
+        'generated',
+        'vendored',
+        'lockfiles',
+        'binary',
+        'large'
+      ],
+      maxFileLines: 1000,
+      includePatterns: [],
+      pathInstructions: [],
+      prNumber: 0,
+      mode: 'body',
+      sectionPlacement: 'top',
+      placeholderToken: '<!-- pr-description -->',
+      usePrTemplate: true,
+      includeCommitBodies: false,
+      linkIssues: true,
+      filesTable: false,
+      incrementalUpdates: true,
+      structuredOutput: false,
+      applyLabels: false,
+      language: 'en',
+      verbosity: 'standard',
+      titleMode: 'off',
+      titlePattern:
+        '^(build|chore|ci|docs|feat|fix|perf|refactor|revert|style|test)(\\([^)]+\\))?!?: \\S',
+      labelMap: {
+        feature: 'enhancement',
+        fix: 'bug',
+        refactor: 'refactor',
+        docs: 'documentation',
+        chore: 'chore',
+        breaking: 'breaking-change',
+        'high-risk': 'high-risk'
+      },
+      promptFile: '',
+      extraInstructions: '',
+      model: 'claude-3-5-haiku-latest',
+      maxTokens: 1000,
+      temperature: 0.3,
+      largePrModel: '',
+      largePrThreshold: 1000,
+      tokenBudget: 100000,
+      chunkConcurrency: 3,
+      retryAttempts: 3,
+      retryMaxWait: 120,
+      force: false,
+      skipDrafts: true,
+      skipBots: true,
+      skipAuthors: [],
+      skipLabels: [],
+      requireLabels: [],
+      skipBodyLongerThan: 0,
+      skipBranches: [],
+      releaseNotesOutput: 'release',
+      releaseNotesFile: ''
+    }
+
     it('should get config from inputs', () => {
       core.getInput.mockImplementation((name) => {
         if (name === 'anthropic-api-key') return 'test-anthropic-key'
@@ -377,6 +449,7 @@ describe('validation.js', () => {
       const result = getConfig()
 
       expect(result).toEqual({
+        ...configDefaults,
         anthropicApiKey: 'test-anthropic-key',
         githubToken: 'test-github-token',
         ignoredPatterns: []
@@ -423,6 +496,7 @@ describe('validation.js', () => {
       const result = getConfig()
 
       expect(result).toEqual({
+        ...configDefaults,
         anthropicApiKey: 'test-anthropic-key',
         githubToken: 'test-github-token',
         ignoredPatterns: []
@@ -435,9 +509,11 @@ describe('validation.js', () => {
       const result = getConfig()
 
       expect(result).toEqual({
+        ...configDefaults,
         anthropicApiKey: '   ',
         githubToken: '   ',
-        ignoredPatterns: []
+        ignoredPatterns: [],
+        placeholderToken: '   '
       })
     })
 
@@ -453,6 +529,7 @@ describe('validation.js', () => {
       const result = getConfig()
 
       expect(result).toEqual({
+        ...configDefaults,
         anthropicApiKey: 'test-anthropic-key',
         githubToken: 'test-github-token',
         ignoredPatterns: ['dist/**', '**/*.min.js', 'node_modules/**']
@@ -471,6 +548,7 @@ describe('validation.js', () => {
       const result = getConfig()
 
       expect(result).toEqual({
+        ...configDefaults,
         anthropicApiKey: 'test-anthropic-key',
         githubToken: 'test-github-token',
         ignoredPatterns: ['dist/**', '**/*.min.js', 'node_modules/**']
@@ -488,10 +566,986 @@ describe('validation.js', () => {
       const result = getConfig()
 
       expect(result).toEqual({
+        ...configDefaults,
         anthropicApiKey: 'test-anthropic-key',
         githubToken: 'test-github-token',
         ignoredPatterns: []
       })
     })
+
+    it('should read section placement inputs', () => {
+      core.getInput.mockImplementation((name) => {
+        if (name === 'anthropic-api-key') return 'test-anthropic-key'
+        if (name === 'github-token') return 'test-github-token'
+        if (name === 'section-placement') return 'placeholder'
+        if (name === 'placeholder-token') return '{{ai-description}}'
+        return ''
+      })
+
+      const result = getConfig()
+
+      expect(result.sectionPlacement).toBe('placeholder')
+      expect(result.placeholderToken).toBe('{{ai-description}}')
+    })
+
+    it('should throw error for invalid section placement', () => {
+      core.getInput.mockImplementation((name) => {
+        if (name === 'anthropic-api-key') return 'test-anthropic-key'
+        if (name === 'github-token') return 'test-github-token'
+        if (name === 'section-placement') return 'middle'
+        return ''
+      })
+
+      expect(() => getConfig()).toThrow(
+        'Invalid section-placement: middle. Must be one of: top, bottom, placeholder'
+      )
+    })
+
+    it('should parse token budget inputs', () => {
+      core.getInput.mockImplementation((name) => {
+        if (name === 'anthropic-api-key') return 'test-anthropic-key'
+        if (name === 'github-token') return 'test-github-token'
+        if (name === 'token-budget') return '50000'
+        if (name === 'chunk-concurrency') return ' 5 '
+        return ''
+      })
+
+      const result = getConfig()
+
+      expect(result.tokenBudget).toBe(50000)
+      expect(result.chunkConcurrency).toBe(5)
+    })
+
+    it('should throw error for a non-numeric token budget', () => {
+      core.getInput.mockImplementation((name) => {
+        if (name === 'anthropic-api-key') return 'test-anthropic-key'
+        if (name === 'github-token') return 'test-github-token'
+        if (name === 'token-budget') return 'lots'
+        return ''
+      })
+
+      expect(() => getConfig()).toThrow(
+        'Invalid token-budget: lots. Must be a positive integer'
+      )
+    })
+
+    it('should throw error for a zero chunk concurrency', () => {
+      core.getInput.mockImplementation((name) => {
+        if (name === 'anthropic-api-key') return 'test-anthropic-key'
+        if (name === 'github-token') return 'test-github-token'
+        if (name === 'chunk-concurrency') return '0'
+        return ''
+      })
+
+      expect(() => getConfig()).toThrow(
+        'Invalid chunk-concurrency: 0. Must be a positive integer'
+      )
+    })
+
+    it('should parse model inputs', () => {
+      core.getInput.mockImplementation((name) => {
+        if (name === 'anthropic-api-key') return 'test-anthropic-key'
+        if (name === 'github-token') return 'test-github-token'
+        if (name === 'model') return 'claude-sonnet-4-0'
+        if (name === 'max-tokens') return '2048'
+        if (name === 'temperature') return '0'
+        if (name === 'large-pr-model') return 'claude-opus-4-0'
+        if (name === 'large-pr-threshold') return '500'
+        return ''
+      })
+
+      const result = getConfig()
+
+      expect(result.model).toBe('claude-sonnet-4-0')
+      expect(result.maxTokens).toBe(2048)
+      expect(result.temperature).toBe(0)
+      expect(result.largePrModel).toBe('claude-opus-4-0')
+      expect(result.largePrThreshold).toBe(500)
+    })
+
+    it('should throw error for a temperature above 1', () => {
+      core.getInput.mockImplementation((name) => {
+        if (name === 'anthropic-api-key') return 'test-anthropic-key'
+        if (name === 'github-token') return 'test-github-token'
+        if (name === 'temperature') return '1.5'
+        return ''
+      })
+
+      expect(() => getConfig()).toThrow(
+        'Invalid temperature: 1.5. Must be a number between 0 and 1'
+      )
+    })
+
+    it('should throw error for a negative temperature', () => {
+      core.getInput.mockImplementation((name) => {
+        if (name === 'anthropic-api-key') return 'test-anthropic-key'
+        if (name === 'github-token') return 'test-github-token'
+        if (name === 'temperature') return '-0.1'
+        return ''
+      })
+
+      expect(() => getConfig()).toThrow(
+        'Invalid temperature: -0.1. Must be a number between 0 and 1'
+      )
+    })
+
+    it('should throw error for a non-numeric temperature', () => {
+      core.getInput.mockImplementation((name) => {
+        if (name === 'anthropic-api-key') return 'test-anthropic-key'
+        if (name === 'github-token') return 'test-github-token'
+        if (name === 'temperature') return 'warm'
+        return ''
+      })
+
+      expect(() => getConfig()).toThrow(
+        'Invalid temperature: warm. Must be a number between 0 and 1'
+      )
+    })
+
+    it('should parse use-pr-template input', () => {
+      core.getInput.mockImplementation((name) => {
+        if (name === 'anthropic-api-key') return 'test-anthropic-key'
+        if (name === 'github-token') return 'test-github-token'
+        if (name === 'use-pr-template') return 'FALSE'
+        return ''
+      })
+
+      expect(getConfig().usePrTemplate).toBe(false)
+    })
+
+    it('should parse pr-number input', () => {
+      core.getInput.mockImplementation((name) => {
+        if (name === 'anthropic-api-key') return 'test-anthropic-key'
+        if (name === 'github-token') return 'test-github-token'
+        if (name === 'pr-number') return '42'
+        return ''
+      })
+
+      expect(getConfig().prNumber).toBe(42)
+    })
+
+    it('should parse skip rule inputs', () => {
+      core.getInput.mockImplementation((name) => {
+        if (name === 'anthropic-api-key') return 'test-anthropic-key'
+        if (name === 'github-token') return 'test-github-token'
+        if (name === 'skip-drafts') return 'false'
+        if (name === 'skip-bots') return 'false'
+        if (name === 'skip-authors') return 'renovate-self-hosted'
+        if (name === 'skip-labels') return 'no-ai, wip '
+        if (name === 'require-labels') return 'describe-me'
+        if (name === 'skip-body-longer-than') return '500'
+        if (name === 'skip-branches') return 'release/**, dependabot/**'
+        return ''
+      })
+
+      expect(getConfig()).toMatchObject({
+        skipDrafts: false,
+        skipBots: false,
+        skipAuthors: ['renovate-self-hosted'],
+        skipLabels: ['no-ai', 'wip'],
+        requireLabels: ['describe-me'],
+        skipBodyLongerThan: 500,
+        skipBranches: ['release/**', 'dependabot/**']
+      })
+    })
+
+    it('should parse link-issues input', () => {
+      core.getInput.mockImplementation((name) => {
+        if (name === 'anthropic-api-key') return 'test-anthropic-key'
+        if (name === 'github-token') return 'test-github-token'
+        if (name === 'link-issues') return 'false'
+        return ''
+      })
+
+      expect(getConfig().linkIssues).toBe(false)
+    })
+
+    it('should parse files-table input', () => {
+      core.getInput.mockImplementation((name) => {
+        if (name === 'anthropic-api-key') return 'test-anthropic-key'
+        if (name === 'github-token') return 'test-github-token'
+        if (name === 'files-table') return 'true'
+        return ''
+      })
+
+      expect(getConfig().filesTable).toBe(true)
+    })
+
+    it('should parse incremental-updates input', () => {
+      core.getInput.mockImplementation((name) => {
+        if (name === 'anthropic-api-key') return 'test-anthropic-key'
+        if (name === 'github-token') return 'test-github-token'
+        if (name === 'incremental-updates') return 'false'
+        return ''
+      })
+
+      expect(getConfig().incrementalUpdates).toBe(false)
+    })
+
+    it('should parse structured-output input', () => {
+      core.getInput.mockImplementation((name) => {
+        if (name === 'anthropic-api-key') return 'test-anthropic-key'
+        if (name === 'github-token') return 'test-github-token'
+        if (name === 'structured-output') return 'true'
+        return ''
+      })
+
+      expect(getConfig().structuredOutput).toBe(true)
+    })
+
+    it('should parse labeling inputs over the default label map', () => {
+      core.getInput.mockImplementation((name) => {
+        if (name === 'anthropic-api-key') return 'test-anthropic-key'
+        if (name === 'github-token') return 'test-github-token'
+        if (name === 'structured-output') return 'true'
+        if (name === 'apply-labels') return 'true'
+        if (name === 'label-map')
+          return 'fix=type: bug, low-risk = safe ,chore='
+        return ''
+      })
+
+      const config = getConfig()
+
+      expect(config.applyLabels).toBe(true)
+      expect(config.labelMap).toEqual(
+        expect.objectContaining({
+          feature: 'enhancement',
+          fix: 'type: bug',
+          'low-risk': 'safe',
+          chore: ''
+        })
+      )
+    })
+
+    it('should parse language and verbosity inputs', () => {
+      core.getInput.mockImplementation((name) => {
+        if (name === 'anthropic-api-key') return 'test-anthropic-key'
+        if (name === 'github-token') return 'test-github-token'
+        if (name === 'language') return 'de-ch'
+        if (name === 'verbosity') return 'terse'
+        return ''
+      })
+
+      const config = getConfig()
+
+      expect(config.language).toBe('de-CH')
+      expect(config.verbosity).toBe('terse')
+    })
+
+    it.each([['Japanese'], ['en_US']])(
+      'should throw error for an invalid language %s',
+      (language) => {
+        core.getInput.mockImplementation((name) => {
+          if (name === 'anthropic-api-key') return 'test-anthropic-key'
+          if (name === 'github-token') return 'test-github-token'
+          if (name === 'language') return language
+          return ''
+        })
+
+        expect(() => getConfig()).toThrow(
+          `Invalid language: ${language}. Must be a BCP-47 language tag, e.g. en, ja or de-CH`
+        )
+      }
+    )
+
+    it('should throw error for an invalid verbosity', () => {
+      core.getInput.mockImplementation((name) => {
+        if (name === 'anthropic-api-key') return 'test-anthropic-key'
+        if (name === 'github-token') return 'test-github-token'
+        if (name === 'verbosity') return 'verbose'
+        return ''
+      })
+
+      expect(() => getConfig()).toThrow(
+        'Invalid verbosity: verbose. Must be one of: terse, standard, detailed'
+      )
+    })
+
+    it('should parse title inputs', () => {
+      core.getInput.mockImplementation((name) => {
+        if (name === 'anthropic-api-key') return 'test-anthropic-key'
+        if (name === 'github-token') return 'test-github-token'
+        if (name === 'title-mode') return 'rewrite'
+        if (name === 'title-pattern') return '^\\w+: \\S'
+        return ''
+      })
+
+      const config = getConfig()
+
+      expect(config.titleMode).toBe('rewrite')
+      expect(config.titlePattern).toBe('^\\w+: \\S')
+    })
+
+    it('should throw error for an invalid title-mode', () => {
+      core.getInput.mockImplementation((name) => {
+        if (name === 'anthropic-api-key') return 'test-anthropic-key'
+        if (name === 'github-token') return 'test-github-token'
+        if (name === 'title-mode') return 'always'
+        return ''
+      })
+
+      expect(() => getConfig()).toThrow(
+        'Invalid title-mode: always. Must be one of: off, suggest, rewrite'
+      )
+    })
+
+    it('should throw error for an invalid title-pattern', () => {
+      core.getInput.mockImplementation((name) => {
+        if (name === 'anthropic-api-key') return 'test-anthropic-key'
+        if (name === 'github-token') return 'test-github-token'
+        if (name === 'title-pattern') return '^(feat'
+        return ''
+      })
+
+      expect(() => getConfig()).toThrow(
+        'Invalid title-pattern: SyntaxError: Invalid regular expression'
+      )
+    })
+
+    it('should require structured-output for apply-labels', () => {
+      core.getInput.mockImplementation((name) => {
+        if (name === 'anthropic-api-key') return 'test-anthropic-key'
+        if (name === 'github-token') return 'test-github-token'
+        if (name === 'apply-labels') return 'true'
+        return ''
+      })
+
+      expect(() => getConfig()).toThrow(
+        'apply-labels classifies the pull request from the structured description. Please also set structured-output: true'
+      )
+    })
+
+    it.each([['comment'], ['summary'], ['output-only']])(
+      'should reject apply-labels in %s mode',
+      (mode) => {
+        core.getInput.mockImplementation((name) => {
+          if (name === 'anthropic-api-key') return 'test-anthropic-key'
+          if (name === 'github-token') return 'test-github-token'
+          if (name === 'structured-output') return 'true'
+          if (name === 'apply-labels') return 'true'
+          if (name === 'mode') return mode
+          return ''
+        })
+
+        expect(() => getConfig()).toThrow(
+          `apply-labels records the labels it added in the PR body, so it only works with mode: body (got mode: ${mode})`
+        )
+      }
+    )
+
+    it('should allow apply-labels from repository defaults in release-notes mode', () => {
+      core.getInput.mockImplementation((name) => {
+        if (name === 'anthropic-api-key') return 'test-anthropic-key'
+        if (name === 'github-token') return 'test-github-token'
+        if (name === 'structured-output') return 'true'
+        if (name === 'apply-labels') return 'true'
+        if (name === 'mode') return 'release-notes'
+        return ''
+      })
+
+      expect(getConfig().mode).toBe('release-notes')
+    })
+
+    it.each([['bug'], ['bugfix=bug']])(
+      'should throw error for invalid label-map entry %s',
+      (entry) => {
+        core.getInput.mockImplementation((name) => {
+          if (name === 'anthropic-api-key') return 'test-anthropic-key'
+          if (name === 'github-token') return 'test-github-token'
+          if (name === 'label-map') return entry
+          return ''
+        })
+
+        expect(() => getConfig()).toThrow(
+          `Invalid label-map entry: ${entry}. Must be <class>=<label> with a class of: feature, fix, refactor, docs, chore, breaking, low-risk, medium-risk, high-risk`
+        )
+      }
+    )
+
+    it('should parse force input', () => {
+      core.getInput.mockImplementation((name) => {
+        if (name === 'anthropic-api-key') return 'test-anthropic-key'
+        if (name === 'github-token') return 'test-github-token'
+        if (name === 'force') return 'true'
+        return ''
+      })
+
+      expect(getConfig().force).toBe(true)
+    })
+
+    it('should throw error for an invalid boolean input', () => {
+      core.getInput.mockImplementation((name) => {
+        if (name === 'anthropic-api-key') return 'test-anthropic-key'
+        if (name === 'github-token') return 'test-github-token'
+        if (name === 'use-pr-template') return 'yes'
+        return ''
+      })
+
+      expect(() => getConfig()).toThrow(
+        'Invalid use-pr-template: yes. Must be true or false'
+      )
+    })
+
+    it('should parse prompt inputs', () => {
+      core.getInput.mockImplementation((name) => {
+        if (name === 'anthropic-api-key') return 'test-anthropic-key'
+        if (name === 'github-token') return 'test-github-token'
+        if (name === 'prompt-file') return ' .github/prompts/pr.MD '
+        if (name === 'extra-instructions') return ' Mention the ticket. '
+        return ''
+      })
+
+      const result = getConfig()
+
+      expect(result.promptFile).toBe('.github/prompts/pr.MD')
+      expect(result.extraInstructions).toBe('Mention the ticket.')
+    })
+
+    it.each([
+      ['/etc/prompt.md'],
+      ['../outside/prompt.md'],
+      ['docs/../../prompt.md'],
+      ['docs\\..\\prompt.md'],
+      ['.github/prompt.txt']
+    ])('should throw error for invalid prompt-file %s', (promptFile) => {
+      core.getInput.mockImplementation((name) => {
+        if (name === 'anthropic-api-key') return 'test-anthropic-key'
+        if (name === 'github-token') return 'test-github-token'
+        if (name === 'prompt-file') return promptFile
+        return ''
+      })
+
+      expect(() => getConfig()).toThrow(
+        `Invalid prompt-file: ${promptFile}. Must be a relative path to a markdown file inside the repository`
+      )
+    })
+
+    it('should throw error for overly long extra instructions', () => {
+      core.getInput.mockImplementation((name) => {
+        if (name === 'anthropic-api-key') return 'test-anthropic-key'
+        if (name === 'github-token') return 'test-github-token'
+        if (name === 'extra-instructions') return 'a'.repeat(4001)
+        return ''
+      })
+
+      expect(() => getConfig()).toThrow(
+        'extra-instructions is too long (4001 characters). Maximum is 4000'
+      )
+    })
+
+    it.each([['body'], ['comment'], ['summary'], ['output-only']])(
+      'should accept mode %s',
+      (mode) => {
+        core.getInput.mockImplementation((name) => {
+          if (name === 'anthropic-api-key') return 'test-anthropic-key'
+          if (name === 'github-token') return 'test-github-token'
+          if (name === 'mode') return mode
+          return ''
+        })
+
+        expect(getConfig().mode).toBe(mode)
+      }
+    )
+
+    it('should throw error for an invalid mode', () => {
+      core.getInput.mockImplementation((name) => {
+        if (name === 'anthropic-api-key') return 'test-anthropic-key'
+        if (name === 'github-token') return 'test-github-token'
+        if (name === 'mode') return 'email'
+        return ''
+      })
+
+      expect(() => getConfig()).toThrow(
+        'Invalid mode: email. Must be one of: body, comment, summary, output-only, release-notes'
+      )
+    })
+
+    it('should parse release notes inputs', () => {
+      const inputs = {
+        'anthropic-api-key': 'test-anthropic-key',
+        'github-token': 'test-github-token',
+        mode: 'release-notes',
+        'release-notes-output': 'changelog'
+      }
+      core.getInput.mockImplementation((name) => inputs[name] ?? '')
+
+      expect(getConfig()).toMatchObject({
+        mode: 'release-notes',
+        releaseNotesOutput: 'changelog',
+        releaseNotesFile: 'CHANGELOG.md'
+      })
+
+      inputs['release-notes-output'] = 'file'
+      expect(getConfig().releaseNotesFile).toBe('RELEASE_NOTES.md')
+
+      inputs['release-notes-file'] = ' docs/releases/next.md '
+      expect(getConfig().releaseNotesFile).toBe('docs/releases/next.md')
+    })
+
+    it('should reject an invalid release-notes-output', () => {
+      core.getInput.mockImplementation((name) => {
+        if (name === 'anthropic-api-key') return 'test-anthropic-key'
+        if (name === 'github-token') return 'test-github-token'
+        if (name === 'release-notes-output') return 'wiki'
+        return ''
+      })
+
+      expect(() => getConfig()).toThrow(
+        'Invalid release-notes-output: wiki. Must be one of: release, changelog, file, output-only'
+      )
+    })
+
+    it('should parse redaction inputs', () => {
+      core.getInput.mockImplementation((name) => {
+        if (name === 'anthropic-api-key') return 'test-anthropic-key'
+        if (name === 'github-token') return 'test-github-token'
+        if (name === 'redact-secrets') return 'false'
+        if (name === 'redact-patterns')
+          return 'ACME-\\d{3,5}\n\n  internal\\.example\\.com  \n'
+        if (name === 'fail-on-secret') return 'true'
+        return ''
+      })
+
+      expect(getConfig()).toMatchObject({
+        redactSecrets: false,
+        redactPatterns: ['ACME-\\d{3,5}', 'internal\\.example\\.com'],
+        failOnSecret: true
+      })
+    })
+
+    it('should throw error for an invalid redact pattern', () => {
+      core.getInput.mockImplementation((name) => {
+        if (name === 'anthropic-api-key') return 'test-anthropic-key'
+        if (name === 'github-token') return 'test-github-token'
+        if (name === 'redact-patterns') return 'ACME-(\\d+'
+        return ''
+      })
+
+      expect(() => getConfig()).toThrow('Invalid redact-patterns entry:')
+    })
+
+    it('should throw error for a redact pattern that matches an empty string', () => {
+      core.getInput.mockImplementation((name) => {
+        if (name === 'anthropic-api-key') return 'test-anthropic-key'
+        if (name === 'github-token') return 'test-github-token'
+        if (name === 'redact-patterns') return 'secret-\\d*\n\\d*'
+        return ''
+      })
+
+      expect(() => getConfig()).toThrow(
+        'Invalid redact-patterns entry: \\d* matches an empty string'
+      )
+    })
+
+    describe('with a repository config file', () => {
+      const repoConfig = {
+        include: ['src/**'],
+        exclude: ['**/*.snap', '!src/keep.snap'],
+        pathInstructions: [
+          { path: 'migrations/**', instructions: 'Add a rollback note.' }
+        ],
+        defaults: {
+          mode: 'comment',
+          'files-table': 'true',
+          'skip-labels': 'no-description,wip',
+          model: 'claude-sonnet-4-20250514'
+        }
+      }
+
+      it('should use the file for inputs that are not set', () => {
+        core.getInput.mockImplementation((name) => {
+          if (name === 'anthropic-api-key') return 'test-anthropic-key'
+          if (name === 'github-token') return 'test-github-token'
+          return ''
+        })
+
+        expect(getConfig(core.getInput, { repoConfig })).toEqual({
+          ...configDefaults,
+          anthropicApiKey: 'test-anthropic-key',
+          githubToken: 'test-github-token',
+          mode: 'comment',
+          filesTable: true,
+          skipLabels: ['no-description', 'wip'],
+          model: 'claude-sonnet-4-20250514',
+          includePatterns: ['src/**'],
+          ignoredPatterns: ['**/*.snap', '!src/keep.snap'],
+          pathInstructions: repoConfig.pathInstructions
+        })
+        expect(core.info).toHaveBeenCalledWith('Including only: src/**')
+      })
+
+      it('should let action inputs override the file', () => {
+        core.getInput.mockImplementation((name) => {
+          if (name === 'anthropic-api-key') return 'test-anthropic-key'
+          if (name === 'github-token') return 'test-github-token'
+          if (name === 'mode') return 'body'
+          if (name === 'files-table') return ' '
+          if (name === 'include-patterns') return 'lib/**'
+          if (name === 'ignore-patterns') return 'dist/**'
+          return ''
+        })
+
+        expect(getConfig(core.getInput, { repoConfig })).toMatchObject({
+          mode: 'body',
+          filesTable: true,
+          includePatterns: ['lib/**'],
+          ignoredPatterns: ['dist/**']
+        })
+      })
+
+      it('should validate values from the file like inputs', () => {
+        core.getInput.mockImplementation((name) => {
+          if (name === 'anthropic-api-key') return 'test-anthropic-key'
+          if (name === 'github-token') return 'test-github-token'
+          return ''
+        })
+
+        expect(() =>
+          getConfig(core.getInput, {
+            repoConfig: { ...repoConfig, defaults: { mode: 'email' } }
+          })
+        ).toThrow('Invalid mode: email')
+      })
+
+      it('should let the file choose a provider that needs no Anthropic key', () => {
+        core.getInput.mockImplementation((name) =>
+          name === 'github-token' ? 'test-github-token' : ''
+        )
+
+        expect(
+          getConfig(core.getInput, {
+            repoConfig: {
+              ...repoConfig,
+              defaults: { provider: 'bedrock', model: 'anthropic.claude' }
+            }
+          })
+        ).toMatchObject({ provider: 'bedrock', model: 'anthropic.claude' })
+      })
+    })
+
+    it('should parse exclusion inputs', () => {
+      core.getInput.mockImplementation((name) => {
+        if (name === 'anthropic-api-key') return 'test-anthropic-key'
+        if (name === 'github-token') return 'test-github-token'
+        if (name === 'exclude-profiles') return 'lockfiles, binary'
+        if (name === 'max-file-lines') return '250'
+        return ''
+      })
+
+      expect(getConfig()).toMatchObject({
+        excludeProfiles: ['lockfiles', 'binary'],
+        maxFileLines: 250
+      })
+    })
+
+    it('should turn off every exclusion profile with none', () => {
+      core.getInput.mockImplementation((name) => {
+        if (name === 'anthropic-api-key') return 'test-anthropic-key'
+        if (name === 'github-token') return 'test-github-token'
+        if (name === 'exclude-profiles') return 'none'
+        return ''
+      })
+
+      expect(getConfig().excludeProfiles).toEqual([])
+    })
+
+    it('should throw error for an invalid exclude-profiles entry', () => {
+      core.getInput.mockImplementation((name) => {
+        if (name === 'anthropic-api-key') return 'test-anthropic-key'
+        if (name === 'github-token') return 'test-github-token'
+        if (name === 'exclude-profiles') return 'lockfiles,tests'
+        return ''
+      })
+
+      expect(() => getConfig()).toThrow(
+        'Invalid exclude-profiles entry: tests. Must be "none" or any of: generated, vendored, lockfiles, binary, large'
+      )
+    })
+
+    it('should throw error for an invalid max-file-lines', () => {
+      core.getInput.mockImplementation((name) => {
+        if (name === 'anthropic-api-key') return 'test-anthropic-key'
+        if (name === 'github-token') return 'test-github-token'
+        if (name === 'max-file-lines') return '0'
+        return ''
+      })
+
+      expect(() => getConfig()).toThrow(
+        'Invalid max-file-lines: 0. Must be a positive integer'
+      )
+    })
+
+    it('should parse retry-attempts input', () => {
+      core.getInput.mockImplementation((name) => {
+        if (name === 'anthropic-api-key') return 'test-anthropic-key'
+        if (name === 'github-token') return 'test-github-token'
+        if (name === 'retry-attempts') return '5'
+        return ''
+      })
+
+      expect(getConfig().retryAttempts).toBe(5)
+    })
+
+    it('should parse base-url input', () => {
+      core.getInput.mockImplementation((name) => {
+        if (name === 'anthropic-api-key') return 'test-anthropic-key'
+        if (name === 'github-token') return 'test-github-token'
+        if (name === 'base-url') return ' http://localhost:8080 '
+        return ''
+      })
+
+      expect(getConfig().baseUrl).toBe('http://localhost:8080')
+    })
+
+    it('should parse Bedrock provider inputs without an Anthropic API key', () => {
+      core.getInput.mockImplementation((name) => {
+        if (name === 'github-token') return 'test-github-token'
+        if (name === 'provider') return ' bedrock '
+        if (name === 'model') return 'anthropic.claude-3-5-haiku-20241022-v1:0'
+        if (name === 'aws-region') return ' eu-west-1 '
+        return ''
+      })
+
+      expect(getConfig()).toMatchObject({
+        provider: 'bedrock',
+        anthropicApiKey: '',
+        model: 'anthropic.claude-3-5-haiku-20241022-v1:0',
+        awsRegion: 'eu-west-1'
+      })
+    })
+
+    it('should parse Vertex provider inputs', () => {
+      core.getInput.mockImplementation((name) => {
+        if (name === 'github-token') return 'test-github-token'
+        if (name === 'provider') return 'vertex'
+        if (name === 'model') return 'claude-3-5-haiku@20241022'
+        if (name === 'vertex-region') return 'us-east5'
+        if (name === 'vertex-project-id') return 'my-project'
+        return ''
+      })
+
+      expect(getConfig()).toMatchObject({
+        provider: 'vertex',
+        vertexRegion: 'us-east5',
+        vertexProjectId: 'my-project'
+      })
+    })
+
+    it('should parse openai-compatible provider inputs', () => {
+      core.getInput.mockImplementation((name) => {
+        if (name === 'github-token') return 'test-github-token'
+        if (name === 'provider') return 'openai-compatible'
+        if (name === 'model') return 'llama3'
+        if (name === 'base-url') return 'http://localhost:11434/v1'
+        if (name === 'openai-api-key') return ' sk-local '
+        return ''
+      })
+
+      expect(getConfig()).toMatchObject({
+        provider: 'openai-compatible',
+        baseUrl: 'http://localhost:11434/v1',
+        openaiApiKey: 'sk-local',
+        model: 'llama3'
+      })
+    })
+
+    it('should throw error for an invalid provider', () => {
+      core.getInput.mockImplementation((name) => {
+        if (name === 'anthropic-api-key') return 'test-anthropic-key'
+        if (name === 'github-token') return 'test-github-token'
+        if (name === 'provider') return 'openai'
+        return ''
+      })
+
+      expect(() => getConfig()).toThrow(
+        'Invalid provider: openai. Must be one of: anthropic, bedrock, vertex, openai-compatible'
+      )
+    })
+
+    it('should require base-url for the openai-compatible provider', () => {
+      core.getInput.mockImplementation((name) => {
+        if (name === 'github-token') return 'test-github-token'
+        if (name === 'provider') return 'openai-compatible'
+        if (name === 'model') return 'llama3'
+        return ''
+      })
+
+      expect(() => getConfig()).toThrow(
+        'The base-url input is required for the openai-compatible provider, e.g. http://localhost:11434/v1'
+      )
+    })
+
+    it('should require a model for providers other than anthropic', () => {
+      core.getInput.mockImplementation((name) => {
+        if (name === 'github-token') return 'test-github-token'
+        if (name === 'provider') return 'bedrock'
+        return ''
+      })
+
+      expect(() => getConfig()).toThrow(
+        'The model input is required for the bedrock provider. Please set it to a model name the provider accepts.'
+      )
+    })
+
+    it('should read inputs with a custom reader', () => {
+      const inputs = {
+        'anthropic-api-key': 'cli-key',
+        'github-token': 'cli-token',
+        model: 'claude-sonnet-4-0'
+      }
+
+      const result = getConfig((name) => inputs[name] || '')
+
+      expect(core.getInput).not.toHaveBeenCalled()
+      expect(result).toEqual({
+        ...configDefaults,
+        anthropicApiKey: 'cli-key',
+        githubToken: 'cli-token',
+        ignoredPatterns: [],
+        model: 'claude-sonnet-4-0'
+      })
+    })
+
+    it('should not require a GitHub token when requireGitHubToken is false', () => {
+      const result = getConfig(
+        (name) => (name === 'anthropic-api-key' ? 'cli-key' : ''),
+        { requireGitHubToken: false }
+      )
+
+      expect(result.githubToken).toBe('')
+    })
+  })
+
+  describe('isReleaseNotesMode', () => {
+    it('should only be on when the mode input is release-notes', () => {
+      core.getInput.mockReturnValue(' release-notes ')
+      expect(isReleaseNotesMode()).toBe(true)
+
+      core.getInput.mockReturnValue('body')
+      expect(isReleaseNotesMode()).toBe(false)
+    })
+  })
+
+  describe('getReleaseRange', () => {
+    const readInputs = (inputs) => (name) => inputs[name] ?? ''
+    let mockOctokit
+
+    beforeEach(() => {
+      mockOctokit = github.getOctokit('fake-token')
+      mockOctokit.rest.git.getRef.mockImplementation(async ({ ref }) => {
+        if (ref === 'tags/v1.3.0') return { data: { ref: `refs/${ref}` } }
+        throw Object.assign(new Error('Not Found'), { status: 404 })
+      })
+    })
+
+    it('should read the base, head and tag of a range', async () => {
+      expect(
+        await getReleaseRange(
+          mockOctokit,
+          readInputs({ 'release-range': 'v1.2.0..v1.3.0' })
+        )
+      ).toEqual({ base: 'v1.2.0', head: 'v1.3.0', tag: 'v1.3.0' })
+      expect(mockOctokit.rest.git.getRef).toHaveBeenCalledWith({
+        owner: 'test-owner',
+        repo: 'test-repo',
+        ref: 'tags/v1.3.0'
+      })
+    })
+
+    it('should not name the release after a range ending with a branch', async () => {
+      expect(
+        await getReleaseRange(
+          mockOctokit,
+          readInputs({ 'release-range': 'v1.2.0...main' })
+        )
+      ).toEqual({ base: 'v1.2.0', head: 'main', tag: '' })
+      expect(mockOctokit.rest.git.getRef).toHaveBeenCalledWith({
+        owner: 'test-owner',
+        repo: 'test-repo',
+        ref: 'tags/main'
+      })
+    })
+
+    it('should prefer release-tag over the end of the range', async () => {
+      expect(
+        await getReleaseRange(
+          mockOctokit,
+          readInputs({
+            'release-range': 'v1.2.0...main',
+            'release-tag': 'v1.3.0-rc.1'
+          })
+        )
+      ).toEqual({ base: 'v1.2.0', head: 'main', tag: 'v1.3.0-rc.1' })
+      expect(mockOctokit.rest.git.getRef).not.toHaveBeenCalled()
+    })
+
+    it('should compare a single ref with the commit the workflow runs on', async () => {
+      Object.assign(context, { sha: 'head-sha', ref: 'refs/tags/v1.3.0' })
+
+      expect(
+        await getReleaseRange(
+          mockOctokit,
+          readInputs({ 'release-range': 'v1.2.0' })
+        )
+      ).toEqual({ base: 'v1.2.0', head: 'head-sha', tag: 'v1.3.0' })
+
+      context.ref = 'refs/heads/main'
+      expect(
+        await getReleaseRange(
+          mockOctokit,
+          readInputs({ 'release-range': 'v1.2.0..' })
+        )
+      ).toEqual({ base: 'v1.2.0', head: 'head-sha', tag: '' })
+      expect(mockOctokit.rest.git.getRef).not.toHaveBeenCalled()
+    })
+
+    it('should reject a missing or invalid range', async () => {
+      core.getInput.mockReturnValue('')
+
+      await expect(getReleaseRange(mockOctokit)).rejects.toThrow(
+        'The release-range input is required in release-notes mode, e.g. v1.2.0..v1.3.0'
+      )
+      await expect(
+        getReleaseRange(
+          mockOctokit,
+          readInputs({ 'release-range': '..v1.3.0' })
+        )
+      ).rejects.toThrow(
+        'Invalid release-range: ..v1.3.0. Expected <base>..<head> or a single tag'
+      )
+    })
+  })
+
+  describe('getGitHubConfig', () => {
+    it('should read the inputs needed to find the pull request', () => {
+      core.getInput.mockImplementation((name) => {
+        if (name === 'github-token') return 'test-github-token'
+        if (name === 'pr-number') return '42'
+        if (name === 'retry-attempts') return '5'
+        if (name === 'retry-max-wait') return '300'
+        return ''
+      })
+
+      expect(getGitHubConfig()).toEqual({
+        githubToken: 'test-github-token',
+        prNumber: 42,
+        retryAttempts: 5,
+        retryMaxWait: 300
+      })
+    })
+
+    it('should require a GitHub token unless told otherwise', () => {
+      core.getInput.mockReturnValue('')
+
+      expect(() => getGitHubConfig()).toThrow('GitHub token not found')
+      expect(
+        getGitHubConfig(core.getInput, { requireGitHubToken: false })
+      ).toEqual({
+        githubToken: '',
+        prNumber: 0,
+        retryAttempts: 3,
+        retryMaxWait: 120
+      })
+    })
   })
 })
@@ -4,7 +4,7 @@
 export default {
   clearMocks: true,
   collectCoverage: true,
-  collectCoverageFrom: ['./src/**', '!./src/main.ts'],
+  collectCoverageFrom: ['./src/**', '!./src/main.ts', '!./src/cli.ts'],
   coverageDirectory: './coverage',
   coveragePathIgnorePatterns: ['/node_modules/', '/dist/'],
   coverageReporters: ['json-summary', 'text', 'lcov'],
@@ -21,7 +21,9 @@ export default {
   moduleNameMapper: {
     '^@actions/core$': '<rootDir>/__fixtures__/core.ts',
     '^@actions/github$': '<rootDir>/__fixtures__/github.ts',
-    '^@anthropic-ai/sdk$': '<rootDir>/__fixtures__/anthropic.ts'
+    '^@anthropic-ai/sdk$': '<rootDir>/__fixtures__/anthropic.ts',
+    '^@anthropic-ai/bedrock-sdk$': '<rootDir>/__fixtures__/bedrock.ts',
+    '^@anthropic-ai/vertex-sdk$': '<rootDir>/__fixtures__/vertex.ts'
   },
   preset: 'ts-jest',
   reporters: ['default'],
@@ -1,18 +1,28 @@
 // See: https://rollupjs.org/introduction/
 
 import commonjs from '@rollup/plugin-commonjs'
+import json from '@rollup/plugin-json'
 import nodeResolve from '@rollup/plugin-node-resolve'
 import typescript from '@rollup/plugin-typescript'
 
-const config = {
-  input: 'src/index.ts',
+// The action entrypoint and the local CLI
+const config = ['index', 'cli'].map((name) => ({
+  input: `src/${name}.ts`,
   output: {
     esModule: true,
-    file: 'dist/index.js',
+    file: `dist/${name}.js`,
     format: 'es',
+    // The Bedrock and Vertex SDKs load some modules lazily; an action has to
+    // ship as a single file
+    inlineDynamicImports: true,
     sourcemap: true
   },
-  plugins: [typescript(), nodeResolve({ preferBuiltins: true }), commonjs()]
-}
+  plugins: [
+    typescript(),
+    nodeResolve({ preferBuiltins: true }),
+    commonjs(),
+    json()
+  ]
+}))
 
 export default config
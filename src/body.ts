@@ -0,0 +1,127 @@
+import * as core from '@actions/core'
+import { SectionPlacement } from './types.js'
+
+/**
+ * Markers delimiting the region of the PR body owned by this action
+ */
+export const SECTION_START_MARKER = '<!-- pr-description:start -->'
+export const SECTION_END_MARKER = '<!-- pr-description:end -->'
+
+/**
+ * Hidden marker identifying the action's sticky PR comment
+ */
+export const COMMENT_MARKER = '<!-- pr-description:comment -->'
+
+export const DEFAULT_PLACEHOLDER_TOKEN = '<!-- pr-description -->'
+
+export interface SectionOptions {
+  placement: SectionPlacement
+  placeholderToken: string
+  /**
+   * The repository's pull request template. GitHub pre-fills new PR bodies
+   * with it, and a body that is still the unfilled template is replaced.
+   */
+  template?: string | null
+}
+
+function wrapSection(description: string): string {
+  return `${SECTION_START_MARKER}\n${description.trim()}\n${SECTION_END_MARKER}`
+}
+
+function removeMarker(body: string, marker: string): string {
+  return body.split(marker).join('')
+}
+
+function normalizeLineEndings(text: string): string {
+  return text.replace(/\r\n/g, '\n').trim()
+}
+
+function isUnfilledTemplate(body: string, template?: string | null): boolean {
+  if (!template?.trim()) {
+    return false
+  }
+
+  return normalizeLineEndings(body) === normalizeLineEndings(template)
+}
+
+/**
+ * Merge a generated description into an existing PR body. Only the
+ * marker-delimited section is touched; everything outside of it is preserved,
+ * unless it is still the unfilled pull request template.
+ */
+export function mergeManagedSection(
+  existingBody: string,
+  description: string,
+  options: SectionOptions
+): string {
+  const section = wrapSection(description)
+  const start = existingBody.indexOf(SECTION_START_MARKER)
+  const end = existingBody.indexOf(SECTION_END_MARKER)
+
+  if (start !== -1 && end > start) {
+    const before = existingBody.substring(0, start)
+    const after = existingBody.substring(end + SECTION_END_MARKER.length)
+    if (isUnfilledTemplate(`${before}${after}`, options.template)) {
+      core.info('Replacing the unfilled pull request template in PR body')
+      return section
+    }
+
+    core.info('Replacing existing managed section in PR body')
+    return before + section + after
+  }
+
+  let body = existingBody
+  if (start !== -1 || end !== -1) {
+    core.warning('Found an incomplete managed section in PR body, recreating')
+    body = removeMarker(
+      removeMarker(body, SECTION_START_MARKER),
+      SECTION_END_MARKER
+    )
+  }
+
+  body = body.trim()
+  if (!body) {
+    return section
+  }
+
+  // A template with a placeholder token is meant to be kept around the section
+  if (
+    options.placement === 'placeholder' &&
+    body.includes(options.placeholderToken)
+  ) {
+    core.info('Replacing placeholder token with managed section')
+    return body.replace(options.placeholderToken, () => section)
+  }
+
+  if (isUnfilledTemplate(body, options.template)) {
+    core.info('Replacing the unfilled pull request template in PR body')
+    return section
+  }
+
+  if (options.placement === 'placeholder') {
+    core.info(
+      `Placeholder token ${options.placeholderToken} not found, appending managed section`
+    )
+    return `${body}\n\n${section}`
+  }
+
+  if (options.placement === 'bottom') {
+    return `${body}\n\n${section}`
+  }
+
+  return `${section}\n\n${body}`
+}
+
+/**
+ * The description in the managed section of a PR body, or null when the body
+ * has no complete managed section
+ */
+export function readManagedSection(body: string): string | null {
+  const start = body.indexOf(SECTION_START_MARKER)
+  const end = body.indexOf(SECTION_END_MARKER)
+  if (start === -1 || end < start) {
+    return null
+  }
+
+  return body.substring(start + SECTION_START_MARKER.length, end).trim()
+}
@@ -0,0 +1,125 @@
+import { DiffFile, parseDiff } from './diff.js'
+
+/**
+ * Rough number of characters per token for English text and source code
+ */
+const CHARS_PER_TOKEN = 4
+
+const TRUNCATION_NOTICE = '\n[... truncated to fit token budget ...]\n'
+
+/**
+ * Estimate the number of tokens in a piece of text
+ */
+export function estimateTokens(text: string): number {
+  return Math.ceil(text.length / CHARS_PER_TOKEN)
+}
+
+/**
+ * Cut text down to about maxTokens estimated tokens, with a notice at the end
+ */
+export function truncateToTokens(text: string, maxTokens: number): string {
+  const maxChars = maxTokens * CHARS_PER_TOKEN
+  if (text.length <= maxChars) {
+    return text
+  }
+  return text.substring(0, maxChars) + TRUNCATION_NOTICE
+}
+
+/**
+ * Split a single file into pieces that fit the budget. Each piece keeps the
+ * file header so the model knows which file the hunks belong to.
+ */
+function splitFile(file: DiffFile, maxTokens: number): string[] {
+  const { header } = file
+  const pieces: string[] = []
+  let current = ''
+
+  for (const { text: hunk } of file.hunks) {
+    if (current && estimateTokens(header + current + hunk) > maxTokens) {
+      pieces.push(header + current)
+      current = ''
+    }
+    current += hunk
+  }
+
+  if (current) {
+    pieces.push(header + current)
+  }
+
+  if (pieces.length === 0) {
+    pieces.push(header)
+  }
+
+  return pieces.map((piece) => truncateToTokens(piece, maxTokens))
+}
+
+/**
+ * Split a unified diff into chunks of at most maxTokens estimated tokens.
+ * Whole files are grouped together where possible; files that are too large
+ * on their own are split into groups of hunks.
+ */
+export function splitDiff(diff: string, maxTokens: number): string[] {
+  const { preamble, files, invalid } = parseDiff(diff)
+  const chunks: string[] = []
+  let current = ''
+
+  for (const entry of [preamble, ...files, ...invalid]) {
+    const section = typeof entry === 'string' ? entry : entry.text
+    if (!section.trim()) {
+      continue
+    }
+
+    if (estimateTokens(section) > maxTokens) {
+      if (current) {
+        chunks.push(current)
+        current = ''
+      }
+      chunks.push(
+        ...(typeof entry === 'string'
+          ? [truncateToTokens(section, maxTokens)]
+          : splitFile(entry, maxTokens))
+      )
+      continue
+    }
+
+    if (current && estimateTokens(current + section) > maxTokens) {
+      chunks.push(current)
+      current = ''
+    }
+    current += section
+  }
+
+  if (current) {
+    chunks.push(current)
+  }
+
+  return chunks
+}
+
+/**
+ * Map over items with at most `concurrency` promises in flight, preserving
+ * the order of the results
+ */
+export async function mapWithConcurrency<T, R>(
+  items: T[],
+  concurrency: number,
+  fn: (item: T, index: number) => Promise<R>
+): Promise<R[]> {
+  const results: R[] = new Array(items.length)
+  let nextIndex = 0
+
+  async function worker(): Promise<void> {
+    while (nextIndex < items.length) {
+      const index = nextIndex++
+      results[index] = await fn(items[index], index)
+    }
+  }
+
+  const workers = Array.from(
+    { length: Math.max(1, Math.min(concurrency, items.length)) },
+    () => worker()
+  )
+  await Promise.all(workers)
+
+  return results
+}
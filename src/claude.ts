@@ -1,122 +1,449 @@
 import * as core from '@actions/core'
 import { Anthropic } from '@anthropic-ai/sdk'
-import { PRContext } from './types.js'
+import {
+  PRContext,
+  PRInfo,
+  GenerationOptions,
+  ModelRouting,
+  StructuredDescription
+} from './types.js'
+import {
+  estimateTokens,
+  splitDiff,
+  mapWithConcurrency,
+  truncateToTokens
+} from './budget.js'
+import { parseDiff } from './diff.js'
+import {
+  buildSystemPrompt,
+  RELEASE_NOTES_SYSTEM_PROMPT,
+  TITLE_SYSTEM_PROMPT,
+  UPDATE_SYSTEM_PROMPT
+} from './prompt.js'
+import { withRetry } from './retry.js'
+import { formatLinkedIssues } from './issues.js'
+import { formatExcludedFiles, formatFileManifest } from './files.js'
+import {
+  DESCRIPTION_TOOL,
+  parseStructuredDescription,
+  renderStructuredDescription
+} from './structured.js'
+import { normalizeTitle } from './title.js'
+import { Provider } from './provider.js'
 
 /**
- * System prompt for Claude to generate PR descriptions
+ * System prompt for summarizing one chunk of an oversized diff
  */
-const SYSTEM_PROMPT = `
-You are a technical writer creating clear, concise pull request descriptions. 
+const CHUNK_SYSTEM_PROMPT = `
+You are reviewing one part of a large pull request diff.
 
-Your task is to analyze the provided PR context and generate a professional GitHub PR description in markdown format.
+Summarize the changes in this part as a short list of markdown bullet points.
+Mention the files involved, any breaking changes, and anything a reviewer should
+pay attention to. Do not speculate about code you cannot see.
 
-Structure your response exactly like this:
-
-----------------------------------------------------------------------
-
-## Summary
-Brief overview of what this PR does (1-2 sentences)
+Respond with ONLY the bullet points - no meta-commentary.
+`
 
-## Changes Made  
-- Key changes in bullet points (be specific but concise)
+export const DEFAULT_GENERATION_OPTIONS: GenerationOptions = {
+  model: 'claude-3-5-haiku-latest',
+  maxTokens: 1000,
+  temperature: 0.3,
+  tokenBudget: 100000,
+  chunkConcurrency: 3
+}
 
-----------------------------------------------------------------------
+/**
+ * Maximum output tokens for each chunk summary of an oversized diff
+ */
+const CHUNK_SUMMARY_MAX_TOKENS = 500
 
-Do not include any other sections or comments in your response.
+/**
+ * Maximum output tokens for a suggested title
+ */
+const TITLE_MAX_TOKENS = 100
 
-Guidelines:
-- Be concise. Prefer to be short and to the point.
-- Focus on the "what" and "why", not implementation details
-- Use clear, professional language
-- Highlight breaking changes if any
-- Mention related issues if apparent from commits
+/**
+ * Extra requests allowed when Claude's structured description fails
+ * validation
+ */
+const STRUCTURED_OUTPUT_RETRIES = 1
 
-Respond with ONLY the markdown content - no meta-commentary.
-`
+/**
+ * Count the added and removed lines in a unified diff
+ */
+export function countChangedLines(diff: string): number {
+  return parseDiff(diff).files.reduce(
+    (total, file) => total + file.additions + file.deletions,
+    0
+  )
+}
 
-export async function generatePRDescription(
-  apiKey: string,
-  prContext: PRContext
-): Promise<string> {
-  const anthropic = new Anthropic({
-    apiKey
-  })
+/**
+ * Pick the model for a PR, routing diffs above the configured threshold to
+ * the large PR model when one is set
+ */
+export function selectModel(config: ModelRouting, diff: string): string {
+  if (!config.largePrModel) {
+    return config.model
+  }
 
-  const contextContent = `Pull Request Title: ${prContext.prInfo.title}
-Pull Request Author: ${prContext.prInfo.author}
+  const changedLines = countChangedLines(diff)
+  if (changedLines > config.largePrThreshold) {
+    core.info(
+      `Diff has ${changedLines} changed lines (threshold: ${config.largePrThreshold}), using ${config.largePrModel}`
+    )
+    return config.largePrModel
+  }
 
-Commit Messages:
-${prContext.commitMessages}
+  return config.model
+}
 
-Complete Code Diff:
-${prContext.diff}`
+type MessageContent = Anthropic.Messages.ContentBlockParam[]
 
-  core.info('Generating PR description with Claude...')
-  core.info(`Context size: ${contextContent.length} characters`)
+function logUsage(usage: Anthropic.Messages.Usage): void {
   core.info(
-    `Commit messages found: ${prContext.commitMessages.trim().split('\n').length} commits`
+    `Token usage: input=${usage.input_tokens}, output=${usage.output_tokens}`
   )
-  core.info(`Diff lines: ${prContext.diff.split('\n').length} lines`)
 
-  try {
-    const response = await anthropic.messages.create({
-      model: 'claude-3-5-haiku-latest',
-      max_tokens: 1000,
-      temperature: 0.3,
+  if (usage.cache_read_input_tokens && usage.cache_read_input_tokens > 0) {
+    core.info(`Cache hit! Saved tokens: ${usage.cache_read_input_tokens}`)
+    const cacheHitRate = Math.round(
+      (usage.cache_read_input_tokens /
+        (usage.cache_read_input_tokens + usage.input_tokens)) *
+        100
+    )
+    core.info(`Cache hit rate: ${cacheHitRate}%`)
+  }
+}
+
+/**
+ * Send a request to Claude, forcing a call to the given tool when one is set
+ */
+async function sendMessage(
+  provider: Provider,
+  options: GenerationOptions,
+  systemPrompt: string,
+  messages: Anthropic.Messages.MessageParam[],
+  maxTokens: number,
+  tool?: Anthropic.Messages.Tool
+): Promise<Anthropic.Messages.Message> {
+  return withRetry(`${provider.name} messages.create`, () =>
+    provider.createMessage({
+      model: options.model,
+      max_tokens: maxTokens,
+      temperature: options.temperature,
       system: [
         {
           type: 'text',
-          text: SYSTEM_PROMPT,
+          text: systemPrompt,
           cache_control: { type: 'ephemeral' }
         }
       ],
-      messages: [
+      messages,
+      ...(tool
+        ? { tools: [tool], tool_choice: { type: 'tool', name: tool.name } }
+        : {})
+    })
+  )
+}
+
+async function createMessage(
+  provider: Provider,
+  options: GenerationOptions,
+  systemPrompt: string,
+  content: MessageContent,
+  maxTokens: number
+): Promise<string> {
+  const response = await sendMessage(
+    provider,
+    options,
+    systemPrompt,
+    [{ role: 'user', content }],
+    maxTokens
+  )
+
+  const text =
+    response.content &&
+    response.content[0] &&
+    response.content[0].type === 'text'
+      ? response.content[0].text
+      : ''
+
+  if (text) {
+    logUsage(response.usage)
+  }
+
+  return text
+}
+
+/**
+ * Ask Claude for a structured description through tool use. Input that fails
+ * validation is sent back as a tool error so Claude can correct it.
+ */
+async function createStructuredMessage(
+  provider: Provider,
+  options: GenerationOptions,
+  systemPrompt: string,
+  content: MessageContent
+): Promise<StructuredDescription> {
+  let messages: Anthropic.Messages.MessageParam[] = [{ role: 'user', content }]
+
+  for (let attempt = 0; ; attempt++) {
+    const response = await sendMessage(
+      provider,
+      options,
+      systemPrompt,
+      messages,
+      options.maxTokens,
+      DESCRIPTION_TOOL
+    )
+
+    const toolUse = (response.content || []).find(
+      (block): block is Anthropic.Messages.ToolUseBlock =>
+        block.type === 'tool_use'
+    )
+    if (!toolUse) {
+      throw new Error('Claude did not return a structured description')
+    }
+    logUsage(response.usage)
+
+    try {
+      return parseStructuredDescription(toolUse.input)
+    } catch (error) {
+      if (attempt >= STRUCTURED_OUTPUT_RETRIES) {
+        throw error
+      }
+
+      core.warning(`${(error as Error).message}, asking Claude to correct it`)
+      messages = [
+        ...messages,
         {
-          role: 'user',
+          role: 'assistant',
           content: [
             {
-              type: 'text',
-              text: 'Please analyze this pull request and generate a description:\n\n'
-            },
+              type: 'tool_use',
+              id: toolUse.id,
+              name: toolUse.name,
+              input: toolUse.input
+            }
+          ]
+        },
+        {
+          role: 'user',
+          content: [
             {
-              type: 'text',
-              text: contextContent,
-              cache_control: { type: 'ephemeral' }
+              type: 'tool_result',
+              tool_use_id: toolUse.id,
+              is_error: true,
+              content: `${(error as Error).message}. Call ${DESCRIPTION_TOOL.name} again with every field fixed.`
             }
           ]
         }
       ]
-    })
+    }
+  }
+}
 
-    const description =
-      response.content &&
-      response.content[0] &&
-      response.content[0].type === 'text'
-        ? response.content[0].text
-        : ''
+function buildContextContent(
+  prContext: PRContext,
+  diffSection: string
+): string {
+  const files = prContext.files?.length
+    ? `Files Changed:\n${formatFileManifest(prContext.files)}\n\n`
+    : ''
+  const excludedFiles = prContext.excludedFiles?.length
+    ? `Left Out of the Diff (changed, but not shown):\n${formatExcludedFiles(prContext.excludedFiles)}\n\n`
+    : ''
+  const linkedIssues = prContext.linkedIssues?.length
+    ? `Linked Issues:\n${formatLinkedIssues(prContext.linkedIssues)}\n\n`
+    : ''
 
-    if (description) {
-      core.info('Generated PR description successfully')
-      core.info(
-        `Token usage: input=${response.usage.input_tokens}, output=${response.usage.output_tokens}`
+  return `Pull Request Title: ${prContext.prInfo.title}
+Pull Request Author: ${prContext.prInfo.author}
+
+Commit Messages:
+${prContext.commitMessages}
+
+${files}${excludedFiles}${linkedIssues}${diffSection}`
+}
+
+/**
+ * Summarize each chunk of an oversized diff (map) so the summaries can be
+ * combined into the final description (reduce)
+ */
+async function summarizeDiffChunks(
+  provider: Provider,
+  prContext: PRContext,
+  options: GenerationOptions
+): Promise<string[]> {
+  const chunkBudget = Math.max(
+    1,
+    options.tokenBudget - estimateTokens(CHUNK_SYSTEM_PROMPT) - 200
+  )
+  const chunks = splitDiff(prContext.diff, chunkBudget)
+
+  core.info(
+    `Diff exceeds token budget, summarizing ${chunks.length} chunks (concurrency: ${options.chunkConcurrency})`
+  )
+
+  return mapWithConcurrency(
+    chunks,
+    options.chunkConcurrency,
+    async (chunk, index) => {
+      core.info(`Summarizing diff chunk ${index + 1}/${chunks.length}...`)
+      const summary = await createMessage(
+        provider,
+        options,
+        CHUNK_SYSTEM_PROMPT,
+        [
+          {
+            type: 'text',
+            text: `Pull Request Title: ${prContext.prInfo.title}\n\nDiff (part ${index + 1} of ${chunks.length}):\n${chunk}`
+          }
+        ],
+        CHUNK_SUMMARY_MAX_TOKENS
       )
 
-      if (
-        response.usage.cache_read_input_tokens &&
-        response.usage.cache_read_input_tokens > 0
-      ) {
-        core.info(
-          `Cache hit! Saved tokens: ${response.usage.cache_read_input_tokens}`
-        )
-        const cacheHitRate = Math.round(
-          (response.usage.cache_read_input_tokens /
-            (response.usage.cache_read_input_tokens +
-              response.usage.input_tokens)) *
-            100
-        )
-        core.info(`Cache hit rate: ${cacheHitRate}%`)
+      if (!summary) {
+        throw new Error(`Empty summary generated for diff chunk ${index + 1}`)
       }
 
+      return summary
+    }
+  )
+}
+
+/**
+ * Build the system prompt and the PR context message, summarizing the diff in
+ * chunks first when it does not fit the token budget
+ */
+async function preparePrompt(
+  provider: Provider,
+  prContext: PRContext,
+  options: GenerationOptions
+): Promise<{ systemPrompt: string; content: MessageContent }> {
+  const systemPrompt = buildSystemPrompt({
+    template: prContext.template,
+    customPrompt: options.customPrompt,
+    extraInstructions: options.extraInstructions,
+    pathInstructions: options.pathInstructions,
+    hasLinkedIssues: Boolean(prContext.linkedIssues?.length),
+    structuredOutput: options.structuredOutput,
+    language: options.language,
+    verbosity: options.verbosity
+  })
+  let contextContent = buildContextContent(
+    prContext,
+    `Complete Code Diff:\n${prContext.diff}`
+  )
+  const estimatedTokens =
+    estimateTokens(systemPrompt) + estimateTokens(contextContent)
+
+  core.info('Generating PR description with Claude...')
+  core.info(`Provider: ${provider.name}`)
+  core.info(`Model: ${options.model}`)
+  if (options.customPrompt) {
+    core.info('Using custom system prompt')
+  }
+  if (options.structuredOutput) {
+    core.info('Requesting a structured description')
+  } else if (prContext.template) {
+    core.info('Filling in the repository pull request template')
+  }
+  core.info(`Context size: ${contextContent.length} characters`)
+  core.info(
+    `Estimated tokens: ${estimatedTokens} (budget: ${options.tokenBudget})`
+  )
+  core.info(
+    `Commit messages found: ${prContext.commitMessages.trim().split('\n').length} commits`
+  )
+  core.info(`Diff lines: ${prContext.diff.split('\n').length} lines`)
+
+  if (estimatedTokens > options.tokenBudget) {
+    const summaries = await summarizeDiffChunks(provider, prContext, options)
+    contextContent = buildContextContent(
+      prContext,
+      `Summaries of the Code Diff (the diff was too large to include in full):\n${summaries
+        .map((summary, index) => `### Part ${index + 1}\n${summary}`)
+        .join('\n\n')}`
+    )
+  }
+
+  return {
+    systemPrompt,
+    content: [
+      {
+        type: 'text',
+        text: 'Please analyze this pull request and generate a description:\n\n'
+      },
+      {
+        type: 'text',
+        text: contextContent,
+        cache_control: { type: 'ephemeral' }
+      }
+    ]
+  }
+}
+
+/**
+ * Generate a structured description through tool use, validated against the
+ * describe_pull_request schema
+ */
+export async function generateStructuredDescription(
+  provider: Provider,
+  prContext: PRContext,
+  options: GenerationOptions = DEFAULT_GENERATION_OPTIONS
+): Promise<StructuredDescription> {
+  try {
+    const { systemPrompt, content } = await preparePrompt(provider, prContext, {
+      ...options,
+      structuredOutput: true
+    })
+    const description = await createStructuredMessage(
+      provider,
+      options,
+      systemPrompt,
+      content
+    )
+
+    core.info('Generated structured PR description successfully')
+    return description
+  } catch (error) {
+    throw new Error(`Failed to generate description with Claude: ${error}`)
+  }
+}
+
+/**
+ * Generate the markdown description. With structuredOutput set, the
+ * description is generated through tool use and rendered by the action.
+ */
+export async function generatePRDescription(
+  provider: Provider,
+  prContext: PRContext,
+  options: GenerationOptions = DEFAULT_GENERATION_OPTIONS
+): Promise<string> {
+  if (options.structuredOutput) {
+    return renderStructuredDescription(
+      await generateStructuredDescription(provider, prContext, options)
+    )
+  }
+
+  try {
+    const { systemPrompt, content } = await preparePrompt(
+      provider,
+      prContext,
+      options
+    )
+    const description = await createMessage(
+      provider,
+      options,
+      systemPrompt,
+      content,
+      options.maxTokens
+    )
+
+    if (description) {
+      core.info('Generated PR description successfully')
       return description
     } else {
       throw new Error('Empty description generated by Claude')
@@ -125,3 +452,129 @@ ${prContext.diff}`
     throw new Error(`Failed to generate description with Claude: ${error}`)
   }
 }
+
+/**
+ * Suggest a Conventional Commits title from the current title, the commits and
+ * the generated description. The diff itself is not sent again.
+ */
+export async function suggestTitle(
+  provider: Provider,
+  prContext: PRContext,
+  description: string,
+  options: GenerationOptions = DEFAULT_GENERATION_OPTIONS
+): Promise<string> {
+  try {
+    core.info('Suggesting a PR title with Claude...')
+    const suggestion = await createMessage(
+      provider,
+      options,
+      TITLE_SYSTEM_PROMPT,
+      [
+        {
+          type: 'text',
+          text: `Current Title: ${prContext.prInfo.title}
+
+Commit Messages:
+${prContext.commitMessages}
+
+Pull Request Description:
+${description}`
+        }
+      ],
+      TITLE_MAX_TOKENS
+    )
+
+    const title = normalizeTitle(suggestion, prContext.prInfo.title)
+    if (!title) {
+      throw new Error('Empty title suggested by Claude')
+    }
+
+    core.info(`Suggested title: ${title}`)
+    return title
+  } catch (error) {
+    throw new Error(`Failed to suggest a title with Claude: ${error}`)
+  }
+}
+
+/**
+ * Summarize the diff of one push for the Updates section. A diff over the
+ * token budget is cut short rather than summarized in chunks.
+ */
+export async function summarizeUpdate(
+  provider: Provider,
+  prInfo: PRInfo,
+  diff: string,
+  options: GenerationOptions = DEFAULT_GENERATION_OPTIONS
+): Promise<string> {
+  try {
+    core.info('Summarizing the new commits with Claude...')
+    const systemPrompt = buildSystemPrompt({
+      customPrompt: UPDATE_SYSTEM_PROMPT,
+      language: options.language
+    })
+    const summary = await createMessage(
+      provider,
+      options,
+      systemPrompt,
+      [
+        {
+          type: 'text',
+          text: `Pull Request Title: ${prInfo.title}
+
+Diff of the new commits:
+${truncateToTokens(diff, options.tokenBudget - estimateTokens(systemPrompt))}`
+        }
+      ],
+      options.maxTokens
+    )
+
+    if (!summary.trim()) {
+      throw new Error('Empty update summary generated by Claude')
+    }
+
+    return summary.trim()
+  } catch (error) {
+    throw new Error(`Failed to summarize the update with Claude: ${error}`)
+  }
+}
+
+/**
+ * Write grouped release notes from the merged pull requests of a release,
+ * listed in releaseContext with their descriptions
+ */
+export async function generateReleaseNotes(
+  provider: Provider,
+  releaseContext: string,
+  options: GenerationOptions = DEFAULT_GENERATION_OPTIONS
+): Promise<string> {
+  try {
+    core.info('Generating release notes with Claude...')
+    core.info(`Provider: ${provider.name}`)
+    core.info(`Model: ${options.model}`)
+    const notes = await createMessage(
+      provider,
+      options,
+      buildSystemPrompt({
+        customPrompt: RELEASE_NOTES_SYSTEM_PROMPT,
+        extraInstructions: options.extraInstructions,
+        language: options.language
+      }),
+      [
+        {
+          type: 'text',
+          text: `Please write release notes for these merged pull requests:\n\n${releaseContext}`
+        }
+      ],
+      options.maxTokens
+    )
+
+    if (!notes) {
+      throw new Error('Empty release notes generated by Claude')
+    }
+
+    core.info('Generated release notes successfully')
+    return notes
+  } catch (error) {
+    throw new Error(`Failed to generate release notes with Claude: ${error}`)
+  }
+}
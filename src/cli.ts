@@ -0,0 +1,17 @@
+/**
+ * The entrypoint for the local CLI. @actions/core logs to stdout, so logs are
+ * sent to stderr to keep stdout for the generated markdown.
+ */
+import { runCli } from './local.js'
+
+/* istanbul ignore next */
+const writeOutput = process.stdout.write.bind(process.stdout)
+/* istanbul ignore next */
+process.stdout.write = process.stderr.write.bind(
+  process.stderr
+) as typeof process.stdout.write
+
+/* istanbul ignore next */
+runCli(process.argv.slice(2), (text) => writeOutput(text)).then((code) => {
+  process.exitCode = code
+})
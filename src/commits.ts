@@ -0,0 +1,121 @@
+export interface CommitTrailer {
+  key: string
+  value: string
+}
+
+export interface ParsedCommit {
+  sha: string
+  subject: string
+  body: string
+  trailers: CommitTrailer[]
+  isMerge: boolean
+}
+
+/**
+ * "Key: value" trailers and Conventional Commits "token #value" footers such
+ * as "Fixes #123", whose value keeps the "#"
+ */
+const TRAILER_PATTERN =
+  /^(BREAKING[ -]CHANGE|[A-Za-z][A-Za-z0-9-]*)(?::\s*| (?=#))(.+)$/
+const MERGE_SUBJECT_PATTERN =
+  /^Merge (branch|remote-tracking branch|pull request|tag|commit) /
+const AUTOSQUASH_PATTERN = /^(fixup|squash|amend)! /
+
+/**
+ * Split a commit message into its subject, body and trailers. Trailers are
+ * the key-value lines (e.g. "Co-authored-by: ..." or "Fixes #12") in the last
+ * paragraph.
+ */
+export function parseCommitMessage(
+  message: string
+): Pick<ParsedCommit, 'subject' | 'body' | 'trailers'> {
+  const [subject, ...rest] = message.replace(/\r\n/g, '\n').split('\n')
+  const paragraphs = rest
+    .join('\n')
+    .trim()
+    .split(/\n\s*\n/)
+    .filter((paragraph) => paragraph.trim())
+
+  const lastParagraph = paragraphs[paragraphs.length - 1]
+  const lastLines = lastParagraph ? lastParagraph.split('\n') : []
+  const hasTrailers =
+    lastLines.length > 0 &&
+    lastLines.every((line) => TRAILER_PATTERN.test(line.trim()))
+
+  const trailers = hasTrailers
+    ? lastLines.map((line) => {
+        const [, key, value] = line.trim().match(TRAILER_PATTERN)!
+        return { key, value: value.trim() }
+      })
+    : []
+
+  return {
+    subject: subject.trim(),
+    body: (hasTrailers ? paragraphs.slice(0, -1) : paragraphs).join('\n\n'),
+    trailers
+  }
+}
+
+/**
+ * Drop merge commits and fixup!/squash!/amend! commits, and de-duplicate
+ * commits with identical messages (e.g. after a rebase or cherry-pick)
+ */
+export function filterCommits(commits: ParsedCommit[]): ParsedCommit[] {
+  const seen = new Set<string>()
+
+  return commits.filter((commit) => {
+    if (commit.isMerge || MERGE_SUBJECT_PATTERN.test(commit.subject)) {
+      return false
+    }
+
+    if (AUTOSQUASH_PATTERN.test(commit.subject)) {
+      return false
+    }
+
+    const key = `${commit.subject}\n${commit.body}`
+    if (seen.has(key)) {
+      return false
+    }
+    seen.add(key)
+
+    return true
+  })
+}
+
+function indent(text: string): string {
+  return text
+    .split('\n')
+    .map((line) => (line ? `    ${line}` : line))
+    .join('\n')
+}
+
+/**
+ * Format commits for the prompt, one per line with optional indented bodies
+ * and trailers
+ */
+export function formatCommitMessages(
+  commits: ParsedCommit[],
+  includeBodies: boolean
+): string {
+  return commits
+    .map((commit) => {
+      const lines = [`${commit.sha.substring(0, 7)} ${commit.subject}`]
+
+      if (includeBodies && commit.body) {
+        lines.push(indent(commit.body))
+      }
+
+      if (commit.trailers.length > 0) {
+        lines.push(
+          indent(
+            commit.trailers
+              .map((trailer) => `${trailer.key}: ${trailer.value}`)
+              .join('\n')
+          )
+        )
+      }
+
+      return lines.join('\n')
+    })
+    .join('\n')
+}
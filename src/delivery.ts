@@ -0,0 +1,47 @@
+import * as core from '@actions/core'
+import * as github from '@actions/github'
+import { updatePRDescription, upsertPRComment } from './github.js'
+import { Config, PRInfo } from './types.js'
+
+/**
+ * Deliver the generated description according to the configured mode. In
+ * body mode the hidden markers (fingerprint, applied labels) are stored in the
+ * managed section, and a body that is still the unfilled template is replaced.
+ */
+export async function deliverDescription(
+  octokit: ReturnType<typeof github.getOctokit>,
+  prInfo: PRInfo,
+  description: string,
+  config: Pick<Config, 'mode' | 'sectionPlacement' | 'placeholderToken'>,
+  markers: string[] = [],
+  template: string | null = null
+): Promise<void> {
+  switch (config.mode) {
+    case 'body':
+      await updatePRDescription(
+        octokit,
+        prInfo.number,
+        markers.length > 0
+          ? `${description.trim()}\n\n${markers.join('\n')}`
+          : description,
+        {
+          placement: config.sectionPlacement,
+          placeholderToken: config.placeholderToken,
+          template
+        }
+      )
+      core.info(`PR description updated successfully! View at: ${prInfo.url}`)
+      break
+    case 'comment':
+      await upsertPRComment(octokit, prInfo.number, description)
+      core.info(`PR comment updated successfully! View at: ${prInfo.url}`)
+      break
+    case 'summary':
+      await core.summary.addRaw(description, true).write()
+      core.info('Wrote PR description to the job summary')
+      break
+    case 'output-only':
+      core.info('Output-only mode, not updating the PR')
+      break
+  }
+}
@@ -0,0 +1,388 @@
+import { FileChange, FileStatus } from './types.js'
+
+const FILE_HEADER = 'diff --git '
+
+const HUNK_HEADER = /^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@/
+
+const HUNK_START = /(?=^@@ -\d+(?:,\d+)? \+\d+(?:,\d+)? @@)/m
+
+/**
+ * Lines git writes between the diff --git line and the first hunk
+ */
+const EXTENDED_HEADER =
+  /^(old mode|new mode|deleted file mode|new file mode|similarity index|rename from|rename to|copy from|copy to|index|---|\+\+\+) (.*)$/
+
+const BINARY_NOTICE = /^(?:Binary files .* differ|GIT binary patch)$/
+
+const C_ESCAPES: Record<string, number> = {
+  a: 7,
+  b: 8,
+  t: 9,
+  n: 10,
+  v: 11,
+  f: 12,
+  r: 13,
+  '"': 34,
+  '\\': 92
+}
+
+export interface DiffHunk {
+  /**
+   * The "@@ -1,3 +1,4 @@" line, with the function name git adds after it
+   */
+  header: string
+  oldStart: number
+  oldLines: number
+  newStart: number
+  newLines: number
+  /**
+   * Context, added and removed lines with their " ", "+" or "-" marker, and
+   * "\ No newline at end of file" notes
+   */
+  lines: string[]
+  /**
+   * The hunk as it appears in the diff, up to the next hunk or file
+   */
+  text: string
+}
+
+export interface DiffFile {
+  /**
+   * Path before the change. Same as newPath unless the file was renamed or
+   * copied.
+   */
+  oldPath: string
+  newPath: string
+  status: Extract<
+    FileStatus,
+    'added' | 'removed' | 'modified' | 'renamed' | 'copied'
+  >
+  /**
+   * Similarity index of a rename or copy, in percent
+   */
+  similarity?: number
+  binary: boolean
+  /**
+   * File modes like "100644". They differ when the mode changed; an added file
+   * only has a new mode and a removed file only an old one.
+   */
+  oldMode?: string
+  newMode?: string
+  hunks: DiffHunk[]
+  additions: number
+  deletions: number
+  /**
+   * Everything before the first hunk, starting with the diff --git line
+   */
+  header: string
+  /**
+   * The file's whole section of the diff
+   */
+  text: string
+}
+
+export interface ParsedDiff {
+  /**
+   * Text before the first file, such as the message of a mailed patch
+   */
+  preamble: string
+  files: DiffFile[]
+  /**
+   * Sections whose diff --git line does not name an a/ and a b/ path
+   */
+  invalid: string[]
+}
+
+/**
+ * Split text into lines, without the empty line after a final newline
+ */
+function splitLines(text: string): string[] {
+  const lines = text.split('\n')
+  if (lines[lines.length - 1] === '') {
+    lines.pop()
+  }
+  return lines
+}
+
+/**
+ * Read a path git wrapped in double quotes because it has special characters,
+ * e.g. "caf\303\251.txt". Returns the path and the text after the closing
+ * quote, or null when the quotes are not closed.
+ */
+function readQuoted(text: string): { path: string; rest: string } | null {
+  const bytes: number[] = []
+  let index = 1
+
+  while (index < text.length) {
+    const char = text[index]
+    if (char === '"') {
+      return {
+        path: Buffer.from(bytes).toString('utf8'),
+        rest: text.slice(index + 1)
+      }
+    }
+
+    if (char !== '\\') {
+      bytes.push(...Buffer.from(char, 'utf8'))
+      index++
+      continue
+    }
+
+    const octal = text.slice(index + 1, index + 4)
+    if (/^[0-3][0-7]{2}$/.test(octal)) {
+      bytes.push(parseInt(octal, 8))
+      index += 4
+    } else if (Object.hasOwn(C_ESCAPES, text[index + 1])) {
+      bytes.push(C_ESCAPES[text[index + 1]])
+      index += 2
+    } else {
+      return null
+    }
+  }
+
+  return null
+}
+
+/**
+ * A path that may be quoted, e.g. in "rename from" lines
+ */
+function readPath(text: string): string | null {
+  if (!text.startsWith('"')) {
+    return text
+  }
+
+  const quoted = readQuoted(text)
+  return quoted && !quoted.rest ? quoted.path : null
+}
+
+function stripPrefix(path: string | null, prefix: string): string | null {
+  return path?.startsWith(prefix) ? path.slice(prefix.length) : null
+}
+
+/**
+ * The a/ and b/ paths of a diff --git line. Unquoted paths are ambiguous when
+ * they contain " b/", so the split that names the same path on both sides is
+ * preferred; renames are corrected later from the "rename from" and "rename
+ * to" lines.
+ */
+function parseHeaderPaths(line: string): [string, string] | null {
+  const names = line.slice(FILE_HEADER.length)
+
+  if (names.startsWith('"')) {
+    const quoted = readQuoted(names)
+    const oldPath = stripPrefix(quoted?.path ?? null, 'a/')
+    const newPath = quoted?.rest.startsWith(' ')
+      ? stripPrefix(readPath(quoted.rest.slice(1)), 'b/')
+      : null
+    return oldPath !== null && newPath !== null ? [oldPath, newPath] : null
+  }
+
+  if (!names.startsWith('a/')) {
+    return null
+  }
+
+  const quotedNew = names.indexOf(' "b/')
+  if (quotedNew !== -1) {
+    const newPath = stripPrefix(readPath(names.slice(quotedNew + 1)), 'b/')
+    return newPath === null ? null : [names.slice(2, quotedNew), newPath]
+  }
+
+  const splits: [string, string][] = []
+  for (
+    let index = names.indexOf(' b/');
+    index !== -1;
+    index = names.indexOf(' b/', index + 1)
+  ) {
+    splits.push([names.slice(2, index), names.slice(index + 3)])
+  }
+
+  return (
+    splits.find(([oldPath, newPath]) => oldPath === newPath) ??
+    splits[0] ??
+    null
+  )
+}
+
+/**
+ * The path of a "---" or "+++" line, or null for /dev/null. Git adds a tab
+ * after paths that contain spaces.
+ */
+function parseSidePath(value: string, prefix: string): string | null {
+  if (value === '/dev/null') {
+    return null
+  }
+  const path = readPath(value.startsWith('"') ? value : value.split('\t')[0])
+  return stripPrefix(path, prefix)
+}
+
+/**
+ * Parse one hunk. Lines are read by their marker rather than by the counts in
+ * the hunk header, so hand-edited diffs still parse; the counts only decide
+ * whether an empty line is a context line whose space was trimmed.
+ */
+function parseHunk(text: string): DiffHunk {
+  const [header, ...body] = splitLines(text)
+  const match = header.match(HUNK_HEADER)!
+  const hunk: DiffHunk = {
+    header,
+    oldStart: Number(match[1]),
+    oldLines: match[2] === undefined ? 1 : Number(match[2]),
+    newStart: Number(match[3]),
+    newLines: match[4] === undefined ? 1 : Number(match[4]),
+    lines: [],
+    text
+  }
+
+  let oldRemaining = hunk.oldLines
+  let newRemaining = hunk.newLines
+  for (const line of body) {
+    const marker =
+      line === '' && oldRemaining > 0 && newRemaining > 0 ? ' ' : line[0]
+    if (marker === ' ') {
+      oldRemaining--
+      newRemaining--
+    } else if (marker === '-') {
+      oldRemaining--
+    } else if (marker === '+') {
+      newRemaining--
+    } else if (marker !== '\\') {
+      break
+    }
+    hunk.lines.push(line)
+  }
+
+  return hunk
+}
+
+/**
+ * Parse the section of one file, or return null when its diff --git line
+ * cannot be read
+ */
+function parseFile(text: string): DiffFile | null {
+  const [header, ...hunkTexts] = text.split(HUNK_START)
+  const lines = splitLines(header)
+  const headerPaths = parseHeaderPaths(lines[0])
+  if (!headerPaths) {
+    return null
+  }
+
+  let [oldPath, newPath] = headerPaths
+  const file: DiffFile = {
+    oldPath,
+    newPath,
+    status: 'modified',
+    binary: false,
+    hunks: hunkTexts.map(parseHunk),
+    additions: 0,
+    deletions: 0,
+    header,
+    text
+  }
+
+  for (const line of lines.slice(1)) {
+    const match = line.match(EXTENDED_HEADER)
+    if (!match) {
+      file.binary ||= BINARY_NOTICE.test(line)
+      continue
+    }
+
+    const [, key, value] = match
+    switch (key) {
+      case 'old mode':
+        file.oldMode = value
+        break
+      case 'new mode':
+        file.newMode = value
+        break
+      case 'deleted file mode':
+        file.oldMode = value
+        file.status = 'removed'
+        break
+      case 'new file mode':
+        file.newMode = value
+        file.status = 'added'
+        break
+      case 'similarity index':
+        file.similarity = parseInt(value, 10)
+        break
+      case 'rename from':
+      case 'copy from':
+        oldPath = readPath(value) ?? oldPath
+        file.status = key === 'rename from' ? 'renamed' : 'copied'
+        break
+      case 'rename to':
+      case 'copy to':
+        newPath = readPath(value) ?? newPath
+        break
+      case 'index': {
+        // Only set for files whose mode did not change
+        const mode = value.split(' ')[1]
+        if (mode && !file.oldMode && !file.newMode) {
+          file.oldMode = mode
+          file.newMode = mode
+        }
+        break
+      }
+      case '---':
+        oldPath = parseSidePath(value, 'a/') ?? oldPath
+        break
+      case '+++':
+        newPath = parseSidePath(value, 'b/') ?? newPath
+        break
+    }
+  }
+
+  file.oldPath = oldPath
+  file.newPath = newPath
+  for (const hunk of file.hunks) {
+    file.additions += hunk.lines.filter((line) => line[0] === '+').length
+    file.deletions += hunk.lines.filter((line) => line[0] === '-').length
+  }
+
+  return file
+}
+
+/**
+ * Parse a unified diff from git into its files. Every file keeps its text, so
+ * a diff can be put back together from the files that are kept.
+ */
+export function parseDiff(diff: string): ParsedDiff {
+  const parsed: ParsedDiff = { preamble: '', files: [], invalid: [] }
+
+  for (const section of diff.split(/(?=^diff --git )/m)) {
+    if (!section.startsWith(FILE_HEADER)) {
+      parsed.preamble = section
+      continue
+    }
+
+    const file = parseFile(section)
+    if (file) {
+      parsed.files.push(file)
+    } else {
+      parsed.invalid.push(section)
+    }
+  }
+
+  return parsed
+}
+
+/**
+ * Paths of the files in a unified diff
+ */
+export function listDiffPaths(diff: string): string[] {
+  return parseDiff(diff).files.map((file) => file.newPath)
+}
+
+/**
+ * The changed files of a unified diff with their status and line counts, like
+ * the compare API lists them
+ */
+export function listFileChanges(diff: string): FileChange[] {
+  return parseDiff(diff).files.map((file) => ({
+    path: file.newPath,
+    ...(file.oldPath !== file.newPath ? { previousPath: file.oldPath } : {}),
+    status: file.status,
+    additions: file.additions,
+    deletions: file.deletions
+  }))
+}
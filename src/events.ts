@@ -0,0 +1,203 @@
+import * as core from '@actions/core'
+import * as github from '@actions/github'
+import { context } from '@actions/github'
+import { withRetry } from './retry.js'
+import {
+  extractPRInfo,
+  getActionSkipReason,
+  parsePRInfo
+} from './validation.js'
+import { getSkipReason } from './skip.js'
+import { Config, PRInfo, PushRange, SkipRules } from './types.js'
+
+/**
+ * Comment that asks the action to (re)describe a pull request
+ */
+export const DESCRIBE_COMMAND = '/describe'
+
+/**
+ * Repository permission levels allowed to run the describe command
+ */
+const COMMAND_PERMISSIONS = ['admin', 'write']
+
+/**
+ * Fetch a pull request through the API
+ */
+export async function fetchPRInfo(
+  octokit: ReturnType<typeof github.getOctokit>,
+  prNumber: number
+): Promise<PRInfo> {
+  try {
+    const { data: pr } = await withRetry('Get pull request', () =>
+      octokit.rest.pulls.get({
+        owner: context.repo.owner,
+        repo: context.repo.repo,
+        pull_number: prNumber
+      })
+    )
+
+    return parsePRInfo(pr)
+  } catch (error) {
+    throw new Error(`Failed to get pull request #${prNumber}: ${error}`)
+  }
+}
+
+/**
+ * Whether a comment body is the describe command, e.g. "/describe"
+ */
+export function isDescribeCommand(body: string): boolean {
+  const [firstLine] = body.trim().split('\n')
+  return firstLine.trim().split(/\s+/)[0].toLowerCase() === DESCRIBE_COMMAND
+}
+
+async function hasWritePermission(
+  octokit: ReturnType<typeof github.getOctokit>,
+  username: string
+): Promise<boolean> {
+  const { data } = await withRetry('Get collaborator permission', () =>
+    octokit.rest.repos.getCollaboratorPermissionLevel({
+      owner: context.repo.owner,
+      repo: context.repo.repo,
+      username
+    })
+  )
+
+  return COMMAND_PERMISSIONS.includes(data.permission)
+}
+
+/**
+ * React to the command comment so the commenter knows it was picked up. A
+ * failed reaction is not worth failing the run for.
+ */
+async function acknowledgeComment(
+  octokit: ReturnType<typeof github.getOctokit>,
+  commentId: number
+): Promise<void> {
+  try {
+    await withRetry('Create reaction', () =>
+      octokit.rest.reactions.createForIssueComment({
+        owner: context.repo.owner,
+        repo: context.repo.repo,
+        comment_id: commentId,
+        content: 'eyes'
+      })
+    )
+  } catch (error) {
+    core.warning(`Failed to react to comment ${commentId}: ${error}`)
+  }
+}
+
+/**
+ * Events where someone explicitly asked for a description, as opposed to
+ * pull request events that run on every push
+ */
+const EXPLICIT_EVENTS = ['workflow_dispatch', 'issue_comment']
+
+/**
+ * Whether the run was explicitly requested through workflow_dispatch or a
+ * /describe comment
+ */
+export function isExplicitRequest(): boolean {
+  return EXPLICIT_EVENTS.includes(context.eventName)
+}
+
+/**
+ * The pull request to describe, or why the run should be skipped
+ */
+export type ResolvedPullRequest =
+  | { prInfo: PRInfo; skipReason: null }
+  | { prInfo: null; skipReason: string }
+
+function skip(skipReason: string): ResolvedPullRequest {
+  return { prInfo: null, skipReason }
+}
+
+/**
+ * Handle a /describe comment on a pull request
+ */
+async function resolveCommentCommand(
+  octokit: ReturnType<typeof github.getOctokit>
+): Promise<ResolvedPullRequest> {
+  const { action, issue, comment } = context.payload
+
+  if (action !== 'created' || !issue?.pull_request) {
+    return skip('not a new comment on a pull request')
+  }
+
+  if (!comment || !isDescribeCommand(comment.body || '')) {
+    return skip(`comment is not a ${DESCRIBE_COMMAND} command`)
+  }
+
+  const username: string = comment.user.login
+  try {
+    if (!(await hasWritePermission(octokit, username))) {
+      return skip(`${username} needs write access to run ${DESCRIBE_COMMAND}`)
+    }
+  } catch (error) {
+    throw new Error(`Failed to check permissions for ${username}: ${error}`)
+  }
+
+  core.info(`${DESCRIBE_COMMAND} requested by ${username}`)
+  await acknowledgeComment(octokit, comment.id)
+
+  return { prInfo: await fetchPRInfo(octokit, issue.number), skipReason: null }
+}
+
+/**
+ * Find the pull request to describe for the triggering event. Skip rules are
+ * applied separately with getRuleSkipReason, once the repository config file
+ * has been read from the pull request's base branch.
+ */
+export async function resolvePullRequest(
+  octokit: ReturnType<typeof github.getOctokit>,
+  config: Pick<Config, 'prNumber'>
+): Promise<ResolvedPullRequest> {
+  switch (context.eventName) {
+    case 'workflow_dispatch':
+      if (!config.prNumber) {
+        throw new Error('The pr-number input is required for workflow_dispatch')
+      }
+      return {
+        prInfo: await fetchPRInfo(octokit, config.prNumber),
+        skipReason: null
+      }
+    case 'issue_comment':
+      return resolveCommentCommand(octokit)
+    default: {
+      const actionSkipReason = getActionSkipReason()
+      return actionSkipReason
+        ? skip(actionSkipReason)
+        : { prInfo: extractPRInfo(), skipReason: null }
+    }
+  }
+}
+
+/**
+ * Why the skip rules leave out a pull request, or null to describe it. Skip
+ * rules only apply to pull request events; workflow_dispatch runs and
+ * /describe commands are explicit requests.
+ */
+export function getRuleSkipReason(
+  prInfo: PRInfo,
+  rules: SkipRules
+): string | null {
+  return isExplicitRequest() ? null : getSkipReason(prInfo, rules)
+}
+
+/**
+ * The head commits before and after the push that triggered a synchronize
+ * event, or null for any other event
+ */
+export function getPushRange(): PushRange | null {
+  const { action, before, after } = context.payload
+  if (
+    !['pull_request', 'pull_request_target'].includes(context.eventName) ||
+    action !== 'synchronize' ||
+    typeof before !== 'string' ||
+    typeof after !== 'string'
+  ) {
+    return null
+  }
+
+  return { before, after }
+}
@@ -0,0 +1,204 @@
+import * as core from '@actions/core'
+import { minimatch } from 'minimatch'
+import { DiffFile, parseDiff } from './diff.js'
+import { ExcludedFile, ExcludeProfile } from './types.js'
+
+export const EXCLUDE_PROFILES: ExcludeProfile[] = [
+  'generated',
+  'vendored',
+  'lockfiles',
+  'binary',
+  'large'
+]
+
+export const DEFAULT_MAX_FILE_LINES = 1000
+
+/**
+ * Read from the base branch for linguist-generated and linguist-vendored
+ */
+export const GITATTRIBUTES_PATH = '.gitattributes'
+
+/**
+ * Lockfiles of common package managers, matched by file name
+ */
+const LOCKFILES = [
+  'package-lock.json',
+  'npm-shrinkwrap.json',
+  'yarn.lock',
+  'pnpm-lock.yaml',
+  'bun.lockb',
+  'bun.lock',
+  'Gemfile.lock',
+  'Cargo.lock',
+  'composer.lock',
+  'poetry.lock',
+  'Pipfile.lock',
+  'uv.lock',
+  'go.sum',
+  'mix.lock',
+  'pubspec.lock',
+  'Podfile.lock',
+  'flake.lock',
+  'packages.lock.json'
+]
+
+/**
+ * Minified bundles and source maps, treated as generated even without a
+ * .gitattributes entry
+ */
+const GENERATED_PATTERNS = ['*.min.js', '*.min.css', '*.js.map', '*.css.map']
+
+/**
+ * One line of a .gitattributes file, e.g. "dist/** linguist-generated"
+ */
+export interface GitAttributeRule {
+  pattern: string
+  attributes: Record<string, boolean>
+}
+
+/**
+ * Parse the set and unset attributes of a .gitattributes file. Macro
+ * definitions and quoted patterns are not supported and skipped.
+ */
+export function parseGitAttributes(content: string): GitAttributeRule[] {
+  const rules: GitAttributeRule[] = []
+
+  for (const line of content.split('\n')) {
+    const [pattern, ...tokens] = line.trim().split(/\s+/)
+    if (!pattern || /^[#["]/.test(pattern)) {
+      continue
+    }
+
+    const attributes: Record<string, boolean> = {}
+    for (const token of tokens) {
+      const [name, value] = token.split('=')
+      if (name.startsWith('-') || name.startsWith('!')) {
+        attributes[name.slice(1)] = false
+      } else {
+        attributes[name] = value !== 'false'
+      }
+    }
+    rules.push({ pattern, attributes })
+  }
+
+  return rules
+}
+
+/**
+ * Match a path like git does: patterns without a slash match the file name at
+ * any depth, others are relative to the repository root
+ */
+function matchesPattern(filePath: string, pattern: string): boolean {
+  return minimatch(filePath, pattern.replace(/^\//, ''), {
+    dot: true,
+    matchBase: !pattern.includes('/')
+  })
+}
+
+/**
+ * Whether an attribute is set for a path. The last matching line wins.
+ */
+function hasAttribute(
+  filePath: string,
+  rules: GitAttributeRule[],
+  name: string
+): boolean {
+  let value = false
+  for (const rule of rules) {
+    if (name in rule.attributes && matchesPattern(filePath, rule.pattern)) {
+      value = rule.attributes[name]
+    }
+  }
+  return value
+}
+
+/**
+ * Whether the enabled profiles need the base branch's .gitattributes
+ */
+export function usesGitAttributes(profiles: ExcludeProfile[]): boolean {
+  return profiles.includes('generated') || profiles.includes('vendored')
+}
+
+export interface ExclusionOptions {
+  profiles: ExcludeProfile[]
+  maxFileLines: number
+  /**
+   * Rules from the base branch's .gitattributes
+   */
+  attributes: GitAttributeRule[]
+}
+
+/**
+ * Why a file is excluded by the enabled profiles, or null to keep it
+ */
+function exclusionReason(
+  file: DiffFile,
+  options: ExclusionOptions
+): string | null {
+  const enabled = (profile: ExcludeProfile): boolean =>
+    options.profiles.includes(profile)
+  const filePath = file.newPath
+  const fileName = filePath.slice(filePath.lastIndexOf('/') + 1)
+
+  if (enabled('binary') && file.binary) {
+    return 'binary file'
+  }
+  if (enabled('lockfiles') && LOCKFILES.includes(fileName)) {
+    return 'lockfile'
+  }
+  if (
+    enabled('generated') &&
+    (hasAttribute(filePath, options.attributes, 'linguist-generated') ||
+      GENERATED_PATTERNS.some((pattern) => matchesPattern(filePath, pattern)))
+  ) {
+    return 'generated file'
+  }
+  if (
+    enabled('vendored') &&
+    hasAttribute(filePath, options.attributes, 'linguist-vendored')
+  ) {
+    return 'vendored file'
+  }
+
+  const changedLines = file.additions + file.deletions
+  if (enabled('large') && changedLines > options.maxFileLines) {
+    return `${changedLines} changed lines, over the ${options.maxFileLines} line limit`
+  }
+
+  return null
+}
+
+/**
+ * Drop the diff sections of generated, vendored, lockfile, binary and very
+ * large files. The excluded files are returned with a reason so the prompt can
+ * still mention them.
+ */
+export function excludeFiles(
+  diff: string,
+  options: ExclusionOptions
+): { diff: string; excluded: ExcludedFile[] } {
+  if (options.profiles.length === 0) {
+    return { diff, excluded: [] }
+  }
+
+  const { preamble, files, invalid } = parseDiff(diff)
+  const kept: string[] = [preamble]
+  const excluded: ExcludedFile[] = []
+
+  for (const file of files) {
+    const reason = exclusionReason(file, options)
+    if (reason) {
+      excluded.push({ path: file.newPath, reason })
+    } else {
+      kept.push(file.text)
+    }
+  }
+  kept.push(...invalid)
+
+  if (excluded.length > 0) {
+    core.info(`Excluded ${excluded.length} files from the diff:`)
+    excluded.forEach((file) => core.info(`- ${file.path} (${file.reason})`))
+  }
+
+  return { diff: kept.join(''), excluded }
+}
@@ -0,0 +1,83 @@
+import { ExcludedFile, FileChange } from './types.js'
+
+const ROOT_DIRECTORY = '(root)'
+
+function directoryOf(path: string): string {
+  const index = path.lastIndexOf('/')
+  return index === -1 ? ROOT_DIRECTORY : `${path.slice(0, index)}/`
+}
+
+function sum(files: FileChange[], key: 'additions' | 'deletions'): number {
+  return files.reduce((total, file) => total + file[key], 0)
+}
+
+function describeFile(file: FileChange): string {
+  return file.previousPath
+    ? `${file.path} (${file.status} from ${file.previousPath})`
+    : `${file.path} (${file.status})`
+}
+
+/**
+ * One line per changed file for the PR context, e.g.
+ * "src/main.ts (modified) +10 -2"
+ */
+export function formatFileManifest(files: FileChange[]): string {
+  return files
+    .map(
+      (file) => `${describeFile(file)} +${file.additions} -${file.deletions}`
+    )
+    .join('\n')
+}
+
+/**
+ * One line per file left out of the diff, e.g. "yarn.lock (lockfile)"
+ */
+export function formatExcludedFiles(files: ExcludedFile[]): string {
+  return files.map((file) => `${file.path} (${file.reason})`).join('\n')
+}
+
+/**
+ * Escape a value for a markdown table cell
+ */
+function cell(value: string): string {
+  return value.replace(/\|/g, '\\|')
+}
+
+/**
+ * Render a collapsible "Files changed" table grouped by directory, with a
+ * subtotal row for each directory and the totals in the summary line
+ */
+export function renderFilesTable(files: FileChange[]): string {
+  const directories = new Map<string, FileChange[]>()
+  for (const file of [...files].sort((a, b) => a.path.localeCompare(b.path))) {
+    const directory = directoryOf(file.path)
+    directories.set(directory, [...(directories.get(directory) || []), file])
+  }
+
+  const rows: string[] = []
+  for (const directory of [...directories.keys()].sort()) {
+    const directoryFiles = directories.get(directory)!
+    rows.push(
+      `| **${cell(directory)}** | | **+${sum(directoryFiles, 'additions')}** | **-${sum(directoryFiles, 'deletions')}** |`
+    )
+    for (const file of directoryFiles) {
+      const name = file.path.slice(file.path.lastIndexOf('/') + 1)
+      const status = file.previousPath
+        ? `${file.status} from \`${cell(file.previousPath)}\``
+        : file.status
+      rows.push(
+        `| \`${cell(name)}\` | ${status} | +${file.additions} | -${file.deletions} |`
+      )
+    }
+  }
+
+  const fileCount = `${files.length} ${files.length === 1 ? 'file' : 'files'}`
+  return `<details>
+<summary>Files changed (${fileCount}, +${sum(files, 'additions')} -${sum(files, 'deletions')})</summary>
+
+| File | Status | Additions | Deletions |
+| ---- | ------ | --------: | --------: |
+${rows.join('\n')}
+
+</details>`
+}
@@ -0,0 +1,67 @@
+import { createHash } from 'node:crypto'
+import { Config, GenerationOptions } from './types.js'
+
+const FINGERPRINT_PATTERN = /<!-- pr-description:fingerprint ([0-9a-f]{64}) -->/
+
+/**
+ * Hash the filtered diff with the prompt, model and output settings that
+ * shape the description. Commit messages are left out on purpose so a rebase
+ * that keeps the diff unchanged keeps the same fingerprint.
+ */
+export function computeFingerprint(
+  diff: string,
+  template: string | null | undefined,
+  options: GenerationOptions,
+  config: Pick<
+    Config,
+    | 'includeCommitBodies'
+    | 'linkIssues'
+    | 'filesTable'
+    | 'titleMode'
+    | 'titlePattern'
+    | 'applyLabels'
+    | 'labelMap'
+  >
+): string {
+  const settings = {
+    model: options.model,
+    maxTokens: options.maxTokens,
+    temperature: options.temperature,
+    tokenBudget: options.tokenBudget,
+    customPrompt: options.customPrompt || '',
+    extraInstructions: options.extraInstructions || '',
+    pathInstructions: options.pathInstructions || [],
+    structuredOutput: Boolean(options.structuredOutput),
+    language: options.language || '',
+    verbosity: options.verbosity || '',
+    template: template || '',
+    includeCommitBodies: config.includeCommitBodies,
+    linkIssues: config.linkIssues,
+    filesTable: config.filesTable,
+    titleMode: config.titleMode,
+    titlePattern: config.titlePattern,
+    applyLabels: config.applyLabels,
+    labelMap: config.labelMap
+  }
+
+  return createHash('sha256')
+    .update(JSON.stringify(settings))
+    .update('\n')
+    .update(diff)
+    .digest('hex')
+}
+
+/**
+ * Hidden HTML comment storing the fingerprint in the PR body
+ */
+export function formatFingerprint(fingerprint: string): string {
+  return `<!-- pr-description:fingerprint ${fingerprint} -->`
+}
+
+/**
+ * Read the fingerprint stored by a previous run, if any
+ */
+export function readFingerprint(body: string): string | null {
+  const match = body.match(FINGERPRINT_PATTERN)
+  return match ? match[1] : null
+}
@@ -2,78 +2,111 @@ import * as core from '@actions/core'
 import * as github from '@actions/github'
 import { context } from '@actions/github'
 import { minimatch } from 'minimatch'
+import { COMMENT_MARKER, mergeManagedSection, SectionOptions } from './body.js'
+import { parseDiff } from './diff.js'
+import { withCreateRetry, withRetry } from './retry.js'
+import {
+  filterCommits,
+  formatCommitMessages,
+  parseCommitMessage,
+  ParsedCommit
+} from './commits.js'
+import { FileChange, FileStatus } from './types.js'
 
-function filterDiff(diff: string, ignoredPatterns: string[]): string {
-  if (ignoredPatterns.length === 0) {
-    return diff
+/**
+ * Whether a path matches a list of glob patterns. Like .gitignore, the last
+ * matching pattern wins and a "!" in front of a pattern takes matching paths
+ * back out.
+ */
+export function matchesPatterns(filePath: string, patterns: string[]): boolean {
+  let matched = false
+  for (const pattern of patterns) {
+    const negated = pattern.startsWith('!')
+    if (minimatch(filePath, negated ? pattern.slice(1) : pattern)) {
+      matched = !negated
+    }
   }
+  return matched
+}
 
-  const fileSections = diff
-    .split(/(?=^diff --git )/gm)
-    .filter((section) => section.trim())
-  const filteredSections: string[] = []
-  let removedFilesCount = 0
-  const includedFiles: string[] = []
-
-  for (const section of fileSections) {
-    const firstLine = section.split('\n')[0]
-
-    if (firstLine.startsWith('diff --git a/')) {
-      const afterA = firstLine.substring('diff --git a/'.length)
-      const bIndex = afterA.indexOf(' b/')
-
-      if (bIndex > 0) {
-        const filePath = afterA.substring(0, bIndex)
+/**
+ * Whether a path is left out: it matches the ignore patterns, or include
+ * patterns are set and it does not match them
+ */
+function isIgnored(
+  filePath: string,
+  ignoredPatterns: string[],
+  includePatterns: string[]
+): boolean {
+  return (
+    (includePatterns.length > 0 &&
+      !matchesPatterns(filePath, includePatterns)) ||
+    matchesPatterns(filePath, ignoredPatterns)
+  )
+}
 
-        const shouldIgnore = ignoredPatterns.some((pattern) => {
-          return minimatch(filePath, pattern)
-        })
+/**
+ * Drop the files of a unified diff whose new or old path is ignored or, when
+ * include patterns are set, whose new path is not included
+ */
+export function filterDiff(
+  diff: string,
+  ignoredPatterns: string[],
+  includePatterns: string[]
+): string {
+  if (ignoredPatterns.length === 0 && includePatterns.length === 0) {
+    return diff
+  }
 
-        if (shouldIgnore) {
-          removedFilesCount++
-          core.info(`Ignoring file: ${filePath}`)
-          continue
-        }
+  const { preamble, files, invalid } = parseDiff(diff)
+  invalid.forEach((section) =>
+    core.warning(`Could not parse diff header: ${section.split('\n')[0]}`)
+  )
 
-        includedFiles.push(filePath)
-        filteredSections.push(section)
-      } else {
-        core.warning(`Could not parse diff header: ${firstLine}`)
-      }
-    } else {
-      filteredSections.push(section)
+  const includedFiles = files.filter((file) => {
+    if (
+      isIgnored(file.newPath, ignoredPatterns, includePatterns) ||
+      matchesPatterns(file.oldPath, ignoredPatterns)
+    ) {
+      core.info(`Ignoring file: ${file.newPath}`)
+      return false
     }
-  }
+    return true
+  })
 
+  const removedFilesCount = files.length - includedFiles.length
   if (removedFilesCount > 0) {
     core.info(`Filtered out ${removedFilesCount} files from ignored patterns`)
   }
 
   core.info('Files included in diff:')
-  includedFiles.forEach((file) => core.info(`- ${file}`))
+  includedFiles.forEach((file) => core.info(`- ${file.newPath}`))
 
-  return filteredSections.join('')
+  return preamble + includedFiles.map((file) => file.text).join('')
 }
 
 export async function generateDiff(
   octokit: ReturnType<typeof github.getOctokit>,
   baseSha: string,
   headSha: string,
-  ignoredPatterns: string[] = []
+  ignoredPatterns: string[] = [],
+  includePatterns: string[] = []
 ): Promise<string> {
   try {
     core.info('Generating diff using GitHub API...')
-    const response = await octokit.rest.repos.compareCommitsWithBasehead({
-      owner: context.repo.owner,
-      repo: context.repo.repo,
-      basehead: `${baseSha}...${headSha}`,
-      mediaType: {
-        format: 'diff'
-      }
-    })
+    const response = await withRetry('Compare commits', () =>
+      octokit.rest.repos.compareCommitsWithBasehead({
+        owner: context.repo.owner,
+        repo: context.repo.repo,
+        basehead: `${baseSha}...${headSha}`,
+        mediaType: {
+          format: 'diff'
+        }
+      })
+    )
 
     const rawDiff = response.data as unknown as string
-    const filteredDiff = filterDiff(rawDiff, ignoredPatterns)
+    const filteredDiff = filterDiff(rawDiff, ignoredPatterns, includePatterns)
 
     core.info(`Raw diff lines: ${rawDiff.split('\n').length}`)
     core.info(`Filtered diff lines: ${filteredDiff.split('\n').length}`)
@@ -84,52 +117,302 @@ export async function generateDiff(
   }
 }
 
-export async function getCommitMessages(
+/**
+ * How headSha relates to baseSha: "ahead" when it only adds commits on top of
+ * it, "diverged" or "behind" after a rebase or force-push
+ */
+export async function getCompareStatus(
   octokit: ReturnType<typeof github.getOctokit>,
-  prNumber: number
+  baseSha: string,
+  headSha: string
 ): Promise<string> {
+  try {
+    const { data } = await withRetry('Compare commits', () =>
+      octokit.rest.repos.compareCommitsWithBasehead({
+        owner: context.repo.owner,
+        repo: context.repo.repo,
+        basehead: `${baseSha}...${headSha}`,
+        per_page: 1
+      })
+    )
+
+    return data.status
+  } catch (error) {
+    throw new Error(`Failed to compare commits: ${error}`)
+  }
+}
+
+/**
+ * The compare API lists at most 300 changed files
+ */
+const MAX_COMPARE_FILES = 300
+
+/**
+ * List the files changed between two commits with their status and line
+ * counts, dropping files whose current or previous path is ignored
+ */
+export async function getChangedFiles(
+  octokit: ReturnType<typeof github.getOctokit>,
+  baseSha: string,
+  headSha: string,
+  ignoredPatterns: string[] = [],
+  includePatterns: string[] = []
+): Promise<FileChange[]> {
+  try {
+    const { data } = await withRetry('Compare commits', () =>
+      octokit.rest.repos.compareCommitsWithBasehead({
+        owner: context.repo.owner,
+        repo: context.repo.repo,
+        basehead: `${baseSha}...${headSha}`
+      })
+    )
+
+    const files = data.files || []
+    if (files.length >= MAX_COMPARE_FILES) {
+      core.warning(
+        `GitHub lists at most ${MAX_COMPARE_FILES} changed files, the file list is incomplete`
+      )
+    }
+
+    return files
+      .filter(
+        (file) =>
+          !isIgnored(file.filename, ignoredPatterns, includePatterns) &&
+          !(
+            file.previous_filename &&
+            matchesPatterns(file.previous_filename, ignoredPatterns)
+          )
+      )
+      .map((file) => ({
+        path: file.filename,
+        ...(file.previous_filename
+          ? { previousPath: file.previous_filename }
+          : {}),
+        status: file.status as FileStatus,
+        additions: file.additions,
+        deletions: file.deletions
+      }))
+  } catch (error) {
+    throw new Error(`Failed to get changed files: ${error}`)
+  }
+}
+
+/**
+ * GitHub only returns the first 250 commits of a pull request
+ */
+const MAX_PR_COMMITS = 250
+
+/**
+ * The commits of a pull request, formatted for the prompt, and the parsed
+ * commits with their full bodies
+ */
+export async function getCommitMessages(
+  octokit: ReturnType<typeof github.getOctokit>,
+  prNumber: number,
+  includeBodies: boolean = false
+): Promise<{ messages: string; commits: ParsedCommit[] }> {
   try {
     core.info('Getting commit messages using GitHub API...')
-    const response = await octokit.rest.pulls.listCommits({
-      owner: context.repo.owner,
-      repo: context.repo.repo,
-      pull_number: prNumber
-    })
-
-    const commitMessages = response.data
-      .map(
-        (commit) =>
-          `${commit.sha.substring(0, 7)} ${commit.commit.message.split('\n')[0]}`
+    const commits = await withRetry('List commits', () =>
+      octokit.paginate(octokit.rest.pulls.listCommits, {
+        owner: context.repo.owner,
+        repo: context.repo.repo,
+        pull_number: prNumber,
+        per_page: 100
+      })
+    )
+
+    if (commits.length >= MAX_PR_COMMITS) {
+      core.warning(
+        `PR has at least ${MAX_PR_COMMITS} commits; GitHub does not list commits beyond that`
+      )
+    }
+
+    const parsedCommits = commits.map((commit) => ({
+      sha: commit.sha,
+      ...parseCommitMessage(commit.commit.message),
+      isMerge: (commit.parents?.length ?? 0) > 1
+    }))
+    const filteredCommits = filterCommits(parsedCommits)
+
+    if (filteredCommits.length < parsedCommits.length) {
+      core.info(
+        `Dropped ${parsedCommits.length - filteredCommits.length} merge, fixup/squash or duplicate commits`
       )
-      .join('\n')
+    }
+
+    const commitMessages = formatCommitMessages(filteredCommits, includeBodies)
 
     core.info(`Commit Messages: ${commitMessages}`)
 
-    return commitMessages
+    return { messages: commitMessages, commits: filteredCommits }
   } catch (error) {
     throw new Error(`Failed to get commit messages: ${error}`)
   }
 }
 
 /**
- * Update PR description using GitHub API
+ * Read a file from the repository at the given ref, returning null when it
+ * does not exist
+ */
+export async function getFileContent(
+  octokit: ReturnType<typeof github.getOctokit>,
+  path: string,
+  ref: string
+): Promise<string | null> {
+  try {
+    const response = await withRetry('Get file content', () =>
+      octokit.rest.repos.getContent({
+        owner: context.repo.owner,
+        repo: context.repo.repo,
+        path,
+        ref
+      })
+    )
+
+    const data = response.data
+    if (Array.isArray(data) || data.type !== 'file' || !('content' in data)) {
+      return null
+    }
+
+    return Buffer.from(data.content, 'base64').toString('utf8')
+  } catch (error) {
+    if ((error as { status?: number }).status === 404) {
+      return null
+    }
+    throw new Error(`Failed to read ${path}: ${error}`)
+  }
+}
+
+/**
+ * Check whether a tag with the given name exists in the repository
+ */
+export async function tagExists(
+  octokit: ReturnType<typeof github.getOctokit>,
+  tag: string
+): Promise<boolean> {
+  try {
+    await withRetry('Get tag', () =>
+      octokit.rest.git.getRef({
+        owner: context.repo.owner,
+        repo: context.repo.repo,
+        ref: `tags/${tag}`
+      })
+    )
+    return true
+  } catch (error) {
+    if ((error as { status?: number }).status === 404) {
+      return false
+    }
+    throw new Error(`Failed to look up tag ${tag}: ${error}`)
+  }
+}
+
+/**
+ * Update the managed section of the PR description using GitHub API, leaving
+ * any human-written content around it untouched
  */
 export async function updatePRDescription(
   octokit: ReturnType<typeof github.getOctokit>,
   prNumber: number,
-  description: string
+  description: string,
+  sectionOptions: SectionOptions
 ): Promise<void> {
   try {
     core.info('Updating PR description...')
-    await octokit.rest.pulls.update({
-      owner: context.repo.owner,
-      repo: context.repo.repo,
-      pull_number: prNumber,
-      body: description
-    })
+    const { data: pr } = await withRetry('Get pull request', () =>
+      octokit.rest.pulls.get({
+        owner: context.repo.owner,
+        repo: context.repo.repo,
+        pull_number: prNumber
+      })
+    )
+
+    await withRetry('Update pull request', () =>
+      octokit.rest.pulls.update({
+        owner: context.repo.owner,
+        repo: context.repo.repo,
+        pull_number: prNumber,
+        body: mergeManagedSection(pr.body || '', description, sectionOptions)
+      })
+    )
 
     core.info('PR description updated successfully! 🎉')
   } catch (error) {
     throw new Error(`Failed to update PR description: ${error}`)
   }
 }
+
+/**
+ * Replace the pull request title
+ */
+export async function updatePRTitle(
+  octokit: ReturnType<typeof github.getOctokit>,
+  prNumber: number,
+  title: string
+): Promise<void> {
+  try {
+    await withRetry('Update pull request', () =>
+      octokit.rest.pulls.update({
+        owner: context.repo.owner,
+        repo: context.repo.repo,
+        pull_number: prNumber,
+        title
+      })
+    )
+
+    core.info(`PR title updated to: ${title}`)
+  } catch (error) {
+    throw new Error(`Failed to update PR title: ${error}`)
+  }
+}
+
+/**
+ * Create or update the action's sticky PR comment, found by its hidden marker
+ */
+export async function upsertPRComment(
+  octokit: ReturnType<typeof github.getOctokit>,
+  prNumber: number,
+  description: string
+): Promise<void> {
+  try {
+    core.info('Updating PR description comment...')
+    const comments = await withRetry('List comments', () =>
+      octokit.paginate(octokit.rest.issues.listComments, {
+        owner: context.repo.owner,
+        repo: context.repo.repo,
+        issue_number: prNumber,
+        per_page: 100
+      })
+    )
+
+    const body = `${COMMENT_MARKER}\n${description.trim()}`
+    const existing = comments.find((comment) =>
+      comment.body?.includes(COMMENT_MARKER)
+    )
+
+    if (existing) {
+      await withRetry('Update comment', () =>
+        octokit.rest.issues.updateComment({
+          owner: context.repo.owner,
+          repo: context.repo.repo,
+          comment_id: existing.id,
+          body
+        })
+      )
+      core.info(`Updated existing comment ${existing.id}`)
+    } else {
+      await withCreateRetry('Create comment', () =>
+        octokit.rest.issues.createComment({
+          owner: context.repo.owner,
+          repo: context.repo.repo,
+          issue_number: prNumber,
+          body
+        })
+      )
+      core.info('Created new description comment')
+    }
+  } catch (error) {
+    throw new Error(`Failed to update PR comment: ${error}`)
+  }
+}
@@ -0,0 +1,194 @@
+import * as core from '@actions/core'
+import * as github from '@actions/github'
+import { context } from '@actions/github'
+import { withRetry } from './retry.js'
+import { LinkedIssue } from './types.js'
+
+export interface IssueReference {
+  owner: string
+  repo: string
+  number: number
+  /**
+   * Whether the issue was mentioned with a closing keyword, e.g. "Fixes #12"
+   */
+  closing: boolean
+}
+
+/**
+ * Maximum number of referenced issues fetched for a single PR
+ */
+const MAX_LINKED_ISSUES = 10
+
+/**
+ * Maximum characters of each issue body included in the prompt
+ */
+const MAX_ISSUE_BODY_LENGTH = 1500
+
+/**
+ * "#12", "owner/repo#12" and "https://github.com/owner/repo/issues/12",
+ * optionally preceded by one of GitHub's closing keywords. Short references
+ * must start the text or follow whitespace or "(", which leaves out anchors
+ * like "CHANGELOG.md#12", entities like "&#39;" and CSS colors.
+ */
+const ISSUE_REFERENCE_PATTERN =
+  /(?:\b(close[sd]?|fix(?:e[sd])?|resolve[sd]?):?\s+)?(?:(?:https:\/\/github\.com\/([\w.-]+)\/([\w.-]+)\/issues\/)|(?<=^|[\s(])(?<!\b(?:color|background|fill|stroke)[\w-]*:\s*)(?:([\w.-]+)\/([\w.-]+))?#)(\d+)\b/gi
+
+/**
+ * Issue numbers in branch names such as "fix/123-crash", "issue-45" or "gh-7".
+ * Numbers followed by more numbers are dates or versions, e.g.
+ * "release/2024-05" or "hotfix/2024-10-19-x".
+ */
+const BRANCH_ISSUE_PATTERN =
+  /(?:^|\/)(?:(?:issue|gh)[-_]?)?(\d+)(?=$|[-_/](?!\d))/i
+
+function referenceKey(reference: IssueReference): string {
+  return `${reference.owner}/${reference.repo}#${reference.number}`.toLowerCase()
+}
+
+/**
+ * Collect the issues referenced by the PR title, branch name and commits,
+ * de-duplicated and in order of first mention
+ */
+export function extractIssueReferences(
+  texts: string[],
+  branch: string = ''
+): IssueReference[] {
+  const references = new Map<string, IssueReference>()
+
+  const add = (reference: IssueReference): void => {
+    const key = referenceKey(reference)
+    const existing = references.get(key)
+    if (existing) {
+      existing.closing ||= reference.closing
+    } else {
+      references.set(key, reference)
+    }
+  }
+
+  for (const text of texts) {
+    for (const match of text.matchAll(ISSUE_REFERENCE_PATTERN)) {
+      const [, keyword, urlOwner, urlRepo, owner, repo, number] = match
+      add({
+        owner: urlOwner || owner || context.repo.owner,
+        repo: urlRepo || repo || context.repo.repo,
+        number: Number(number),
+        closing: Boolean(keyword)
+      })
+    }
+  }
+
+  const branchMatch = branch.match(BRANCH_ISSUE_PATTERN)
+  if (branchMatch) {
+    add({
+      owner: context.repo.owner,
+      repo: context.repo.repo,
+      number: Number(branchMatch[1]),
+      closing: false
+    })
+  }
+
+  return [...references.values()]
+}
+
+function formatReference(reference: IssueReference): string {
+  const sameRepo =
+    reference.owner.toLowerCase() === context.repo.owner.toLowerCase() &&
+    reference.repo.toLowerCase() === context.repo.repo.toLowerCase()
+
+  return sameRepo
+    ? `#${reference.number}`
+    : `${reference.owner}/${reference.repo}#${reference.number}`
+}
+
+function truncate(text: string, maxLength: number): string {
+  const trimmed = text.trim()
+  if (trimmed.length <= maxLength) {
+    return trimmed
+  }
+
+  return `${trimmed.substring(0, maxLength).trimEnd()}\n[... truncated]`
+}
+
+/**
+ * Fetch the referenced issues' titles, bodies and labels. Pull requests and
+ * issues the token cannot see are skipped.
+ */
+export async function fetchLinkedIssues(
+  octokit: ReturnType<typeof github.getOctokit>,
+  references: IssueReference[]
+): Promise<LinkedIssue[]> {
+  if (references.length > MAX_LINKED_ISSUES) {
+    core.info(
+      `Found ${references.length} issue references, only fetching the first ${MAX_LINKED_ISSUES}`
+    )
+  }
+
+  const linkedIssues: LinkedIssue[] = []
+
+  for (const reference of references.slice(0, MAX_LINKED_ISSUES)) {
+    const label = formatReference(reference)
+
+    try {
+      const { data: issue } = await withRetry('Get issue', () =>
+        octokit.rest.issues.get({
+          owner: reference.owner,
+          repo: reference.repo,
+          issue_number: reference.number
+        })
+      )
+
+      if (issue.pull_request) {
+        core.info(`Skipping ${label}: it is a pull request`)
+        continue
+      }
+
+      linkedIssues.push({
+        reference: label,
+        title: issue.title,
+        body: truncate(issue.body || '', MAX_ISSUE_BODY_LENGTH),
+        labels: issue.labels
+          .map((issueLabel) =>
+            typeof issueLabel === 'string' ? issueLabel : issueLabel.name
+          )
+          .filter((name): name is string => Boolean(name)),
+        closing: reference.closing
+      })
+    } catch (error) {
+      const status = (error as { status?: number }).status
+      if (status === 403 || status === 404 || status === 410) {
+        core.info(`Skipping ${label}: issue not found or not accessible`)
+        continue
+      }
+      throw new Error(`Failed to fetch issue ${label}: ${error}`)
+    }
+  }
+
+  core.info(`Linked issues: ${linkedIssues.length}`)
+
+  return linkedIssues
+}
+
+/**
+ * Format linked issues for the prompt
+ */
+export function formatLinkedIssues(issues: LinkedIssue[]): string {
+  return issues
+    .map((issue) => {
+      const lines = [`### ${issue.reference}: ${issue.title}`]
+
+      if (issue.labels.length > 0) {
+        lines.push(`Labels: ${issue.labels.join(', ')}`)
+      }
+
+      if (issue.closing) {
+        lines.push('Referenced with a closing keyword')
+      }
+
+      if (issue.body) {
+        lines.push('', issue.body)
+      }
+
+      return lines.join('\n')
+    })
+    .join('\n\n')
+}
@@ -0,0 +1,218 @@
+import * as core from '@actions/core'
+import * as github from '@actions/github'
+import { context } from '@actions/github'
+import { withRetry } from './retry.js'
+import { LabelClass, LabelMap, PRInfo, StructuredDescription } from './types.js'
+
+export const LABEL_CLASSES: LabelClass[] = [
+  'feature',
+  'fix',
+  'refactor',
+  'docs',
+  'chore',
+  'breaking',
+  'low-risk',
+  'medium-risk',
+  'high-risk'
+]
+
+export const DEFAULT_LABEL_MAP: LabelMap = {
+  feature: 'enhancement',
+  fix: 'bug',
+  refactor: 'refactor',
+  docs: 'documentation',
+  chore: 'chore',
+  breaking: 'breaking-change',
+  'high-risk': 'high-risk'
+}
+
+/**
+ * Colors for labels the action has to create
+ */
+const LABEL_COLORS: Record<LabelClass, string> = {
+  feature: 'a2eeef',
+  fix: 'd73a4a',
+  refactor: 'c5def5',
+  docs: '0075ca',
+  chore: 'ededed',
+  breaking: 'b60205',
+  'low-risk': '0e8a16',
+  'medium-risk': 'fbca04',
+  'high-risk': 'd93f0b'
+}
+
+const LABELS_MARKER_PATTERN = /<!-- pr-description:labels (\[.*?\]) -->/
+
+export interface ClassLabel {
+  name: string
+  color: string
+}
+
+/**
+ * Repository labels for the classes of a structured description: its change
+ * type, whether it is breaking and its risk level
+ */
+export function selectLabels(
+  description: StructuredDescription,
+  labelMap: LabelMap
+): ClassLabel[] {
+  const classes: LabelClass[] = [description.changeType]
+  if (description.breakingChanges.length > 0) {
+    classes.push('breaking')
+  }
+  classes.push(`${description.riskLevel}-risk`)
+
+  return classes
+    .filter((labelClass) => labelMap[labelClass])
+    .map((labelClass) => ({
+      name: labelMap[labelClass]!,
+      color: LABEL_COLORS[labelClass]
+    }))
+}
+
+/**
+ * Hidden HTML comment recording the labels the action added, so later runs
+ * only ever remove those
+ */
+export function formatLabelsMarker(labels: string[]): string {
+  return `<!-- pr-description:labels ${JSON.stringify(labels)} -->`
+}
+
+/**
+ * Read the labels recorded by a previous run, or an empty list
+ */
+export function readLabelsMarker(body: string): string[] {
+  const match = body.match(LABELS_MARKER_PATTERN)
+  if (!match) {
+    return []
+  }
+
+  try {
+    const labels: unknown[] = JSON.parse(match[1])
+    return labels.filter((label): label is string => typeof label === 'string')
+  } catch {
+    return []
+  }
+}
+
+function isAlreadyExists(error: unknown): boolean {
+  const { status, response } = error as {
+    status?: number
+    response?: { data?: { errors?: { code?: string }[] } }
+  }
+  return (
+    status === 422 &&
+    (response?.data?.errors || []).some(
+      (detail) => detail.code === 'already_exists'
+    )
+  )
+}
+
+/**
+ * Create a label that does not exist in the repository yet
+ */
+async function ensureLabel(
+  octokit: ReturnType<typeof github.getOctokit>,
+  label: ClassLabel
+): Promise<void> {
+  try {
+    await withRetry('Get label', () =>
+      octokit.rest.issues.getLabel({
+        owner: context.repo.owner,
+        repo: context.repo.repo,
+        name: label.name
+      })
+    )
+  } catch (error) {
+    if ((error as { status?: number }).status !== 404) {
+      throw error
+    }
+
+    try {
+      await withRetry('Create label', () =>
+        octokit.rest.issues.createLabel({
+          owner: context.repo.owner,
+          repo: context.repo.repo,
+          name: label.name,
+          color: label.color
+        })
+      )
+      core.info(`Created label ${label.name}`)
+    } catch (createError) {
+      // A retried or concurrent request created it first
+      if (!isAlreadyExists(createError)) {
+        throw createError
+      }
+    }
+  }
+}
+
+/**
+ * Add the selected labels to the pull request and remove labels a previous run
+ * added that no longer apply. Labels added by anyone else are never removed.
+ * Failures are only warned about so the description is still delivered.
+ * Returns the labels the action now owns, to be recorded for the next run.
+ */
+export async function applyLabels(
+  octokit: ReturnType<typeof github.getOctokit>,
+  prInfo: PRInfo,
+  labels: ClassLabel[],
+  previouslyAdded: string[]
+): Promise<string[]> {
+  // GitHub label names are case-insensitive
+  const current = prInfo.labels.map((label) => label.toLowerCase())
+  const previous = previouslyAdded.map((label) => label.toLowerCase())
+  const wanted = labels.map((label) => label.name.toLowerCase())
+
+  const toAdd = labels.filter(
+    (label) => !current.includes(label.name.toLowerCase())
+  )
+  const toRemove = prInfo.labels.filter(
+    (label) =>
+      previous.includes(label.toLowerCase()) &&
+      !wanted.includes(label.toLowerCase())
+  )
+
+  // Labels a previous run added that are still on the pull request
+  const owned = new Set(
+    prInfo.labels.filter((label) => previous.includes(label.toLowerCase()))
+  )
+
+  try {
+    for (const label of toAdd) {
+      await ensureLabel(octokit, label)
+    }
+
+    if (toAdd.length > 0) {
+      await withRetry('Add labels', () =>
+        octokit.rest.issues.addLabels({
+          owner: context.repo.owner,
+          repo: context.repo.repo,
+          issue_number: prInfo.number,
+          labels: toAdd.map((label) => label.name)
+        })
+      )
+      for (const label of toAdd) {
+        owned.add(label.name)
+      }
+      core.info(`Added labels: ${toAdd.map((label) => label.name).join(', ')}`)
+    }
+
+    for (const name of toRemove) {
+      await withRetry('Remove label', () =>
+        octokit.rest.issues.removeLabel({
+          owner: context.repo.owner,
+          repo: context.repo.repo,
+          issue_number: prInfo.number,
+          name
+        })
+      )
+      owned.delete(name)
+      core.info(`Removed label ${name}`)
+    }
+  } catch (error) {
+    core.warning(`Failed to apply labels: ${error}`)
+  }
+
+  return Array.from(owned)
+}
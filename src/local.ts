@@ -0,0 +1,408 @@
+import * as core from '@actions/core'
+import { execFile } from 'node:child_process'
+import { parseArgs, promisify } from 'node:util'
+import { filterDiff } from './github.js'
+import { listDiffPaths, listFileChanges } from './diff.js'
+import { generatePRDescription, selectModel } from './claude.js'
+import { createProvider } from './provider.js'
+import { applyRedaction } from './redact.js'
+import {
+  excludeFiles,
+  GITATTRIBUTES_PATH,
+  parseGitAttributes,
+  usesGitAttributes
+} from './exclusions.js'
+import { PR_TEMPLATE_PATHS } from './template.js'
+import {
+  parseRepoConfig,
+  REPO_CONFIG_PATH,
+  selectPathInstructions
+} from './repoconfig.js'
+import { configureRetry } from './retry.js'
+import { getConfig, InputReader } from './validation.js'
+import {
+  filterCommits,
+  formatCommitMessages,
+  parseCommitMessage
+} from './commits.js'
+import { PRContext, PRInfo } from './types.js'
+
+const execFileAsync = promisify(execFile)
+
+/**
+ * Action inputs that can be passed to the CLI as --<input> <value>
+ */
+export const CLI_INPUTS = [
+  'provider',
+  'anthropic-api-key',
+  'openai-api-key',
+  'base-url',
+  'aws-region',
+  'vertex-region',
+  'vertex-project-id',
+  'ignore-patterns',
+  'include-patterns',
+  'redact-secrets',
+  'redact-patterns',
+  'fail-on-secret',
+  'exclude-profiles',
+  'max-file-lines',
+  'use-pr-template',
+  'include-commit-bodies',
+  'structured-output',
+  'prompt-file',
+  'extra-instructions',
+  'language',
+  'verbosity',
+  'model',
+  'max-tokens',
+  'temperature',
+  'large-pr-model',
+  'large-pr-threshold',
+  'token-budget',
+  'chunk-concurrency',
+  'retry-attempts',
+  'retry-max-wait'
+]
+
+/**
+ * Environment variables read for inputs that are not passed as flags
+ */
+const CLI_ENV_INPUTS: Record<string, string> = {
+  'anthropic-api-key': 'ANTHROPIC_API_KEY',
+  'openai-api-key': 'OPENAI_API_KEY'
+}
+
+export const USAGE = `Usage: cli [options] <base>..<head>
+
+Describe the changes between two git refs and print the description as
+markdown. The diff is taken against the merge base, like a pull request.
+
+Options:
+  --repo <path>      Path to the git repository (default: current directory)
+  --title <title>    Pull request title (default: subject of the head commit)
+  --author <name>    Pull request author (default: author of the head commit)
+  --help             Show this message
+
+Every action input is also accepted as a flag, e.g. --model, --ignore-patterns
+or --base-url. API keys default to ANTHROPIC_API_KEY and OPENAI_API_KEY.
+
+Inputs: ${CLI_INPUTS.join(', ')}
+`
+
+export interface CliOptions {
+  range: string
+  repo: string
+  title: string
+  author: string
+  help: boolean
+  inputs: Record<string, string>
+}
+
+/**
+ * Parse CLI arguments into the git range, CLI-only options and action inputs
+ */
+export function parseCliArgs(argv: string[]): CliOptions {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      repo: { type: 'string', default: '.' },
+      title: { type: 'string', default: '' },
+      author: { type: 'string', default: '' },
+      help: { type: 'boolean', short: 'h', default: false },
+      ...Object.fromEntries(
+        CLI_INPUTS.map((name) => [name, { type: 'string' as const }])
+      )
+    }
+  })
+
+  if (positionals.length > 1) {
+    throw new Error(
+      `Expected a single <base>..<head> range, got: ${positionals.join(' ')}`
+    )
+  }
+
+  const { repo, title, author, help, ...inputs } = values
+
+  return {
+    range: positionals[0] || '',
+    repo: repo as string,
+    title: title as string,
+    author: author as string,
+    help: help as boolean,
+    inputs: inputs as Record<string, string>
+  }
+}
+
+/**
+ * Split a "base..head" or "base...head" range. A bare ref is compared with
+ * HEAD.
+ */
+export function parseRange(range: string): { base: string; head: string } {
+  const match = range.match(/^(.*?)\.{2,3}(.*)$/)
+  const base = match ? match[1] : range
+  const head = (match && match[2]) || 'HEAD'
+
+  if (!base) {
+    throw new Error(`Invalid range: ${range}. Expected <base>..<head>`)
+  }
+
+  return { base, head }
+}
+
+async function git(repo: string, args: string[]): Promise<string> {
+  try {
+    const { stdout } = await execFileAsync('git', ['-C', repo, ...args], {
+      maxBuffer: 64 * 1024 * 1024
+    })
+    return stdout
+  } catch (error) {
+    throw new Error(`git ${args[0]} failed: ${error}`)
+  }
+}
+
+/**
+ * Diff the head against its merge base with the base, like a pull request
+ */
+export async function getLocalDiff(
+  repo: string,
+  base: string,
+  head: string,
+  ignoredPatterns: string[] = [],
+  includePatterns: string[] = []
+): Promise<string> {
+  core.info('Generating diff using local git...')
+  const rawDiff = await git(repo, [
+    'diff',
+    '--no-color',
+    '--no-ext-diff',
+    `${base}...${head}`
+  ])
+  const filteredDiff = filterDiff(rawDiff, ignoredPatterns, includePatterns)
+
+  core.info(`Raw diff lines: ${rawDiff.split('\n').length}`)
+  core.info(`Filtered diff lines: ${filteredDiff.split('\n').length}`)
+
+  return filteredDiff
+}
+
+/**
+ * List the commits in base..head, oldest first, formatted for the prompt
+ */
+export async function getLocalCommitMessages(
+  repo: string,
+  base: string,
+  head: string,
+  includeBodies: boolean = false
+): Promise<string> {
+  core.info('Getting commit messages using local git...')
+  // Fields are separated by US (0x1f) and records by RS (0x1e)
+  const log = await git(repo, [
+    'log',
+    '--reverse',
+    '--format=%H%x1f%P%x1f%B%x1e',
+    `${base}..${head}`
+  ])
+
+  const parsedCommits = log
+    .split('\x1e')
+    .filter((record) => record.trim())
+    .map((record) => {
+      const [sha, parents, message] = record.replace(/^\n/, '').split('\x1f')
+      return {
+        sha,
+        ...parseCommitMessage(message),
+        isMerge: parents.trim().split(' ').length > 1
+      }
+    })
+  const filteredCommits = filterCommits(parsedCommits)
+
+  if (filteredCommits.length < parsedCommits.length) {
+    core.info(
+      `Dropped ${parsedCommits.length - filteredCommits.length} merge, fixup/squash or duplicate commits`
+    )
+  }
+
+  return formatCommitMessages(filteredCommits, includeBodies)
+}
+
+/**
+ * Read a file as of a git ref, returning null when it does not exist there
+ */
+export async function readLocalFileAtRef(
+  repo: string,
+  ref: string,
+  filePath: string
+): Promise<string | null> {
+  const listed = await git(repo, [
+    'ls-tree',
+    '--name-only',
+    ref,
+    '--',
+    filePath
+  ])
+  return listed.trim() ? git(repo, ['show', `${ref}:${filePath}`]) : null
+}
+
+/**
+ * Find the pull request template as of a git ref, like the action does with
+ * the base branch
+ */
+export async function findLocalPRTemplate(
+  repo: string,
+  ref: string
+): Promise<string | null> {
+  for (const templatePath of PR_TEMPLATE_PATHS) {
+    const content = await readLocalFileAtRef(repo, ref, templatePath)
+    if (content && content.trim()) {
+      core.info(`Using pull request template: ${templatePath}`)
+      return content
+    }
+  }
+
+  return null
+}
+
+/**
+ * Build the PR metadata for a local range from the head commit
+ */
+export async function getLocalPRInfo(
+  repo: string,
+  base: string,
+  head: string,
+  overrides: Pick<CliOptions, 'title' | 'author'>
+): Promise<PRInfo> {
+  const [baseSha, headSha, subject, author] = await Promise.all([
+    git(repo, ['rev-parse', '--verify', `${base}^{commit}`]),
+    git(repo, ['rev-parse', '--verify', `${head}^{commit}`]),
+    git(repo, ['log', '-1', '--format=%s', head]),
+    git(repo, ['log', '-1', '--format=%an', head])
+  ])
+
+  return {
+    number: 0,
+    title: overrides.title || subject.trim(),
+    author: overrides.author || author.trim(),
+    baseSha: baseSha.trim(),
+    headSha: headSha.trim(),
+    headRef: head,
+    url: '',
+    body: '',
+    draft: false,
+    labels: [],
+    authorIsBot: false
+  }
+}
+
+/**
+ * Run the CLI, writing the description with `write`. Returns the exit code.
+ */
+export async function runCli(
+  argv: string[],
+  write: (text: string) => void
+): Promise<number> {
+  try {
+    const options = parseCliArgs(argv)
+    if (options.help || !options.range) {
+      write(USAGE)
+      return options.help ? 0 : 1
+    }
+
+    const readInput: InputReader = (name) =>
+      options.inputs[name] ??
+      (name in CLI_ENV_INPUTS ? process.env[CLI_ENV_INPUTS[name]] || '' : '')
+    const { base, head } = parseRange(options.range)
+    const repoConfigContent = await readLocalFileAtRef(
+      options.repo,
+      base,
+      REPO_CONFIG_PATH
+    )
+    const config = getConfig(readInput, {
+      requireGitHubToken: false,
+      repoConfig:
+        repoConfigContent === null ? null : parseRepoConfig(repoConfigContent)
+    })
+    configureRetry({
+      attempts: config.retryAttempts,
+      maxRetryAfterMs: config.retryMaxWait * 1000
+    })
+
+    const prInfo = await getLocalPRInfo(options.repo, base, head, options)
+
+    const [filteredDiff, commitMessages, template, customPrompt, attributes] =
+      await Promise.all([
+        getLocalDiff(
+          options.repo,
+          base,
+          head,
+          config.ignoredPatterns,
+          config.includePatterns
+        ),
+        getLocalCommitMessages(
+          options.repo,
+          base,
+          head,
+          config.includeCommitBodies
+        ),
+        config.usePrTemplate
+          ? findLocalPRTemplate(options.repo, base)
+          : Promise.resolve(null),
+        config.promptFile
+          ? readLocalFileAtRef(options.repo, base, config.promptFile)
+          : Promise.resolve(null),
+        usesGitAttributes(config.excludeProfiles)
+          ? readLocalFileAtRef(options.repo, base, GITATTRIBUTES_PATH)
+          : Promise.resolve(null)
+      ])
+    const { diff: excludedDiff, excluded: excludedFiles } = excludeFiles(
+      filteredDiff,
+      {
+        profiles: config.excludeProfiles,
+        maxFileLines: config.maxFileLines,
+        attributes: parseGitAttributes(attributes || '')
+      }
+    )
+    const diff = applyRedaction(excludedDiff, config)
+
+    if (config.promptFile && !customPrompt?.trim()) {
+      throw new Error(`Prompt file not found or empty: ${config.promptFile}`)
+    }
+
+    const prContext: PRContext = {
+      prInfo,
+      commitMessages,
+      diff,
+      files: listFileChanges(filteredDiff),
+      excludedFiles,
+      template
+    }
+
+    const description = await generatePRDescription(
+      createProvider(config),
+      prContext,
+      {
+        model: selectModel(config, diff),
+        maxTokens: config.maxTokens,
+        temperature: config.temperature,
+        tokenBudget: config.tokenBudget,
+        chunkConcurrency: config.chunkConcurrency,
+        customPrompt,
+        extraInstructions: config.extraInstructions,
+        pathInstructions: selectPathInstructions(
+          config.pathInstructions,
+          listDiffPaths(filteredDiff)
+        ),
+        structuredOutput: config.structuredOutput,
+        language: config.language,
+        verbosity: config.verbosity
+      }
+    )
+
+    write(`${description.trim()}\n`)
+    return 0
+  } catch (error) {
+    core.error(`Error: ${(error as Error).message}`)
+    return 1
+  }
+}
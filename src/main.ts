@@ -1,60 +1,364 @@
 import * as core from '@actions/core'
 import {
   validatePullRequestEvent,
-  validatePullRequestAction,
-  extractPRInfo,
-  getConfig
+  getConfig,
+  getGitHubConfig,
+  getReleaseRange,
+  isReleaseNotesMode
 } from './validation.js'
 import {
   generateDiff,
+  getChangedFiles,
   getCommitMessages,
-  updatePRDescription
+  getFileContent,
+  updatePRTitle
 } from './github.js'
-import { generatePRDescription } from './claude.js'
-import { PRContext } from './types.js'
+import {
+  generatePRDescription,
+  generateStructuredDescription,
+  selectModel,
+  suggestTitle
+} from './claude.js'
+import { createProvider } from './provider.js'
+import { applyRedaction } from './redact.js'
+import {
+  ExclusionOptions,
+  excludeFiles,
+  GITATTRIBUTES_PATH,
+  parseGitAttributes,
+  usesGitAttributes
+} from './exclusions.js'
+import { findPRTemplate, loadPromptFile } from './template.js'
+import { deliverDescription } from './delivery.js'
+import { extractIssueReferences, fetchLinkedIssues } from './issues.js'
+import { configureRetry } from './retry.js'
+import {
+  getRuleSkipReason,
+  isExplicitRequest,
+  resolvePullRequest
+} from './events.js'
+import { loadRepoConfig, selectPathInstructions } from './repoconfig.js'
+import {
+  computeFingerprint,
+  formatFingerprint,
+  readFingerprint
+} from './fingerprint.js'
+import {
+  applyLabels,
+  formatLabelsMarker,
+  readLabelsMarker,
+  selectLabels
+} from './labels.js'
+import {
+  getStructuredOutputs,
+  renderStructuredDescription
+} from './structured.js'
+import { formatTitleSuggestion, matchesTitlePattern } from './title.js'
+import { renderFilesTable } from './files.js'
+import { listDiffPaths } from './diff.js'
+import { formatCommitMessages } from './commits.js'
+import { createReleaseNotes } from './release.js'
+import {
+  describeUpdate,
+  formatHeadMarker,
+  getUpdateRange,
+  readUpdates,
+  renderUpdates
+} from './updates.js'
+import { GenerationOptions, PRContext } from './types.js'
 
 import github from '@actions/github'
 
+/**
+ * End the run cleanly, reporting why it was skipped
+ */
+function skipRun(reason: string): void {
+  core.info(`Skipping: ${reason}`)
+  core.setOutput('skipped', 'true')
+  core.setOutput('skip-reason', reason)
+}
+
+/**
+ * Write release notes for the pull requests merged in release-range
+ */
+async function runReleaseNotes(): Promise<void> {
+  const gitHubConfig = getGitHubConfig()
+  configureRetry({
+    attempts: gitHubConfig.retryAttempts,
+    maxRetryAfterMs: gitHubConfig.retryMaxWait * 1000
+  })
+
+  const octokit = github.getOctokit(gitHubConfig.githubToken)
+  const range = await getReleaseRange(octokit)
+  const config = getConfig(core.getInput, {
+    repoConfig: await loadRepoConfig(octokit, range.head)
+  })
+  configureRetry({
+    attempts: config.retryAttempts,
+    maxRetryAfterMs: config.retryMaxWait * 1000
+  })
+
+  core.info(`Writing release notes for ${range.base}...${range.head}`)
+  core.setOutput('model', config.model)
+  core.setOutput('language', config.language)
+
+  const releaseNotes = await createReleaseNotes(
+    octokit,
+    createProvider(config),
+    range,
+    config
+  )
+  if (releaseNotes === null) {
+    skipRun(`no pull requests were merged in ${range.base}...${range.head}`)
+    return
+  }
+
+  core.setOutput('skipped', 'false')
+  core.setOutput('release-notes', releaseNotes)
+}
+
 export async function run(): Promise<void> {
   try {
+    if (isReleaseNotesMode()) {
+      core.info('Starting release notes generation...')
+      await runReleaseNotes()
+      return
+    }
+
     core.info('Starting PR description automation...')
 
     validatePullRequestEvent()
-    validatePullRequestAction()
-    const config = getConfig()
-    const prInfo = extractPRInfo()
+    const gitHubConfig = getGitHubConfig()
+    configureRetry({
+      attempts: gitHubConfig.retryAttempts,
+      maxRetryAfterMs: gitHubConfig.retryMaxWait * 1000
+    })
+
+    const octokit = github.getOctokit(gitHubConfig.githubToken)
+    const { prInfo, skipReason } = await resolvePullRequest(
+      octokit,
+      gitHubConfig
+    )
+    if (skipReason !== null) {
+      skipRun(skipReason)
+      return
+    }
+
+    const config = getConfig(core.getInput, {
+      repoConfig: await loadRepoConfig(octokit, prInfo.baseSha)
+    })
+    configureRetry({
+      attempts: config.retryAttempts,
+      maxRetryAfterMs: config.retryMaxWait * 1000
+    })
+
+    const ruleSkipReason = getRuleSkipReason(prInfo, config)
+    if (ruleSkipReason !== null) {
+      skipRun(ruleSkipReason)
+      return
+    }
 
     core.info(`Analyzing PR #${prInfo.number}: ${prInfo.title}`)
     core.info(`Author: ${prInfo.author}`)
     core.info(`Base SHA: ${prInfo.baseSha}`)
     core.info(`Head SHA: ${prInfo.headSha}`)
 
-    const octokit = github.getOctokit(config.githubToken)
+    const readsAttributes = usesGitAttributes(config.excludeProfiles)
+    const [filteredDiff, commits, template, customPrompt, attributes] =
+      await Promise.all([
+        generateDiff(
+          octokit,
+          prInfo.baseSha,
+          prInfo.headSha,
+          config.ignoredPatterns,
+          config.includePatterns
+        ),
+        getCommitMessages(octokit, prInfo.number, config.includeCommitBodies),
+        config.usePrTemplate
+          ? findPRTemplate(octokit, prInfo.baseSha)
+          : Promise.resolve(null),
+        config.promptFile
+          ? loadPromptFile(octokit, config.promptFile, prInfo.baseSha)
+          : Promise.resolve(null),
+        readsAttributes
+          ? getFileContent(octokit, GITATTRIBUTES_PATH, prInfo.baseSha)
+          : Promise.resolve(null)
+      ])
+    const exclusionOptions: ExclusionOptions = {
+      profiles: config.excludeProfiles,
+      maxFileLines: config.maxFileLines,
+      attributes: parseGitAttributes(attributes || '')
+    }
+    const { diff: excludedDiff, excluded: excludedFiles } = excludeFiles(
+      filteredDiff,
+      exclusionOptions
+    )
+    const diff = applyRedaction(excludedDiff, config)
+
+    const model = selectModel(config, diff)
+    core.setOutput('model', model)
+    core.setOutput('language', config.language)
+
+    const generationOptions: GenerationOptions = {
+      model,
+      maxTokens: config.maxTokens,
+      temperature: config.temperature,
+      tokenBudget: config.tokenBudget,
+      chunkConcurrency: config.chunkConcurrency,
+      customPrompt,
+      extraInstructions: config.extraInstructions,
+      pathInstructions: selectPathInstructions(
+        config.pathInstructions,
+        listDiffPaths(filteredDiff)
+      ),
+      structuredOutput: config.structuredOutput,
+      language: config.language,
+      verbosity: config.verbosity
+    }
+
+    const fingerprint = computeFingerprint(
+      diff,
+      template,
+      generationOptions,
+      config
+    )
+    core.info(`Diff fingerprint: ${fingerprint}`)
+    if (
+      config.mode === 'body' &&
+      !config.force &&
+      !isExplicitRequest() &&
+      readFingerprint(prInfo.body) === fingerprint
+    ) {
+      skipRun(
+        'diff and settings are unchanged since the last description (set force to regenerate)'
+      )
+      return
+    }
+    core.setOutput('skipped', 'false')
 
-    const [diff, commitMessages] = await Promise.all([
-      generateDiff(
+    const [files, linkedIssues] = await Promise.all([
+      getChangedFiles(
         octokit,
         prInfo.baseSha,
         prInfo.headSha,
-        config.ignoredPatterns
+        config.ignoredPatterns,
+        config.includePatterns
       ),
-      getCommitMessages(octokit, prInfo.number)
+      config.linkIssues
+        ? fetchLinkedIssues(
+            octokit,
+            // Closing keywords are often in commit bodies, which the prompt
+            // leaves out by default
+            extractIssueReferences(
+              [prInfo.title, formatCommitMessages(commits.commits, true)],
+              prInfo.headRef
+            )
+          )
+        : Promise.resolve([])
     ])
 
     const prContext: PRContext = {
       prInfo,
-      commitMessages,
-      diff
+      commitMessages: commits.messages,
+      diff,
+      files,
+      excludedFiles,
+      template,
+      linkedIssues
     }
 
-    const newDescription = await generatePRDescription(
-      config.anthropicApiKey,
-      prContext
-    )
+    const provider = createProvider(config)
+    const markers = [formatFingerprint(fingerprint)]
+    const tracksUpdates = config.mode === 'body' && config.incrementalUpdates
+    if (tracksUpdates) {
+      markers.push(formatHeadMarker(prInfo.headSha))
+    }
+    let newDescription: string
+    if (config.structuredOutput) {
+      const structured = await generateStructuredDescription(
+        provider,
+        prContext,
+        generationOptions
+      )
+      for (const [name, value] of Object.entries(
+        getStructuredOutputs(structured)
+      )) {
+        core.setOutput(name, value)
+      }
+      newDescription = renderStructuredDescription(structured)
 
-    await updatePRDescription(octokit, prInfo.number, newDescription)
+      if (config.applyLabels) {
+        const addedLabels = await applyLabels(
+          octokit,
+          prInfo,
+          selectLabels(structured, config.labelMap),
+          readLabelsMarker(prInfo.body)
+        )
+        markers.push(formatLabelsMarker(addedLabels))
+      }
+    } else {
+      newDescription = await generatePRDescription(
+        provider,
+        prContext,
+        generationOptions
+      )
+    }
+
+    if (config.titleMode !== 'off') {
+      if (matchesTitlePattern(prInfo.title, config.titlePattern)) {
+        core.info('PR title matches title-pattern, leaving it as is')
+      } else {
+        const title = await suggestTitle(
+          provider,
+          prContext,
+          newDescription,
+          generationOptions
+        )
+        core.setOutput('suggested-title', title)
+
+        if (config.titleMode === 'rewrite') {
+          await updatePRTitle(octokit, prInfo.number, title)
+        } else {
+          newDescription = `${formatTitleSuggestion(title)}\n\n${newDescription}`
+        }
+      }
+    }
+
+    if (config.filesTable && files.length > 0) {
+      newDescription = `${newDescription.trim()}\n\n${renderFilesTable(files)}`
+    }
+
+    if (tracksUpdates) {
+      const updateRange = getUpdateRange(prInfo)
+      const update = updateRange
+        ? await describeUpdate(
+            octokit,
+            provider,
+            prInfo,
+            updateRange,
+            config,
+            exclusionOptions,
+            generationOptions
+          )
+        : null
+      const previousUpdates = readUpdates(prInfo.body)
+      const updates = renderUpdates(
+        update ? [update, ...previousUpdates] : previousUpdates
+      )
+      if (updates) {
+        newDescription = `${newDescription.trim()}\n\n${updates}`
+      }
+    }
+
+    await deliverDescription(
+      octokit,
+      prInfo,
+      newDescription,
+      config,
+      markers,
+      template
+    )
 
-    core.info(`PR description updated successfully! View at: ${prInfo.url}`)
     core.setOutput('description', newDescription)
   } catch (error) {
     const errorMessage = error instanceof Error ? error.message : String(error)
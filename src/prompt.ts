@@ -0,0 +1,269 @@
+import { PathInstruction, PromptOptions, Verbosity } from './types.js'
+
+export const DEFAULT_LANGUAGE = 'en'
+
+export const VERBOSITY_LEVELS: Verbosity[] = ['terse', 'standard', 'detailed']
+
+/**
+ * System prompt for Claude to generate PR descriptions
+ */
+export const SYSTEM_PROMPT = `
+You are a technical writer creating clear, concise pull request descriptions. 
+
+Your task is to analyze the provided PR context and generate a professional GitHub PR description in markdown format.
+
+Structure your response exactly like this:
+
+----------------------------------------------------------------------
+
+## Summary
+Brief overview of what this PR does (1-2 sentences)
+
+## Changes Made  
+- Key changes in bullet points (be specific but concise)
+
+----------------------------------------------------------------------
+
+Do not include any other sections or comments in your response.
+
+Guidelines:
+- Be concise. Prefer to be short and to the point.
+- Focus on the "what" and "why", not implementation details
+- Use clear, professional language
+- Highlight breaking changes if any
+- Mention related issues if apparent from commits
+
+Respond with ONLY the markdown content - no meta-commentary.
+`
+
+/**
+ * System prompt for Claude to fill in the repository's pull request template
+ */
+export const TEMPLATE_SYSTEM_PROMPT = `
+You are a technical writer filling in a repository's pull request template.
+
+Your task is to analyze the provided PR context and complete the pull request template below in markdown format.
+
+Rules for filling in the template:
+- Keep every heading exactly as written, at the same level and in the same order
+- Do not add, remove, rename or reorder sections
+- Keep every checkbox list item exactly as written. Only change "- [ ]" to "- [x]" when the PR context clearly shows the item applies
+- Replace placeholder text and instructions in a section with your answer only when the PR context lets you answer it
+- When a section cannot be answered from the PR context, keep its original placeholder text (including HTML comments) unchanged
+
+Guidelines:
+- Be concise. Prefer to be short and to the point.
+- Focus on the "what" and "why", not implementation details
+- Use clear, professional language
+- Highlight breaking changes if any
+- Mention related issues if apparent from commits
+
+Respond with ONLY the completed template - no meta-commentary.
+`
+
+/**
+ * System prompt for Claude to return the description through the
+ * describe_pull_request tool
+ */
+export const STRUCTURED_SYSTEM_PROMPT = `
+You are a technical writer creating clear, concise pull request descriptions.
+
+Your task is to analyze the provided PR context and record the description by calling the describe_pull_request tool.
+
+Fields:
+- summary: what this PR does and why (1-2 sentences)
+- change_type: the main kind of change - feature, fix, refactor, docs or chore
+- changes: the key changes, one short item each (be specific but concise)
+- breaking_changes: changes that break existing users, or an empty list
+- risk_level: low, medium or high, based on the scope of the change and how likely it is to break something
+- testing_notes: how the change was or should be tested, or an empty string when the PR context does not say
+- related_issues: issues the PR relates to, e.g. "Closes #123" or "Related to #456", or an empty list
+
+Guidelines:
+- Be concise. Prefer to be short and to the point.
+- Focus on the "what" and "why", not implementation details
+- Use clear, professional language
+- Write plain sentences without markdown headings
+- Mention related issues if apparent from commits
+`
+
+/**
+ * System prompt for Claude to suggest a Conventional Commits pull request title
+ */
+export const TITLE_SYSTEM_PROMPT = `
+You are writing a pull request title in the Conventional Commits format.
+
+Format: <type>(<optional scope>): <description>
+- type is one of: feat, fix, docs, style, refactor, perf, test, build, ci, chore, revert
+- Add "!" after the type or scope for breaking changes, e.g. "feat(api)!: drop v1 endpoints"
+- The description is imperative, lower case, has no trailing period and says specifically what changes
+- Keep the whole title under 72 characters
+- Keep the scope of the current title if it has one
+- Keep the ticket prefix of the current title (e.g. "ABC-123" or "[ABC-123]") at the start
+
+Respond with ONLY the title - no quotes or meta-commentary.
+`
+
+/**
+ * System prompt for Claude to summarize what the newest push to a pull request
+ * changed
+ */
+export const UPDATE_SYSTEM_PROMPT = `
+You are a code reviewer telling the other reviewers what the newest push to a pull request changed. They have already read the earlier version of the pull request.
+
+Respond with ONLY a markdown bullet list of one to five short bullets - no headings and no meta-commentary.
+
+Guidelines:
+- Describe only the changes in this diff, not the pull request as a whole
+- Lead with changes in behavior, then anything a reviewer asked for
+- Fold small fixups such as renames, formatting and typo fixes into one bullet
+`
+
+/**
+ * System prompt for Claude to write release notes from the merged pull
+ * requests of a release
+ */
+export const RELEASE_NOTES_SYSTEM_PROMPT = `
+You are a technical writer creating release notes from the pull requests merged for a release.
+
+Structure your response exactly like this, leaving out sections that would be empty:
+
+----------------------------------------------------------------------
+
+### Breaking Changes
+- What changed and what users have to do about it (#123)
+
+### Features
+- New or improved behavior users will notice (#123)
+
+### Fixes
+- Bugs that were fixed, described by their symptom (#123)
+
+### Other Changes
+- Documentation, performance, dependency and internal changes worth knowing about (#123)
+
+----------------------------------------------------------------------
+
+Do not include any other sections or comments in your response. A list of contributors is added separately.
+
+Guidelines:
+- Write for the people who use the project, not for its reviewers
+- Put each pull request in exactly one section; breaking changes win over everything else
+- Reference every pull request by its number, e.g. (#123); combine pull requests that change the same thing into one bullet that references all of them
+- Leave out pull requests that change nothing users or contributors care about, such as CI tweaks or typo fixes
+- Be concise: one line per bullet
+
+Respond with ONLY the markdown content - no meta-commentary.
+`
+
+/**
+ * Instructions added when the PR context includes linked issues
+ */
+export const LINKED_ISSUES_PROMPT = `
+Linked issues:
+The PR context lists issues referenced by the PR title, branch name or commits.
+- For each issue this pull request resolves, add a line with a GitHub closing keyword, e.g. "Closes #123" (keep the "owner/repo#123" form for other repositories)
+- Mention related issues the pull request does not resolve without a closing keyword, e.g. "Related to #456"
+- Never use a closing keyword for an issue the changes do not clearly resolve
+`
+
+/**
+ * Instructions for the non-standard verbosity levels
+ */
+const VERBOSITY_PROMPTS: Record<Verbosity, string> = {
+  terse: `
+Length:
+- Be as brief as possible: a one-sentence summary and at most 5 short bullet points
+- Leave out anything a reviewer can easily see in the diff
+`,
+  standard: '',
+  detailed: `
+Length:
+- Be thorough: explain the motivation, notable implementation decisions and their trade-offs
+- Call out anything reviewers should check closely, such as migrations, configuration or edge cases
+`
+}
+
+/**
+ * English name of a language tag, e.g. "Japanese" for "ja"
+ */
+export function getLanguageName(language: string): string {
+  return new Intl.DisplayNames(['en'], { type: 'language' }).of(language)!
+}
+
+/**
+ * Whether the description is written in English, which needs no instructions
+ */
+function isEnglish(language: string): boolean {
+  return language.split('-')[0].toLowerCase() === DEFAULT_LANGUAGE
+}
+
+/**
+ * Instructions for writing the description in a language other than English
+ */
+export function buildLanguagePrompt(language: string): string {
+  return `
+Language:
+- Write the description in ${getLanguageName(language)} (${language})
+- Keep code identifiers, file paths, commit SHAs, issue references and anything in backticks exactly as written, untranslated
+- Keep GitHub closing keywords such as "Closes #123" in English so GitHub still links the issues
+`
+}
+
+/**
+ * Instructions from the repository config file for the paths this pull
+ * request changes
+ */
+export function buildPathInstructionsPrompt(
+  pathInstructions: PathInstruction[]
+): string {
+  return `
+Instructions for changed paths:
+${pathInstructions
+  .map(({ path, instructions }) => `- ${path}: ${instructions.trim()}`)
+  .join('\n')}
+`
+}
+
+/**
+ * Build the system prompt from the default (or custom) prompt, the
+ * repository's pull request template, linked issue instructions, language and
+ * length instructions, path instructions and any extra instructions.
+ * Structured output has a fixed layout, so the template is not used.
+ */
+export function buildSystemPrompt(options: PromptOptions): string {
+  const template = options.structuredOutput ? null : options.template
+  let prompt =
+    options.customPrompt ||
+    (options.structuredOutput
+      ? STRUCTURED_SYSTEM_PROMPT
+      : template
+        ? TEMPLATE_SYSTEM_PROMPT
+        : SYSTEM_PROMPT)
+
+  if (template) {
+    prompt += `\nPull request template:\n${template.trim()}\n`
+  }
+
+  if (options.hasLinkedIssues) {
+    prompt += LINKED_ISSUES_PROMPT
+  }
+
+  if (options.verbosity) {
+    prompt += VERBOSITY_PROMPTS[options.verbosity]
+  }
+
+  if (options.language && !isEnglish(options.language)) {
+    prompt += buildLanguagePrompt(options.language)
+  }
+
+  if (options.pathInstructions?.length) {
+    prompt += buildPathInstructionsPrompt(options.pathInstructions)
+  }
+
+  if (options.extraInstructions) {
+    prompt += `\nAdditional instructions:\n${options.extraInstructions.trim()}\n`
+  }
+
+  return prompt
+}
@@ -0,0 +1,328 @@
+import { Anthropic } from '@anthropic-ai/sdk'
+import { AnthropicBedrock } from '@anthropic-ai/bedrock-sdk'
+import { AnthropicVertex } from '@anthropic-ai/vertex-sdk'
+import { Config, ProviderName } from './types.js'
+
+type MessageCreateParams = Anthropic.Messages.MessageCreateParamsNonStreaming
+type Message = Anthropic.Messages.Message
+
+export const PROVIDERS: ProviderName[] = [
+  'anthropic',
+  'bedrock',
+  'vertex',
+  'openai-compatible'
+]
+
+/**
+ * A model API. Requests and responses use the shape of the Anthropic Messages
+ * API; providers with a different API translate to and from it.
+ */
+export interface Provider {
+  name: ProviderName
+  createMessage(params: MessageCreateParams): Promise<Message>
+}
+
+export type ProviderConfig = Pick<
+  Config,
+  | 'provider'
+  | 'anthropicApiKey'
+  | 'openaiApiKey'
+  | 'baseUrl'
+  | 'awsRegion'
+  | 'vertexRegion'
+  | 'vertexProjectId'
+>
+
+interface MessagesClient {
+  messages: {
+    create(params: MessageCreateParams): PromiseLike<Message>
+  }
+}
+
+/**
+ * Provider for the Anthropic SDK and its Bedrock and Vertex clients, which all
+ * speak the Messages API
+ */
+function messagesProvider(
+  name: ProviderName,
+  client: MessagesClient
+): Provider {
+  return {
+    name,
+    createMessage: async (params) => client.messages.create(params)
+  }
+}
+
+interface ChatToolCall {
+  id: string
+  type: 'function'
+  function: { name: string; arguments: string }
+}
+
+interface ChatMessage {
+  role: 'system' | 'user' | 'assistant' | 'tool'
+  content: string | null
+  tool_calls?: ChatToolCall[]
+  tool_call_id?: string
+}
+
+interface ChatCompletion {
+  id?: string
+  model?: string
+  choices?: {
+    message: { content?: string | null; tool_calls?: ChatToolCall[] }
+    finish_reason?: string | null
+  }[]
+  usage?: { prompt_tokens?: number; completion_tokens?: number }
+}
+
+/**
+ * How long a chat completions request may take, the same 10 minutes the
+ * Anthropic SDKs allow
+ */
+const REQUEST_TIMEOUT_MS = 10 * 60 * 1000
+
+const STOP_REASONS: Record<string, Anthropic.Messages.StopReason> = {
+  stop: 'end_turn',
+  length: 'max_tokens',
+  tool_calls: 'tool_use'
+}
+
+function joinText(
+  content: string | { type: string; text?: string }[] = ''
+): string {
+  return typeof content === 'string'
+    ? content
+    : content.map((block) => block.text || '').join('')
+}
+
+/**
+ * Translate the system prompt and messages to chat completion messages. Tool
+ * calls go on the assistant message and each tool result becomes a tool
+ * message.
+ */
+function toChatMessages(params: MessageCreateParams): ChatMessage[] {
+  const system = joinText(params.system)
+  const messages: ChatMessage[] = system
+    ? [{ role: 'system', content: system }]
+    : []
+
+  for (const message of params.messages) {
+    if (typeof message.content === 'string') {
+      messages.push({ role: message.role, content: message.content })
+      continue
+    }
+
+    const text: string[] = []
+    const toolCalls: ChatToolCall[] = []
+    for (const block of message.content) {
+      switch (block.type) {
+        case 'text':
+          text.push(block.text)
+          break
+        case 'tool_use':
+          toolCalls.push({
+            id: block.id,
+            type: 'function',
+            function: {
+              name: block.name,
+              arguments: JSON.stringify(block.input)
+            }
+          })
+          break
+        case 'tool_result':
+          messages.push({
+            role: 'tool',
+            tool_call_id: block.tool_use_id,
+            content: joinText(block.content)
+          })
+          break
+        default:
+          throw new Error(
+            `The openai-compatible provider does not support ${block.type} content`
+          )
+      }
+    }
+
+    if (text.length > 0 || toolCalls.length > 0) {
+      messages.push({
+        role: message.role,
+        content: text.length > 0 ? text.join('') : null,
+        ...(toolCalls.length > 0 ? { tool_calls: toolCalls } : {})
+      })
+    }
+  }
+
+  return messages
+}
+
+/**
+ * Tool arguments that are not valid JSON are passed on as the raw string so
+ * validation can report them
+ */
+function parseArguments(value: string): unknown {
+  try {
+    return JSON.parse(value)
+  } catch {
+    return value
+  }
+}
+
+/**
+ * Translate a chat completion back to a Messages API response
+ */
+function fromChatCompletion(
+  completion: ChatCompletion,
+  params: MessageCreateParams
+): Message {
+  const choice = completion.choices?.[0]
+  if (!choice) {
+    throw new Error('OpenAI-compatible API returned no choices')
+  }
+
+  const content: Anthropic.Messages.ContentBlock[] = []
+  if (choice.message.content) {
+    content.push({
+      type: 'text',
+      text: choice.message.content,
+      citations: null
+    })
+  }
+  for (const call of choice.message.tool_calls || []) {
+    content.push({
+      type: 'tool_use',
+      id: call.id,
+      name: call.function.name,
+      input: parseArguments(call.function.arguments)
+    })
+  }
+
+  return {
+    id: completion.id || '',
+    type: 'message',
+    role: 'assistant',
+    model: completion.model || params.model,
+    content,
+    stop_reason: STOP_REASONS[choice.finish_reason || ''] || null,
+    stop_sequence: null,
+    usage: {
+      input_tokens: completion.usage?.prompt_tokens || 0,
+      output_tokens: completion.usage?.completion_tokens || 0,
+      cache_creation_input_tokens: null,
+      cache_read_input_tokens: null,
+      server_tool_use: null,
+      service_tier: null
+    }
+  }
+}
+
+/**
+ * Provider for any chat completions endpoint that follows the OpenAI API, e.g.
+ * a self-hosted model server. Tools are sent as functions.
+ */
+function openAICompatibleProvider(baseUrl: string, apiKey: string): Provider {
+  const url = `${baseUrl.replace(/\/+$/, '')}/chat/completions`
+
+  return {
+    name: 'openai-compatible',
+    createMessage: async (params) => {
+      const tools = (params.tools || []) as Anthropic.Messages.Tool[]
+      const toolChoice = params.tool_choice
+
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'content-type': 'application/json',
+          ...(apiKey ? { authorization: `Bearer ${apiKey}` } : {})
+        },
+        body: JSON.stringify({
+          model: params.model,
+          max_tokens: params.max_tokens,
+          temperature: params.temperature,
+          messages: toChatMessages(params),
+          ...(tools.length > 0
+            ? {
+                tools: tools.map((tool) => ({
+                  type: 'function',
+                  function: {
+                    name: tool.name,
+                    description: tool.description,
+                    parameters: tool.input_schema
+                  }
+                }))
+              }
+            : {}),
+          ...(toolChoice?.type === 'tool'
+            ? {
+                tool_choice: {
+                  type: 'function',
+                  function: { name: toolChoice.name }
+                }
+              }
+            : {})
+        }),
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+      })
+
+      if (!response.ok) {
+        // status and headers let withRetry retry rate limits and server errors
+        throw Object.assign(
+          new Error(
+            `OpenAI-compatible API returned ${response.status}: ${await response.text()}`
+          ),
+          { status: response.status, headers: response.headers }
+        )
+      }
+
+      return fromChatCompletion(
+        (await response.json()) as ChatCompletion,
+        params
+      )
+    }
+  }
+}
+
+/**
+ * Create the provider selected in the config. Retries are handled by
+ * withRetry, so the SDK clients do not retry on their own.
+ */
+export function createProvider(config: ProviderConfig): Provider {
+  const baseURL = config.baseUrl ? { baseURL: config.baseUrl } : {}
+
+  switch (config.provider) {
+    case 'bedrock':
+      // AWS credentials come from the default provider chain
+      return messagesProvider(
+        'bedrock',
+        new AnthropicBedrock({
+          maxRetries: 0,
+          ...(config.awsRegion ? { awsRegion: config.awsRegion } : {}),
+          ...baseURL
+        })
+      )
+    case 'vertex':
+      // Google credentials come from Application Default Credentials
+      return messagesProvider(
+        'vertex',
+        new AnthropicVertex({
+          maxRetries: 0,
+          ...(config.vertexRegion ? { region: config.vertexRegion } : {}),
+          ...(config.vertexProjectId
+            ? { projectId: config.vertexProjectId }
+            : {}),
+          ...baseURL
+        })
+      )
+    case 'openai-compatible':
+      return openAICompatibleProvider(config.baseUrl, config.openaiApiKey)
+    default:
+      return messagesProvider(
+        'anthropic',
+        new Anthropic({
+          apiKey: config.anthropicApiKey,
+          maxRetries: 0,
+          ...baseURL
+        })
+      )
+  }
+}
@@ -0,0 +1,299 @@
+import * as core from '@actions/core'
+import { Config } from './types.js'
+
+interface Detector {
+  name: string
+  pattern: RegExp
+  /**
+   * PII is redacted but does not trigger fail-on-secret
+   */
+  pii?: boolean
+}
+
+/**
+ * Names of settings that hold a secret, e.g. "DB_PASSWORD", "apiKey" or
+ * "aws_secret_access_key"
+ */
+const SECRET_NAME = String.raw`[\w.-]*(?:password|passwd|secret|token|api[_-]?key|access[_-]?key|private[_-]?key)[\w.-]*`
+
+/**
+ * A secret name being assigned, in .env, YAML, JSON or code, e.g.
+ * "export DB_PASSWORD=", "password: ", '"apiKey": ' or "const client_secret = "
+ */
+const SECRET_ASSIGNMENT = String.raw`(?:^|[^\w.-])(?:(?:export|const|let|var)\s+)?["']?${SECRET_NAME}["']?\s*[:=]\s*`
+
+/**
+ * Values that refer to a secret rather than contain one, e.g. "${API_TOKEN}"
+ * or "{{ token }}"
+ */
+const SECRET_REFERENCE = String.raw`(?!\[REDACTED:|\$|\{\{|<)`
+
+/**
+ * Known credential formats, most specific first so a token is reported under
+ * its own name rather than as a generic high-entropy string
+ */
+const DETECTORS: Detector[] = [
+  { name: 'aws-access-key', pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+  {
+    name: 'github-token',
+    pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})\b/g
+  },
+  { name: 'anthropic-api-key', pattern: /\bsk-ant-[A-Za-z0-9_-]{20,}/g },
+  { name: 'openai-api-key', pattern: /\bsk-(?:proj-)?[A-Za-z0-9_-]{20,}/g },
+  { name: 'slack-token', pattern: /\bxox[abprs]-[A-Za-z0-9-]{10,}/g },
+  { name: 'google-api-key', pattern: /\bAIza[0-9A-Za-z_-]{35}\b/g },
+  { name: 'stripe-key', pattern: /\b[rs]k_(?:live|test)_[0-9A-Za-z]{16,}\b/g },
+  {
+    name: 'jwt',
+    pattern:
+      /\beyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/g
+  },
+  {
+    name: 'url-password',
+    pattern: /(?<=\b[a-z][a-z0-9+.-]*:\/\/[^\s:/@]+:)[^\s:/@]+(?=@)/gi
+  },
+  {
+    // Quoted values, e.g. 'password: "hunter2hunter2"'
+    name: 'secret-assignment',
+    pattern: new RegExp(
+      String.raw`(?<=${SECRET_ASSIGNMENT}(["'\`]))${SECRET_REFERENCE}[^\s"'\`]{8,}(?=\1)`,
+      'gi'
+    )
+  },
+  {
+    // Unquoted values, e.g. "DB_PASSWORD=hunter2hunter2". Code such as
+    // "token = readToken()" or "apiKey: config.apiKey" is left alone by
+    // requiring a digit and stopping at dots and parentheses.
+    name: 'secret-assignment',
+    pattern: new RegExp(
+      String.raw`(?<=${SECRET_ASSIGNMENT})${SECRET_REFERENCE}(?!["'\`])(?=[^\s,;]*\d)[^\s"'\`,;(){}.]{8,}(?![\w.(])`,
+      'gi'
+    )
+  },
+  {
+    name: 'email',
+    pattern:
+      /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}\b/g,
+    pii: true
+  }
+]
+
+const PRIVATE_KEY_BEGIN = /-----BEGIN (?:[A-Z0-9]+ )*PRIVATE KEY-----/
+const PRIVATE_KEY_END = /-----END (?:[A-Z0-9]+ )*PRIVATE KEY-----/
+
+/**
+ * Candidates for the high-entropy check: long base64 or base64url runs. They
+ * stop at dots, and runs that are part of a URL or file path are checked per
+ * path segment so the path is not mistaken for one long token.
+ */
+const HIGH_ENTROPY_CANDIDATE = /[A-Za-z0-9+/=_-]{32,}/g
+
+const HIGH_ENTROPY_MIN_LENGTH = 32
+
+/**
+ * Bits per character above which a candidate is treated as a secret. Random
+ * base64 of 32+ characters scores ~4.5, long identifiers ~4.2.
+ */
+const HIGH_ENTROPY_THRESHOLD = 4.3
+
+/**
+ * Subresource integrity hashes in lockfiles are high-entropy but public
+ */
+const INTEGRITY_HASH = /^sha(?:1|256|384|512)-/
+
+/**
+ * Commit SHAs and other hex digests
+ */
+const HEX_DIGEST = /^[0-9a-f]+$/i
+
+/**
+ * Words of a camelCase or PascalCase identifier, e.g. "Name" in "userName2"
+ */
+const IDENTIFIER_WORD = /[A-Z]?[a-z]+/g
+
+/**
+ * Whether a token reads like an identifier: mostly made of words that each
+ * have a vowel. Random strings have runs like "xQz" that no name would.
+ */
+function isIdentifier(value: string): boolean {
+  const words = Array.from(value.matchAll(IDENTIFIER_WORD), ([word]) => word)
+  return (
+    words.join('').length >= value.length / 2 &&
+    words.every((word) => /[aeiouy]/i.test(word))
+  )
+}
+
+/**
+ * Whether a candidate run is part of a URL or file path: it follows "://" or
+ * touches a dot, e.g. "com/owner/repo/blob/main/README" in a GitHub link.
+ * Base64 secrets also contain slashes, so other runs are checked whole.
+ */
+function isPath(text: string, candidate: string, offset: number): boolean {
+  return (
+    candidate.includes('/') &&
+    (/(?::\/\/|\.)$/.test(text.substring(0, offset)) ||
+      text[offset + candidate.length] === '.')
+  )
+}
+
+function placeholder(name: string): string {
+  return `[REDACTED:${name}]`
+}
+
+function shannonEntropy(value: string): number {
+  const counts = new Map<string, number>()
+  for (const char of value) {
+    counts.set(char, (counts.get(char) || 0) + 1)
+  }
+
+  let entropy = 0
+  for (const count of counts.values()) {
+    const probability = count / value.length
+    entropy -= probability * Math.log2(probability)
+  }
+  return entropy
+}
+
+function isHighEntropy(value: string): boolean {
+  return (
+    value.length >= HIGH_ENTROPY_MIN_LENGTH &&
+    /[a-z]/.test(value) &&
+    /[A-Z]/.test(value) &&
+    /[0-9]/.test(value) &&
+    !HEX_DIGEST.test(value) &&
+    !isIdentifier(value) &&
+    shannonEntropy(value) > HIGH_ENTROPY_THRESHOLD
+  )
+}
+
+export interface Redaction {
+  diff: string
+  /**
+   * Number of redactions per detector, e.g. { 'aws-access-key': 1 }
+   */
+  counts: Record<string, number>
+}
+
+/**
+ * Replace credentials, private keys, high-entropy strings, email addresses and
+ * matches of the custom patterns in the changed and context lines of a diff
+ * with placeholders like "[REDACTED:aws-access-key]". File headers and hunk
+ * headers are left alone and no lines are added or removed.
+ */
+export function redactDiff(
+  diff: string,
+  customPatterns: string[] = []
+): Redaction {
+  const counts: Record<string, number> = {}
+  const count = (name: string): void => {
+    counts[name] = (counts[name] || 0) + 1
+  }
+  const detectors = [
+    ...customPatterns.map((pattern) => ({
+      name: 'custom',
+      pattern: new RegExp(pattern, 'g')
+    })),
+    ...DETECTORS
+  ]
+
+  let inFileHeader = false
+  let inPrivateKey = false
+  const lines = diff.split('\n').map((line) => {
+    if (line.startsWith('diff --git ')) {
+      inFileHeader = true
+      inPrivateKey = false
+      return line
+    }
+    if (line.startsWith('@@')) {
+      inFileHeader = false
+      return line
+    }
+    if (inFileHeader || !line) {
+      return line
+    }
+
+    // Keep the +, - or space that marks the line
+    const marker = line[0]
+    let content = line.slice(1)
+
+    if (inPrivateKey || PRIVATE_KEY_BEGIN.test(content)) {
+      if (!inPrivateKey) {
+        count('private-key')
+      }
+      inPrivateKey = !PRIVATE_KEY_END.test(content)
+      return `${marker}${placeholder('private-key')}`
+    }
+
+    for (const { name, pattern } of detectors) {
+      content = content.replace(pattern, () => {
+        count(name)
+        return placeholder(name)
+      })
+    }
+
+    const redactHighEntropy = (value: string): string => {
+      if (!isHighEntropy(value)) {
+        return value
+      }
+      count('high-entropy')
+      return placeholder('high-entropy')
+    }
+    content = content.replace(
+      HIGH_ENTROPY_CANDIDATE,
+      (candidate, offset: number, text: string) => {
+        if (INTEGRITY_HASH.test(candidate)) {
+          return candidate
+        }
+        if (!isPath(text, candidate, offset)) {
+          return redactHighEntropy(candidate)
+        }
+        return candidate.split('/').map(redactHighEntropy).join('/')
+      }
+    )
+
+    return `${marker}${content}`
+  })
+
+  return { diff: lines.join('\n'), counts }
+}
+
+function formatCounts(counts: Record<string, number>): string {
+  return Object.entries(counts)
+    .map(([name, total]) => `${name}: ${total}`)
+    .join(', ')
+}
+
+/**
+ * Redact the diff before it is sent to the model, logging what was found.
+ * With fail-on-secret set, finding a secret (not just PII) stops the run
+ * instead.
+ */
+export function applyRedaction(
+  diff: string,
+  config: Pick<Config, 'redactSecrets' | 'redactPatterns' | 'failOnSecret'>
+): string {
+  if (!config.redactSecrets && !config.failOnSecret) {
+    return diff
+  }
+
+  const redaction = redactDiff(diff, config.redactPatterns)
+  const secrets = Object.fromEntries(
+    Object.entries(redaction.counts).filter(
+      ([name]) =>
+        !DETECTORS.some((detector) => detector.name === name && detector.pii)
+    )
+  )
+
+  if (config.failOnSecret && Object.keys(secrets).length > 0) {
+    throw new Error(
+      `Found secrets in the diff (${formatCounts(secrets)}). Not sending it to the model because fail-on-secret is set.`
+    )
+  }
+
+  if (!config.redactSecrets || Object.keys(redaction.counts).length === 0) {
+    return diff
+  }
+
+  core.info(`Redacted from the diff: ${formatCounts(redaction.counts)}`)
+  return redaction.diff
+}
@@ -0,0 +1,495 @@
+import * as core from '@actions/core'
+import * as github from '@actions/github'
+import { context } from '@actions/github'
+import { readFile, writeFile } from 'node:fs/promises'
+import { readManagedSection } from './body.js'
+import {
+  estimateTokens,
+  mapWithConcurrency,
+  truncateToTokens
+} from './budget.js'
+import {
+  generatePRDescription,
+  generateReleaseNotes,
+  selectModel
+} from './claude.js'
+import { listFileChanges } from './diff.js'
+import { excludeFiles } from './exclusions.js'
+import { generateDiff, getCommitMessages } from './github.js'
+import { RELEASE_NOTES_SYSTEM_PROMPT } from './prompt.js'
+import { Provider } from './provider.js'
+import { applyRedaction } from './redact.js'
+import { withCreateRetry, withRetry } from './retry.js'
+import { removeUpdates } from './updates.js'
+import { Config, PRInfo, ReleaseRange } from './types.js'
+import { parsePRInfo } from './validation.js'
+
+const COMPARE_PAGE_SIZE = 100
+
+/**
+ * Commits whose pull requests are looked up at once
+ */
+const PULL_REQUEST_LOOKUP_CONCURRENCY = 5
+
+/**
+ * Every pull request keeps at least this much of its description, even when
+ * that goes over the token budget
+ */
+const MIN_DESCRIPTION_TOKENS = 100
+
+/**
+ * A merged pull request with the description the release notes are written
+ * from
+ */
+export interface ReleasePullRequest {
+  prInfo: PRInfo
+  description: string
+}
+
+/**
+ * SHAs of the commits in a range, oldest first
+ */
+async function listRangeCommits(
+  octokit: ReturnType<typeof github.getOctokit>,
+  range: ReleaseRange
+): Promise<string[]> {
+  const shas: string[] = []
+
+  for (let page = 1; ; page++) {
+    const { data } = await withRetry('Compare commits', () =>
+      octokit.rest.repos.compareCommitsWithBasehead({
+        owner: context.repo.owner,
+        repo: context.repo.repo,
+        basehead: `${range.base}...${range.head}`,
+        per_page: COMPARE_PAGE_SIZE,
+        page
+      })
+    )
+
+    shas.push(...data.commits.map((commit) => commit.sha))
+    if (
+      data.commits.length < COMPARE_PAGE_SIZE ||
+      shas.length >= data.total_commits
+    ) {
+      return shas
+    }
+  }
+}
+
+/**
+ * The pull requests merged in a range, oldest first. A pull request belongs to
+ * the range when its merge commit (the squashed or last rebased commit for
+ * other merge methods) is in it, so pull requests merged into other branches
+ * are left out.
+ */
+export async function listMergedPullRequests(
+  octokit: ReturnType<typeof github.getOctokit>,
+  range: ReleaseRange
+): Promise<PRInfo[]> {
+  try {
+    const commits = await listRangeCommits(octokit, range)
+    core.info(
+      `Found ${commits.length} commits in ${range.base}...${range.head}`
+    )
+
+    const associated = await mapWithConcurrency(
+      commits,
+      PULL_REQUEST_LOOKUP_CONCURRENCY,
+      (sha) =>
+        withRetry('List pull requests of commit', () =>
+          octokit.rest.repos.listPullRequestsAssociatedWithCommit({
+            owner: context.repo.owner,
+            repo: context.repo.repo,
+            commit_sha: sha
+          })
+        )
+    )
+
+    const inRange = new Set(commits)
+    const merged = new Map(
+      associated
+        .flatMap(({ data }) => data)
+        .filter(
+          (pr) =>
+            pr.merged_at &&
+            pr.merge_commit_sha &&
+            inRange.has(pr.merge_commit_sha)
+        )
+        .map((pr) => [pr.number, pr])
+    )
+
+    return [...merged.values()]
+      .sort((a, b) => a.merged_at!.localeCompare(b.merged_at!))
+      .map((pr) => parsePRInfo(pr))
+  } catch (error) {
+    throw new Error(`Failed to list merged pull requests: ${error}`)
+  }
+}
+
+/**
+ * The description this action generated for a pull request, without the
+ * hidden markers, the files table and the Updates section, or null when the
+ * body has none
+ */
+export function readGeneratedDescription(body: string): string | null {
+  const section = readManagedSection(body)
+  if (section === null) {
+    return null
+  }
+
+  return (
+    removeUpdates(section)
+      .replace(/<!--[\s\S]*?-->/g, '')
+      .replace(/<details>[\s\S]*?<\/details>/g, '')
+      .trim() || null
+  )
+}
+
+/**
+ * Generate a description for a merged pull request the way a pull request run
+ * would, without the pull request template or prompt file
+ */
+async function regenerateDescription(
+  octokit: ReturnType<typeof github.getOctokit>,
+  provider: Provider,
+  prInfo: PRInfo,
+  config: Config
+): Promise<string> {
+  const [filteredDiff, commits] = await Promise.all([
+    generateDiff(
+      octokit,
+      prInfo.baseSha,
+      prInfo.headSha,
+      config.ignoredPatterns,
+      config.includePatterns
+    ),
+    getCommitMessages(octokit, prInfo.number, config.includeCommitBodies)
+  ])
+  const { diff: excludedDiff, excluded: excludedFiles } = excludeFiles(
+    filteredDiff,
+    {
+      profiles: config.excludeProfiles,
+      maxFileLines: config.maxFileLines,
+      attributes: []
+    }
+  )
+  const diff = applyRedaction(excludedDiff, config)
+
+  return generatePRDescription(
+    provider,
+    {
+      prInfo,
+      commitMessages: commits.messages,
+      diff,
+      files: listFileChanges(filteredDiff),
+      excludedFiles
+    },
+    {
+      model: selectModel(config, diff),
+      maxTokens: config.maxTokens,
+      temperature: config.temperature,
+      tokenBudget: config.tokenBudget,
+      chunkConcurrency: config.chunkConcurrency,
+      language: config.language,
+      verbosity: config.verbosity
+    }
+  )
+}
+
+/**
+ * Pair each pull request with the description this action generated for it.
+ * Pull requests without one, or all of them when force is set, are described
+ * again; when that fails, the body as written is used.
+ */
+export async function describePullRequests(
+  octokit: ReturnType<typeof github.getOctokit>,
+  provider: Provider,
+  pullRequests: PRInfo[],
+  config: Config
+): Promise<ReleasePullRequest[]> {
+  const descriptions = pullRequests.map((prInfo) =>
+    config.force ? null : readGeneratedDescription(prInfo.body)
+  )
+  const missing = descriptions.filter((description) => description === null)
+  if (missing.length > 0) {
+    core.info(`Generating descriptions for ${missing.length} pull requests`)
+  }
+
+  return mapWithConcurrency(
+    pullRequests,
+    config.chunkConcurrency,
+    async (prInfo, index) => {
+      const description = descriptions[index]
+      if (description !== null) {
+        return { prInfo, description }
+      }
+
+      try {
+        return {
+          prInfo,
+          description: await regenerateDescription(
+            octokit,
+            provider,
+            prInfo,
+            config
+          )
+        }
+      } catch (error) {
+        core.warning(
+          `Could not describe #${prInfo.number}, using its body instead: ${error}`
+        )
+        return { prInfo, description: prInfo.body }
+      }
+    }
+  )
+}
+
+/**
+ * The merged pull requests with their descriptions, shortened so that all of
+ * them fit the token budget together
+ */
+export function buildReleaseContext(
+  range: ReleaseRange,
+  pullRequests: ReleasePullRequest[],
+  tokenBudget: number
+): string {
+  const descriptionTokens = Math.max(
+    MIN_DESCRIPTION_TOKENS,
+    Math.floor(
+      (tokenBudget - estimateTokens(RELEASE_NOTES_SYSTEM_PROMPT)) /
+        pullRequests.length
+    )
+  )
+
+  return [
+    `Release: ${range.tag || range.head} (${range.base}...${range.head})`,
+    ...pullRequests.map(({ prInfo, description }) => {
+      const labels = prInfo.labels.length
+        ? `\nLabels: ${prInfo.labels.join(', ')}`
+        : ''
+      return `## #${prInfo.number}: ${prInfo.title}
+Author: @${prInfo.author}${labels}
+
+${truncateToTokens(description.trim() || '(no description)', descriptionTokens)}`
+    })
+  ].join('\n\n')
+}
+
+/**
+ * A contributors section listing the authors of the pull requests in the
+ * order of their first merge, without bots
+ */
+export function formatContributors(pullRequests: PRInfo[]): string {
+  const authors = [
+    ...new Set(
+      pullRequests.filter((pr) => !pr.authorIsBot).map((pr) => pr.author)
+    )
+  ]
+  if (authors.length === 0) {
+    return ''
+  }
+
+  return `### Contributors\n\n${authors.map((author) => `@${author}`).join(', ')}`
+}
+
+/**
+ * Add the section of a release to a changelog, after its title and before the
+ * previous release. A section for the same release is replaced, so running
+ * again does not add it twice.
+ */
+export function insertChangelogSection(
+  changelog: string,
+  release: string,
+  notes: string,
+  date: string = new Date().toISOString().slice(0, 10)
+): string {
+  const section = [`## ${release} - ${date}`, '', ...notes.trim().split('\n')]
+  if (!changelog.trim()) {
+    return `# Changelog\n\n${section.join('\n')}\n`
+  }
+
+  const lines = changelog.trimEnd().split('\n')
+  const isHeading = (line: string): boolean => line.startsWith('## ')
+  const existing = lines.findIndex(
+    (line) => line === `## ${release}` || line.startsWith(`## ${release} `)
+  )
+
+  let start = existing
+  let end = existing
+  if (existing !== -1) {
+    const next = lines.findIndex(
+      (line, index) => index > existing && isHeading(line)
+    )
+    end = next === -1 ? lines.length : next
+  } else {
+    start = lines.findIndex(isHeading)
+    if (start === -1) {
+      start = lines.length
+      section.unshift('')
+    }
+    end = start
+  }
+
+  const after = lines.slice(end)
+  return `${[
+    ...lines.slice(0, start),
+    ...section,
+    ...(after.length > 0 ? ['', ...after] : [])
+  ].join('\n')}\n`
+}
+
+async function readChangelog(filePath: string): Promise<string> {
+  try {
+    return await readFile(filePath, 'utf8')
+  } catch (error) {
+    if ((error as NodeJS.ErrnoException).code === 'ENOENT') {
+      return ''
+    }
+    throw error
+  }
+}
+
+/**
+ * Create a draft GitHub Release for the tag, or update the notes of the draft
+ * that already exists. Published releases are left alone.
+ */
+async function upsertDraftRelease(
+  octokit: ReturnType<typeof github.getOctokit>,
+  range: ReleaseRange,
+  notes: string
+): Promise<void> {
+  const releases = await withRetry('List releases', () =>
+    octokit.paginate(octokit.rest.repos.listReleases, {
+      owner: context.repo.owner,
+      repo: context.repo.repo,
+      per_page: 100
+    })
+  )
+  const existing = releases.find((release) => release.tag_name === range.tag)
+
+  if (existing && !existing.draft) {
+    core.warning(
+      `Release ${range.tag} is already published, not changing its notes`
+    )
+    core.setOutput('release-url', existing.html_url)
+    return
+  }
+
+  const { data } = existing
+    ? await withRetry('Update release', () =>
+        octokit.rest.repos.updateRelease({
+          owner: context.repo.owner,
+          repo: context.repo.repo,
+          release_id: existing.id,
+          body: notes
+        })
+      )
+    : await withCreateRetry('Create release', () =>
+        octokit.rest.repos.createRelease({
+          owner: context.repo.owner,
+          repo: context.repo.repo,
+          tag_name: range.tag,
+          target_commitish: range.head,
+          name: range.tag,
+          body: notes,
+          draft: true
+        })
+      )
+
+  core.info(
+    `${existing ? 'Updated' : 'Created'} draft release ${range.tag}: ${data.html_url}`
+  )
+  core.setOutput('release-url', data.html_url)
+}
+
+/**
+ * Deliver the release notes according to release-notes-output
+ */
+export async function deliverReleaseNotes(
+  octokit: ReturnType<typeof github.getOctokit>,
+  notes: string,
+  range: ReleaseRange,
+  config: Pick<Config, 'releaseNotesOutput' | 'releaseNotesFile'>
+): Promise<void> {
+  try {
+    switch (config.releaseNotesOutput) {
+      case 'release':
+        await upsertDraftRelease(octokit, range, notes)
+        break
+      case 'changelog':
+        await writeFile(
+          config.releaseNotesFile,
+          insertChangelogSection(
+            await readChangelog(config.releaseNotesFile),
+            range.tag || range.head,
+            notes
+          )
+        )
+        core.info(`Added the release notes to ${config.releaseNotesFile}`)
+        break
+      case 'file':
+        await writeFile(config.releaseNotesFile, `${notes.trim()}\n`)
+        core.info(`Wrote the release notes to ${config.releaseNotesFile}`)
+        break
+      case 'output-only':
+        core.info('Output-only, not writing the release notes anywhere')
+        break
+    }
+  } catch (error) {
+    throw new Error(`Failed to deliver release notes: ${error}`)
+  }
+}
+
+/**
+ * Write release notes for the pull requests merged in a range and deliver
+ * them. Returns the notes, or null when no pull request was merged in the
+ * range.
+ */
+export async function createReleaseNotes(
+  octokit: ReturnType<typeof github.getOctokit>,
+  provider: Provider,
+  range: ReleaseRange,
+  config: Config
+): Promise<string | null> {
+  if (config.releaseNotesOutput === 'release' && !range.tag) {
+    throw new Error(
+      'release-tag is required to create a GitHub Release when release-range does not end with a tag'
+    )
+  }
+
+  const pullRequests = await listMergedPullRequests(octokit, range)
+  if (pullRequests.length === 0) {
+    return null
+  }
+  core.info(
+    `Merged pull requests: ${pullRequests.map((pr) => `#${pr.number}`).join(', ')}`
+  )
+
+  const described = await describePullRequests(
+    octokit,
+    provider,
+    pullRequests,
+    config
+  )
+  const notes = await generateReleaseNotes(
+    provider,
+    buildReleaseContext(range, described, config.tokenBudget),
+    {
+      model: config.model,
+      maxTokens: config.maxTokens,
+      temperature: config.temperature,
+      tokenBudget: config.tokenBudget,
+      chunkConcurrency: config.chunkConcurrency,
+      extraInstructions: config.extraInstructions,
+      language: config.language
+    }
+  )
+
+  const contributors = formatContributors(pullRequests)
+  const releaseNotes = contributors
+    ? `${notes.trim()}\n\n${contributors}`
+    : notes.trim()
+  await deliverReleaseNotes(octokit, releaseNotes, range, config)
+
+  return releaseNotes
+}
@@ -0,0 +1,313 @@
+import * as core from '@actions/core'
+import * as github from '@actions/github'
+import { minimatch } from 'minimatch'
+import { parse } from 'yaml'
+import { getFileContent } from './github.js'
+import { PathInstruction, RepoConfig } from './types.js'
+
+/**
+ * Read from the base branch, so a pull request cannot change how it is
+ * described
+ */
+export const REPO_CONFIG_PATH = '.github/pr-description.yml'
+
+/**
+ * Inputs the config file can set defaults for. Credentials and the pull
+ * request number only make sense in the workflow, and the path filters have
+ * their own include and exclude settings.
+ */
+export const REPO_CONFIG_INPUTS = [
+  'provider',
+  'base-url',
+  'aws-region',
+  'vertex-region',
+  'vertex-project-id',
+  'redact-secrets',
+  'redact-patterns',
+  'fail-on-secret',
+  'exclude-profiles',
+  'max-file-lines',
+  'mode',
+  'section-placement',
+  'placeholder-token',
+  'use-pr-template',
+  'include-commit-bodies',
+  'link-issues',
+  'files-table',
+  'incremental-updates',
+  'structured-output',
+  'apply-labels',
+  'label-map',
+  'title-mode',
+  'title-pattern',
+  'language',
+  'verbosity',
+  'release-notes-output',
+  'release-notes-file',
+  'prompt-file',
+  'extra-instructions',
+  'model',
+  'max-tokens',
+  'temperature',
+  'large-pr-model',
+  'large-pr-threshold',
+  'token-budget',
+  'chunk-concurrency',
+  'retry-attempts',
+  'retry-max-wait',
+  'force',
+  'skip-drafts',
+  'skip-bots',
+  'skip-authors',
+  'skip-labels',
+  'require-labels',
+  'skip-body-longer-than',
+  'skip-branches'
+]
+
+/**
+ * Why an input cannot be set in the config file
+ */
+const WORKFLOW_ONLY_INPUTS: Record<string, string> = {
+  'anthropic-api-key': 'pass it as an action input from a secret',
+  'openai-api-key': 'pass it as an action input from a secret',
+  'github-token': 'pass it as an action input',
+  'pr-number': 'pass it as an action input',
+  'release-range': 'pass it as an action input',
+  'release-tag': 'pass it as an action input',
+  'ignore-patterns': 'use exclude',
+  'include-patterns': 'use include'
+}
+
+/**
+ * Inputs that take a list, written as a YAML list in the config file, and
+ * how their items are joined into the input value
+ */
+const LIST_SEPARATORS: Record<string, string> = {
+  'redact-patterns': '\n',
+  'exclude-profiles': ',',
+  'label-map': ',',
+  'skip-authors': ',',
+  'skip-labels': ',',
+  'require-labels': ',',
+  'skip-branches': ','
+}
+
+const SETTINGS = ['include', 'exclude', 'paths', 'defaults']
+
+function isMapping(value: unknown): value is Record<string, unknown> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value)
+}
+
+function isNonEmptyString(value: unknown): value is string {
+  return typeof value === 'string' && value.trim().length > 0
+}
+
+function parsePatterns(
+  value: unknown,
+  name: string,
+  errors: string[]
+): string[] {
+  if (value === undefined) {
+    return []
+  }
+  if (!Array.isArray(value) || !value.every(isNonEmptyString)) {
+    errors.push(`${name} must be a list of glob patterns`)
+    return []
+  }
+
+  return value.map((pattern) => pattern.trim())
+}
+
+function parsePathInstructions(
+  value: unknown,
+  errors: string[]
+): PathInstruction[] {
+  if (value === undefined) {
+    return []
+  }
+  if (!Array.isArray(value)) {
+    errors.push('paths must be a list of { path, instructions } entries')
+    return []
+  }
+
+  const pathInstructions: PathInstruction[] = []
+  value.forEach((entry: unknown, index) => {
+    const name = `paths[${index}]`
+    if (!isMapping(entry)) {
+      errors.push(`${name} must be a mapping with path and instructions`)
+      return
+    }
+
+    const unknownKeys = Object.keys(entry).filter(
+      (key) => key !== 'path' && key !== 'instructions'
+    )
+    if (unknownKeys.length > 0) {
+      errors.push(
+        `${name} has unknown keys: ${unknownKeys.join(', ')}. Expected path and instructions`
+      )
+    }
+    if (!isNonEmptyString(entry.path)) {
+      errors.push(`${name}.path must be a glob pattern`)
+    }
+    if (!isNonEmptyString(entry.instructions)) {
+      errors.push(`${name}.instructions must be a non-empty string`)
+    }
+    if (isNonEmptyString(entry.path) && isNonEmptyString(entry.instructions)) {
+      pathInstructions.push({
+        path: entry.path.trim(),
+        instructions: entry.instructions.trim()
+      })
+    }
+  })
+
+  return pathInstructions
+}
+
+function isScalar(value: unknown): value is string | number | boolean {
+  return ['string', 'number', 'boolean'].includes(typeof value)
+}
+
+/**
+ * The input value for one entry of defaults, or null when it is invalid
+ */
+function formatDefault(name: string, value: unknown): string | null {
+  if (isScalar(value)) {
+    return String(value)
+  }
+
+  if (
+    Object.hasOwn(LIST_SEPARATORS, name) &&
+    Array.isArray(value) &&
+    value.every(isScalar)
+  ) {
+    return value.join(LIST_SEPARATORS[name])
+  }
+
+  // label-map can also be written as a mapping of class to label
+  if (
+    name === 'label-map' &&
+    isMapping(value) &&
+    Object.values(value).every((label) => label === null || isScalar(label))
+  ) {
+    return Object.entries(value)
+      .map(([labelClass, label]) => `${labelClass}=${label ?? ''}`)
+      .join(',')
+  }
+
+  return null
+}
+
+function parseDefaults(
+  value: unknown,
+  errors: string[]
+): Record<string, string> {
+  if (value === undefined) {
+    return {}
+  }
+  if (!isMapping(value)) {
+    errors.push('defaults must be a mapping of input names to values')
+    return {}
+  }
+
+  const defaults: Record<string, string> = {}
+  for (const [name, inputValue] of Object.entries(value)) {
+    if (Object.hasOwn(WORKFLOW_ONLY_INPUTS, name)) {
+      errors.push(
+        `defaults.${name} cannot be set in ${REPO_CONFIG_PATH}; ${WORKFLOW_ONLY_INPUTS[name]}`
+      )
+      continue
+    }
+    if (!REPO_CONFIG_INPUTS.includes(name)) {
+      errors.push(`defaults.${name} is not an input of this action`)
+      continue
+    }
+
+    const formatted = formatDefault(name, inputValue)
+    if (formatted === null) {
+      errors.push(
+        `defaults.${name} must be a string, number or boolean${Object.hasOwn(LIST_SEPARATORS, name) ? ', or a list of them' : ''}`
+      )
+      continue
+    }
+    // Release notes runs are chosen by the workflow, before this file is read
+    if (name === 'mode' && formatted.trim() === 'release-notes') {
+      errors.push(
+        'defaults.mode cannot be release-notes; pass mode: release-notes as an action input'
+      )
+      continue
+    }
+    defaults[name] = formatted
+  }
+
+  return defaults
+}
+
+/**
+ * Parse and validate the repository config file, reporting every problem at
+ * once
+ */
+export function parseRepoConfig(content: string): RepoConfig {
+  let data: unknown
+  try {
+    data = parse(content)
+  } catch (error) {
+    throw new Error(`Failed to parse ${REPO_CONFIG_PATH}: ${error}`)
+  }
+
+  const settings = data ?? {}
+  if (!isMapping(settings)) {
+    throw new Error(
+      `Invalid ${REPO_CONFIG_PATH}: must be a mapping of settings (${SETTINGS.join(', ')})`
+    )
+  }
+
+  const errors: string[] = Object.keys(settings)
+    .filter((key) => !SETTINGS.includes(key))
+    .map(
+      (key) => `unknown setting ${key}. Expected one of: ${SETTINGS.join(', ')}`
+    )
+  const repoConfig: RepoConfig = {
+    include: parsePatterns(settings.include, 'include', errors),
+    exclude: parsePatterns(settings.exclude, 'exclude', errors),
+    pathInstructions: parsePathInstructions(settings.paths, errors),
+    defaults: parseDefaults(settings.defaults, errors)
+  }
+
+  if (errors.length > 0) {
+    throw new Error(
+      `Invalid ${REPO_CONFIG_PATH}:\n${errors.map((error) => `- ${error}`).join('\n')}`
+    )
+  }
+
+  return repoConfig
+}
+
+/**
+ * Load the repository config file from the base branch, or null when there is
+ * none
+ */
+export async function loadRepoConfig(
+  octokit: ReturnType<typeof github.getOctokit>,
+  ref: string
+): Promise<RepoConfig | null> {
+  const content = await getFileContent(octokit, REPO_CONFIG_PATH, ref)
+  if (content === null) {
+    return null
+  }
+
+  core.info(`Using settings from ${REPO_CONFIG_PATH}`)
+  return parseRepoConfig(content)
+}
+
+/**
+ * The path instructions whose glob matches any of the changed paths
+ */
+export function selectPathInstructions(
+  pathInstructions: PathInstruction[],
+  paths: string[]
+): PathInstruction[] {
+  return pathInstructions.filter(({ path }) =>
+    paths.some((filePath) => minimatch(filePath, path))
+  )
+}
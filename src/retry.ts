@@ -0,0 +1,244 @@
+import * as core from '@actions/core'
+
+export interface RetryOptions {
+  attempts: number
+  baseDelayMs: number
+  /**
+   * Cap on the computed backoff between attempts
+   */
+  maxDelayMs: number
+  /**
+   * Longest retry-after wait to honor. GitHub asks for 60 seconds after a
+   * secondary rate limit.
+   */
+  maxRetryAfterMs: number
+}
+
+export const DEFAULT_RETRY_OPTIONS: RetryOptions = {
+  attempts: 3,
+  baseDelayMs: 1000,
+  maxDelayMs: 30000,
+  maxRetryAfterMs: 120000
+}
+
+/**
+ * HTTP statuses worth retrying: timeouts, rate limits, server errors and
+ * Anthropic's 529 "overloaded"
+ */
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504, 529]
+
+const RETRYABLE_ERROR_CODES = [
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'EAI_AGAIN',
+  'EPIPE',
+  'UND_ERR_SOCKET'
+]
+
+/**
+ * Anthropic SDK connection failures and fetch requests aborted by
+ * AbortSignal.timeout
+ */
+const RETRYABLE_ERROR_NAMES = [
+  'APIConnectionError',
+  'APIConnectionTimeoutError',
+  'TimeoutError'
+]
+
+let retryOptions: RetryOptions = { ...DEFAULT_RETRY_OPTIONS }
+
+/**
+ * Set the retry options used by every API call
+ */
+export function configureRetry(options: Partial<RetryOptions>): void {
+  retryOptions = { ...DEFAULT_RETRY_OPTIONS, ...options }
+}
+
+interface HttpError {
+  name?: string
+  status?: number
+  code?: string
+  message?: string
+  headers?: unknown
+  response?: { headers?: unknown }
+  cause?: unknown
+}
+
+function getHeader(error: HttpError, name: string): string | undefined {
+  for (const headers of [error.headers, error.response?.headers]) {
+    if (!headers || typeof headers !== 'object') {
+      continue
+    }
+
+    const value =
+      typeof (headers as Headers).get === 'function'
+        ? (headers as Headers).get(name)
+        : (headers as Record<string, string | undefined>)[name]
+
+    if (value) {
+      return String(value)
+    }
+  }
+
+  return undefined
+}
+
+/**
+ * Whether the error is a GitHub primary or secondary rate limit response
+ */
+function isGitHubRateLimit(error: HttpError): boolean {
+  if (error.status !== 403) {
+    return false
+  }
+
+  return (
+    getHeader(error, 'retry-after') !== undefined ||
+    getHeader(error, 'x-ratelimit-remaining') === '0' ||
+    /rate limit/i.test(error.message || '')
+  )
+}
+
+/**
+ * Whether a failed call is likely to succeed if retried. fetch failures carry
+ * the network error code in their cause, e.g. "fetch failed" caused by
+ * ECONNREFUSED.
+ */
+export function isRetryableError(error: unknown): boolean {
+  if (!error || typeof error !== 'object') {
+    return false
+  }
+
+  const httpError = error as HttpError
+  if (httpError.status !== undefined) {
+    return (
+      RETRYABLE_STATUSES.includes(httpError.status) ||
+      isGitHubRateLimit(httpError)
+    )
+  }
+
+  return (
+    RETRYABLE_ERROR_CODES.includes(httpError.code || '') ||
+    RETRYABLE_ERROR_NAMES.includes(httpError.name || '') ||
+    isRetryableError(httpError.cause)
+  )
+}
+
+/**
+ * Whether the server turned the call away because of a rate limit, so it was
+ * not carried out
+ */
+export function isRateLimitError(error: unknown): boolean {
+  if (!error || typeof error !== 'object') {
+    return false
+  }
+
+  const httpError = error as HttpError
+  return httpError.status === 429 || isGitHubRateLimit(httpError)
+}
+
+/**
+ * Read how long the server asked us to wait from the retry-after or
+ * x-ratelimit-reset headers, in milliseconds
+ */
+export function getRetryAfterMs(error: unknown): number | null {
+  if (!error || typeof error !== 'object') {
+    return null
+  }
+
+  const httpError = error as HttpError
+  const retryAfterMs = getHeader(httpError, 'retry-after-ms')
+  if (retryAfterMs && !Number.isNaN(Number(retryAfterMs))) {
+    return Math.max(0, Number(retryAfterMs))
+  }
+
+  const retryAfter = getHeader(httpError, 'retry-after')
+  if (retryAfter) {
+    const seconds = Number(retryAfter)
+    if (!Number.isNaN(seconds)) {
+      return Math.max(0, seconds * 1000)
+    }
+
+    const date = Date.parse(retryAfter)
+    if (!Number.isNaN(date)) {
+      return Math.max(0, date - Date.now())
+    }
+  }
+
+  const reset = getHeader(httpError, 'x-ratelimit-reset')
+  if (reset && getHeader(httpError, 'x-ratelimit-remaining') === '0') {
+    return Math.max(0, Number(reset) * 1000 - Date.now())
+  }
+
+  return null
+}
+
+function backoffDelay(attempt: number, options: RetryOptions): number {
+  const exponential = Math.min(
+    options.maxDelayMs,
+    options.baseDelayMs * 2 ** (attempt - 1)
+  )
+  return Math.round(exponential / 2 + (Math.random() * exponential) / 2)
+}
+
+function sleep(ms: number): Promise<void> {
+  return new Promise((resolve) => setTimeout(resolve, ms))
+}
+
+async function retry<T>(
+  label: string,
+  fn: () => Promise<T>,
+  options: RetryOptions,
+  shouldRetry: (error: unknown) => boolean
+): Promise<T> {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn()
+    } catch (error) {
+      if (attempt >= options.attempts || !shouldRetry(error)) {
+        throw error
+      }
+
+      const retryAfterMs = getRetryAfterMs(error)
+      if (retryAfterMs !== null && retryAfterMs > options.maxRetryAfterMs) {
+        core.warning(
+          `${label} failed: ${error}. Not retrying because the server asked to wait ${retryAfterMs}ms, more than ${options.maxRetryAfterMs}ms`
+        )
+        throw error
+      }
+
+      const delay = retryAfterMs ?? backoffDelay(attempt, options)
+      core.warning(
+        `${label} failed (attempt ${attempt}/${options.attempts}): ${error}. Retrying in ${delay}ms...`
+      )
+      await sleep(delay)
+    }
+  }
+}
+
+/**
+ * Run an API call, retrying retryable failures with exponential backoff and
+ * jitter. Server-provided retry-after delays take precedence over the backoff;
+ * when the server asks for a longer wait than maxRetryAfterMs the call fails
+ * instead.
+ */
+export async function withRetry<T>(
+  label: string,
+  fn: () => Promise<T>,
+  options: RetryOptions = retryOptions
+): Promise<T> {
+  return retry(label, fn, options, isRetryableError)
+}
+
+/**
+ * Run an API call that creates something, e.g. a comment. It is only retried
+ * after a rate limit: after a server error or timeout it may have been created
+ * already, and a retry would create it twice.
+ */
+export async function withCreateRetry<T>(
+  label: string,
+  fn: () => Promise<T>,
+  options: RetryOptions = retryOptions
+): Promise<T> {
+  return retry(label, fn, options, isRateLimitError)
+}
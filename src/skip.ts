@@ -0,0 +1,74 @@
+import { minimatch } from 'minimatch'
+import { SECTION_START_MARKER } from './body.js'
+import { PRInfo, SkipRules } from './types.js'
+
+type SkipRule = (prInfo: PRInfo, rules: SkipRules) => string | null
+
+function findLabel(labels: string[], candidates: string[]): string | undefined {
+  const lowerCandidates = candidates.map((label) => label.toLowerCase())
+  return labels.find((label) => lowerCandidates.includes(label.toLowerCase()))
+}
+
+/**
+ * Skip rules in the order they are checked. Each returns the reason to skip,
+ * or null when the rule does not apply.
+ */
+const SKIP_RULES: SkipRule[] = [
+  (prInfo, rules) =>
+    rules.skipDrafts && prInfo.draft ? 'pull request is a draft' : null,
+
+  (prInfo, rules) =>
+    rules.skipBots && prInfo.authorIsBot
+      ? `author ${prInfo.author} is a bot`
+      : null,
+
+  (prInfo, rules) =>
+    rules.skipAuthors.some(
+      (author) => author.toLowerCase() === prInfo.author.toLowerCase()
+    )
+      ? `author ${prInfo.author} is listed in skip-authors`
+      : null,
+
+  (prInfo, rules) => {
+    const label = findLabel(prInfo.labels, rules.skipLabels)
+    return label ? `pull request has the "${label}" label` : null
+  },
+
+  (prInfo, rules) =>
+    rules.requireLabels.length > 0 &&
+    !findLabel(prInfo.labels, rules.requireLabels)
+      ? `pull request has none of the required labels: ${rules.requireLabels.join(', ')}`
+      : null,
+
+  (prInfo, rules) => {
+    const length = prInfo.body.trim().length
+    return rules.skipBodyLongerThan > 0 &&
+      length > rules.skipBodyLongerThan &&
+      !prInfo.body.includes(SECTION_START_MARKER)
+      ? `pull request body has ${length} hand-written characters (limit: ${rules.skipBodyLongerThan})`
+      : null
+  },
+
+  (prInfo, rules) => {
+    const pattern = rules.skipBranches.find((branch) =>
+      minimatch(prInfo.headRef, branch)
+    )
+    return pattern
+      ? `branch ${prInfo.headRef} matches skip-branches pattern ${pattern}`
+      : null
+  }
+]
+
+/**
+ * Why the pull request should be skipped, or null when it should be described
+ */
+export function getSkipReason(prInfo: PRInfo, rules: SkipRules): string | null {
+  for (const rule of SKIP_RULES) {
+    const reason = rule(prInfo, rules)
+    if (reason) {
+      return reason
+    }
+  }
+
+  return null
+}
@@ -0,0 +1,184 @@
+import { Anthropic } from '@anthropic-ai/sdk'
+import { ChangeType, RiskLevel, StructuredDescription } from './types.js'
+
+export const RISK_LEVELS: RiskLevel[] = ['low', 'medium', 'high']
+
+export const CHANGE_TYPES: ChangeType[] = [
+  'feature',
+  'fix',
+  'refactor',
+  'docs',
+  'chore'
+]
+
+/**
+ * Tool Claude is forced to call so the description comes back as a typed
+ * object instead of free-form markdown
+ */
+export const DESCRIPTION_TOOL: Anthropic.Messages.Tool = {
+  name: 'describe_pull_request',
+  description: 'Record the description of the pull request',
+  input_schema: {
+    type: 'object',
+    properties: {
+      summary: {
+        type: 'string',
+        description: 'What the pull request does and why, in 1-2 sentences'
+      },
+      change_type: {
+        type: 'string',
+        enum: CHANGE_TYPES,
+        description: 'The main kind of change in the pull request'
+      },
+      changes: {
+        type: 'array',
+        items: { type: 'string' },
+        minItems: 1,
+        description: 'Key changes, one short item each'
+      },
+      breaking_changes: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Changes that break existing users, or an empty list'
+      },
+      risk_level: {
+        type: 'string',
+        enum: RISK_LEVELS,
+        description: 'How likely the change is to break something'
+      },
+      testing_notes: {
+        type: 'string',
+        description:
+          'How the change was or should be tested, or an empty string when unknown'
+      },
+      related_issues: {
+        type: 'array',
+        items: { type: 'string' },
+        description:
+          'Related issues, e.g. "Closes #123" or "Related to #456", or an empty list'
+      }
+    },
+    required: [
+      'summary',
+      'change_type',
+      'changes',
+      'breaking_changes',
+      'risk_level',
+      'testing_notes',
+      'related_issues'
+    ]
+  }
+}
+
+function isStringArray(value: unknown): value is string[] {
+  return Array.isArray(value) && value.every((item) => typeof item === 'string')
+}
+
+function trimAll(items: string[]): string[] {
+  return items.map((item) => item.trim()).filter(Boolean)
+}
+
+/**
+ * Validate the tool input against the schema, listing every problem so Claude
+ * can fix them all in one retry
+ */
+export function parseStructuredDescription(
+  input: unknown
+): StructuredDescription {
+  const data = (input && typeof input === 'object' ? input : {}) as Record<
+    string,
+    unknown
+  >
+  const problems: string[] = []
+
+  if (typeof data.summary !== 'string' || !data.summary.trim()) {
+    problems.push('summary must be a non-empty string')
+  }
+  if (!CHANGE_TYPES.includes(data.change_type as ChangeType)) {
+    problems.push(`change_type must be one of: ${CHANGE_TYPES.join(', ')}`)
+  }
+  if (!isStringArray(data.changes) || trimAll(data.changes).length === 0) {
+    problems.push('changes must be a non-empty array of strings')
+  }
+  for (const field of ['breaking_changes', 'related_issues']) {
+    if (!isStringArray(data[field])) {
+      problems.push(`${field} must be an array of strings`)
+    }
+  }
+  if (!RISK_LEVELS.includes(data.risk_level as RiskLevel)) {
+    problems.push(`risk_level must be one of: ${RISK_LEVELS.join(', ')}`)
+  }
+  if (typeof data.testing_notes !== 'string') {
+    problems.push('testing_notes must be a string')
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid structured description: ${problems.join('; ')}`)
+  }
+
+  return {
+    summary: (data.summary as string).trim(),
+    changeType: data.change_type as ChangeType,
+    changes: trimAll(data.changes as string[]),
+    breakingChanges: trimAll(data.breaking_changes as string[]),
+    riskLevel: data.risk_level as RiskLevel,
+    testingNotes: (data.testing_notes as string).trim(),
+    relatedIssues: trimAll(data.related_issues as string[])
+  }
+}
+
+function bulletList(items: string[]): string {
+  return items.map((item) => `- ${item}`).join('\n')
+}
+
+/**
+ * Render a structured description as the markdown written to the PR.
+ * Sections without content are left out.
+ */
+export function renderStructuredDescription(
+  description: StructuredDescription
+): string {
+  const sections = [
+    `## Summary\n${description.summary}`,
+    `## Changes Made\n${bulletList(description.changes)}`
+  ]
+
+  if (description.breakingChanges.length > 0) {
+    sections.push(
+      `## Breaking Changes\n${bulletList(description.breakingChanges)}`
+    )
+  }
+
+  const riskLevel = description.riskLevel
+  sections.push(
+    `## Risk Level\n${riskLevel.charAt(0).toUpperCase()}${riskLevel.slice(1)}`
+  )
+
+  if (description.testingNotes) {
+    sections.push(`## Testing\n${description.testingNotes}`)
+  }
+
+  if (description.relatedIssues.length > 0) {
+    sections.push(`## Related Issues\n${bulletList(description.relatedIssues)}`)
+  }
+
+  return sections.join('\n\n')
+}
+
+/**
+ * Action outputs for each field. Lists are JSON arrays so later steps can
+ * read them with fromJSON().
+ */
+export function getStructuredOutputs(
+  description: StructuredDescription
+): Record<string, string> {
+  return {
+    summary: description.summary,
+    'change-type': description.changeType,
+    changes: JSON.stringify(description.changes),
+    'breaking-changes': JSON.stringify(description.breakingChanges),
+    'risk-level': description.riskLevel,
+    'testing-notes': description.testingNotes,
+    'related-issues': JSON.stringify(description.relatedIssues)
+  }
+}
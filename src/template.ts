@@ -0,0 +1,53 @@
+import * as core from '@actions/core'
+import * as github from '@actions/github'
+import { getFileContent } from './github.js'
+
+/**
+ * Locations GitHub checks for a single pull request template, in order
+ */
+export const PR_TEMPLATE_PATHS = [
+  '.github/pull_request_template.md',
+  '.github/PULL_REQUEST_TEMPLATE.md',
+  'pull_request_template.md',
+  'PULL_REQUEST_TEMPLATE.md',
+  'docs/pull_request_template.md',
+  'docs/PULL_REQUEST_TEMPLATE.md'
+]
+
+/**
+ * Find the repository's pull request template on the given ref
+ */
+export async function findPRTemplate(
+  octokit: ReturnType<typeof github.getOctokit>,
+  ref: string
+): Promise<string | null> {
+  core.info('Looking for a pull request template...')
+
+  for (const path of PR_TEMPLATE_PATHS) {
+    const content = await getFileContent(octokit, path, ref)
+    if (content && content.trim()) {
+      core.info(`Using pull request template: ${path}`)
+      return content
+    }
+  }
+
+  core.info('No pull request template found, using the default structure')
+  return null
+}
+
+/**
+ * Load a custom system prompt from a markdown file in the repository
+ */
+export async function loadPromptFile(
+  octokit: ReturnType<typeof github.getOctokit>,
+  path: string,
+  ref: string
+): Promise<string> {
+  const content = await getFileContent(octokit, path, ref)
+  if (!content || !content.trim()) {
+    throw new Error(`Prompt file not found or empty: ${path}`)
+  }
+
+  core.info(`Using custom prompt from ${path}`)
+  return content
+}
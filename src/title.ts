@@ -0,0 +1,78 @@
+import { TitleMode } from './types.js'
+
+export const TITLE_MODES: TitleMode[] = ['off', 'suggest', 'rewrite']
+
+/**
+ * Conventional Commits title, e.g. "feat(api)!: drop v1 endpoints"
+ */
+export const DEFAULT_TITLE_PATTERN =
+  '^(build|chore|ci|docs|feat|fix|perf|refactor|revert|style|test)(\\([^)]+\\))?!?: \\S'
+
+/**
+ * Ticket prefixes kept in front of the title, e.g. "ABC-123", "ABC-123:" or
+ * "[ABC-123]"
+ */
+const TICKET_PREFIX_PATTERN =
+  /^(\[[A-Z][A-Z0-9]*-\d+\]|[A-Z][A-Z0-9]*-\d+:?)\s+/
+
+const CONVENTIONAL_PATTERN = /^(\w+)(\([^)]+\))?(!?):\s*/
+
+/**
+ * Split a title into its ticket prefix (empty when there is none) and the rest
+ */
+export function splitTicketPrefix(title: string): {
+  prefix: string
+  rest: string
+} {
+  const match = title.match(TICKET_PREFIX_PATTERN)
+  return match
+    ? { prefix: match[1], rest: title.slice(match[0].length) }
+    : { prefix: '', rest: title }
+}
+
+/**
+ * Whether the title, without its ticket prefix, matches the title pattern
+ */
+export function matchesTitlePattern(title: string, pattern: string): boolean {
+  return new RegExp(pattern).test(splitTicketPrefix(title.trim()).rest)
+}
+
+/**
+ * Clean up a title suggested by Claude and carry over the ticket prefix and
+ * Conventional Commits scope of the current title when Claude dropped them.
+ * Ticket prefixes that are not in the current title are dropped rather than
+ * trusted.
+ */
+export function normalizeTitle(
+  suggested: string,
+  currentTitle: string
+): string {
+  const firstLine =
+    suggested
+      .split('\n')
+      .map((line) => line.trim())
+      .find(Boolean) || ''
+  const current = splitTicketPrefix(currentTitle.trim())
+  const suggestion = splitTicketPrefix(
+    firstLine.replace(/^title:\s*/i, '').replace(/^["'`]+|["'`]+$/g, '')
+  )
+  let rest = suggestion.rest.trim()
+  if (!rest) {
+    return ''
+  }
+
+  const currentScope = current.rest.match(CONVENTIONAL_PATTERN)?.[2]
+  const suggestedType = rest.match(CONVENTIONAL_PATTERN)
+  if (currentScope && suggestedType && !suggestedType[2]) {
+    rest = `${suggestedType[1]}${currentScope}${suggestedType[3]}: ${rest.slice(suggestedType[0].length)}`
+  }
+
+  return current.prefix ? `${current.prefix} ${rest}` : rest
+}
+
+/**
+ * Line added to the description in suggest mode
+ */
+export function formatTitleSuggestion(title: string): string {
+  return `**Suggested title:** \`${title}\``
+}
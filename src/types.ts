@@ -4,17 +4,311 @@ export interface PRInfo {
   author: string
   baseSha: string
   headSha: string
+  headRef: string
   url: string
+  body: string
+  draft: boolean
+  labels: string[]
+  authorIsBot: boolean
+}
+
+export type SectionPlacement = 'top' | 'bottom' | 'placeholder'
+
+export type DeliveryMode = 'body' | 'comment' | 'summary' | 'output-only'
+
+/**
+ * A delivery mode for the pull request description, or release-notes to
+ * write release notes for a range instead
+ */
+export type Mode = DeliveryMode | 'release-notes'
+
+export type ReleaseNotesOutput =
+  | 'release'
+  | 'changelog'
+  | 'file'
+  | 'output-only'
+
+/**
+ * The commits release-notes mode covers
+ */
+export interface ReleaseRange {
+  base: string
+  head: string
+  /**
+   * Tag of the GitHub Release and the changelog heading; empty when the range
+   * does not end with a tag and release-tag is not set
+   */
+  tag: string
+}
+
+/**
+ * The head commits of a pull request before and after a push
+ */
+export interface PushRange {
+  before: string
+  after: string
+}
+
+export type TitleMode = 'off' | 'suggest' | 'rewrite'
+
+export type Verbosity = 'terse' | 'standard' | 'detailed'
+
+export type ProviderName =
+  | 'anthropic'
+  | 'bedrock'
+  | 'vertex'
+  | 'openai-compatible'
+
+/**
+ * Extra instructions for pull requests that change files matching a glob,
+ * e.g. a rollback note for migrations
+ */
+export interface PathInstruction {
+  path: string
+  instructions: string
+}
+
+/**
+ * Settings from the repository config file. Action inputs override them.
+ */
+export interface RepoConfig {
+  include: string[]
+  exclude: string[]
+  pathInstructions: PathInstruction[]
+  /**
+   * Input values by input name, e.g. { mode: 'comment' }
+   */
+  defaults: Record<string, string>
 }
 
 export interface Config {
+  provider: ProviderName
+  /**
+   * Only required for the anthropic provider
+   */
   anthropicApiKey: string
+  openaiApiKey: string
+  /**
+   * Overrides the provider's API base URL; required for openai-compatible
+   */
+  baseUrl: string
+  /**
+   * Empty to use AWS_REGION
+   */
+  awsRegion: string
+  /**
+   * Empty to use CLOUD_ML_REGION
+   */
+  vertexRegion: string
+  /**
+   * Empty to use ANTHROPIC_VERTEX_PROJECT_ID or the project of the credentials
+   */
+  vertexProjectId: string
   githubToken: string
+  prNumber: number
+  /**
+   * Glob patterns; a leading "!" takes matching paths back out
+   */
   ignoredPatterns: string[]
+  /**
+   * When set, only matching paths are described
+   */
+  includePatterns: string[]
+  /**
+   * Instructions from the repository config file for changes under a path
+   */
+  pathInstructions: PathInstruction[]
+  redactSecrets: boolean
+  /**
+   * Extra regular expressions whose matches are redacted from the diff
+   */
+  redactPatterns: string[]
+  failOnSecret: boolean
+  excludeProfiles: ExcludeProfile[]
+  /**
+   * Files with more changed lines are left out by the large profile
+   */
+  maxFileLines: number
+  mode: Mode
+  sectionPlacement: SectionPlacement
+  placeholderToken: string
+  usePrTemplate: boolean
+  includeCommitBodies: boolean
+  linkIssues: boolean
+  filesTable: boolean
+  /**
+   * Add an Updates entry for the commits of each push in body mode
+   */
+  incrementalUpdates: boolean
+  structuredOutput: boolean
+  applyLabels: boolean
+  labelMap: LabelMap
+  titleMode: TitleMode
+  /**
+   * Titles matching this regular expression are left alone
+   */
+  titlePattern: string
+  promptFile: string
+  extraInstructions: string
+  /**
+   * Canonical BCP-47 tag, e.g. "en" or "de-CH"
+   */
+  language: string
+  verbosity: Verbosity
+  model: string
+  maxTokens: number
+  temperature: number
+  largePrModel: string
+  largePrThreshold: number
+  tokenBudget: number
+  chunkConcurrency: number
+  retryAttempts: number
+  /**
+   * Longest retry-after wait to honor, in seconds
+   */
+  retryMaxWait: number
+  force: boolean
+  skipDrafts: boolean
+  skipBots: boolean
+  skipAuthors: string[]
+  skipLabels: string[]
+  requireLabels: string[]
+  skipBodyLongerThan: number
+  skipBranches: string[]
+  releaseNotesOutput: ReleaseNotesOutput
+  /**
+   * Written by the changelog and file outputs
+   */
+  releaseNotesFile: string
+}
+
+export interface SkipRules {
+  skipDrafts: boolean
+  skipBots: boolean
+  skipAuthors: string[]
+  skipLabels: string[]
+  requireLabels: string[]
+  /**
+   * 0 disables the rule
+   */
+  skipBodyLongerThan: number
+  skipBranches: string[]
+}
+
+export interface ModelRouting {
+  model: string
+  largePrModel: string
+  largePrThreshold: number
+}
+
+export interface GenerationOptions {
+  model: string
+  maxTokens: number
+  temperature: number
+  tokenBudget: number
+  chunkConcurrency: number
+  customPrompt?: string | null
+  extraInstructions?: string
+  /**
+   * Path instructions that match the changed files
+   */
+  pathInstructions?: PathInstruction[]
+  structuredOutput?: boolean
+  language?: string
+  verbosity?: Verbosity
+}
+
+export interface PromptOptions {
+  template?: string | null
+  customPrompt?: string | null
+  extraInstructions?: string
+  pathInstructions?: PathInstruction[]
+  hasLinkedIssues?: boolean
+  structuredOutput?: boolean
+  language?: string
+  verbosity?: Verbosity
+}
+
+export type RiskLevel = 'low' | 'medium' | 'high'
+
+export type ChangeType = 'feature' | 'fix' | 'refactor' | 'docs' | 'chore'
+
+/**
+ * Classes a pull request can be labelled with
+ */
+export type LabelClass = ChangeType | 'breaking' | `${RiskLevel}-risk`
+
+/**
+ * Repository label for each class; classes without a label are not applied
+ */
+export type LabelMap = Partial<Record<LabelClass, string>>
+
+export interface StructuredDescription {
+  summary: string
+  changeType: ChangeType
+  changes: string[]
+  breakingChanges: string[]
+  riskLevel: RiskLevel
+  testingNotes: string
+  /**
+   * e.g. "Closes #12" or "Related to owner/repo#34"
+   */
+  relatedIssues: string[]
+}
+
+export interface LinkedIssue {
+  /**
+   * "#12" for issues in this repository, "owner/repo#12" otherwise
+   */
+  reference: string
+  title: string
+  body: string
+  labels: string[]
+  closing: boolean
+}
+
+export type FileStatus =
+  | 'added'
+  | 'removed'
+  | 'modified'
+  | 'renamed'
+  | 'copied'
+  | 'changed'
+  | 'unchanged'
+
+export interface FileChange {
+  path: string
+  /**
+   * Path before a rename or copy
+   */
+  previousPath?: string
+  status: FileStatus
+  additions: number
+  deletions: number
+}
+
+export type ExcludeProfile =
+  | 'generated'
+  | 'vendored'
+  | 'lockfiles'
+  | 'binary'
+  | 'large'
+
+/**
+ * A file left out of the diff by an exclude profile, listed in the prompt
+ * instead
+ */
+export interface ExcludedFile {
+  path: string
+  reason: string
 }
 
 export interface PRContext {
   prInfo: PRInfo
   commitMessages: string
   diff: string
+  files?: FileChange[]
+  excludedFiles?: ExcludedFile[]
+  template?: string | null
+  linkedIssues?: LinkedIssue[]
 }
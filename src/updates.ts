@@ -0,0 +1,188 @@
+import * as core from '@actions/core'
+import * as github from '@actions/github'
+import { readManagedSection } from './body.js'
+import { summarizeUpdate } from './claude.js'
+import { getPushRange } from './events.js'
+import { ExclusionOptions, excludeFiles } from './exclusions.js'
+import { generateDiff, getCompareStatus } from './github.js'
+import { Provider } from './provider.js'
+import { applyRedaction } from './redact.js'
+import { Config, GenerationOptions, PRInfo, PushRange } from './types.js'
+
+const HEAD_MARKER_PATTERN = /<!-- pr-description:head ([0-9a-f]{40,64}) -->/
+
+export const UPDATES_START_MARKER = '<!-- pr-description:updates -->'
+export const UPDATES_END_MARKER = '<!-- /pr-description:updates -->'
+
+const UPDATES_HEADING = '## Updates'
+
+/**
+ * Entries kept in the Updates section. GitHub cuts pull request bodies off at
+ * 65536 characters.
+ */
+const MAX_UPDATES = 20
+
+/**
+ * Hidden HTML comment storing the head commit the description was written for
+ */
+export function formatHeadMarker(sha: string): string {
+  return `<!-- pr-description:head ${sha} -->`
+}
+
+/**
+ * Read the head commit stored by a previous run, if any
+ */
+export function readHeadMarker(body: string): string | null {
+  const match = body.match(HEAD_MARKER_PATTERN)
+  return match ? match[1] : null
+}
+
+function findUpdates(text: string): { start: number; end: number } | null {
+  const start = text.indexOf(UPDATES_START_MARKER)
+  const end = text.indexOf(UPDATES_END_MARKER)
+  if (start === -1 || end < start) {
+    return null
+  }
+
+  return { start, end: end + UPDATES_END_MARKER.length }
+}
+
+/**
+ * The Updates entries written by previous runs, newest first
+ */
+export function readUpdates(body: string): string[] {
+  const updates = findUpdates(body)
+  if (!updates) {
+    return []
+  }
+
+  return body
+    .substring(
+      updates.start + UPDATES_START_MARKER.length,
+      updates.end - UPDATES_END_MARKER.length
+    )
+    .replace(UPDATES_HEADING, '')
+    .split(/^(?=### )/m)
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+}
+
+/**
+ * Text without its Updates section
+ */
+export function removeUpdates(text: string): string {
+  const updates = findUpdates(text)
+  if (!updates) {
+    return text
+  }
+
+  return `${text.substring(0, updates.start).trimEnd()}\n\n${text.substring(updates.end).trimStart()}`.trim()
+}
+
+/**
+ * A dated Updates entry for the commits of a push. The short SHAs are linked
+ * to their commits by GitHub.
+ */
+export function formatUpdateEntry(
+  range: PushRange,
+  summary: string,
+  date: string = new Date().toISOString().slice(0, 10)
+): string {
+  return `### ${date} (${range.before.slice(0, 7)}...${range.after.slice(0, 7)})\n\n${summary.trim()}`
+}
+
+/**
+ * The Updates section with the newest entries first, or an empty string when
+ * there are none
+ */
+export function renderUpdates(entries: string[]): string {
+  if (entries.length === 0) {
+    return ''
+  }
+
+  return [
+    UPDATES_START_MARKER,
+    UPDATES_HEADING,
+    '',
+    entries.slice(0, MAX_UPDATES).join('\n\n'),
+    UPDATES_END_MARKER
+  ].join('\n')
+}
+
+/**
+ * The commits to add an Updates entry for: those of the push that triggered
+ * the run, starting from the last described head in case an earlier push was
+ * not described. Null when the run was not triggered by a push, the pull
+ * request has no description to update yet, or the head was already described.
+ */
+export function getUpdateRange(prInfo: PRInfo): PushRange | null {
+  const push = getPushRange()
+  if (!push || readManagedSection(prInfo.body) === null) {
+    return null
+  }
+
+  const before = readHeadMarker(prInfo.body) ?? push.before
+  return before === push.after ? null : { before, after: push.after }
+}
+
+/**
+ * Summarize the commits of a push as an Updates entry, or return null when
+ * they only touch files the description leaves out or do not build on the
+ * described head. A failed summary only leaves the entry out, since the
+ * description itself is still up to date.
+ */
+export async function describeUpdate(
+  octokit: ReturnType<typeof github.getOctokit>,
+  provider: Provider,
+  prInfo: PRInfo,
+  range: PushRange,
+  config: Pick<
+    Config,
+    | 'ignoredPatterns'
+    | 'includePatterns'
+    | 'redactSecrets'
+    | 'redactPatterns'
+    | 'failOnSecret'
+  >,
+  exclusionOptions: ExclusionOptions,
+  options: GenerationOptions
+): Promise<string | null> {
+  try {
+    // After a rebase or force-push the three-dot diff would also hold every
+    // upstream commit since the old merge base
+    const status = await getCompareStatus(octokit, range.before, range.after)
+    if (status !== 'ahead') {
+      core.info(
+        `The head was rebased or force-pushed since ${range.before} (${status}), not adding an Updates entry`
+      )
+      return null
+    }
+
+    core.info(`Describing the new commits ${range.before}...${range.after}`)
+    const filteredDiff = await generateDiff(
+      octokit,
+      range.before,
+      range.after,
+      config.ignoredPatterns,
+      config.includePatterns
+    )
+    const { diff } = excludeFiles(filteredDiff, exclusionOptions)
+    if (!diff.trim()) {
+      core.info('The new commits only change ignored or excluded files')
+      return null
+    }
+
+    const summary = await summarizeUpdate(
+      provider,
+      prInfo,
+      applyRedaction(diff, config),
+      options
+    )
+    return formatUpdateEntry(range, summary)
+  } catch (error) {
+    core.warning(
+      `Failed to describe the new commits, leaving them out: ${error}`
+    )
+    return null
+  }
+}
@@ -1,19 +1,115 @@
 import * as core from '@actions/core'
+import type * as github from '@actions/github'
 import { context } from '@actions/github'
-import { PRInfo, Config } from './types.js'
+import {
+  PRInfo,
+  Config,
+  ExcludeProfile,
+  LabelClass,
+  LabelMap,
+  Mode,
+  ProviderName,
+  ReleaseNotesOutput,
+  ReleaseRange,
+  RepoConfig,
+  SectionPlacement,
+  TitleMode,
+  Verbosity
+} from './types.js'
+import { DEFAULT_PLACEHOLDER_TOKEN } from './body.js'
+import { tagExists } from './github.js'
+import { DEFAULT_GENERATION_OPTIONS } from './claude.js'
+import { DEFAULT_RETRY_OPTIONS } from './retry.js'
+import { DEFAULT_LABEL_MAP, LABEL_CLASSES } from './labels.js'
+import { DEFAULT_TITLE_PATTERN, TITLE_MODES } from './title.js'
+import { DEFAULT_LANGUAGE, VERBOSITY_LEVELS } from './prompt.js'
+import { PROVIDERS } from './provider.js'
+import { DEFAULT_MAX_FILE_LINES, EXCLUDE_PROFILES } from './exclusions.js'
+
+const DEFAULT_LARGE_PR_THRESHOLD = 1000
+const MAX_EXTRA_INSTRUCTIONS_LENGTH = 4000
+
+const MODES: Mode[] = [
+  'body',
+  'comment',
+  'summary',
+  'output-only',
+  'release-notes'
+]
+
+const SECTION_PLACEMENTS: SectionPlacement[] = ['top', 'bottom', 'placeholder']
+
+const RELEASE_NOTES_OUTPUTS: ReleaseNotesOutput[] = [
+  'release',
+  'changelog',
+  'file',
+  'output-only'
+]
+
+/**
+ * Where the changelog and file outputs write when release-notes-file is not
+ * set
+ */
+const DEFAULT_RELEASE_NOTES_FILES: Record<ReleaseNotesOutput, string> = {
+  release: '',
+  changelog: 'CHANGELOG.md',
+  file: 'RELEASE_NOTES.md',
+  'output-only': ''
+}
+
+/**
+ * Events the action can run on. workflow_dispatch and issue_comment look the
+ * pull request up through the API.
+ */
+export const SUPPORTED_EVENTS = [
+  'pull_request',
+  'pull_request_target',
+  'workflow_dispatch',
+  'issue_comment'
+]
 
 export function validatePullRequestEvent(): void {
-  if (context.eventName !== 'pull_request') {
-    throw new Error('This action can only be used in pull request events.')
+  if (!SUPPORTED_EVENTS.includes(context.eventName)) {
+    throw new Error(
+      `This action can only be used in ${SUPPORTED_EVENTS.join(', ')} events.`
+    )
   }
 }
 
-export function validatePullRequestAction(): void {
+const PULL_REQUEST_ACTIONS = [
+  'opened',
+  'synchronize',
+  'reopened',
+  'ready_for_review'
+]
+
+/**
+ * Why a pull_request event should be skipped based on its action, or null
+ * when the action should run
+ */
+export function getActionSkipReason(): string | null {
   const action = context.payload.action
-  if (!action || !['opened', 'synchronize', 'reopened'].includes(action)) {
-    core.info(`Skipping action for PR action: ${action || 'unknown'}`)
-    process.exit(0)
+  if (!action || !PULL_REQUEST_ACTIONS.includes(action)) {
+    return `pull request action "${action || 'unknown'}" is not one of: ${PULL_REQUEST_ACTIONS.join(', ')}`
   }
+
+  return null
+}
+
+/**
+ * The pull request fields the action needs, as found in both webhook payloads
+ * and the pulls API
+ */
+export interface PullRequestData {
+  number: number
+  title?: string | null
+  body?: string | null
+  draft?: boolean
+  html_url?: string
+  user?: { login?: string; type?: string } | null
+  labels?: Array<{ name?: string } | string>
+  base?: { sha?: string }
+  head?: { sha?: string; ref?: string }
 }
 
 export function extractPRInfo(): PRInfo {
@@ -22,6 +118,13 @@ export function extractPRInfo(): PRInfo {
     throw new Error('No pull request found in context')
   }
 
+  return parsePRInfo(pr)
+}
+
+/**
+ * Read the PR info from a webhook payload or pulls API response
+ */
+export function parsePRInfo(pr: PullRequestData): PRInfo {
   if (
     !pr.title ||
     !pr.user?.login ||
@@ -40,39 +143,545 @@ export function extractPRInfo(): PRInfo {
     author: pr.user!.login!,
     baseSha: pr.base!.sha!,
     headSha: pr.head!.sha!,
-    url: pr.html_url!
+    headRef: pr.head!.ref || '',
+    url: pr.html_url!,
+    body: pr.body || '',
+    draft: pr.draft === true,
+    labels: (pr.labels || [])
+      .map((label) => (typeof label === 'string' ? label : label.name))
+      .filter((name): name is string => Boolean(name)),
+    authorIsBot: pr.user!.type === 'Bot' || pr.user!.login!.endsWith('[bot]')
+  }
+}
+
+/**
+ * Reads a raw input value by name, e.g. core.getInput or a CLI flag lookup
+ */
+export type InputReader = (name: string) => string
+
+/**
+ * Read inputs, falling back to the repository config file's defaults for
+ * inputs that are not set
+ */
+function withDefaults(
+  readInput: InputReader,
+  defaults: Record<string, string>
+): InputReader {
+  return (name) => {
+    const value = readInput(name)
+    return !value.trim() && Object.hasOwn(defaults, name)
+      ? defaults[name]
+      : value
   }
 }
 
-export function getConfig(): Config {
-  const anthropicApiKey = core.getInput('anthropic-api-key')
-  const githubToken = core.getInput('github-token')
-  const ignorePatternsInput = core.getInput('ignore-patterns')
+function parseList(readInput: InputReader, name: string): string[] {
+  return readInput(name)
+    .split(',')
+    .map((item: string) => item.trim())
+    .filter((item: string) => item.length > 0)
+}
 
-  if (!anthropicApiKey) {
+function parsePositiveInteger(
+  readInput: InputReader,
+  name: string,
+  defaultValue: number
+): number {
+  const input = readInput(name).trim()
+  if (!input) {
+    return defaultValue
+  }
+
+  const value = Number(input)
+  if (!Number.isInteger(value) || value <= 0) {
+    throw new Error(`Invalid ${name}: ${input}. Must be a positive integer`)
+  }
+
+  return value
+}
+
+function parseBoolean(
+  readInput: InputReader,
+  name: string,
+  defaultValue: boolean
+): boolean {
+  const input = readInput(name).trim().toLowerCase()
+  if (!input) {
+    return defaultValue
+  }
+
+  if (input !== 'true' && input !== 'false') {
+    throw new Error(`Invalid ${name}: ${input}. Must be true or false`)
+  }
+
+  return input === 'true'
+}
+
+function parsePromptFile(readInput: InputReader): string {
+  const promptFile = readInput('prompt-file').trim()
+  if (!promptFile) {
+    return ''
+  }
+
+  if (
+    promptFile.startsWith('/') ||
+    promptFile.split(/[\\/]/).includes('..') ||
+    !/\.md$/i.test(promptFile)
+  ) {
     throw new Error(
-      'Anthropic API key not found. Please set the anthropic-api-key input or ANTHROPIC_API_KEY environment variable.'
+      `Invalid prompt-file: ${promptFile}. Must be a relative path to a markdown file inside the repository`
+    )
+  }
+
+  return promptFile
+}
+
+function parseExtraInstructions(readInput: InputReader): string {
+  const extraInstructions = readInput('extra-instructions').trim()
+  if (extraInstructions.length > MAX_EXTRA_INSTRUCTIONS_LENGTH) {
+    throw new Error(
+      `extra-instructions is too long (${extraInstructions.length} characters). Maximum is ${MAX_EXTRA_INSTRUCTIONS_LENGTH}`
+    )
+  }
+
+  return extraInstructions
+}
+
+function parseTemperature(readInput: InputReader): number {
+  const input = readInput('temperature').trim()
+  if (!input) {
+    return DEFAULT_GENERATION_OPTIONS.temperature
+  }
+
+  const value = Number(input)
+  if (Number.isNaN(value) || value < 0 || value > 1) {
+    throw new Error(
+      `Invalid temperature: ${input}. Must be a number between 0 and 1`
+    )
+  }
+
+  return value
+}
+
+/**
+ * Parse label-map entries such as "fix=bug, high-risk=needs-review" over the
+ * default map. An empty label ("chore=") turns a class off.
+ */
+function parseLabelMap(readInput: InputReader): LabelMap {
+  const labelMap: LabelMap = { ...DEFAULT_LABEL_MAP }
+
+  for (const entry of parseList(readInput, 'label-map')) {
+    const separator = entry.indexOf('=')
+    const labelClass = entry.slice(0, separator).trim() as LabelClass
+    if (separator === -1 || !LABEL_CLASSES.includes(labelClass)) {
+      throw new Error(
+        `Invalid label-map entry: ${entry}. Must be <class>=<label> with a class of: ${LABEL_CLASSES.join(', ')}`
+      )
+    }
+
+    labelMap[labelClass] = entry.slice(separator + 1).trim()
+  }
+
+  return labelMap
+}
+
+/**
+ * Canonicalize a BCP-47 language tag, e.g. "de-ch" to "de-CH". Well-formed
+ * tags for languages ICU does not know, like "english", are rejected too.
+ */
+function parseLanguage(readInput: InputReader): string {
+  const language = readInput('language').trim()
+  if (!language) {
+    return DEFAULT_LANGUAGE
+  }
+
+  const languageNames = new Intl.DisplayNames(['en'], {
+    type: 'language',
+    fallback: 'none'
+  })
+  try {
+    const [canonical] = Intl.getCanonicalLocales(language)
+    if (languageNames.of(canonical)) {
+      return canonical
+    }
+  } catch {
+    // Reported below
+  }
+
+  throw new Error(
+    `Invalid language: ${language}. Must be a BCP-47 language tag, e.g. en, ja or de-CH`
+  )
+}
+
+function parseVerbosity(readInput: InputReader): Verbosity {
+  const verbosity = readInput('verbosity').trim() || 'standard'
+  if (!VERBOSITY_LEVELS.includes(verbosity as Verbosity)) {
+    throw new Error(
+      `Invalid verbosity: ${verbosity}. Must be one of: ${VERBOSITY_LEVELS.join(', ')}`
+    )
+  }
+
+  return verbosity as Verbosity
+}
+
+function parseTitleMode(readInput: InputReader): TitleMode {
+  const titleMode = readInput('title-mode').trim() || 'off'
+  if (!TITLE_MODES.includes(titleMode as TitleMode)) {
+    throw new Error(
+      `Invalid title-mode: ${titleMode}. Must be one of: ${TITLE_MODES.join(', ')}`
+    )
+  }
+
+  return titleMode as TitleMode
+}
+
+function parseReleaseNotesOutput(readInput: InputReader): ReleaseNotesOutput {
+  const output = readInput('release-notes-output').trim() || 'release'
+  if (!RELEASE_NOTES_OUTPUTS.includes(output as ReleaseNotesOutput)) {
+    throw new Error(
+      `Invalid release-notes-output: ${output}. Must be one of: ${RELEASE_NOTES_OUTPUTS.join(', ')}`
     )
   }
 
-  if (!githubToken) {
+  return output as ReleaseNotesOutput
+}
+
+function parseTitlePattern(readInput: InputReader): string {
+  const titlePattern =
+    readInput('title-pattern').trim() || DEFAULT_TITLE_PATTERN
+  try {
+    new RegExp(titlePattern)
+  } catch (error) {
+    throw new Error(`Invalid title-pattern: ${error}`)
+  }
+
+  return titlePattern
+}
+
+/**
+ * One regular expression per line, since patterns can contain commas
+ */
+function parseRedactPatterns(readInput: InputReader): string[] {
+  const patterns = readInput('redact-patterns')
+    .split('\n')
+    .map((pattern) => pattern.trim())
+    .filter(Boolean)
+
+  for (const pattern of patterns) {
+    let regExp: RegExp
+    try {
+      regExp = new RegExp(pattern)
+    } catch (error) {
+      throw new Error(`Invalid redact-patterns entry: ${error}`)
+    }
+    if (regExp.test('')) {
+      throw new Error(
+        `Invalid redact-patterns entry: ${pattern} matches an empty string`
+      )
+    }
+  }
+
+  return patterns
+}
+
+/**
+ * Every profile when not set, none for "none"
+ */
+function parseExcludeProfiles(readInput: InputReader): ExcludeProfile[] {
+  const profiles = parseList(readInput, 'exclude-profiles')
+  if (profiles.length === 0) {
+    return EXCLUDE_PROFILES
+  }
+  if (profiles.length === 1 && profiles[0] === 'none') {
+    return []
+  }
+
+  for (const profile of profiles) {
+    if (!EXCLUDE_PROFILES.includes(profile as ExcludeProfile)) {
+      throw new Error(
+        `Invalid exclude-profiles entry: ${profile}. Must be "none" or any of: ${EXCLUDE_PROFILES.join(', ')}`
+      )
+    }
+  }
+
+  return profiles as ExcludeProfile[]
+}
+
+function parseProvider(readInput: InputReader): ProviderName {
+  const provider = readInput('provider').trim() || 'anthropic'
+  if (!PROVIDERS.includes(provider as ProviderName)) {
+    throw new Error(
+      `Invalid provider: ${provider}. Must be one of: ${PROVIDERS.join(', ')}`
+    )
+  }
+
+  return provider as ProviderName
+}
+
+export interface ConfigOptions {
+  /**
+   * The local CLI never talks to GitHub, so it does not need a token
+   */
+  requireGitHubToken?: boolean
+  /**
+   * Settings from the repository config file, used for inputs that are not
+   * set
+   */
+  repoConfig?: RepoConfig | null
+}
+
+/**
+ * The inputs needed to find the pull request, read before the repository
+ * config file can be loaded from its base branch
+ */
+export function getGitHubConfig(
+  readInput: InputReader = core.getInput,
+  { requireGitHubToken = true }: ConfigOptions = {}
+): Pick<Config, 'githubToken' | 'prNumber' | 'retryAttempts' | 'retryMaxWait'> {
+  const githubToken = readInput('github-token')
+  if (requireGitHubToken && !githubToken) {
     throw new Error(
       'GitHub token not found. Please set the github-token input or GITHUB_TOKEN environment variable.'
     )
   }
 
-  const ignoredPatterns = ignorePatternsInput
-    .split(',')
-    .map((pattern: string) => pattern.trim())
-    .filter((pattern: string) => pattern.length > 0)
+  return {
+    githubToken,
+    // 0 when not set; only used for workflow_dispatch
+    prNumber: parsePositiveInteger(readInput, 'pr-number', 0),
+    retryAttempts: parsePositiveInteger(
+      readInput,
+      'retry-attempts',
+      DEFAULT_RETRY_OPTIONS.attempts
+    ),
+    retryMaxWait: parsePositiveInteger(
+      readInput,
+      'retry-max-wait',
+      DEFAULT_RETRY_OPTIONS.maxRetryAfterMs / 1000
+    )
+  }
+}
+
+export function getConfig(
+  inputReader: InputReader = core.getInput,
+  { requireGitHubToken = true, repoConfig = null }: ConfigOptions = {}
+): Config {
+  const readInput = withDefaults(inputReader, repoConfig?.defaults || {})
+  const provider = parseProvider(readInput)
+  const anthropicApiKey = readInput('anthropic-api-key')
+  const baseUrl = readInput('base-url').trim()
+  const model = readInput('model').trim()
+  const modeInput = readInput('mode').trim() || 'body'
+  const sectionPlacementInput = readInput('section-placement').trim() || 'top'
+  const placeholderToken =
+    readInput('placeholder-token') || DEFAULT_PLACEHOLDER_TOKEN
+
+  if (provider === 'anthropic' && !anthropicApiKey) {
+    throw new Error(
+      'Anthropic API key not found. Please set the anthropic-api-key input or ANTHROPIC_API_KEY environment variable.'
+    )
+  }
+
+  if (provider === 'openai-compatible' && !baseUrl) {
+    throw new Error(
+      'The base-url input is required for the openai-compatible provider, e.g. http://localhost:11434/v1'
+    )
+  }
+
+  // Model names differ between providers, e.g. Bedrock model IDs
+  if (provider !== 'anthropic' && !model) {
+    throw new Error(
+      `The model input is required for the ${provider} provider. Please set it to a model name the provider accepts.`
+    )
+  }
+
+  const { githubToken, prNumber, retryAttempts, retryMaxWait } =
+    getGitHubConfig(readInput, { requireGitHubToken })
+
+  const ignoredPatterns = parseList(readInput, 'ignore-patterns')
+  if (ignoredPatterns.length === 0 && repoConfig) {
+    ignoredPatterns.push(...repoConfig.exclude)
+  }
+  const includePatterns = parseList(readInput, 'include-patterns')
+  if (includePatterns.length === 0 && repoConfig) {
+    includePatterns.push(...repoConfig.include)
+  }
 
   if (ignoredPatterns.length > 0) {
     core.info(`Ignoring patterns: ${ignoredPatterns.join(', ')}`)
   }
+  if (includePatterns.length > 0) {
+    core.info(`Including only: ${includePatterns.join(', ')}`)
+  }
+
+  if (!MODES.includes(modeInput as Mode)) {
+    throw new Error(
+      `Invalid mode: ${modeInput}. Must be one of: ${MODES.join(', ')}`
+    )
+  }
+
+  if (!SECTION_PLACEMENTS.includes(sectionPlacementInput as SectionPlacement)) {
+    throw new Error(
+      `Invalid section-placement: ${sectionPlacementInput}. Must be one of: ${SECTION_PLACEMENTS.join(', ')}`
+    )
+  }
+
+  const releaseNotesOutput = parseReleaseNotesOutput(readInput)
+  const structuredOutput = parseBoolean(readInput, 'structured-output', false)
+  const applyLabels = parseBoolean(readInput, 'apply-labels', false)
+  if (applyLabels && !structuredOutput) {
+    throw new Error(
+      'apply-labels classifies the pull request from the structured description. Please also set structured-output: true'
+    )
+  }
+  // The labels the action added are recorded in the PR body, so other
+  // delivery modes could never remove them again. Release notes ignore labels.
+  if (applyLabels && modeInput !== 'body' && modeInput !== 'release-notes') {
+    throw new Error(
+      `apply-labels records the labels it added in the PR body, so it only works with mode: body (got mode: ${modeInput})`
+    )
+  }
 
   return {
+    provider,
     anthropicApiKey,
+    openaiApiKey: readInput('openai-api-key').trim(),
+    baseUrl,
+    awsRegion: readInput('aws-region').trim(),
+    vertexRegion: readInput('vertex-region').trim(),
+    vertexProjectId: readInput('vertex-project-id').trim(),
     githubToken,
-    ignoredPatterns
+    prNumber,
+    ignoredPatterns,
+    includePatterns,
+    pathInstructions: repoConfig?.pathInstructions || [],
+    redactSecrets: parseBoolean(readInput, 'redact-secrets', true),
+    redactPatterns: parseRedactPatterns(readInput),
+    failOnSecret: parseBoolean(readInput, 'fail-on-secret', false),
+    excludeProfiles: parseExcludeProfiles(readInput),
+    maxFileLines: parsePositiveInteger(
+      readInput,
+      'max-file-lines',
+      DEFAULT_MAX_FILE_LINES
+    ),
+    mode: modeInput as Mode,
+    sectionPlacement: sectionPlacementInput as SectionPlacement,
+    placeholderToken,
+    usePrTemplate: parseBoolean(readInput, 'use-pr-template', true),
+    includeCommitBodies: parseBoolean(
+      readInput,
+      'include-commit-bodies',
+      false
+    ),
+    linkIssues: parseBoolean(readInput, 'link-issues', true),
+    filesTable: parseBoolean(readInput, 'files-table', false),
+    incrementalUpdates: parseBoolean(readInput, 'incremental-updates', true),
+    structuredOutput,
+    applyLabels,
+    labelMap: parseLabelMap(readInput),
+    titleMode: parseTitleMode(readInput),
+    titlePattern: parseTitlePattern(readInput),
+    promptFile: parsePromptFile(readInput),
+    extraInstructions: parseExtraInstructions(readInput),
+    language: parseLanguage(readInput),
+    verbosity: parseVerbosity(readInput),
+    model: model || DEFAULT_GENERATION_OPTIONS.model,
+    maxTokens: parsePositiveInteger(
+      readInput,
+      'max-tokens',
+      DEFAULT_GENERATION_OPTIONS.maxTokens
+    ),
+    temperature: parseTemperature(readInput),
+    largePrModel: readInput('large-pr-model').trim(),
+    largePrThreshold: parsePositiveInteger(
+      readInput,
+      'large-pr-threshold',
+      DEFAULT_LARGE_PR_THRESHOLD
+    ),
+    tokenBudget: parsePositiveInteger(
+      readInput,
+      'token-budget',
+      DEFAULT_GENERATION_OPTIONS.tokenBudget
+    ),
+    chunkConcurrency: parsePositiveInteger(
+      readInput,
+      'chunk-concurrency',
+      DEFAULT_GENERATION_OPTIONS.chunkConcurrency
+    ),
+    retryAttempts,
+    retryMaxWait,
+    force: parseBoolean(readInput, 'force', false),
+    skipDrafts: parseBoolean(readInput, 'skip-drafts', true),
+    skipBots: parseBoolean(readInput, 'skip-bots', true),
+    skipAuthors: parseList(readInput, 'skip-authors'),
+    skipLabels: parseList(readInput, 'skip-labels'),
+    requireLabels: parseList(readInput, 'require-labels'),
+    skipBodyLongerThan: parsePositiveInteger(
+      readInput,
+      'skip-body-longer-than',
+      0
+    ),
+    skipBranches: parseList(readInput, 'skip-branches'),
+    releaseNotesOutput,
+    releaseNotesFile:
+      readInput('release-notes-file').trim() ||
+      DEFAULT_RELEASE_NOTES_FILES[releaseNotesOutput]
+  }
+}
+
+/**
+ * Whether the action writes release notes instead of describing a pull
+ * request. Only the mode input can turn this on, not the repository config
+ * file, so pull request workflows never switch to it.
+ */
+export function isReleaseNotesMode(
+  readInput: InputReader = core.getInput
+): boolean {
+  return readInput('mode').trim() === 'release-notes'
+}
+
+/**
+ * The range of release-notes mode, read before the repository config file
+ * can be loaded from its end. A bare ref is compared with the commit the
+ * workflow runs on.
+ */
+export async function getReleaseRange(
+  octokit: ReturnType<typeof github.getOctokit>,
+  readInput: InputReader = core.getInput
+): Promise<ReleaseRange> {
+  const range = readInput('release-range').trim()
+  if (!range) {
+    throw new Error(
+      'The release-range input is required in release-notes mode, e.g. v1.2.0..v1.3.0'
+    )
+  }
+
+  const match = range.match(/^(.*?)\.{2,3}(.*)$/)
+  const base = match ? match[1] : range
+  const head = match?.[2] || context.sha
+  if (!base) {
+    throw new Error(
+      `Invalid release-range: ${range}. Expected <base>..<head> or a single tag`
+    )
   }
+
+  const releaseTag = readInput('release-tag').trim()
+  if (releaseTag) {
+    return { base, head, tag: releaseTag }
+  }
+
+  // A range ending with a tag names the release, e.g. v1.2.0..v1.3.0, but one
+  // ending with a branch or SHA does not; a workflow run for a pushed tag does
+  if (match?.[2]) {
+    return {
+      base,
+      head,
+      tag: (await tagExists(octokit, match[2])) ? match[2] : ''
+    }
+  }
+  const tag = context.ref.startsWith('refs/tags/')
+    ? context.ref.slice('refs/tags/'.length)
+    : ''
+
+  return { base, head, tag }
 }